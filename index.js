@@ -6,8 +6,150 @@ const bcrypt = require("bcryptjs");
 const bodyParser = require("body-parser");
 const cors = require("cors");
 require("dotenv").config(); // Load environment variables from .env file
-
-app.use(express.json()); // Add this to parse JSON
+const {
+	signAccessToken,
+	verifyAccessToken,
+	generateOpaqueToken,
+	hashToken,
+	refreshTokenExpiry,
+	passwordResetExpiry,
+	emailVerificationExpiry,
+	isValidEmail,
+} = require("./lib/auth");
+const multer = require("multer");
+const { sendMail } = require("./lib/mailer");
+const { createRateLimiter, getDefaultStore } = require("./lib/rateLimiter");
+const { lockoutMinutes } = require("./lib/lockout");
+const { ROLES, isValidRole, hasPermission } = require("./lib/permissions");
+const {
+	roundMoney,
+	parseQuantity,
+	cartItemKey,
+	priceCartRows,
+} = require("./lib/pricing");
+const {
+	MANUAL_STOCK_REASONS,
+	isManualStockReason,
+	checkStockMovement,
+	findStockErrors,
+} = require("./lib/inventory");
+const {
+	ORDER_STATUSES,
+	isValidOrderStatus,
+	canTransition,
+} = require("./lib/orderStatus");
+const {
+	REFUND_REASONS,
+	isValidRefundReason,
+	buildRefundLines,
+} = require("./lib/refunds");
+const { validateAddress, toOrderSnapshot } = require("./lib/addresses");
+const {
+	validateCouponInput,
+	evaluateCoupons,
+	scopesCategory,
+} = require("./lib/coupons");
+const {
+	quantityLimit,
+	validateCartRows,
+	blockingIssues,
+	parseCorrections,
+} = require("./lib/cartValidation");
+const {
+	DEFAULT_WISHLIST_NAME,
+	validateWishlistName,
+	referencePrice,
+	findPriceDrops,
+} = require("./lib/wishlists");
+const {
+	parseCatalogQuery,
+	buildCatalogWhere,
+	buildCatalogOrder,
+	encodeCursor,
+	paginationHeaders,
+} = require("./lib/catalog");
+const {
+	NAME_WEIGHT,
+	buildSearchDocument,
+	documentTerms,
+	parseSearchQuery,
+	buildSearchPlan,
+	buildAutocompletePlan,
+} = require("./lib/search");
+const {
+	validateCategoryInput,
+	formatCategory,
+	buildCategoryTree,
+	collectSubtreeIds,
+	categoryPath,
+	findCategory,
+	wouldCreateCycle,
+} = require("./lib/categories");
+const {
+	normalizeVariantId,
+	validateVariantInput,
+	optionSignature,
+	groupVariantOptions,
+	buildOptionMatrix,
+} = require("./lib/variants");
+const {
+	validateSpecFieldInput,
+	formatSpecField,
+	effectiveSpecSchema,
+	planSpecMerge,
+	validateSpecifications,
+	resolveSpecFilters,
+} = require("./lib/specifications");
+const {
+	MAX_IMAGE_BYTES,
+	MAX_IMAGES_PER_UPLOAD,
+	LOCAL_IMAGE_DIR,
+	LOCAL_IMAGE_URL,
+	getStorageName,
+	getImageStorage,
+	isAllowedImageType,
+	generateImageKey,
+	processImage,
+	saveImageFiles,
+	removeImageFiles,
+	imageUrls,
+	primaryImageUrl,
+	formatImage,
+} = require("./lib/images");
+const {
+	getMergeStrategy,
+	guestCartExpiry,
+	mergeCartQuantities,
+} = require("./lib/guestCart");
+const { validateTaxRateInput, calculateTax } = require("./lib/tax");
+const {
+	validateShippingMethodInput,
+	quoteShipping,
+} = require("./lib/shipping");
+const {
+	WEBHOOK_EVENT_TYPES,
+	getPaymentProvider,
+	isAutoCapture,
+} = require("./lib/payments");
+const {
+	isValidIdempotencyKey,
+	fingerprintRequest,
+	idempotencyKeyExpiry,
+} = require("./lib/idempotency");
+
+// Parse JSON, keeping the raw body for webhook signature checks
+app.use(
+	express.json({
+		verify: (req, res, buf) => {
+			req.rawBody = buf;
+		},
+	})
+);
+
+// Behind a reverse proxy (e.g. Render) req.ip must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+	app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
 
 // const corsOptions = {
 // 	origin: [
@@ -24,45 +166,461 @@ app.use(express.json()); // Add this to parse JSON
 
 // // Apply CORS middleware
 // app.use(cors(corsOptions));
-app.use(cors());
+// Guest carts hand their token back in the X-Cart-Token header
+app.use(
+	cors({
+		exposedHeaders: [
+			"X-Cart-Token",
+			"X-Total-Count",
+			"X-Total-Pages",
+			"X-Page",
+			"X-Next-Cursor",
+			"Link",
+		],
+	})
+);
 
 // Parse incoming JSON requests
 app.use(bodyParser.json());
 
-// Create the MySQL connection
-const connection = mysql.createConnection({
+// Serve product images kept on local disk
+if (getStorageName() === "local") {
+	app.use(
+		LOCAL_IMAGE_URL,
+		express.static(LOCAL_IMAGE_DIR, { maxAge: "30d", immutable: true })
+	);
+}
+
+// Create the MySQL connection pool. Plain queries go through the pool;
+// transactions take a connection of their own (see beginTransaction).
+const pool = mysql.createPool({
 	host: process.env.DB_HOST,
 	user: process.env.DB_USER,
 	password: process.env.DB_PASSWORD,
 	database: process.env.DB_NAME,
+	connectionLimit: parseInt(process.env.DB_POOL_SIZE || "10", 10),
 });
 
-// Connect to MySQL
-connection.connect((err) => {
+// Check that MySQL can be reached
+pool.getConnection((err, connection) => {
 	if (err) {
 		console.error("Error connecting to MySQL:", err.stack);
 		return;
 	}
 	console.log("Connected to MySQL as ID", connection.threadId);
+	connection.release();
+});
+
+// Transactions
+// A transaction runs on a connection taken from the pool for it alone, so
+// concurrent requests can neither commit nor roll back each other's work and
+// SELECT ... FOR UPDATE locks hold between them. Helpers that take part in a
+// transaction take its connection as their first argument; outside of one
+// they are given the pool. The connection goes back to the pool once the
+// transaction is committed or rolled back.
+function beginTransaction(callback) {
+	pool.getConnection((err, connection) => {
+		if (err) {
+			return callback(err);
+		}
+
+		connection.beginTransaction((err) => {
+			if (err) {
+				connection.release();
+				return callback(err);
+			}
+			callback(null, connection);
+		});
+	});
+}
+
+// Commit and release the connection. On failure the connection is kept so
+// the caller can still roll back.
+function commitTransaction(connection, callback) {
+	connection.commit((err) => {
+		if (err) {
+			return callback(err);
+		}
+		connection.release();
+		callback(null);
+	});
+}
+
+function rollbackTransaction(connection, callback) {
+	connection.rollback(() => {
+		connection.release();
+		callback();
+	});
+}
+
+// Start the server, unless the app is loaded by the tests
+if (require.main === module) {
+	app.listen(PORT, () => {
+		console.log(`Server is running on port ${PORT}`);
+	});
+}
+
+// Auth middleware
+// Verifies the Bearer access token and loads the user into req.user.
+// Routes behind this must use req.user.id and never a client-supplied user ID.
+function authenticate(req, res, next) {
+	const header = req.headers.authorization || "";
+	const [scheme, token] = header.split(" ");
+
+	if (scheme !== "Bearer" || !token) {
+		return res.status(401).json({ error: "Authentication required" });
+	}
+
+	let payload;
+	try {
+		payload = verifyAccessToken(token);
+	} catch (err) {
+		return res
+			.status(401)
+			.json({ error: "Invalid or expired token", details: err.message });
+	}
+
+	const query =
+		"SELECT id, first_name, last_name, email, phone, role, token_version, email_verified_at FROM users WHERE id = ? AND deleted_at IS NULL";
+	pool.query(query, [payload.sub], (err, results) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
+		}
+
+		if (results.length === 0) {
+			return res.status(401).json({ error: "User no longer exists" });
+		}
+
+		// Sessions are invalidated by bumping the user's token version
+		if (payload.tv !== results[0].token_version) {
+			return res.status(401).json({ error: "Session has been revoked" });
+		}
+
+		req.user = results[0];
+		next();
+	});
+}
+
+// Blocks accounts that have not verified their email, must run after authenticate
+function requireVerifiedEmail(req, res, next) {
+	if (!req.user.email_verified_at) {
+		return res.status(403).json({
+			error: "Please verify your email address before placing orders",
+			code: "EMAIL_NOT_VERIFIED",
+		});
+	}
+	next();
+}
+
+// Idempotency-Key support for endpoints that create orders, must run after
+// authenticate. The first request with a key is processed and its response
+// stored; retries with the same key and payload get that response replayed,
+// while reusing the key for a different payload is a conflict. Server errors
+// are not stored so the request can be retried.
+function idempotent(endpoint) {
+	return (req, res, next) => {
+		const key = req.get("Idempotency-Key");
+		if (key === undefined) {
+			return next();
+		}
+
+		if (!isValidIdempotencyKey(key)) {
+			return res.status(400).json({
+				error: "Idempotency-Key must be 1-255 printable ASCII characters",
+			});
+		}
+
+		const requestHash = fingerprintRequest(req);
+		const userId = req.user.id;
+
+		const insertQuery = `
+            INSERT INTO idempotency_keys 
+            (user_id, endpoint, idempotency_key, request_hash, expires_at) 
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+		const claimKey = (retried) => {
+			pool.query(
+				insertQuery,
+				[userId, endpoint, key, requestHash, idempotencyKeyExpiry()],
+				(err, result) => {
+					if (err && err.code === "ER_DUP_ENTRY") {
+						return handleSeenKey(retried);
+					}
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Database error", details: err.message });
+					}
+
+					storeResponse(result.insertId);
+					next();
+				}
+			);
+		};
+
+		// A key that was used before: replay, reject or (once expired) reuse it
+		const handleSeenKey = (retried) => {
+			const selectQuery = `
+                SELECT *, expires_at <= NOW() AS expired 
+                FROM idempotency_keys 
+                WHERE user_id = ? AND endpoint = ? AND idempotency_key = ?
+            `;
+
+			pool.query(selectQuery, [userId, endpoint, key], (err, rows) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				// Deleted in the meantime, try to claim it again
+				if (rows.length === 0) {
+					return retried
+						? res.status(409).json({ error: "Idempotency-Key is in use" })
+						: claimKey(true);
+				}
+
+				const row = rows[0];
+
+				if (row.expired && !retried) {
+					return pool.query(
+						"DELETE FROM idempotency_keys WHERE id = ?",
+						[row.id],
+						(err) => {
+							if (err) {
+								return res
+									.status(500)
+									.json({ error: "Database error", details: err.message });
+							}
+							claimKey(true);
+						}
+					);
+				}
+
+				if (row.request_hash !== requestHash) {
+					return res.status(409).json({
+						error: "Idempotency-Key was already used for a different request",
+					});
+				}
+
+				if (row.status === "processing") {
+					return res.status(409).json({
+						error:
+							"A request with this Idempotency-Key is still being processed",
+					});
+				}
+
+				const body =
+					typeof row.response_body === "string"
+						? JSON.parse(row.response_body)
+						: row.response_body;
+				res.set("Idempotent-Replayed", "true");
+				res.status(row.response_status).json(body);
+			});
+		};
+
+		// Capture the handler's response and keep it with the key
+		const storeResponse = (keyId) => {
+			const json = res.json.bind(res);
+
+			res.json = (body) => {
+				res.json = json;
+
+				if (res.statusCode >= 500) {
+					return pool.query(
+						"DELETE FROM idempotency_keys WHERE id = ?",
+						[keyId],
+						() => json(body)
+					);
+				}
+
+				const completeQuery = `
+                    UPDATE idempotency_keys 
+                    SET status = 'completed', response_status = ?, response_body = ? 
+                    WHERE id = ?
+                `;
+				pool.query(
+					completeQuery,
+					[res.statusCode, JSON.stringify(body), keyId],
+					(err) => {
+						if (err) {
+							console.error("Failed to store idempotent response:", err);
+						}
+						json(body);
+					}
+				);
+				return res;
+			};
+		};
+
+		claimKey(false);
+	};
+}
+
+// Permission middleware, must run after authenticate
+function requirePermission(permission) {
+	return (req, res, next) => {
+		if (!hasPermission(req.user.role, permission)) {
+			return res.status(403).json({
+				error: "You do not have permission to perform this action",
+				required: permission,
+			});
+		}
+		next();
+	};
+}
+
+// Invalidate every session of a user: revoke all refresh tokens and bump the
+// token version so outstanding access tokens are rejected by authenticate
+function revokeAllSessions(connection, userId, callback) {
+	const revokeQuery =
+		"UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL";
+
+	connection.query(revokeQuery, [userId], (err) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const versionQuery =
+			"UPDATE users SET token_version = token_version + 1 WHERE id = ?";
+		connection.query(versionQuery, [userId], (err) => callback(err || null));
+	});
+}
+
+// Create a verification token for a user and mail the link.
+// With a newEmail the link confirms an email change and is sent there instead.
+function sendVerificationEmail(user, newEmail, callback) {
+	const token = generateOpaqueToken();
+	const insertQuery =
+		"INSERT INTO email_verification_tokens (user_id, token_hash, expires_at, email) VALUES (?, ?, ?, ?)";
+
+	pool.query(
+		insertQuery,
+		[user.id, hashToken(token), emailVerificationExpiry(), newEmail || null],
+		(err) => {
+			if (err) {
+				return callback(err);
+			}
+
+			const appUrl = process.env.APP_URL || "http://localhost:3000";
+			sendMail(
+				{
+					to: newEmail || user.email,
+					subject: "Verify your email address",
+					text:
+						`Hi ${user.first_name},\n\n` +
+						`Please confirm your email address by opening the link below.\n\n` +
+						`${appUrl}/verify-email?token=${token}`,
+				},
+				callback
+			);
+		}
+	);
+}
+
+// Issue a new access/refresh token pair for a user
+function issueTokens(user, callback) {
+	const refreshToken = generateOpaqueToken();
+	const insertQuery =
+		"INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)";
+
+	pool.query(
+		insertQuery,
+		[user.id, hashToken(refreshToken), refreshTokenExpiry()],
+		(err) => {
+			if (err) {
+				return callback(err);
+			}
+
+			callback(null, {
+				accessToken: signAccessToken(user),
+				refreshToken,
+				tokenType: "Bearer",
+			});
+		}
+	);
+}
+
+// Rate limits for the auth endpoints
+const signupIpLimiter = createRateLimiter({
+	name: "signup:ip",
+	windowMs: 60 * 60 * 1000,
+	max: 5,
+	message: "Too many accounts created from this IP, please try again later",
 });
 
-// Start the server
-app.listen(PORT, () => {
-	console.log(`Server is running on port ${PORT}`);
+const signinIpLimiter = createRateLimiter({
+	name: "signin:ip",
+	windowMs: 15 * 60 * 1000,
+	max: 30,
+	message: "Too many sign-in attempts from this IP, please try again later",
 });
 
+const signinAccountKey = (req) =>
+	typeof req.body.email === "string"
+		? req.body.email.trim().toLowerCase()
+		: null;
+
+const signinAccountLimiter = createRateLimiter({
+	name: "signin:account",
+	windowMs: 15 * 60 * 1000,
+	max: 10,
+	keyGenerator: signinAccountKey,
+	message: "Too many sign-in attempts for this account, please try again later",
+});
+
+// Count a failed sign-in and lock the account when the threshold is reached.
+// Calls back with the lockout end date, or null when the account is not locked.
+function recordFailedSignin(user, ipAddress, callback) {
+	const failedCount = user.failed_login_count + 1;
+	const minutes = lockoutMinutes(failedCount);
+	const lockedUntil =
+		minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000) : null;
+
+	const updateQuery = `
+        UPDATE users 
+        SET failed_login_count = ?, locked_until = COALESCE(?, locked_until) 
+        WHERE id = ?
+    `;
+
+	pool.query(updateQuery, [failedCount, lockedUntil, user.id], (err) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (!lockedUntil) {
+			return callback(null, null);
+		}
+
+		const lockoutQuery = `
+            INSERT INTO account_lockouts (user_id, ip_address, failed_attempts, locked_until) 
+            VALUES (?, ?, ?, ?)
+        `;
+		pool.query(
+			lockoutQuery,
+			[user.id, ipAddress, failedCount, lockedUntil],
+			(err) => callback(err || null, lockedUntil)
+		);
+	});
+}
+
 // User
 // signup
 // Signup API Endpoint
-app.post("/api/signup", (req, res) => {
+app.post("/api/signup", signupIpLimiter, (req, res) => {
 	const { first_name, last_name, email, password, confirm_password } = req.body;
-	console.log("Request Method:", req.method); // Should be POST
-	console.log("Request Body:", req.body); // Should contain first_name, last_name, email, password, confirm_password
 	// Basic validation
 	if (!first_name || !last_name || !email || !password || !confirm_password) {
 		return res.status(400).json({ error: "All fields are required" });
 	}
 
+	if (!isValidEmail(email)) {
+		return res.status(400).json({ error: "Invalid email address" });
+	}
+
 	// Check if passwords match
 	if (password !== confirm_password) {
 		return res.status(400).json({ error: "Passwords do not match" });
@@ -70,7 +628,7 @@ app.post("/api/signup", (req, res) => {
 
 	// Check if email already exists
 	const checkEmailQuery = "SELECT * FROM users WHERE email = ?";
-	connection.query(checkEmailQuery, [email], (err, results) => {
+	pool.query(checkEmailQuery, [email], (err, results) => {
 		if (err) {
 			return res
 				.status(500)
@@ -91,7 +649,7 @@ app.post("/api/signup", (req, res) => {
 			const insertQuery =
 				"INSERT INTO users (first_name, last_name, email, password_hash) VALUES (?, ?, ?, ?)";
 
-			connection.query(
+			pool.query(
 				insertQuery,
 				[first_name, last_name, email, hashedPassword],
 				(err, results) => {
@@ -101,9 +659,32 @@ app.post("/api/signup", (req, res) => {
 							.json({ error: "Error saving user", details: err.message });
 					}
 
-					res.status(201).json({
-						message: "User successfully created",
-						userId: results.insertId,
+					const user = { id: results.insertId, email, first_name };
+
+					// The account is created even if the mail fails, the user
+					// can ask for a new link
+					sendVerificationEmail(user, null, (err) => {
+						if (err) {
+							console.error("Error sending verification mail:", err);
+						}
+
+						mergeGuestCart(
+							results.insertId,
+							guestCartToken(req),
+							(err, cartMerge) => {
+								if (err) {
+									console.error("Error merging guest cart:", err);
+								}
+
+								res.status(201).json({
+									message:
+										"User successfully created, please check your email to verify your account",
+									userId: results.insertId,
+									emailVerified: false,
+									cartMerge: cartMerge || null,
+								});
+							}
+						);
 					});
 				}
 			);
@@ -113,9 +694,7 @@ app.post("/api/signup", (req, res) => {
 
 // Login
 // Sign-In API Endpoint
-app.post("/api/signin", (req, res) => {
-	console.log("Request Method:", req.method); // Should be POST
-	console.log("Request Body:", req.body); // Should contain email and password
+app.post("/api/signin", signinIpLimiter, signinAccountLimiter, (req, res) => {
 	const { email, password } = req.body;
 
 	// Basic validation
@@ -125,7 +704,7 @@ app.post("/api/signin", (req, res) => {
 
 	// Query the database to check if the email exists
 	const query = "SELECT * FROM users WHERE email = ?";
-	connection.query(query, [email], (err, results) => {
+	pool.query(query, [email], (err, results) => {
 		if (err) {
 			return res
 				.status(500)
@@ -139,6 +718,14 @@ app.post("/api/signin", (req, res) => {
 		// Get the user from the database (we expect only one result)
 		const user = results[0];
 
+		// Locked accounts are rejected before the password is even checked
+		if (user.locked_until && new Date(user.locked_until) > new Date()) {
+			return res.status(423).json({
+				error: "Account is temporarily locked after too many failed sign-ins",
+				lockedUntil: new Date(user.locked_until).toISOString(),
+			});
+		}
+
 		// Compare the entered password with the hashed password in the database
 		bcrypt.compare(password, user.password_hash, (err, isMatch) => {
 			if (err) {
@@ -148,1062 +735,9972 @@ app.post("/api/signin", (req, res) => {
 			}
 
 			if (!isMatch) {
-				return res.status(400).json({ error: "Invalid email or password" });
+				return recordFailedSignin(user, req.ip, (err, lockedUntil) => {
+					if (err) {
+						console.error("Error recording failed sign-in:", err);
+					}
+
+					if (lockedUntil) {
+						return res.status(423).json({
+							error:
+								"Account is temporarily locked after too many failed sign-ins",
+							lockedUntil: lockedUntil.toISOString(),
+						});
+					}
+
+					res.status(400).json({ error: "Invalid email or password" });
+				});
 			}
 
-			// If passwords match, return success response
-			res.status(200).json({
-				message: "Sign-in successful",
-				userId: user.id,
-				firstName: user.first_name,
-				lastName: user.last_name,
-				email: user.email,
+			// A successful sign-in resets the failure counter
+			const resetQuery =
+				"UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?";
+			pool.query(resetQuery, [user.id], (err) => {
+				if (err) {
+					console.error("Error resetting failed sign-ins:", err);
+				}
+			});
+
+			// If passwords match, issue tokens and return success response
+			issueTokens(user, (err, tokens) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Error issuing tokens", details: err.message });
+				}
+
+				// A failed merge leaves the guest cart in place, it does not
+				// block the sign-in
+				mergeGuestCart(user.id, guestCartToken(req), (err, cartMerge) => {
+					if (err) {
+						console.error("Error merging guest cart:", err);
+					}
+
+					res.status(200).json({
+						message: "Sign-in successful",
+						userId: user.id,
+						firstName: user.first_name,
+						lastName: user.last_name,
+						email: user.email,
+						role: user.role,
+						emailVerified: Boolean(user.email_verified_at),
+						cartMerge: cartMerge || null,
+						...tokens,
+					});
+				});
 			});
 		});
 	});
 });
 
-// get all products
-app.get("/api/products", (req, res) => {
-	const query = "SELECT * FROM products WHERE is_deleted = FALSE";
+// Refresh Token Endpoint
+// Exchanges a valid refresh token for a new token pair. The old refresh
+// token is revoked (rotation), so each refresh token can only be used once.
+app.post("/api/token/refresh", (req, res) => {
+	const { refreshToken } = req.body;
+
+	if (!refreshToken) {
+		return res.status(400).json({ error: "Refresh token is required" });
+	}
 
-	connection.query(query, (err, results) => {
+	const query = `
+        SELECT
+            rt.id AS token_id,
+            u.id,
+            u.email,
+            u.token_version
+        FROM refresh_tokens rt
+        JOIN users u ON rt.user_id = u.id
+        WHERE rt.token_hash = ?
+            AND rt.revoked_at IS NULL
+            AND rt.expires_at > NOW()
+    `;
+
+	pool.query(query, [hashToken(refreshToken)], (err, results) => {
 		if (err) {
-			console.error("Error retrieving products:", err.stack);
-			return res.status(500).json({
-				error: "Error retrieving products",
-				details: err.message,
-			});
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
 		}
 
-		console.log(`Retrieved ${results.length} products`);
-
-		// Optional: Log the first product for debugging
-		if (results.length > 0) {
-			console.log("First Product:", results[0]);
+		if (results.length === 0) {
+			return res
+				.status(401)
+				.json({ error: "Invalid or expired refresh token" });
 		}
 
-		res.json(results);
+		const user = results[0];
+		const revokeQuery =
+			"UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL";
+
+		pool.query(revokeQuery, [user.token_id], (err, revokeResult) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			// Another request rotated this token first
+			if (revokeResult.affectedRows === 0) {
+				return res
+					.status(401)
+					.json({ error: "Invalid or expired refresh token" });
+			}
+
+			issueTokens(user, (err, tokens) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Error issuing tokens", details: err.message });
+				}
+
+				res.status(200).json(tokens);
+			});
+		});
 	});
 });
 
-/// In your Express backend:
-app.post("/api/cart", (req, res) => {
-	const { user_id, product_id, quantity } = req.body;
+// Sign-Out Endpoint
+// Revokes the given refresh token. Access tokens expire on their own.
+app.post("/api/signout", authenticate, (req, res) => {
+	const { refreshToken } = req.body;
 
-	// Basic validation
-	if (!user_id || !product_id || !quantity) {
-		return res
-			.status(400)
-			.json({ error: "User ID, Product ID, and Quantity are required" });
+	if (!refreshToken) {
+		return res.status(400).json({ error: "Refresh token is required" });
 	}
 
-	// Check if the product already exists in the cart for the given user
-	const checkQuery = "SELECT * FROM cart WHERE user_id = ? AND product_id = ?";
-	connection.query(checkQuery, [user_id, product_id], (err, results) => {
+	const query =
+		"UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND user_id = ? AND revoked_at IS NULL";
+
+	pool.query(query, [hashToken(refreshToken), req.user.id], (err, result) => {
 		if (err) {
 			return res
 				.status(500)
 				.json({ error: "Database error", details: err.message });
 		}
 
-		if (results.length > 0) {
-			// If the product already exists in the cart, add the new quantity to the existing quantity
-			const newQuantity = results[0].quantity + quantity; // Increment the quantity
-
-			const updateQuery =
-				"UPDATE cart SET quantity = ? WHERE user_id = ? AND product_id = ?";
-			connection.query(
-				updateQuery,
-				[newQuantity, user_id, product_id],
-				(err, updateResults) => {
-					if (err) {
-						return res
-							.status(500)
-							.json({ error: "Error updating cart", details: err.message });
-					}
-
-					res.status(200).json({
-						message: "Cart updated successfully",
-						cartItem: {
-							user_id,
-							product_id,
-							quantity: newQuantity, // Return the updated quantity
-						},
-					});
-				}
-			);
-		} else {
-			// If the product doesn't exist in the cart, add it with the specified quantity
-			const insertQuery =
-				"INSERT INTO cart (user_id, product_id, quantity) VALUES (?, ?, ?)";
-			connection.query(
-				insertQuery,
-				[user_id, product_id, quantity],
-				(err, insertResults) => {
-					if (err) {
-						return res
-							.status(500)
-							.json({ error: "Error adding to cart", details: err.message });
-					}
-
-					res.status(200).json({
-						message: "Product added to cart successfully",
-						cartItem: {
-							user_id,
-							product_id,
-							quantity,
-						},
-					});
-				}
-			);
-		}
+		res.status(200).json({ message: "Signed out successfully" });
 	});
 });
 
-// GET Cart - Fetches the user's cart
-// Cart route
-app.get("/api/cart/:userId", (req, res) => {
-	const userId = req.params.userId;
-	"Fetching cart for user", userId;
+// Password reset
+// Request a reset link. Always answers the same way so the endpoint cannot be
+// used to find out which emails have accounts.
+app.post("/api/password/forgot", (req, res) => {
+	const { email } = req.body;
 
-	if (!userId) {
-		return res.status(400).json({ error: "User ID is required" });
+	if (!email) {
+		return res.status(400).json({ error: "Email is required" });
 	}
 
-	// Updated query to join with products to get full product details
-	const query = `
-        SELECT 
-            c.product_id, 
-            c.quantity, 
-            p.name, 
-            p.price, 
-            p.image
-        FROM 
-            cart c
-        JOIN 
-            products p ON c.product_id = p.id
-        WHERE 
-            c.user_id = ?
-    `;
+	const genericResponse = {
+		message: "If an account exists for this email, a reset link has been sent",
+	};
 
-	connection.query(query, [userId], (err, results) => {
+	const userQuery = "SELECT id, email, first_name FROM users WHERE email = ?";
+	pool.query(userQuery, [email], (err, results) => {
 		if (err) {
-			console.error("Database error:", err);
-			return res.status(500).json({
-				error: "Error fetching cart",
-				details: err.message,
-			});
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
 		}
 
-		// If no items in cart
 		if (results.length === 0) {
-			return res.status(200).json({
-				message: "Cart is empty",
-				cartItems: [],
-				totalItems: 0,
-				totalValue: 0,
-			});
+			return res.status(200).json(genericResponse);
 		}
 
-		// Calculate total cart value
-		const totalValue = results.reduce((total, item) => {
-			return total + item.price * item.quantity;
-		}, 0);
+		const user = results[0];
 
-		res.status(200).json({
-			cartItems: results,
-			totalItems: results.length,
-			totalValue: totalValue.toFixed(2),
+		// Only the most recent link should work
+		const expireQuery =
+			"UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL";
+		pool.query(expireQuery, [user.id], (err) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			const token = generateOpaqueToken();
+			const expiresAt = passwordResetExpiry();
+			const insertQuery =
+				"INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)";
+
+			pool.query(insertQuery, [user.id, hashToken(token), expiresAt], (err) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				const appUrl = process.env.APP_URL || "http://localhost:3000";
+				sendMail(
+					{
+						to: user.email,
+						subject: "Reset your password",
+						text:
+							`Hi ${user.first_name},\n\n` +
+							`Use the link below to choose a new password. ` +
+							`It expires at ${expiresAt.toISOString()} and can only be used once.\n\n` +
+							`${appUrl}/reset-password?token=${token}\n\n` +
+							`If you did not ask for this, you can ignore this email.`,
+					},
+					(err) => {
+						if (err) {
+							console.error("Error sending password reset mail:", err);
+						}
+					}
+				);
+
+				res.status(200).json(genericResponse);
+			});
 		});
 	});
 });
 
-// Cart Update Endpoint
-app.post("/api/cart/update", (req, res) => {
-	const { userId, productId, quantity } = req.body;
+// Confirm a reset with the token from the mail and a new password.
+// Every existing session of the user is invalidated.
+app.post("/api/password/reset", (req, res) => {
+	const { token, password, confirm_password } = req.body;
 
-	if (!userId || !productId || quantity === undefined) {
-		return res
-			.status(400)
-			.json({ error: "User ID, Product ID, and Quantity are required" });
+	if (!token || !password || !confirm_password) {
+		return res.status(400).json({ error: "All fields are required" });
 	}
 
-	// If quantity is 0 or less, remove the item from the cart
-	if (quantity <= 0) {
-		const removeQuery = "DELETE FROM cart WHERE user_id = ? AND product_id = ?";
-		connection.query(removeQuery, [userId, productId], (err, result) => {
+	if (password !== confirm_password) {
+		return res.status(400).json({ error: "Passwords do not match" });
+	}
+
+	bcrypt.hash(password, 10, (err, hashedPassword) => {
+		if (err) {
+			return res.status(500).json({ error: "Error hashing password" });
+		}
+
+		beginTransaction((err, connection) => {
 			if (err) {
 				return res.status(500).json({
-					error: "Database error",
+					error: "Transaction start failed",
 					details: err.message,
 				});
 			}
 
-			return res.status(200).json({
-				message: "Item removed from cart successfully",
-			});
-		});
-	} else {
-		// Update or insert the cart item
-		const upsertQuery = `
-            INSERT INTO cart (user_id, product_id, quantity) 
-            VALUES (?, ?, ?) 
-            ON DUPLICATE KEY UPDATE quantity = ?
-        `;
+			const rollback = (status, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(status).json(body);
+				});
+			};
 
-		connection.query(
-			upsertQuery,
-			[userId, productId, quantity, quantity],
-			(err, result) => {
+			const tokenQuery = `
+                SELECT id, user_id
+                FROM password_reset_tokens
+                WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+                FOR UPDATE
+            `;
+
+			connection.query(tokenQuery, [hashToken(token)], (err, results) => {
 				if (err) {
-					return res.status(500).json({
+					return rollback(500, {
 						error: "Database error",
 						details: err.message,
 					});
 				}
 
-				res.status(200).json({
-					message: "Cart updated successfully",
+				if (results.length === 0) {
+					return rollback(400, { error: "Invalid or expired reset token" });
+				}
+
+				const { id: tokenId, user_id: userId } = results[0];
+				const useQuery =
+					"UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?";
+
+				connection.query(useQuery, [tokenId], (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					const passwordQuery =
+						"UPDATE users SET password_hash = ? WHERE id = ?";
+					connection.query(passwordQuery, [hashedPassword, userId], (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Error saving password",
+								details: err.message,
+							});
+						}
+
+						revokeAllSessions(connection, userId, (err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Error revoking sessions",
+									details: err.message,
+								});
+							}
+
+							commitTransaction(connection, (err) => {
+								if (err) {
+									return rollback(500, {
+										error: "Transaction commit failed",
+										details: err.message,
+									});
+								}
+
+								res.status(200).json({
+									message: "Password has been reset, please sign in again",
+								});
+							});
+						});
+					});
 				});
-			}
-		);
+			});
+		});
+	});
+});
+
+// Email verification
+// Confirm an email address with the token from the verification mail
+app.post("/api/email/verify", (req, res) => {
+	const { token } = req.body;
+
+	if (!token) {
+		return res.status(400).json({ error: "Verification token is required" });
 	}
+
+	const tokenQuery = `
+        SELECT id, user_id, email
+        FROM email_verification_tokens
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+    `;
+
+	pool.query(tokenQuery, [hashToken(token)], (err, results) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
+		}
+
+		if (results.length === 0) {
+			return res
+				.status(400)
+				.json({ error: "Invalid or expired verification token" });
+		}
+
+		const { id: tokenId, user_id: userId, email: newEmail } = results[0];
+		const useQuery =
+			"UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL";
+
+		pool.query(useQuery, [tokenId], (err, useResult) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (useResult.affectedRows === 0) {
+				return res
+					.status(400)
+					.json({ error: "Invalid or expired verification token" });
+			}
+
+			// Email change tokens also switch the account to the new address,
+			// unless someone else has taken it in the meantime
+			const takenQuery = "SELECT id FROM users WHERE email = ? AND id <> ?";
+			pool.query(takenQuery, [newEmail, userId], (err, taken) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (newEmail && taken.length > 0) {
+					return res.status(409).json({ error: "Email already in use" });
+				}
+
+				const verifyQuery = newEmail
+					? "UPDATE users SET email = ?, email_verified_at = NOW() WHERE id = ?"
+					: "UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?";
+				const verifyParams = newEmail ? [newEmail, userId] : [userId];
+
+				pool.query(verifyQuery, verifyParams, (err) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Database error", details: err.message });
+					}
+
+					res.status(200).json({
+						message: newEmail
+							? "Email address changed successfully"
+							: "Email verified successfully",
+						emailVerified: true,
+						...(newEmail && { email: newEmail }),
+					});
+				});
+			});
+		});
+	});
 });
 
-// Ensure the route matches exactly
-app.delete("/api/cart/remove", (req, res) => {
-	const { userId, productId } = req.body;
-	"Removing item from cart", userId, productId;
+// Resend the verification link, at most once a minute and a few times a day
+const VERIFICATION_RESEND_INTERVAL_SECONDS = 60;
+const VERIFICATION_RESEND_DAILY_LIMIT = 5;
 
-	if (!userId || !productId) {
-		return res
-			.status(400)
-			.json({ error: "User ID and Product ID are required" });
+app.post("/api/email/verify/resend", authenticate, (req, res) => {
+	if (req.user.email_verified_at) {
+		return res.status(400).json({ error: "Email is already verified" });
 	}
 
-	const removeQuery = "DELETE FROM cart WHERE user_id = ? AND product_id = ?";
-	connection.query(removeQuery, [userId, productId], (err, result) => {
+	const throttleQuery = `
+        SELECT 
+            COUNT(*) AS sent_today,
+            TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since_last
+        FROM email_verification_tokens
+        WHERE user_id = ? AND created_at > NOW() - INTERVAL 1 DAY
+    `;
+
+	pool.query(throttleQuery, [req.user.id], (err, results) => {
 		if (err) {
-			return res.status(500).json({
-				error: "Database error",
-				details: err.message,
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
+		}
+
+		const { sent_today: sentToday, seconds_since_last: secondsSinceLast } =
+			results[0];
+
+		if (
+			secondsSinceLast !== null &&
+			secondsSinceLast < VERIFICATION_RESEND_INTERVAL_SECONDS
+		) {
+			const retryAfter =
+				VERIFICATION_RESEND_INTERVAL_SECONDS - secondsSinceLast;
+			res.set("Retry-After", String(retryAfter));
+			return res.status(429).json({
+				error: "Please wait before requesting another verification email",
+				retryAfter,
 			});
 		}
 
-		// Check if any rows were actually deleted
-		if (result.affectedRows === 0) {
-			return res.status(404).json({
-				error: "Item not found in cart",
+		if (sentToday >= VERIFICATION_RESEND_DAILY_LIMIT) {
+			return res.status(429).json({
+				error: "Too many verification emails requested today",
 			});
 		}
 
-		res.status(200).json({
-			message: "Item removed from cart successfully",
-			deletedRows: result.affectedRows,
+		sendVerificationEmail(req.user, null, (err) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Error sending verification email",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json({ message: "Verification email sent" });
 		});
 	});
 });
 
-// Get Cart Details Endpoint
-app.post("/api/cart/details", (req, res) => {
-	const { userId, productIds } = req.body;
+// Profile
+// Check a password against the stored hash of a user
+function verifyPassword(userId, password, callback) {
+	const query = "SELECT password_hash FROM users WHERE id = ?";
+	pool.query(query, [userId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (results.length === 0 || !password) {
+			return callback(null, false);
+		}
+
+		bcrypt.compare(password, results[0].password_hash, callback);
+	});
+}
+
+// Get the signed-in user's profile
+app.get("/api/profile", authenticate, (req, res) => {
+	const user = req.user;
+
+	res.status(200).json({
+		userId: user.id,
+		firstName: user.first_name,
+		lastName: user.last_name,
+		email: user.email,
+		phone: user.phone,
+		role: user.role,
+		emailVerified: Boolean(user.email_verified_at),
+	});
+});
+
+// Update name and phone number
+app.put("/api/profile", authenticate, (req, res) => {
+	const { first_name, last_name, phone } = req.body;
 
-	if (!userId || !productIds || !Array.isArray(productIds)) {
+	if (first_name === "" || last_name === "") {
 		return res
 			.status(400)
-			.json({ error: "User ID and Product IDs are required" });
+			.json({ error: "First and last name cannot be empty" });
+	}
+
+	if (phone && !/^\+?[0-9 ()-]{6,20}$/.test(phone)) {
+		return res.status(400).json({ error: "Invalid phone number" });
 	}
 
-	// Get cart items with product details
 	const query = `
-        SELECT 
-            p.id, 
-            p.name, 
-            p.description, 
-            p.price, 
-            p.image, 
-            c.quantity
-        FROM cart c
-        JOIN products p ON c.product_id = p.id
-        WHERE c.user_id = ? AND p.id IN (?)
+        UPDATE users 
+        SET 
+            first_name = COALESCE(?, first_name), 
+            last_name = COALESCE(?, last_name), 
+            phone = ?
+        WHERE id = ?
     `;
+	const values = [
+		first_name || null,
+		last_name || null,
+		phone === undefined ? req.user.phone : phone || null,
+		req.user.id,
+	];
 
-	connection.query(query, [userId, productIds], (err, results) => {
+	pool.query(query, values, (err) => {
 		if (err) {
-			return res.status(500).json({
-				error: "Database error",
-				details: err.message,
-			});
+			return res
+				.status(500)
+				.json({ error: "Error updating profile", details: err.message });
 		}
 
-		res.status(200).json(results);
+		res.status(200).json({ message: "Profile updated successfully" });
 	});
 });
 
-// Place Order Endpoint
-app.post("/api/orders/place", (req, res) => {
-	const { userId, items } = req.body;
+// Change password. Other sessions are signed out and a fresh token pair is
+// returned for the current client.
+app.put("/api/profile/password", authenticate, (req, res) => {
+	const { current_password, new_password, confirm_password } = req.body;
+
+	if (!current_password || !new_password || !confirm_password) {
+		return res.status(400).json({ error: "All fields are required" });
+	}
 
-	if (!userId || !items || items.length === 0) {
-		return res.status(400).json({ error: "User ID and items are required" });
+	if (new_password !== confirm_password) {
+		return res.status(400).json({ error: "Passwords do not match" });
 	}
 
-	// Start a transaction
-	connection.beginTransaction((err) => {
+	verifyPassword(req.user.id, current_password, (err, isMatch) => {
 		if (err) {
-			return res.status(500).json({
-				error: "Transaction start failed",
-				details: err.message,
-			});
+			return res
+				.status(500)
+				.json({ error: "Error comparing passwords", details: err.message });
 		}
 
-		// Insert order
-		const orderQuery =
-			"INSERT INTO orders (user_id, order_date, total_amount) VALUES (?, NOW(), ?)";
-
-		// Calculate total amount
-		const totalAmount = items.reduce((total, item) => {
-			return total + item.price * item.quantity;
-		}, 0);
+		if (!isMatch) {
+			return res.status(400).json({ error: "Current password is incorrect" });
+		}
 
-		connection.query(orderQuery, [userId, totalAmount], (err, orderResult) => {
+		bcrypt.hash(new_password, 10, (err, hashedPassword) => {
 			if (err) {
-				return connection.rollback(() => {
-					res.status(500).json({
-						error: "Failed to create order",
-						details: err.message,
-					});
-				});
+				return res.status(500).json({ error: "Error hashing password" });
 			}
 
-			const orderId = orderResult.insertId;
-
-			// Prepare order items
-			const orderItemsQuery =
-				"INSERT INTO order_items (order_id, product_id, quantity, price) VALUES ?";
-			const orderItemsValues = items.map((item) => [
-				orderId,
-				item.id,
-				item.quantity,
-				item.price,
-			]);
+			const query = "UPDATE users SET password_hash = ? WHERE id = ?";
+			pool.query(query, [hashedPassword, req.user.id], (err) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Error saving password", details: err.message });
+				}
 
-			connection.query(
-				orderItemsQuery,
-				[orderItemsValues],
-				(err, orderItemsResult) => {
+				revokeAllSessions(pool, req.user.id, (err) => {
 					if (err) {
-						return connection.rollback(() => {
-							res.status(500).json({
-								error: "Failed to add order items",
-								details: err.message,
-							});
-						});
+						return res
+							.status(500)
+							.json({ error: "Error revoking sessions", details: err.message });
 					}
 
-					// Remove items from cart
-					const removeCartQuery = "DELETE FROM cart WHERE user_id = ?";
-					connection.query(removeCartQuery, [userId], (err, removeResult) => {
+					const user = {
+						...req.user,
+						token_version: req.user.token_version + 1,
+					};
+					issueTokens(user, (err, tokens) => {
 						if (err) {
-							return connection.rollback(() => {
-								res.status(500).json({
-									error: "Failed to clear cart",
-									details: err.message,
-								});
-							});
+							return res
+								.status(500)
+								.json({ error: "Error issuing tokens", details: err.message });
 						}
 
-						// Commit the transaction
-						connection.commit((err) => {
-							if (err) {
-								return connection.rollback(() => {
-									res.status(500).json({
-										error: "Transaction commit failed",
-										details: err.message,
-									});
-								});
-							}
-
-							res.status(200).json({
-								message: "Order placed successfully",
-								orderId: orderId,
-							});
+						res.status(200).json({
+							message: "Password changed successfully",
+							...tokens,
 						});
 					});
-				}
-			);
+				});
+			});
 		});
 	});
 });
 
-// Get User Orders Endpoint
-app.get("/api/orders", (req, res) => {
-	const { userId } = req.query;
+// Change email. The new address only takes effect once the link sent to it
+// has been opened (see /api/email/verify).
+app.put("/api/profile/email", authenticate, (req, res) => {
+	const { new_email, password } = req.body;
 
-	if (!userId) {
-		return res.status(400).json({ error: "User ID is required" });
+	if (!new_email || !password) {
+		return res
+			.status(400)
+			.json({ error: "New email and password are required" });
 	}
 
-	// First, get the orders
-	const ordersQuery = `
-        SELECT 
-            o.id AS order_id, 
-            o.order_date, 
-            o.total_amount
-        FROM orders o
-        WHERE o.user_id = ?
-        ORDER BY o.order_date DESC
-    `;
+	if (!isValidEmail(new_email)) {
+		return res.status(400).json({ error: "Invalid email address" });
+	}
 
-	connection.query(ordersQuery, [userId], (err, orderResults) => {
+	if (new_email === req.user.email) {
+		return res
+			.status(400)
+			.json({ error: "New email is the same as the current one" });
+	}
+
+	verifyPassword(req.user.id, password, (err, isMatch) => {
 		if (err) {
-			console.error("Orders Query Error:", err);
-			return res.status(500).json({
-				error: "Failed to retrieve orders",
-				details: err.message,
-			});
+			return res
+				.status(500)
+				.json({ error: "Error comparing passwords", details: err.message });
 		}
 
-		// If no orders found, return empty array
-		if (orderResults.length === 0) {
-			return res.status(200).json([]);
+		if (!isMatch) {
+			return res.status(400).json({ error: "Password is incorrect" });
 		}
 
-		// Prepare to fetch items for each order
-		const orderIds = orderResults.map((order) => order.order_id);
-
-		// Get order items for all orders in one query
-		const itemsQuery = `
-            SELECT 
-                oi.order_id,
-                oi.product_id,
-                p.name,
-                oi.price,
-                oi.quantity,
-                p.image
-            FROM order_items oi
-            JOIN products p ON oi.product_id = p.id
-            WHERE oi.order_id IN (?)
-        `;
+		const checkEmailQuery = "SELECT id FROM users WHERE email = ?";
+		pool.query(checkEmailQuery, [new_email], (err, results) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
 
-		connection.query(itemsQuery, [orderIds], (itemErr, itemResults) => {
-			if (itemErr) {
-				console.error("Items Query Error:", itemErr);
-				return res.status(500).json({
-					error: "Failed to retrieve order items",
-					details: itemErr.message,
-				});
+			if (results.length > 0) {
+				return res.status(400).json({ error: "Email already in use" });
 			}
 
-			// Group items by order
-			const orderItemsMap = itemResults.reduce((acc, item) => {
-				if (!acc[item.order_id]) {
-					acc[item.order_id] = [];
+			sendVerificationEmail(req.user, new_email, (err) => {
+				if (err) {
+					return res.status(500).json({
+						error: "Error sending verification email",
+						details: err.message,
+					});
 				}
-				acc[item.order_id].push({
-					product_id: item.product_id,
-					name: item.name,
-					price: parseFloat(item.price),
-					quantity: item.quantity,
-					image: item.image,
-				});
-				return acc;
-			}, {});
-
-			// Combine orders with their items
-			const processedOrders = orderResults.map((order) => ({
-				id: `ORD-${order.order_id}`,
-				date: new Date(order.order_date).toISOString().split("T")[0],
-				total: parseFloat(order.total_amount),
-				items: orderItemsMap[order.order_id] || [],
-			}));
 
-			res.status(200).json(processedOrders);
+				res.status(200).json({
+					message:
+						"Please confirm your new email address with the link we sent to it",
+					pendingEmail: new_email,
+				});
+			});
 		});
 	});
 });
 
-// Single Order Details Endpoint
-app.get("/api/orders/:orderId", (req, res) => {
-	const { orderId } = req.params;
-	const { userId } = req.query;
-
-	if (!userId || !orderId) {
-		return res.status(400).json({ error: "User ID and Order ID are required" });
-	}
+// Delete the signed-in account. Personal data is anonymized and the account
+// can no longer be used, but orders are kept for bookkeeping.
+app.delete("/api/profile", authenticate, (req, res) => {
+	const { password } = req.body;
+	const userId = req.user.id;
 
-	// Extract numeric ID from formatted order ID
-	const numericOrderId = orderId.replace("ORD-", "");
+	verifyPassword(userId, password, (err, isMatch) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Error comparing passwords", details: err.message });
+		}
 
-	// First, get the order details
-	const orderQuery = `
-        SELECT 
-            o.id AS order_id, 
-            o.order_date, 
-            o.total_amount
-        FROM orders o
-        WHERE o.id = ? AND o.user_id = ?
-    `;
+		if (!isMatch) {
+			return res.status(400).json({ error: "Password is incorrect" });
+		}
 
-	connection.query(
-		orderQuery,
-		[numericOrderId, userId],
-		(err, orderResults) => {
+		beginTransaction((err, connection) => {
 			if (err) {
-				console.error("Order Query Error:", err);
 				return res.status(500).json({
-					error: "Failed to retrieve order details",
+					error: "Transaction start failed",
 					details: err.message,
 				});
 			}
 
-			if (orderResults.length === 0) {
-				return res.status(404).json({ error: "Order not found" });
-			}
+			const rollback = (status, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(status).json(body);
+				});
+			};
 
-			// Get order items
-			const itemsQuery = `
-            SELECT 
-                oi.product_id,
-                p.name,
-                oi.price,
-                oi.quantity,
-                p.image
-            FROM order_items oi
-            JOIN products p ON oi.product_id = p.id
-            WHERE oi.order_id = ?
-        `;
+			// An empty hash can never match, so the account cannot sign in again
+			const anonymizeQuery = `
+                UPDATE users 
+                SET 
+                    first_name = 'Deleted', 
+                    last_name = 'User', 
+                    email = CONCAT('deleted-', id, '@deleted.invalid'), 
+                    phone = NULL, 
+                    password_hash = '', 
+                    role = 'customer', 
+                    deleted_at = NOW()
+                WHERE id = ?
+            `;
 
-			connection.query(itemsQuery, [numericOrderId], (itemErr, itemResults) => {
-				if (itemErr) {
-					console.error("Items Query Error:", itemErr);
-					return res.status(500).json({
-						error: "Failed to retrieve order items",
-						details: itemErr.message,
+			const cleanupQueries = [
+				[anonymizeQuery, [userId]],
+				["DELETE FROM cart WHERE user_id = ?", [userId]],
+				["DELETE FROM cart_coupons WHERE user_id = ?", [userId]],
+				["DELETE FROM wishlists WHERE user_id = ?", [userId]],
+				["DELETE FROM idempotency_keys WHERE user_id = ?", [userId]],
+				["DELETE FROM password_reset_tokens WHERE user_id = ?", [userId]],
+				["DELETE FROM email_verification_tokens WHERE user_id = ?", [userId]],
+				["DELETE FROM addresses WHERE user_id = ?", [userId]],
+			];
+
+			const runNext = (index) => {
+				if (index === cleanupQueries.length) {
+					return revokeAllSessions(connection, userId, (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Error deleting account",
+								details: err.message,
+							});
+						}
+
+						commitTransaction(connection, (err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Transaction commit failed",
+									details: err.message,
+								});
+							}
+
+							res.status(200).json({ message: "Account deleted" });
+						});
 					});
 				}
 
-				const order = orderResults[0];
-				const processedOrder = {
-					id: order.order_id,
-					date: new Date(order.order_date).toISOString().split("T")[0],
-					total: parseFloat(order.total_amount),
-					items: itemResults.map((item) => ({
-						product_id: item.product_id,
-						name: item.name,
-						price: parseFloat(item.price),
-						quantity: item.quantity,
-						image: item.image,
-					})),
-				};
+				const [query, params] = cleanupQueries[index];
+				connection.query(query, params, (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Error deleting account",
+							details: err.message,
+						});
+					}
+					runNext(index + 1);
+				});
+			};
 
-				res.status(200).json(processedOrder);
-			});
-		}
-	);
+			runNext(0);
+		});
+	});
 });
 
-app.put("/api/cart/update-quantity", (req, res) => {
-	const { userId, productId, quantity } = req.body;
-
-	if (!userId || !productId || quantity === undefined) {
-		return res.status(400).json({
-			error: "User ID, Product ID, and Quantity are required",
-		});
+// Address book
+function formatAddress(row) {
+	return {
+		id: row.id,
+		label: row.label,
+		recipientName: row.recipient_name,
+		phone: row.phone,
+		line1: row.line1,
+		line2: row.line2,
+		city: row.city,
+		region: row.region,
+		postalCode: row.postal_code,
+		country: row.country,
+		isDefaultShipping: Boolean(row.is_default_shipping),
+		isDefaultBilling: Boolean(row.is_default_billing),
+	};
+}
+
+// Make an address the user's only default shipping and/or billing address
+function setDefaultAddress(userId, addressId, flags, callback) {
+	const columns = [];
+	if (flags.shipping) {
+		columns.push("is_default_shipping");
+	}
+	if (flags.billing) {
+		columns.push("is_default_billing");
 	}
 
-	// Validate quantity
-	const parsedQuantity = parseInt(quantity, 10);
-	if (isNaN(parsedQuantity) || parsedQuantity < 1) {
-		return res.status(400).json({
-			error: "Quantity must be a positive number",
-		});
+	if (columns.length === 0) {
+		return callback(null);
 	}
 
-	// Update query to modify the quantity for a specific cart item
-	const updateQuery = `
-        UPDATE cart 
-        SET quantity = ? 
-        WHERE user_id = ? AND product_id = ?
+	const assignments = columns
+		.map((column) => `${column} = (id = ?)`)
+		.join(", ");
+	const query = `UPDATE addresses SET ${assignments} WHERE user_id = ?`;
+	const params = [...columns.map(() => addressId), userId];
+
+	pool.query(query, params, (err) => callback(err || null));
+}
+
+// Resolve the shipping and billing addresses for an order. Missing IDs fall
+// back to the user's defaults; billing falls back to the shipping address.
+// Calls back with { shipping, billing } snapshots.
+function resolveOrderAddresses(
+	connection,
+	userId,
+	shippingAddressId,
+	billingAddressId,
+	callback
+) {
+	const query = `
+        SELECT * FROM addresses 
+        WHERE user_id = ? 
+            AND (id IN (?) OR is_default_shipping = TRUE OR is_default_billing = TRUE)
     `;
+	const requestedIds = [shippingAddressId, billingAddressId].filter(Boolean);
 
 	connection.query(
-		updateQuery,
-		[parsedQuantity, userId, productId],
-		(err, result) => {
+		query,
+		[userId, requestedIds.length > 0 ? requestedIds : [0]],
+		(err, rows) => {
 			if (err) {
-				return res.status(500).json({
-					error: "Database error",
-					details: err.message,
-				});
+				return callback(err);
 			}
 
-			// Check if any rows were actually updated
-			if (result.affectedRows === 0) {
-				return res.status(404).json({
-					error: "Cart item not found",
-				});
+			const findById = (id) =>
+				rows.find((row) => String(row.id) === String(id));
+
+			const shipping = shippingAddressId
+				? findById(shippingAddressId)
+				: rows.find((row) => row.is_default_shipping);
+			if (!shipping) {
+				return callback(
+					httpError(
+						400,
+						shippingAddressId
+							? "Shipping address not found"
+							: "A shipping address is required"
+					)
+				);
 			}
 
-			res.status(200).json({
-				message: "Cart item quantity updated successfully",
-				updatedQuantity: parsedQuantity,
+			const billing = billingAddressId
+				? findById(billingAddressId)
+				: rows.find((row) => row.is_default_billing) || shipping;
+			if (!billing) {
+				return callback(httpError(400, "Billing address not found"));
+			}
+
+			callback(null, {
+				shipping: toOrderSnapshot(shipping),
+				billing: toOrderSnapshot(billing),
 			});
 		}
 	);
-});
-
-// Get Single Order Details
-
-app.get("/api/orders/:orderId", (req, res) => {
-	const { orderId } = req.params;
-	const { userId } = req.query;
+}
 
-	"Received Order Request:", { orderId, userId };
-
-	if (!userId || !orderId) {
-		return res.status(400).json({ error: "User ID and Order ID are required" });
-	}
-
-	// Basic SQL query to fetch order and associated items
+// List the signed-in user's addresses, defaults first
+app.get("/api/addresses", authenticate, (req, res) => {
 	const query = `
-        SELECT 
-            o.id AS order_id, 
-            o.order_date, 
-            o.total_amount,
-            oi.product_id,
-            p.name AS product_name,
-            oi.quantity,
-            oi.price,
-            p.image AS product_image
-        FROM orders o
-        JOIN order_items oi ON o.id = oi.order_id
-        JOIN products p ON oi.product_id = p.id
-        WHERE o.id = ? AND o.user_id = ?
+        SELECT * FROM addresses 
+        WHERE user_id = ? 
+        ORDER BY is_default_shipping DESC, is_default_billing DESC, id ASC
     `;
 
-	connection.query(query, [orderId, userId], (err, results) => {
+	pool.query(query, [req.user.id], (err, results) => {
 		if (err) {
-			console.error("Database Error:", err);
 			return res.status(500).json({
-				error: "Failed to retrieve order details",
+				error: "Failed to retrieve addresses",
 				details: err.message,
-				stack: err.stack,
-			});
-		}
-
-		if (results.length === 0) {
-			console.warn(`No order found for ID ${orderId} and User ${userId}`);
-			return res.status(404).json({
-				error: "Order not found",
-				orderId,
-				userId,
 			});
 		}
 
-		try {
-			// Constructing order details and items directly
-			const order = results[0];
-			const orderDetails = {
-				order_id: order.order_id,
-				order_date: new Date(order.order_date).toISOString(),
-				total_amount: order.total_amount,
-				items: results.map((item) => ({
-					product_id: item.product_id,
-					product_name: item.product_name,
-					quantity: item.quantity,
-					price: item.price,
-					product_image: item.product_image,
-				})),
-			};
-
-			res.status(200).json(orderDetails);
-		} catch (parseError) {
-			console.error("Parsing Error:", parseError);
-			res.status(500).json({
-				error: "Failed to parse order details",
-				details: parseError.message,
-			});
-		}
+		res.status(200).json(results.map(formatAddress));
 	});
 });
 
-app.get("/api/orders", (req, res) => {
-	const { userId } = req.query;
+// Add an address. The first address becomes the default for both purposes.
+app.post("/api/addresses", authenticate, (req, res) => {
+	const { address, errors } = validateAddress(req.body);
+	const { isDefaultShipping, isDefaultBilling } = req.body;
 
-	if (!userId) {
-		return res.status(400).json({ error: "User ID is required" });
+	if (errors.length > 0) {
+		return res.status(400).json({ error: "Invalid address", errors });
 	}
 
-	// First, get the orders
-	const ordersQuery = `
-        SELECT 
-            o.id AS order_id, 
-            o.order_date, 
-            o.total_amount
-        FROM orders o
-        WHERE o.user_id = ?
-        ORDER BY o.order_date DESC
-    `;
-
-	connection.query(ordersQuery, [userId], (err, orderResults) => {
+	const countQuery =
+		"SELECT COUNT(*) AS total FROM addresses WHERE user_id = ?";
+	pool.query(countQuery, [req.user.id], (err, countResults) => {
 		if (err) {
-			console.error("Database Error:", err);
-			return res.status(500).json({
-				error: "Failed to retrieve orders",
-				details: err.message,
-			});
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
 		}
 
-		// If no orders found, return empty array
-		if (orderResults.length === 0) {
-			return res.status(200).json([]);
-		}
+		const isFirst = countResults[0].total === 0;
+		const insertQuery = "INSERT INTO addresses SET ?";
 
-		// Prepare to fetch items for each order
-		const orderIds = orderResults.map((order) => order.order_id);
+		pool.query(
+			insertQuery,
+			{ ...address, user_id: req.user.id },
+			(err, result) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Error saving address", details: err.message });
+				}
 
-		// Get order items for all orders in one query
-		const itemsQuery = `
-            SELECT 
-                oi.order_id,
-                oi.product_id,
-                p.name,
-                oi.price,
-                oi.quantity,
-                p.image
-            FROM order_items oi
-            JOIN products p ON oi.product_id = p.id
-            WHERE oi.order_id IN (?)
-        `;
+				const addressId = result.insertId;
+				const flags = {
+					shipping: isFirst || Boolean(isDefaultShipping),
+					billing: isFirst || Boolean(isDefaultBilling),
+				};
 
-		connection.query(itemsQuery, [orderIds], (itemErr, itemResults) => {
-			if (itemErr) {
-				console.error("Items Fetch Error:", itemErr);
-				return res.status(500).json({
-					error: "Failed to retrieve order items",
-					details: itemErr.message,
-				});
-			}
+				setDefaultAddress(req.user.id, addressId, flags, (err) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Error saving address", details: err.message });
+					}
 
-			// Group items by order
-			const orderItemsMap = itemResults.reduce((acc, item) => {
-				if (!acc[item.order_id]) {
-					acc[item.order_id] = [];
-				}
-				acc[item.order_id].push({
-					product_id: item.product_id,
-					name: item.name,
-					price: parseFloat(item.price),
-					quantity: item.quantity,
-					image: item.image,
+					res.status(201).json({
+						message: "Address added successfully",
+						addressId,
+					});
 				});
-				return acc;
-			}, {});
-
-			// Combine orders with their items
-			const processedOrders = orderResults.map((order) => ({
-				id: `ORD-${order.order_id}`,
-				date: new Date(order.order_date).toISOString().split("T")[0],
-				total: parseFloat(order.total_amount),
-				items: orderItemsMap[order.order_id] || [],
-			}));
-
-			res.status(200).json(processedOrders);
-		});
+			}
+		);
 	});
 });
 
-// Single Product Direct Purchase Endpoint
-app.post("/api/single-order", (req, res) => {
-	const { userId, productId, quantity } = req.body;
+// Update an address, only the given fields change
+app.put("/api/addresses/:id", authenticate, (req, res) => {
+	const addressId = parseInt(req.params.id, 10);
+	const { address, errors } = validateAddress(req.body, true);
+	const { isDefaultShipping, isDefaultBilling } = req.body;
 
-	// Validate input
-	if (!userId || !productId || !quantity) {
-		return res.status(400).json({
-			error: "Invalid order data",
-			details: "User ID, Product ID, and Quantity are required",
-		});
+	if (errors.length > 0) {
+		return res.status(400).json({ error: "Invalid address", errors });
 	}
 
-	// Start a database transaction
-	connection.beginTransaction((transactionError) => {
-		if (transactionError) {
-			console.error("Transaction Start Error:", transactionError);
-			return res.status(500).json({
-				error: "Transaction initialization failed",
-				details: transactionError.message,
-			});
+	const ownerQuery = "SELECT id FROM addresses WHERE id = ? AND user_id = ?";
+	pool.query(ownerQuery, [addressId, req.user.id], (err, results) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
 		}
 
-		// First, get the product details
-		const productQuery = `
-            SELECT id, name, price, image 
-            FROM products 
-            WHERE id = ?
-        `;
+		if (results.length === 0) {
+			return res.status(404).json({ error: "Address not found" });
+		}
 
-		connection.query(
-			productQuery,
-			[productId],
-			(productErr, productResults) => {
-				if (productErr || productResults.length === 0) {
-					console.error("Product Fetch Error:", productErr);
-					return connection.rollback(() => {
-						res.status(404).json({
-							error: "Product not found",
-							details: productErr?.message,
-						});
-					});
+		const flags = {
+			shipping: Boolean(isDefaultShipping),
+			billing: Boolean(isDefaultBilling),
+		};
+
+		const saveDefaults = () => {
+			setDefaultAddress(req.user.id, addressId, flags, (err) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Error saving address", details: err.message });
 				}
 
-				const product = productResults[0];
-				const totalAmount = product.price * quantity;
+				res.status(200).json({
+					message: "Address updated successfully",
+					addressId,
+				});
+			});
+		};
 
-				// Insert order
-				const orderQuery = `
-                INSERT INTO orders (user_id, order_date, total_amount) 
-                VALUES (?, NOW(), ?)
-            `;
+		if (Object.keys(address).length === 0) {
+			return saveDefaults();
+		}
 
-				connection.query(
-					orderQuery,
-					[userId, totalAmount],
-					(orderErr, orderResult) => {
-						if (orderErr) {
-							console.error("Order Insert Error:", orderErr);
-							return connection.rollback(() => {
-								res.status(500).json({
-									error: "Failed to create order",
-									details: orderErr.message,
-								});
-							});
-						}
+		const updateQuery = "UPDATE addresses SET ? WHERE id = ?";
+		pool.query(updateQuery, [address, addressId], (err) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Error saving address", details: err.message });
+			}
+			saveDefaults();
+		});
+	});
+});
 
-						const orderId = orderResult.insertId;
+// Delete an address. Orders keep their own snapshot so history is unaffected.
+app.delete("/api/addresses/:id", authenticate, (req, res) => {
+	const query = "DELETE FROM addresses WHERE id = ? AND user_id = ?";
 
-						// Insert order items
-						const itemQuery = `
-                    INSERT INTO order_items (order_id, product_id, quantity, price) 
-                    VALUES (?, ?, ?, ?)
-                `;
+	pool.query(query, [req.params.id, req.user.id], (err, result) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Error deleting address", details: err.message });
+		}
 
-						connection.query(
-							itemQuery,
-							[orderId, productId, quantity, product.price],
-							(itemErr, itemResult) => {
-								if (itemErr) {
-									console.error("Order Item Insert Error:", itemErr);
-									return connection.rollback(() => {
-										res.status(500).json({
-											error: "Failed to add order item",
-											details: itemErr.message,
-										});
-									});
-								}
+		if (result.affectedRows === 0) {
+			return res.status(404).json({ error: "Address not found" });
+		}
 
-								// Commit the transaction
-								connection.commit((commitErr) => {
-									if (commitErr) {
-										console.error("Transaction Commit Error:", commitErr);
-										return connection.rollback(() => {
-											res.status(500).json({
-												error: "Transaction commit failed",
-												details: commitErr.message,
-											});
-										});
-									}
+		res.status(200).json({ message: "Address deleted successfully" });
+	});
+});
 
-									// Successfully created order
-									res.status(201).json({
-										id: `ORD-${orderId}`,
-										userId,
-										productId,
-										quantity,
-										totalAmount,
-										orderDate: new Date().toISOString(),
-										productDetails: {
-											name: product.name,
-											image: product.image,
-										},
-									});
-								});
-							}
-						);
+// Categories
+function loadCategories(callback) {
+	pool.query("SELECT * FROM categories", callback);
+}
+
+// Resolve the category of a product write from categoryId or, for older
+// clients, a category name or slug. Calls back with the category row, or
+// undefined when neither was given.
+function resolveProductCategory(categoryId, category, callback) {
+	const requested =
+		categoryId !== undefined && categoryId !== null ? categoryId : category;
+
+	if (requested === undefined || requested === null || requested === "") {
+		return callback(null, undefined);
+	}
+
+	loadCategories((err, rows) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const match = findCategory(rows, requested);
+		if (!match) {
+			return callback(httpError(400, `Unknown category: ${requested}`));
+		}
+		callback(null, match);
+	});
+}
+
+// Turn the category ids or slugs of a catalog query into the ids of those
+// categories and all their subcategories
+function resolveCategoryFilter(filters, callback) {
+	if (filters.categories.length === 0) {
+		return callback(null, filters);
+	}
+
+	loadCategories((err, rows) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const categoryIds = [];
+		filters.categories.forEach((value) => {
+			const match = findCategory(rows, value);
+			if (match) {
+				collectSubtreeIds(rows, match.id).forEach((id) => {
+					if (!categoryIds.includes(id)) {
+						categoryIds.push(id);
 					}
-				);
+				});
 			}
-		);
+		});
+
+		callback(null, { ...filters, categoryIds });
 	});
-});
+}
 
-//  add product
-// Add Product Endpoint
-app.post("/api/products/add", (req, res) => {
-	try {
-		const { name, category, description, fullDescription, price, image } =
-			req.body;
+// Specifications
+function loadSpecFields(callback) {
+	pool.query("SELECT * FROM category_spec_fields", callback);
+}
 
-		console.log("Request Method:", req.method); // Should be POST
-		// Validate required fields
-		if (!name || !category || !price) {
-			return res.status(400).json({
-				error:
-					"Missing required fields: name, category, and price are required.",
+// Specification schema of a category, inherited fields included
+function loadSpecSchema(categoryId, callback) {
+	loadCategories((err, categories) => {
+		if (err) {
+			return callback(err);
+		}
+		loadSpecFields((err, fields) => {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, effectiveSpecSchema(categories, fields, categoryId));
+		});
+	});
+}
+
+// Validate specifications against the schema of a category. Calls back with
+// { specifications, values } or a 400 error carrying the field errors.
+function checkProductSpecifications(categoryId, input, callback) {
+	loadSpecSchema(categoryId, (err, fields) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const result = validateSpecifications(fields, input);
+		if (result.errors.length > 0) {
+			const error = httpError(400, "Invalid specifications");
+			error.errors = result.errors;
+			return callback(error);
+		}
+		callback(null, result);
+	});
+}
+
+// Replace the filterable specification values of a product
+function saveProductSpecValues(productId, values, callback) {
+	pool.query(
+		"DELETE FROM product_spec_values WHERE product_id = ?",
+		[productId],
+		(err) => {
+			if (err || values.length === 0) {
+				return callback(err || null);
+			}
+
+			const insertQuery =
+				"INSERT INTO product_spec_values (product_id, field_id, value_text, value_number) VALUES ?";
+			pool.query(
+				insertQuery,
+				[
+					values.map((value) => [
+						productId,
+						value.fieldId,
+						value.text,
+						value.number,
+					]),
+				],
+				(err) => callback(err || null)
+			);
+		}
+	);
+}
+
+// Turn the spec filters of a catalog query into conditions on the
+// specification fields with those names
+function resolveSpecFilter(filters, callback) {
+	if (filters.specs.length === 0) {
+		return callback(null, filters);
+	}
+
+	loadSpecFields((err, fields) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const { conditions, errors } = resolveSpecFilters(filters.specs, fields);
+		if (errors.length > 0) {
+			const error = httpError(400, "Invalid query");
+			error.errors = errors;
+			return callback(error);
+		}
+		callback(null, { ...filters, specConditions: conditions });
+	});
+}
+
+// Category tree, siblings in display order
+app.get("/api/categories", (req, res) => {
+	loadCategories((err, rows) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Failed to retrieve categories",
+				details: err.message,
 			});
 		}
 
-		// Insert query
-		const insertQuery = `
-			INSERT INTO products 
-			(name, category, description, fullDescription, price, image) 
-			VALUES (?, ?, ?, ?, ?, ?)
-		`;
+		res.status(200).json(buildCategoryTree(rows));
+	});
+});
 
-		const values = [
-			name,
-			category,
-			description || null,
-			fullDescription || null,
-			price,
-			image || null,
-		];
+// A category by id or slug, with its breadcrumb path, subcategories and
+// the specification fields of its products
+app.get("/api/categories/:idOrSlug", (req, res) => {
+	loadCategories((err, rows) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Failed to retrieve categories",
+				details: err.message,
+			});
+		}
+
+		const category = findCategory(rows, req.params.idOrSlug);
+		if (!category) {
+			return res.status(404).json({ error: "Category not found" });
+		}
 
-		// Execute the insert query
-		connection.query(insertQuery, values, (err, result) => {
+		loadSpecFields((err, fields) => {
 			if (err) {
-				console.error("Database insertion error:", err);
-				console.log("Failed to add product");
 				return res.status(500).json({
-					error: "Failed to add product",
+					error: "Failed to retrieve categories",
 					details: err.message,
 				});
 			}
 
-			// Respond with the newly created product ID
-			res.status(201).json({
-				message: "Product added successfully",
-				productId: result.insertId,
+			res.status(200).json({
+				...formatCategory(category),
+				path: categoryPath(rows, category.id).map(formatCategory),
+				children: buildCategoryTree(rows, category.id),
+				specificationFields: effectiveSpecSchema(rows, fields, category.id).map(
+					formatSpecField
+				),
 			});
-			console.log("Product added successfully");
 		});
-	} catch (error) {
-		console.error("Server error:", error);
-		res.status(500).json({
-			error: "Internal server error",
-			details: error.message,
-		});
-	}
+	});
 });
 
-// DELETE product route
-// Soft Delete product route
-app.put("/api/products/delete/:id", (req, res) => {
-	const productId = req.params.id;
+// List products.
+// Query: category (ids or slugs, repeat or comma separate for several; each
+// includes its subcategories), minPrice, maxPrice, search, sort (newest,
+// price_asc, price_desc, name_asc, name_desc), spec (specification filters
+// such as "RAM>=16GB" or "Color=Black", repeat for several), limit, and
+// either page or the cursor from a previous response's X-Next-Cursor.
+// Responds with an array of products; the total count and links to other
+// pages are in the X-Total-Count, X-Next-Cursor and Link headers.
+app.get("/api/products", (req, res) => {
+	const { sort, limit, page, cursor, errors, ...query } = parseCatalogQuery(
+		req.query
+	);
 
-	// Soft delete query - update is_deleted to TRUE instead of actually deleting
-	const query = "UPDATE products SET is_deleted = TRUE WHERE id = ?";
+	if (errors.length > 0) {
+		return res.status(400).json({ error: "Invalid query", errors });
+	}
 
-	connection.query(query, [productId], (err, result) => {
+	resolveCategoryFilter(query.filters, (err, categoryFilters) => {
 		if (err) {
-			console.error("Error soft deleting product:", err);
 			return res.status(500).json({
-				error: "Failed to delete product",
+				error: "Error retrieving products",
 				details: err.message,
 			});
 		}
 
-		if (result.affectedRows === 0) {
-			return res.status(404).json({ error: "Product not found" });
-		}
+		resolveSpecFilter(categoryFilters, (err, filters) => {
+			if (err) {
+				if (err.statusCode) {
+					return res
+						.status(err.statusCode)
+						.json({ error: err.message, errors: err.errors });
+				}
+				return res.status(500).json({
+					error: "Error retrieving products",
+					details: err.message,
+				});
+			}
+
+			const where = buildCatalogWhere(filters);
+			const { orderBy, seek, seekParams } = buildCatalogOrder(sort, cursor);
+
+			const countQuery = `SELECT COUNT(*) AS total FROM products p WHERE ${where.clause}`;
+
+			pool.query(countQuery, where.params, (err, countResults) => {
+				if (err) {
+					console.error("Error counting products:", err.stack);
+					return res.status(500).json({
+						error: "Error retrieving products",
+						details: err.message,
+					});
+				}
+
+				const total = countResults[0].total;
+
+				// One extra row tells whether there is a next page
+				const productsQuery = `
+            SELECT p.* FROM products p 
+            WHERE ${where.clause}${seek ? ` AND ${seek}` : ""} 
+            ORDER BY ${orderBy} 
+            LIMIT ?${page ? " OFFSET ?" : ""}
+        `;
+				const params = [...where.params, ...seekParams, limit + 1];
+				if (page) {
+					params.push((page - 1) * limit);
+				}
+
+				pool.query(productsQuery, params, (err, results) => {
+					if (err) {
+						console.error("Error retrieving products:", err.stack);
+						return res.status(500).json({
+							error: "Error retrieving products",
+							details: err.message,
+						});
+					}
 
-		res.json({
-			message: "Product marked as deleted",
-			productId: productId,
+					const hasMore = results.length > limit;
+					const products = results.slice(0, limit);
+
+					res.set(
+						paginationHeaders(req.baseUrl + req.path, req.query, {
+							total,
+							limit,
+							page,
+							nextCursor: hasMore
+								? encodeCursor(products[products.length - 1], sort)
+								: null,
+						})
+					);
+					res.json(products);
+				});
+			});
 		});
 	});
 });
 
-// GET single product by ID
-app.get("/api/products/:id", (req, res) => {
-	const productId = req.params.id;
-
-	const query = "SELECT * FROM products WHERE id = ?";
+// Product search
+// Rebuild the search document and vocabulary of one product. Deleted or
+// missing products are taken out of the index.
+function indexProduct(productId, callback) {
+	const productQuery = "SELECT * FROM products WHERE id = ?";
 
-	connection.query(query, [productId], (err, results) => {
+	pool.query(productQuery, [productId], (err, products) => {
 		if (err) {
-			console.error("Error fetching product:", err);
-			return res.status(500).json({
-				error: "Failed to fetch product",
-				details: err.message,
-			});
+			return callback(err);
 		}
 
-		if (results.length === 0) {
-			return res.status(404).json({ error: "Product not found" });
+		const product = products[0];
+		const removeTermsQuery =
+			"DELETE FROM product_search_terms WHERE product_id = ?";
+
+		if (!product || product.is_deleted) {
+			const removeQuery =
+				"DELETE FROM product_search_documents WHERE product_id = ?";
+			return pool.query(removeQuery, [productId], (err) => {
+				if (err) {
+					return callback(err);
+				}
+				pool.query(removeTermsQuery, [productId], callback);
+			});
 		}
 
-		// Process the product (parse specifications if needed)
-		const product = results[0];
-		if (product.specifications) {
-			try {
-				product.specifications = JSON.parse(product.specifications);
-			} catch (parseError) {
-				console.error("Failed to parse specifications:", parseError);
-				product.specifications = null;
+		const document = buildSearchDocument(product);
+		const terms = documentTerms(document);
+
+		pool.query(
+			"REPLACE INTO product_search_documents SET ?",
+			document,
+			(err) => {
+				if (err) {
+					return callback(err);
+				}
+
+				pool.query(removeTermsQuery, [productId], (err) => {
+					if (err || terms.length === 0) {
+						return callback(err || null);
+					}
+
+					const termsQuery =
+						"INSERT INTO product_search_terms (product_id, term) VALUES ?";
+					pool.query(
+						termsQuery,
+						[terms.map((term) => [productId, term])],
+						(err) => callback(err || null)
+					);
+				});
 			}
-		}
+		);
+	});
+}
 
-		res.json(product);
+// Update the search index after a product change. Failures are logged, the
+// product change itself has already been saved.
+function reindexProductInBackground(productId) {
+	indexProduct(productId, (err) => {
+		if (err) {
+			console.error(`Failed to index product ${productId} for search:`, err);
+		}
 	});
-});
+}
 
-// UPDATE product route
-app.put("/api/products/update/:id", (req, res) => {
-	const productId = req.params.id;
-	const { name, category, description, fullDescription, price, image } =
-		req.body;
-	console.log("Request Method:", req.body); // Should be PUT
+// Vocabulary words that could be typo corrections of the query terms, with
+// how many products use them. Only words with the same first letter and a
+// similar length are considered.
+function loadSearchVocabulary(terms, callback) {
+	const lengths = terms.map((term) => term.length);
 	const query = `
-        UPDATE products 
-        SET 
-            name = ?, 
-            category = ?, 
-            description = ?, 
-            fullDescription = ?, 
-            price = ?, 
-            image = ?
-          
-        WHERE id = ?
+        SELECT term, COUNT(*) AS frequency 
+        FROM product_search_terms 
+        WHERE LEFT(term, 1) IN (?) AND CHAR_LENGTH(term) BETWEEN ? AND ? 
+        GROUP BY term
     `;
 
-	const values = [
-		name,
-		category || null,
-		description,
-		fullDescription,
-		price,
-		image,
-		productId,
-	];
+	pool.query(
+		query,
+		[
+			[...new Set(terms.map((term) => term[0]))],
+			Math.min(...lengths) - 2,
+			Math.max(...lengths) + 2,
+		],
+		callback
+	);
+}
+
+// Search products.
+// Query: q, plus the category, minPrice, maxPrice, page and limit filters of
+// GET /api/products. Results are ordered by relevance, with name matches
+// weighted highest; didYouMean holds a corrected query when words in q were
+// not found in the catalog. Pagination is reported in the same headers as
+// GET /api/products; the body stays an object because it also carries the
+// query and didYouMean next to the products.
+app.get("/api/search", (req, res) => {
+	const terms = parseSearchQuery(req.query.q);
+	const { category, minPrice, maxPrice, page, limit } = req.query;
+	const parsed = parseCatalogQuery({
+		category,
+		minPrice,
+		maxPrice,
+		page,
+		limit,
+	});
+
+	if (terms.length === 0) {
+		return res.status(400).json({ error: "Search query is required" });
+	}
+
+	if (parsed.errors.length > 0) {
+		return res
+			.status(400)
+			.json({ error: "Invalid query", errors: parsed.errors });
+	}
 
-	connection.query(query, values, (err, result) => {
+	resolveCategoryFilter(parsed.filters, (err, filters) => {
 		if (err) {
-			console.error("Error updating product:", err);
-			return res.status(500).json({
-				error: "Failed to update product",
-				details: err.message,
-			});
+			return res
+				.status(500)
+				.json({ error: "Search failed", details: err.message });
 		}
 
-		if (result.affectedRows === 0) {
-			return res.status(404).json({ error: "Product not found" });
+		loadSearchVocabulary(terms, (err, vocabulary) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Search failed", details: err.message });
+			}
+
+			const plan = buildSearchPlan(terms, vocabulary);
+			const where = buildCatalogWhere(filters);
+			const matchAll =
+				"MATCH(d.name, d.category, d.body, d.specifications) AGAINST (? IN BOOLEAN MODE)";
+			const fromClause = `
+            FROM product_search_documents d 
+            JOIN products p ON d.product_id = p.id 
+            WHERE ${matchAll} AND ${where.clause}
+        `;
+
+			const countQuery = `SELECT COUNT(*) AS total ${fromClause}`;
+			pool.query(
+				countQuery,
+				[plan.against, ...where.params],
+				(err, countResults) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Search failed", details: err.message });
+					}
+
+					const total = countResults[0].total;
+					const searchQuery = `
+                    SELECT 
+                        p.*, 
+                        MATCH(d.name) AGAINST (? IN BOOLEAN MODE) * ${NAME_WEIGHT} + ${matchAll} AS relevance 
+                    ${fromClause} 
+                    ORDER BY relevance DESC, p.id ASC 
+                    LIMIT ? OFFSET ?
+                `;
+					const params = [
+						plan.against,
+						plan.against,
+						plan.against,
+						...where.params,
+						parsed.limit,
+						(parsed.page - 1) * parsed.limit,
+					];
+
+					pool.query(searchQuery, params, (err, products) => {
+						if (err) {
+							return res
+								.status(500)
+								.json({ error: "Search failed", details: err.message });
+						}
+
+						res.set(
+							paginationHeaders(req.baseUrl + req.path, req.query, {
+								total,
+								limit: parsed.limit,
+								page: parsed.page,
+							})
+						);
+						res.json({
+							query: req.query.q,
+							didYouMean: plan.suggestion,
+							products,
+						});
+					});
+				}
+			);
+		});
+	});
+});
+
+// Autocomplete for a search box: words that complete the one being typed,
+// most common first, and products whose names match
+app.get("/api/search/suggest", (req, res) => {
+	const plan = buildAutocompletePlan(req.query.q);
+
+	if (!plan) {
+		return res.json({ completions: [], products: [] });
+	}
+
+	const termsQuery = `
+        SELECT term, COUNT(*) AS frequency 
+        FROM product_search_terms 
+        WHERE term LIKE ? 
+        GROUP BY term 
+        ORDER BY frequency DESC, term ASC 
+        LIMIT 8
+    `;
+
+	pool.query(termsQuery, [`${plan.prefix}%`], (err, terms) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Search failed", details: err.message });
 		}
 
-		res.json({
-			message: "Product updated successfully",
-			productId: productId,
+		const productsQuery = `
+            SELECT p.id, p.name, p.category, p.price, p.image 
+            FROM product_search_documents d 
+            JOIN products p ON d.product_id = p.id 
+            WHERE MATCH(d.name) AGAINST (? IN BOOLEAN MODE) AND p.is_deleted = FALSE 
+            ORDER BY MATCH(d.name) AGAINST (? IN BOOLEAN MODE) DESC, p.id ASC 
+            LIMIT 5
+        `;
+
+		pool.query(productsQuery, [plan.against, plan.against], (err, products) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Search failed", details: err.message });
+			}
+
+			res.json({
+				completions: terms.map((row) => row.term),
+				products,
+			});
 		});
 	});
 });
+
+// Guest carts
+// Where a cart's items live: signed-in users use the cart table, guests the
+// guest_cart_items table. Queries use table/ownerColumn/ownerId so the same
+// handlers serve both.
+function userCartScope(userId) {
+	return {
+		userId,
+		guestCartId: null,
+		table: "cart",
+		ownerColumn: "user_id",
+		ownerId: userId,
+	};
+}
+
+function guestCartScope(guestCartId) {
+	return {
+		userId: null,
+		guestCartId,
+		table: "guest_cart_items",
+		ownerColumn: "guest_cart_id",
+		ownerId: guestCartId,
+	};
+}
+
+// Look up an unexpired guest cart by token, extending its lifetime.
+// Calls back with the guest cart ID or null.
+function findGuestCart(token, callback) {
+	const query =
+		"SELECT id FROM guest_carts WHERE token_hash = ? AND expires_at > NOW()";
+
+	pool.query(query, [hashToken(token)], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (results.length === 0) {
+			return callback(null, null);
+		}
+
+		const touchQuery = "UPDATE guest_carts SET expires_at = ? WHERE id = ?";
+		pool.query(touchQuery, [guestCartExpiry(), results[0].id], (err) =>
+			callback(err || null, results[0].id)
+		);
+	});
+}
+
+// Cart middleware for endpoints open to guests. Requests with an
+// Authorization header use the signed-in user's cart; otherwise the cart
+// named by the X-Cart-Token header. With `create`, a guest without a valid
+// token gets a new cart and its token in the X-Cart-Token response header.
+function resolveCart({ create = false } = {}) {
+	return (req, res, next) => {
+		if (req.get("Authorization")) {
+			return authenticate(req, res, () => {
+				req.cart = userCartScope(req.user.id);
+				next();
+			});
+		}
+
+		const token = req.get("X-Cart-Token");
+
+		const createGuestCart = () => {
+			const newToken = generateOpaqueToken();
+			const insertQuery =
+				"INSERT INTO guest_carts (token_hash, expires_at) VALUES (?, ?)";
+
+			pool.query(
+				insertQuery,
+				[hashToken(newToken), guestCartExpiry()],
+				(err, result) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Error creating cart", details: err.message });
+					}
+
+					req.cart = { ...guestCartScope(result.insertId), token: newToken };
+					res.set("X-Cart-Token", newToken);
+					next();
+				}
+			);
+		};
+
+		if (!token) {
+			return create
+				? createGuestCart()
+				: res.status(401).json({
+						error: "Sign in or send the X-Cart-Token of your guest cart",
+				  });
+		}
+
+		findGuestCart(token, (err, guestCartId) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (!guestCartId) {
+				return create
+					? createGuestCart()
+					: res.status(404).json({ error: "Cart not found or expired" });
+			}
+
+			req.cart = guestCartScope(guestCartId);
+			next();
+		});
+	};
+}
+
+// Guest cart token sent along with a sign-in or sign-up
+function guestCartToken(req) {
+	return req.body.cartToken || req.get("X-Cart-Token") || null;
+}
+
+// Merge the guest cart named by `token` into a user's cart and delete it.
+// Calls back with { strategy, mergedItems } or null when there was no cart.
+function mergeGuestCart(userId, token, callback) {
+	if (!token) {
+		return callback(null, null);
+	}
+
+	let strategy;
+	try {
+		strategy = getMergeStrategy();
+	} catch (err) {
+		return callback(err);
+	}
+
+	findGuestCart(token, (err, guestCartId) => {
+		if (err || !guestCartId) {
+			return callback(err || null, null);
+		}
+
+		beginTransaction((err, connection) => {
+			if (err) {
+				return callback(err);
+			}
+
+			const fail = (err) =>
+				rollbackTransaction(connection, () => callback(err));
+
+			const guestQuery =
+				"SELECT product_id, variant_id, quantity, price_at_add FROM guest_cart_items WHERE guest_cart_id = ?";
+			connection.query(guestQuery, [guestCartId], (err, guestItems) => {
+				if (err) {
+					return fail(err);
+				}
+
+				const userQuery =
+					"SELECT product_id, variant_id, quantity FROM cart WHERE user_id = ? FOR UPDATE";
+				connection.query(userQuery, [userId], (err, userItems) => {
+					if (err) {
+						return fail(err);
+					}
+
+					const changes = mergeCartQuantities(userItems, guestItems, strategy);
+
+					const writeChanges = (next) => {
+						if (changes.length === 0) {
+							return next(null);
+						}
+
+						const upsertQuery = `
+                            INSERT INTO cart (user_id, product_id, variant_id, quantity, price_at_add) 
+                            VALUES ? 
+                            ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)
+                        `;
+						const values = changes.map((change) => [
+							userId,
+							change.productId,
+							change.variantId,
+							change.quantity,
+							change.priceAtAdd,
+						]);
+						connection.query(upsertQuery, [values], (err) => next(err));
+					};
+
+					writeChanges((err) => {
+						if (err) {
+							return fail(err);
+						}
+
+						const deleteQuery = "DELETE FROM guest_carts WHERE id = ?";
+						connection.query(deleteQuery, [guestCartId], (err) => {
+							if (err) {
+								return fail(err);
+							}
+
+							commitTransaction(connection, (err) => {
+								if (err) {
+									return fail(err);
+								}
+
+								callback(null, {
+									strategy,
+									mergedItems: guestItems.length,
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+}
+
+/// In your Express backend:
+// Add a product to the signed-in user's cart or a guest cart
+app.post("/api/cart", resolveCart({ create: true }), (req, res) => {
+	const { product_id } = req.body;
+	const quantity = parseQuantity(req.body.quantity);
+	const variant_id = normalizeVariantId(req.body.variantId);
+	const cart = req.cart;
+	const user_id = cart.userId;
+
+	// Basic validation
+	if (!product_id || req.body.quantity === undefined) {
+		return res
+			.status(400)
+			.json({ error: "Product ID and Quantity are required" });
+	}
+
+	if (quantity === null) {
+		return res
+			.status(400)
+			.json({ error: "Quantity must be a positive whole number" });
+	}
+
+	if (variant_id === null) {
+		return res.status(400).json({ error: "Invalid variant ID" });
+	}
+
+	// Check if the product already exists in the cart for the given user
+	const checkQuery = `SELECT * FROM ${cart.table} WHERE ${cart.ownerColumn} = ? AND product_id = ? AND variant_id = ?`;
+	pool.query(
+		checkQuery,
+		[cart.ownerId, product_id, variant_id],
+		(err, results) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			// If the product already exists in the cart, add the new quantity to
+			// the existing quantity; either way the product must still be for sale
+			const existing = results.length > 0 ? results[0].quantity : 0;
+			const newQuantity = existing + quantity;
+
+			upsertCartItem(pool, cart, product_id, variant_id, newQuantity, (err) => {
+				if (err) {
+					if (err.statusCode) {
+						return res.status(err.statusCode).json({ error: err.message });
+					}
+					return res
+						.status(500)
+						.json({ error: "Error adding to cart", details: err.message });
+				}
+
+				res.status(200).json({
+					message:
+						existing > 0
+							? "Cart updated successfully"
+							: "Product added to cart successfully",
+					cartItem: {
+						user_id,
+						product_id,
+						variant_id,
+						quantity: newQuantity,
+					},
+					cartToken: cart.token,
+				});
+			});
+		}
+	);
+});
+
+// Coupons applied to a user's cart, in the order they were applied, plus how
+// often the user already redeemed each of them. With forUpdate the coupon
+// rows are locked so usage limits hold under concurrent checkouts.
+function loadCartCoupons(connection, userId, forUpdate, callback) {
+	const couponsQuery = `
+        SELECT co.* 
+        FROM cart_coupons cc 
+        JOIN coupons co ON cc.coupon_id = co.id 
+        WHERE cc.user_id = ? 
+        ORDER BY cc.applied_at ASC
+        ${forUpdate ? "FOR UPDATE" : ""}
+    `;
+
+	connection.query(couponsQuery, [userId], (err, coupons) => {
+		if (err) {
+			return callback(err);
+		}
+
+		loadUserRedemptions(connection, userId, (err, userRedemptions) => {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, { coupons, userRedemptions });
+		});
+	});
+}
+
+// Number of times a user redeemed each coupon: { [couponId]: count }
+function loadUserRedemptions(connection, userId, callback) {
+	const query = `
+        SELECT coupon_id, COUNT(*) AS redemptions 
+        FROM coupon_redemptions 
+        WHERE user_id = ? 
+        GROUP BY coupon_id
+    `;
+
+	connection.query(query, [userId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const userRedemptions = {};
+		results.forEach((row) => {
+			userRedemptions[row.coupon_id] = row.redemptions;
+		});
+		callback(null, userRedemptions);
+	});
+}
+
+// Record the coupons used on an order and count them against usage limits
+function recordCouponRedemptions(
+	connection,
+	orderId,
+	userId,
+	appliedCoupons,
+	callback
+) {
+	if (appliedCoupons.length === 0) {
+		return callback(null);
+	}
+
+	const insertQuery =
+		"INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount) VALUES ?";
+	const values = appliedCoupons.map((coupon) => [
+		coupon.couponId,
+		orderId,
+		userId,
+		coupon.discount,
+	]);
+
+	connection.query(insertQuery, [values], (err) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const countQuery =
+			"UPDATE coupons SET times_redeemed = times_redeemed + 1 WHERE id IN (?)";
+		connection.query(
+			countQuery,
+			[appliedCoupons.map((coupon) => coupon.couponId)],
+			(err) => callback(err || null)
+		);
+	});
+}
+
+// Active tax rates that can apply to an address
+function loadTaxRates(connection, address, callback) {
+	const query = `
+        SELECT * FROM tax_rates 
+        WHERE is_active = TRUE AND (country IS NULL OR country = ?)
+    `;
+
+	connection.query(query, [(address && address.country) || null], callback);
+}
+
+// The address a cart is estimated for: the given address or the user's
+// default shipping address. Calls back with null when there is none.
+function loadEstimateAddress(userId, addressId, callback) {
+	const query = addressId
+		? "SELECT * FROM addresses WHERE user_id = ? AND id = ?"
+		: "SELECT * FROM addresses WHERE user_id = ? AND is_default_shipping = TRUE";
+
+	pool.query(query, [userId, addressId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+		if (addressId && results.length === 0) {
+			return callback(httpError(404, "Address not found"));
+		}
+		callback(null, results.length > 0 ? toOrderSnapshot(results[0]) : null);
+	});
+}
+
+// Option values of variants, { [variantId]: { [optionName]: value } }
+function loadVariantOptions(connection, variantIds, callback) {
+	const ids = variantIds.filter(Boolean);
+	if (ids.length === 0) {
+		return callback(null, {});
+	}
+
+	const query = `
+        SELECT pvv.variant_id, o.name AS option_name, ov.value AS option_value 
+        FROM product_variant_values pvv 
+        JOIN product_options o ON pvv.option_id = o.id 
+        JOIN product_option_values ov ON pvv.value_id = ov.id 
+        WHERE pvv.variant_id IN (?) 
+        ORDER BY o.position ASC, o.id ASC
+    `;
+	connection.query(query, [ids], (err, rows) => {
+		if (err) {
+			return callback(err);
+		}
+		callback(null, groupVariantOptions(rows));
+	});
+}
+
+// Option matrix of a product ({ options, variants }), with active variants
+// only unless includeInactive is set
+function loadProductVariants(connection, product, includeInactive, callback) {
+	if (typeof includeInactive === "function") {
+		callback = includeInactive;
+		includeInactive = false;
+	}
+
+	const optionsQuery = "SELECT * FROM product_options WHERE product_id = ?";
+	connection.query(optionsQuery, [product.id], (err, options) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const valuesQuery = `
+            SELECT ov.* 
+            FROM product_option_values ov 
+            JOIN product_options o ON ov.option_id = o.id 
+            WHERE o.product_id = ?
+        `;
+		connection.query(valuesQuery, [product.id], (err, values) => {
+			if (err) {
+				return callback(err);
+			}
+
+			const variantsQuery = `
+                SELECT * FROM product_variants 
+                WHERE product_id = ? ${
+									includeInactive ? "" : "AND is_active = TRUE"
+								} 
+                ORDER BY id ASC
+            `;
+			connection.query(variantsQuery, [product.id], (err, variants) => {
+				if (err) {
+					return callback(err);
+				}
+
+				loadVariantOptions(
+					connection,
+					variants.map((variant) => variant.id),
+					(err, variantOptions) => {
+						if (err) {
+							return callback(err);
+						}
+						callback(
+							null,
+							buildOptionMatrix(
+								product,
+								options,
+								values,
+								variants,
+								variantOptions
+							)
+						);
+					}
+				);
+			});
+		});
+	});
+}
+
+// Load a cart with product data, the coupon breakdown and the tax estimate
+// for the given (or default) shipping address. Guest carts have no coupons
+// or addresses.
+function loadCartSummary(cart, addressId, callback) {
+	const query = `
+        SELECT 
+            c.product_id, 
+            c.variant_id, 
+            c.quantity, 
+            c.price_at_add, 
+            v.sku, 
+            p.name, 
+            p.category, 
+            COALESCE(v.price, p.price) AS price, 
+            p.weight, 
+            COALESCE(v.image, p.image) AS image, 
+            (p.is_deleted OR (c.variant_id <> 0 AND (v.id IS NULL OR v.is_active = FALSE))) AS is_deleted
+        FROM 
+            ${cart.table} c
+        LEFT JOIN 
+            products p ON c.product_id = p.id
+        LEFT JOIN 
+            product_variants v ON v.id = c.variant_id AND v.product_id = c.product_id
+        WHERE 
+            c.${cart.ownerColumn} = ?
+    `;
+
+	const loadCoupons = (next) =>
+		cart.userId
+			? loadCartCoupons(pool, cart.userId, false, next)
+			: next(null, { coupons: [], userRedemptions: {} });
+	const loadAddress = (next) =>
+		cart.userId
+			? loadEstimateAddress(cart.userId, addressId, next)
+			: next(null, null);
+
+	pool.query(query, [cart.ownerId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		loadVariantOptions(
+			pool,
+			results.map((row) => row.variant_id),
+			(err, variantOptions) => {
+				if (err) {
+					return callback(err);
+				}
+
+				results.forEach((row) => {
+					row.options = variantOptions[row.variant_id] || null;
+				});
+
+				loadCoupons((err, { coupons, userRedemptions } = {}) => {
+					if (err) {
+						return callback(err);
+					}
+
+					// Prices are compared with the price each item was added at
+					const { lines, invalidItems, priceChanges } = priceCartRows(
+						results,
+						results
+							.filter((row) => row.price_at_add !== null)
+							.map((row) => ({
+								id: row.product_id,
+								variantId: row.variant_id,
+								price: row.price_at_add,
+							}))
+					);
+					const discounts = evaluateCoupons(coupons, lines, userRedemptions);
+
+					loadAddress((err, address) => {
+						if (err) {
+							return callback(err);
+						}
+
+						loadTaxRates(pool, address, (err, rates) => {
+							if (err) {
+								return callback(err);
+							}
+
+							callback(null, {
+								items: results,
+								lines,
+								invalidItems,
+								priceChanges,
+								coupons,
+								userRedemptions,
+								discounts,
+								address,
+								tax: calculateTax(
+									lines,
+									discounts.lineDiscounts,
+									rates,
+									address
+								),
+							});
+						});
+					});
+				});
+			}
+		);
+	});
+}
+
+// Active shipping methods, each with its zone rules
+function loadShippingMethods(connection, callback) {
+	const methodsQuery = "SELECT * FROM shipping_methods WHERE is_active = TRUE";
+
+	connection.query(methodsQuery, (err, methods) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (methods.length === 0) {
+			return callback(null, []);
+		}
+
+		const zonesQuery =
+			"SELECT * FROM shipping_method_zones WHERE shipping_method_id IN (?)";
+		connection.query(
+			zonesQuery,
+			[methods.map((method) => method.id)],
+			(err, zones) => {
+				if (err) {
+					return callback(err);
+				}
+
+				methods.forEach((method) => {
+					method.zones = zones.filter(
+						(zone) => zone.shipping_method_id === method.id
+					);
+				});
+				callback(null, methods);
+			}
+		);
+	});
+}
+
+// Discount breakdown as returned to clients
+function formatDiscounts(discounts) {
+	return {
+		subtotal: discounts.subtotal,
+		coupons: discounts.applied,
+		rejectedCoupons: discounts.rejected,
+		totalDiscount: discounts.totalDiscount,
+		total: discounts.total,
+	};
+}
+
+// Tax breakdown as returned to clients
+function formatTax(lines, tax) {
+	return {
+		pricesIncludeTax: tax.pricesIncludeTax,
+		lines: lines.map((line, index) => ({
+			productId: line.productId,
+			taxRate: tax.lines[index].taxRate,
+			taxAmount: tax.lines[index].taxAmount,
+		})),
+		totalTax: tax.totalTax,
+		total: tax.total,
+	};
+}
+
+// Quote the shipping options for the cart, delivered to ?shippingAddressId
+// or the default shipping address. Registered before the cart route so the
+// path is not taken for a user ID.
+app.get("/api/cart/shipping-options", authenticate, (req, res) => {
+	loadCartSummary(
+		userCartScope(req.user.id),
+		req.query.shippingAddressId,
+		(err, cart) => {
+			if (err) {
+				if (err.statusCode) {
+					return res.status(err.statusCode).json({ error: err.message });
+				}
+				return res
+					.status(500)
+					.json({ error: "Error fetching cart", details: err.message });
+			}
+
+			if (!cart.address) {
+				return res
+					.status(400)
+					.json({ error: "A shipping address is required to quote shipping" });
+			}
+
+			loadShippingMethods(pool, (err, methods) => {
+				if (err) {
+					return res.status(500).json({
+						error: "Failed to load shipping methods",
+						details: err.message,
+					});
+				}
+
+				res.status(200).json({
+					shippingAddress: cart.address,
+					options: quoteShipping(
+						methods,
+						cart.lines,
+						cart.address,
+						cart.discounts.total
+					),
+				});
+			});
+		}
+	);
+});
+
+// GET Cart - Fetches the signed-in user's or guest's cart
+// Cart route (the :userId segment is accepted for older clients but ignored)
+// Tax is estimated for ?shippingAddressId or the default shipping address.
+// Guests read their cart with the X-Cart-Token header.
+app.get(["/api/cart", "/api/cart/:userId"], resolveCart(), (req, res) => {
+	loadCartSummary(req.cart, req.query.shippingAddressId, (err, cart) => {
+		if (err) {
+			if (err.statusCode) {
+				return res.status(err.statusCode).json({ error: err.message });
+			}
+			console.error("Database error:", err);
+			return res.status(500).json({
+				error: "Error fetching cart",
+				details: err.message,
+			});
+		}
+
+		// If no items in cart
+		if (cart.items.length === 0) {
+			return res.status(200).json({
+				message: "Cart is empty",
+				cartItems: [],
+				totalItems: 0,
+				totalValue: 0,
+			});
+		}
+
+		// Products deleted since they were added are listed separately and
+		// left out of the totals
+		const availableKeys = cart.lines.map((line) =>
+			cartItemKey(line.productId, line.variantId)
+		);
+		const cartItems = cart.items
+			.filter((item) =>
+				availableKeys.includes(cartItemKey(item.product_id, item.variant_id))
+			)
+			.map(({ is_deleted, ...item }) => item);
+
+		// Calculate total cart value
+		const totalValue = cart.lines.reduce((total, line) => {
+			return total + line.lineTotal;
+		}, 0);
+
+		res.status(200).json({
+			cartItems,
+			totalItems: cartItems.length,
+			totalValue: totalValue.toFixed(2),
+			unavailableItems: cart.invalidItems,
+			priceChanges: cart.priceChanges,
+			discounts: formatDiscounts(cart.discounts),
+			tax: formatTax(cart.lines, cart.tax),
+			grandTotal: cart.tax.total,
+		});
+	});
+});
+
+// Apply a coupon code to the cart. The code is checked against the current
+// cart together with the coupons already applied.
+app.post("/api/cart/coupons", authenticate, (req, res) => {
+	const code = String(req.body.code || "")
+		.trim()
+		.toUpperCase();
+	const userId = req.user.id;
+
+	if (!code) {
+		return res.status(400).json({ error: "Coupon code is required" });
+	}
+
+	const couponQuery = "SELECT * FROM coupons WHERE code = ?";
+	pool.query(couponQuery, [code], (err, results) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
+		}
+
+		if (results.length === 0 || !results[0].is_active) {
+			return res.status(404).json({ error: "Coupon not found" });
+		}
+
+		const coupon = results[0];
+
+		loadCartSummary(userCartScope(userId), null, (err, cart) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Error fetching cart", details: err.message });
+			}
+
+			if (cart.coupons.some((applied) => applied.id === coupon.id)) {
+				return res.status(409).json({ error: "Coupon is already applied" });
+			}
+
+			const discounts = evaluateCoupons(
+				[...cart.coupons, coupon],
+				cart.lines,
+				cart.userRedemptions
+			);
+			const rejection = discounts.rejected.find(
+				(rejected) => rejected.code === coupon.code
+			);
+
+			if (rejection) {
+				return res.status(400).json({
+					error: "Coupon cannot be applied",
+					reason: rejection.reason,
+				});
+			}
+
+			const insertQuery =
+				"INSERT INTO cart_coupons (user_id, coupon_id) VALUES (?, ?)";
+			pool.query(insertQuery, [userId, coupon.id], (err) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Error applying coupon", details: err.message });
+				}
+
+				res.status(200).json({
+					message: "Coupon applied successfully",
+					discounts: formatDiscounts(discounts),
+				});
+			});
+		});
+	});
+});
+
+// Remove a coupon code from the cart
+app.delete("/api/cart/coupons/:code", authenticate, (req, res) => {
+	const query = `
+        DELETE cc FROM cart_coupons cc 
+        JOIN coupons co ON cc.coupon_id = co.id 
+        WHERE cc.user_id = ? AND co.code = ?
+    `;
+
+	pool.query(
+		query,
+		[req.user.id, req.params.code.toUpperCase()],
+		(err, result) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (result.affectedRows === 0) {
+				return res.status(404).json({ error: "Coupon is not applied" });
+			}
+
+			res.status(200).json({ message: "Coupon removed from cart" });
+		}
+	);
+});
+
+// Cart Update Endpoint
+// Current price of a product, or of one of its variants. variantId 0 stands
+// for the product itself, which is only sellable when it has no active
+// variants. Fails with an error carrying an HTTP status when the item cannot
+// be bought.
+function findPurchasableItem(connection, productId, variantId, callback) {
+	const query = `
+        SELECT 
+            p.price, 
+            v.id AS variant_id, 
+            COALESCE(v.price, p.price) AS variant_price, 
+            (SELECT COUNT(*) FROM product_variants 
+                WHERE product_id = p.id AND is_active = TRUE) AS variant_count
+        FROM products p 
+        LEFT JOIN product_variants v 
+            ON v.id = ? AND v.product_id = p.id AND v.is_active = TRUE 
+        WHERE p.id = ? AND p.is_deleted = FALSE
+    `;
+
+	connection.query(query, [variantId, productId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const row = results[0];
+		if (!row) {
+			return callback(httpError(404, "Product not found"));
+		}
+		if (variantId && !row.variant_id) {
+			return callback(httpError(404, "Variant not found"));
+		}
+		if (!variantId && row.variant_count > 0) {
+			return callback(httpError(400, "Choose a variant of this product"));
+		}
+
+		callback(null, { price: variantId ? row.variant_price : row.price });
+	});
+}
+
+// Set the quantity of a product (variant) in a cart, adding it if needed.
+// New rows remember the current price. The quantity must be a whole number of
+// at least 1.
+function upsertCartItem(
+	connection,
+	cart,
+	productId,
+	variantId,
+	quantity,
+	callback
+) {
+	quantity = parseQuantity(quantity);
+	if (quantity === null) {
+		return callback(httpError(400, "Quantity must be a positive whole number"));
+	}
+
+	findPurchasableItem(connection, productId, variantId, (err, item) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const upsertQuery = `
+            INSERT INTO ${cart.table} (${cart.ownerColumn}, product_id, variant_id, quantity, price_at_add) 
+            VALUES (?, ?, ?, ?, ?) 
+            ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)
+        `;
+
+		connection.query(
+			upsertQuery,
+			[cart.ownerId, productId, variantId, quantity, item.price],
+			(err) => callback(err || null)
+		);
+	});
+}
+
+app.post("/api/cart/update", resolveCart({ create: true }), (req, res) => {
+	const { productId, quantity } = req.body;
+	const variantId = normalizeVariantId(req.body.variantId);
+	const cart = req.cart;
+
+	if (!productId || quantity === undefined) {
+		return res
+			.status(400)
+			.json({ error: "Product ID and Quantity are required" });
+	}
+
+	if (variantId === null) {
+		return res.status(400).json({ error: "Invalid variant ID" });
+	}
+
+	// If quantity is 0 or less, remove the item from the cart
+	if (quantity <= 0) {
+		const removeQuery = `DELETE FROM ${cart.table} WHERE ${cart.ownerColumn} = ? AND product_id = ? AND variant_id = ?`;
+		pool.query(
+			removeQuery,
+			[cart.ownerId, productId, variantId],
+			(err, result) => {
+				if (err) {
+					return res.status(500).json({
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				return res.status(200).json({
+					message: "Item removed from cart successfully",
+				});
+			}
+		);
+	} else {
+		// Update or insert the cart item
+		upsertCartItem(pool, cart, productId, variantId, quantity, (err) => {
+			if (err) {
+				if (err.statusCode) {
+					return res.status(err.statusCode).json({ error: err.message });
+				}
+				return res.status(500).json({
+					error: "Database error",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json({
+				message: "Cart updated successfully",
+				cartToken: cart.token,
+			});
+		});
+	}
+});
+
+// Ensure the route matches exactly
+app.delete("/api/cart/remove", resolveCart(), (req, res) => {
+	const { productId } = req.body;
+	const variantId = normalizeVariantId(req.body.variantId);
+	const cart = req.cart;
+
+	if (!productId) {
+		return res.status(400).json({ error: "Product ID is required" });
+	}
+
+	if (variantId === null) {
+		return res.status(400).json({ error: "Invalid variant ID" });
+	}
+
+	const removeQuery = `DELETE FROM ${cart.table} WHERE ${cart.ownerColumn} = ? AND product_id = ? AND variant_id = ?`;
+	pool.query(
+		removeQuery,
+		[cart.ownerId, productId, variantId],
+		(err, result) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Database error",
+					details: err.message,
+				});
+			}
+
+			// Check if any rows were actually deleted
+			if (result.affectedRows === 0) {
+				return res.status(404).json({
+					error: "Item not found in cart",
+				});
+			}
+
+			res.status(200).json({
+				message: "Item removed from cart successfully",
+				deletedRows: result.affectedRows,
+			});
+		}
+	);
+});
+
+// Get Cart Details Endpoint
+app.post("/api/cart/details", resolveCart(), (req, res) => {
+	const { productIds } = req.body;
+	const cart = req.cart;
+
+	if (!productIds || !Array.isArray(productIds)) {
+		return res.status(400).json({ error: "Product IDs are required" });
+	}
+
+	// Get cart items with product details
+	const query = `
+        SELECT 
+            p.id, 
+            c.variant_id, 
+            v.sku, 
+            p.name, 
+            p.description, 
+            COALESCE(v.price, p.price) AS price, 
+            COALESCE(v.image, p.image) AS image, 
+            c.quantity
+        FROM ${cart.table} c
+        JOIN products p ON c.product_id = p.id
+        LEFT JOIN product_variants v ON v.id = c.variant_id AND v.product_id = c.product_id
+        WHERE c.${cart.ownerColumn} = ? AND p.id IN (?)
+    `;
+
+	pool.query(query, [cart.ownerId, productIds], (err, results) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Database error",
+				details: err.message,
+			});
+		}
+
+		res.status(200).json(results);
+	});
+});
+
+// Load a cart with the product data needed to validate it
+function loadCartValidation(connection, cart, callback) {
+	const query = `
+        SELECT 
+            c.product_id, 
+            c.variant_id, 
+            c.quantity, 
+            c.price_at_add, 
+            p.name, 
+            COALESCE(v.price, p.price) AS price, 
+            (p.is_deleted OR (c.variant_id <> 0 AND (v.id IS NULL OR v.is_active = FALSE))) AS is_deleted, 
+            IF(c.variant_id = 0, p.stock_quantity, v.stock_quantity) AS stock_quantity, 
+            p.max_per_order
+        FROM ${cart.table} c
+        LEFT JOIN products p ON c.product_id = p.id
+        LEFT JOIN product_variants v ON v.id = c.variant_id AND v.product_id = c.product_id
+        WHERE c.${cart.ownerColumn} = ?
+    `;
+
+	connection.query(query, [cart.ownerId], (err, rows) => {
+		if (err) {
+			return callback(err);
+		}
+
+		callback(null, { itemCount: rows.length, ...validateCartRows(rows) });
+	});
+}
+
+// Validate Cart Endpoint
+// Flags deleted products, changed prices and quantities that cannot be
+// ordered, with the corrections that would fix them
+app.post("/api/cart/validate", resolveCart(), (req, res) => {
+	loadCartValidation(pool, req.cart, (err, report) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Failed to validate cart",
+				details: err.message,
+			});
+		}
+
+		res.status(200).json(report);
+	});
+});
+
+// Apply Cart Corrections Endpoint
+// Applies corrections from the validation endpoint in one go and returns the
+// cart's new validation report
+app.post("/api/cart/corrections", resolveCart(), (req, res) => {
+	const cart = req.cart;
+	const { corrections, errors } = parseCorrections(req.body.corrections);
+
+	if (errors.length > 0) {
+		return res
+			.status(400)
+			.json({ error: "Invalid corrections", details: errors });
+	}
+
+	const correctionQueries = {
+		remove: `DELETE FROM ${cart.table} WHERE ${cart.ownerColumn} = ? AND product_id = ? AND variant_id = ?`,
+		set_quantity: `UPDATE ${cart.table} SET quantity = ? WHERE ${cart.ownerColumn} = ? AND product_id = ? AND variant_id = ?`,
+		accept_price: `
+            UPDATE ${cart.table} c 
+            JOIN products p ON c.product_id = p.id 
+            LEFT JOIN product_variants v ON v.id = c.variant_id AND v.product_id = c.product_id 
+            SET c.price_at_add = COALESCE(v.price, p.price) 
+            WHERE c.${cart.ownerColumn} = ? AND c.product_id = ? AND c.variant_id = ?
+        `,
+	};
+
+	beginTransaction((err, connection) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Transaction start failed",
+				details: err.message,
+			});
+		}
+
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		const applyNext = (index) => {
+			if (index === corrections.length) {
+				return commitTransaction(connection, (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to apply corrections",
+							details: err.message,
+						});
+					}
+
+					loadCartValidation(pool, cart, (err, report) => {
+						if (err) {
+							return res.status(500).json({
+								error: "Failed to validate cart",
+								details: err.message,
+							});
+						}
+
+						res.status(200).json({
+							message: "Cart corrections applied",
+							applied: corrections.length,
+							...report,
+						});
+					});
+				});
+			}
+
+			const correction = corrections[index];
+			const item = [cart.ownerId, correction.productId, correction.variantId];
+			const params =
+				correction.action === "set_quantity"
+					? [correction.quantity, ...item]
+					: item;
+
+			connection.query(
+				correctionQueries[correction.action],
+				params,
+				(err, result) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to apply corrections",
+							details: err.message,
+						});
+					}
+
+					if (result.affectedRows === 0) {
+						return rollback(404, {
+							error: `Product ${correction.productId} is not in the cart`,
+						});
+					}
+
+					applyNext(index + 1);
+				}
+			);
+		};
+
+		applyNext(0);
+	});
+});
+
+// Wishlists
+function formatWishlist(row) {
+	return {
+		id: row.id,
+		name: row.name,
+		isShared: row.share_token_hash !== null,
+		itemCount: row.item_count,
+		createdAt: row.created_at,
+	};
+}
+
+function formatWishlistItem(row) {
+	return {
+		productId: row.product_id,
+		name: row.name,
+		price: row.price,
+		image: row.image,
+		available: !row.is_deleted && row.stock_quantity > 0,
+		priceAtAdd: row.price_at_add,
+		notifyPriceDrop: Boolean(row.notify_price_drop),
+		addedAt: row.added_at,
+	};
+}
+
+// Load one of the user's wishlists, or null when it is not theirs
+function findWishlist(connection, userId, wishlistId, callback) {
+	const query = "SELECT * FROM wishlists WHERE id = ? AND user_id = ?";
+	connection.query(query, [wishlistId, userId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+		callback(null, results[0] || null);
+	});
+}
+
+// Id of the user's default wishlist, created on first use
+function findOrCreateDefaultWishlist(connection, userId, callback) {
+	const query = `
+        INSERT INTO wishlists (user_id, name) VALUES (?, ?) 
+        ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)
+    `;
+	connection.query(query, [userId, DEFAULT_WISHLIST_NAME], (err, result) => {
+		if (err) {
+			return callback(err);
+		}
+		callback(null, result.insertId);
+	});
+}
+
+function loadWishlistItems(wishlistId, callback) {
+	const query = `
+        SELECT 
+            wi.product_id, 
+            wi.price_at_add, 
+            wi.notify_price_drop, 
+            wi.added_at, 
+            p.name, 
+            p.price, 
+            p.image, 
+            p.is_deleted, 
+            p.stock_quantity
+        FROM wishlist_items wi
+        JOIN products p ON wi.product_id = p.id
+        WHERE wi.wishlist_id = ?
+        ORDER BY wi.added_at DESC
+    `;
+	pool.query(query, [wishlistId], callback);
+}
+
+// Email users who asked to hear about price drops of a product. Each user
+// gets one mail however many of their lists hold the product.
+function notifyWishlistPriceDrops(productId, callback) {
+	const query = `
+        SELECT 
+            wi.wishlist_id, 
+            wi.price_at_add, 
+            wi.notify_price_drop, 
+            wi.last_notified_price, 
+            w.user_id, 
+            u.email, 
+            u.first_name, 
+            p.name AS product_name, 
+            p.price
+        FROM wishlist_items wi
+        JOIN wishlists w ON wi.wishlist_id = w.id
+        JOIN users u ON w.user_id = u.id
+        JOIN products p ON wi.product_id = p.id
+        WHERE wi.product_id = ? 
+            AND wi.notify_price_drop = TRUE 
+            AND u.deleted_at IS NULL 
+            AND p.is_deleted = FALSE
+    `;
+
+	pool.query(query, [productId], (err, rows) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (rows.length === 0) {
+			return callback(null, 0);
+		}
+
+		const price = rows[0].price;
+		const drops = findPriceDrops(rows, price);
+		const byUser = {};
+		drops.forEach((row) => {
+			byUser[row.user_id] = byUser[row.user_id] || [];
+			byUser[row.user_id].push(row);
+		});
+		const userIds = Object.keys(byUser);
+		const appUrl = process.env.APP_URL || "http://localhost:3000";
+
+		const notifyNext = (index) => {
+			if (index === userIds.length) {
+				return callback(null, userIds.length);
+			}
+
+			const userRows = byUser[userIds[index]];
+			const user = userRows[0];
+
+			sendMail(
+				{
+					to: user.email,
+					subject: `Price drop: ${user.product_name}`,
+					text:
+						`Hi ${user.first_name},\n\n` +
+						`${user.product_name} from your wishlist is now ${price} ` +
+						`(was ${referencePrice(user)}).\n\n` +
+						`${appUrl}/products/${productId}`,
+				},
+				(err) => {
+					if (err) {
+						return callback(err);
+					}
+
+					// Only notify again when the price drops below this one
+					const updateQuery = `
+                        UPDATE wishlist_items 
+                        SET last_notified_price = ? 
+                        WHERE product_id = ? AND wishlist_id IN (?)
+                    `;
+					pool.query(
+						updateQuery,
+						[price, productId, userRows.map((row) => row.wishlist_id)],
+						(err) => {
+							if (err) {
+								return callback(err);
+							}
+							notifyNext(index + 1);
+						}
+					);
+				}
+			);
+		};
+
+		notifyNext(0);
+	});
+}
+
+// List the signed-in user's wishlists
+app.get("/api/wishlists", authenticate, (req, res) => {
+	const query = `
+        SELECT w.*, COUNT(wi.product_id) AS item_count
+        FROM wishlists w
+        LEFT JOIN wishlist_items wi ON wi.wishlist_id = w.id
+        WHERE w.user_id = ?
+        GROUP BY w.id
+        ORDER BY w.created_at ASC, w.id ASC
+    `;
+
+	pool.query(query, [req.user.id], (err, results) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Failed to retrieve wishlists",
+				details: err.message,
+			});
+		}
+
+		res.status(200).json(results.map(formatWishlist));
+	});
+});
+
+// Create a wishlist
+app.post("/api/wishlists", authenticate, (req, res) => {
+	const { name, errors } = validateWishlistName(req.body.name);
+
+	if (errors.length > 0) {
+		return res.status(400).json({ error: "Invalid wishlist", errors });
+	}
+
+	const insertQuery = "INSERT INTO wishlists (user_id, name) VALUES (?, ?)";
+	pool.query(insertQuery, [req.user.id, name], (err, result) => {
+		if (err) {
+			if (err.code === "ER_DUP_ENTRY") {
+				return res
+					.status(409)
+					.json({ error: "You already have a wishlist with this name" });
+			}
+			return res
+				.status(500)
+				.json({ error: "Error creating wishlist", details: err.message });
+		}
+
+		res.status(201).json({
+			message: "Wishlist created successfully",
+			wishlistId: result.insertId,
+		});
+	});
+});
+
+// Read-only view of a shared wishlist, no sign-in needed
+app.get("/api/wishlists/shared/:token", (req, res) => {
+	const query = `
+        SELECT w.id, w.name, u.first_name
+        FROM wishlists w
+        JOIN users u ON w.user_id = u.id
+        WHERE w.share_token_hash = ? AND u.deleted_at IS NULL
+    `;
+
+	pool.query(query, [hashToken(req.params.token)], (err, results) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
+		}
+
+		if (results.length === 0) {
+			return res.status(404).json({ error: "Wishlist not found" });
+		}
+
+		const wishlist = results[0];
+		loadWishlistItems(wishlist.id, (err, items) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve wishlist",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json({
+				name: wishlist.name,
+				owner: wishlist.first_name,
+				items: items
+					.filter((item) => !item.is_deleted)
+					.map(({ product_id, name, price, image, stock_quantity }) => ({
+						productId: product_id,
+						name,
+						price,
+						image,
+						available: stock_quantity > 0,
+					})),
+			});
+		});
+	});
+});
+
+// Get a wishlist with its items
+app.get("/api/wishlists/:id", authenticate, (req, res) => {
+	findWishlist(pool, req.user.id, req.params.id, (err, wishlist) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
+		}
+
+		if (!wishlist) {
+			return res.status(404).json({ error: "Wishlist not found" });
+		}
+
+		loadWishlistItems(wishlist.id, (err, items) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve wishlist",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json({
+				...formatWishlist({ ...wishlist, item_count: items.length }),
+				items: items.map(formatWishlistItem),
+			});
+		});
+	});
+});
+
+// Rename a wishlist
+app.put("/api/wishlists/:id", authenticate, (req, res) => {
+	const { name, errors } = validateWishlistName(req.body.name);
+
+	if (errors.length > 0) {
+		return res.status(400).json({ error: "Invalid wishlist", errors });
+	}
+
+	const updateQuery =
+		"UPDATE wishlists SET name = ? WHERE id = ? AND user_id = ?";
+	pool.query(updateQuery, [name, req.params.id, req.user.id], (err, result) => {
+		if (err) {
+			if (err.code === "ER_DUP_ENTRY") {
+				return res
+					.status(409)
+					.json({ error: "You already have a wishlist with this name" });
+			}
+			return res
+				.status(500)
+				.json({ error: "Error updating wishlist", details: err.message });
+		}
+
+		if (result.affectedRows === 0) {
+			return res.status(404).json({ error: "Wishlist not found" });
+		}
+
+		res.status(200).json({ message: "Wishlist updated successfully" });
+	});
+});
+
+// Delete a wishlist and its items
+app.delete("/api/wishlists/:id", authenticate, (req, res) => {
+	const query = "DELETE FROM wishlists WHERE id = ? AND user_id = ?";
+
+	pool.query(query, [req.params.id, req.user.id], (err, result) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Error deleting wishlist", details: err.message });
+		}
+
+		if (result.affectedRows === 0) {
+			return res.status(404).json({ error: "Wishlist not found" });
+		}
+
+		res.status(200).json({ message: "Wishlist deleted successfully" });
+	});
+});
+
+// Add a product to a wishlist. Adding it again only updates notifyPriceDrop.
+app.post("/api/wishlists/:id/items", authenticate, (req, res) => {
+	const { productId, notifyPriceDrop } = req.body;
+
+	if (!productId) {
+		return res.status(400).json({ error: "Product ID is required" });
+	}
+
+	findWishlist(pool, req.user.id, req.params.id, (err, wishlist) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Database error", details: err.message });
+		}
+
+		if (!wishlist) {
+			return res.status(404).json({ error: "Wishlist not found" });
+		}
+
+		const insertQuery = `
+            INSERT INTO wishlist_items (wishlist_id, product_id, price_at_add, notify_price_drop) 
+            SELECT ?, id, price, ? FROM products WHERE id = ? AND is_deleted = FALSE 
+            ON DUPLICATE KEY UPDATE notify_price_drop = VALUES(notify_price_drop)
+        `;
+		pool.query(
+			insertQuery,
+			[wishlist.id, Boolean(notifyPriceDrop), productId],
+			(err, result) => {
+				if (err) {
+					return res.status(500).json({
+						error: "Error adding to wishlist",
+						details: err.message,
+					});
+				}
+
+				if (result.affectedRows === 0) {
+					return res.status(404).json({ error: "Product not found" });
+				}
+
+				res.status(201).json({ message: "Product added to wishlist" });
+			}
+		);
+	});
+});
+
+// Turn price drop notifications for an item on or off
+app.put("/api/wishlists/:id/items/:productId", authenticate, (req, res) => {
+	const { notifyPriceDrop } = req.body;
+
+	if (typeof notifyPriceDrop !== "boolean") {
+		return res.status(400).json({ error: "notifyPriceDrop must be a boolean" });
+	}
+
+	const updateQuery = `
+        UPDATE wishlist_items wi 
+        JOIN wishlists w ON wi.wishlist_id = w.id 
+        SET wi.notify_price_drop = ? 
+        WHERE w.id = ? AND w.user_id = ? AND wi.product_id = ?
+    `;
+	pool.query(
+		updateQuery,
+		[notifyPriceDrop, req.params.id, req.user.id, req.params.productId],
+		(err, result) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Error updating wishlist", details: err.message });
+			}
+
+			if (result.affectedRows === 0) {
+				return res.status(404).json({ error: "Item not found in wishlist" });
+			}
+
+			res.status(200).json({ message: "Wishlist item updated successfully" });
+		}
+	);
+});
+
+// Remove a product from a wishlist
+app.delete("/api/wishlists/:id/items/:productId", authenticate, (req, res) => {
+	const deleteQuery = `
+        DELETE wi FROM wishlist_items wi 
+        JOIN wishlists w ON wi.wishlist_id = w.id 
+        WHERE w.id = ? AND w.user_id = ? AND wi.product_id = ?
+    `;
+	pool.query(
+		deleteQuery,
+		[req.params.id, req.user.id, req.params.productId],
+		(err, result) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Error updating wishlist", details: err.message });
+			}
+
+			if (result.affectedRows === 0) {
+				return res.status(404).json({ error: "Item not found in wishlist" });
+			}
+
+			res.status(200).json({ message: "Item removed from wishlist" });
+		}
+	);
+});
+
+// Move a wishlist item into the cart, setting its cart quantity. Products
+// with variants need a variantId.
+app.post(
+	"/api/wishlists/:id/items/:productId/move-to-cart",
+	authenticate,
+	(req, res) => {
+		const userId = req.user.id;
+		const productId = parseInt(req.params.productId, 10);
+		const variantId = normalizeVariantId(req.body.variantId);
+		const quantity =
+			req.body.quantity === undefined ? 1 : parseQuantity(req.body.quantity);
+
+		if (quantity === null) {
+			return res
+				.status(400)
+				.json({ error: "Quantity must be a positive whole number" });
+		}
+
+		if (variantId === null) {
+			return res.status(400).json({ error: "Invalid variant ID" });
+		}
+
+		beginTransaction((err, connection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			const rollback = (status, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(status).json(body);
+				});
+			};
+
+			const itemQuery = `
+                SELECT wi.wishlist_id 
+                FROM wishlist_items wi 
+                JOIN wishlists w ON wi.wishlist_id = w.id 
+                WHERE w.id = ? AND w.user_id = ? AND wi.product_id = ? 
+                FOR UPDATE
+            `;
+			connection.query(
+				itemQuery,
+				[req.params.id, userId, productId],
+				(err, items) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					if (items.length === 0) {
+						return rollback(404, { error: "Item not found in wishlist" });
+					}
+
+					const wishlistId = items[0].wishlist_id;
+					upsertCartItem(
+						connection,
+						userCartScope(userId),
+						productId,
+						variantId,
+						quantity,
+						(err) => {
+							if (err) {
+								if (err.statusCode) {
+									return rollback(err.statusCode, { error: err.message });
+								}
+								return rollback(500, {
+									error: "Error adding to cart",
+									details: err.message,
+								});
+							}
+
+							const deleteQuery =
+								"DELETE FROM wishlist_items WHERE wishlist_id = ? AND product_id = ?";
+							connection.query(deleteQuery, [wishlistId, productId], (err) => {
+								if (err) {
+									return rollback(500, {
+										error: "Error updating wishlist",
+										details: err.message,
+									});
+								}
+
+								commitTransaction(connection, (err) => {
+									if (err) {
+										return rollback(500, {
+											error: "Failed to move item",
+											details: err.message,
+										});
+									}
+
+									res.status(200).json({ message: "Item moved to cart" });
+								});
+							});
+						}
+					);
+				}
+			);
+		});
+	}
+);
+
+// Save a cart item for later: move it from the cart to a wishlist, the
+// default list when no wishlistId is given. Wishlists hold products, so the
+// variant choice is dropped.
+app.post("/api/wishlists/move-from-cart", authenticate, (req, res) => {
+	const userId = req.user.id;
+	const { productId, wishlistId, notifyPriceDrop } = req.body;
+	const variantId = normalizeVariantId(req.body.variantId);
+
+	if (!productId) {
+		return res.status(400).json({ error: "Product ID is required" });
+	}
+
+	if (variantId === null) {
+		return res.status(400).json({ error: "Invalid variant ID" });
+	}
+
+	const resolveWishlist = (connection, callback) => {
+		if (wishlistId === undefined || wishlistId === null) {
+			return findOrCreateDefaultWishlist(connection, userId, callback);
+		}
+
+		findWishlist(connection, userId, wishlistId, (err, wishlist) => {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, wishlist ? wishlist.id : null);
+		});
+	};
+
+	beginTransaction((err, connection) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Transaction start failed",
+				details: err.message,
+			});
+		}
+
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		resolveWishlist(connection, (err, targetId) => {
+			if (err) {
+				return rollback(500, { error: "Database error", details: err.message });
+			}
+
+			if (!targetId) {
+				return rollback(404, { error: "Wishlist not found" });
+			}
+
+			const cartQuery = `
+                SELECT p.price 
+                FROM cart c 
+                JOIN products p ON c.product_id = p.id 
+                WHERE c.user_id = ? AND c.product_id = ? AND c.variant_id = ? 
+                FOR UPDATE
+            `;
+			connection.query(
+				cartQuery,
+				[userId, productId, variantId],
+				(err, rows) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					if (rows.length === 0) {
+						return rollback(404, { error: "Item not found in cart" });
+					}
+
+					const insertQuery = `
+                    INSERT INTO wishlist_items (wishlist_id, product_id, price_at_add, notify_price_drop) 
+                    VALUES (?, ?, ?, ?) 
+                    ON DUPLICATE KEY UPDATE notify_price_drop = VALUES(notify_price_drop)
+                `;
+					connection.query(
+						insertQuery,
+						[targetId, productId, rows[0].price, Boolean(notifyPriceDrop)],
+						(err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Error adding to wishlist",
+									details: err.message,
+								});
+							}
+
+							const removeQuery =
+								"DELETE FROM cart WHERE user_id = ? AND product_id = ? AND variant_id = ?";
+							connection.query(
+								removeQuery,
+								[userId, productId, variantId],
+								(err) => {
+									if (err) {
+										return rollback(500, {
+											error: "Error updating cart",
+											details: err.message,
+										});
+									}
+
+									commitTransaction(connection, (err) => {
+										if (err) {
+											return rollback(500, {
+												error: "Failed to move item",
+												details: err.message,
+											});
+										}
+
+										res.status(200).json({
+											message: "Item moved to wishlist",
+											wishlistId: targetId,
+										});
+									});
+								}
+							);
+						}
+					);
+				}
+			);
+		});
+	});
+});
+
+// Create a read-only share link for a wishlist. Only the token's hash is
+// kept, so sharing again replaces the previous link.
+app.post("/api/wishlists/:id/share", authenticate, (req, res) => {
+	const token = generateOpaqueToken();
+	const updateQuery =
+		"UPDATE wishlists SET share_token_hash = ? WHERE id = ? AND user_id = ?";
+
+	pool.query(
+		updateQuery,
+		[hashToken(token), req.params.id, req.user.id],
+		(err, result) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Error sharing wishlist", details: err.message });
+			}
+
+			if (result.affectedRows === 0) {
+				return res.status(404).json({ error: "Wishlist not found" });
+			}
+
+			const appUrl = process.env.APP_URL || "http://localhost:3000";
+			res.status(200).json({
+				shareToken: token,
+				shareUrl: `${appUrl}/wishlists/shared/${token}`,
+			});
+		}
+	);
+});
+
+// Stop sharing a wishlist, the old link stops working
+app.delete("/api/wishlists/:id/share", authenticate, (req, res) => {
+	const updateQuery =
+		"UPDATE wishlists SET share_token_hash = NULL WHERE id = ? AND user_id = ?";
+
+	pool.query(updateQuery, [req.params.id, req.user.id], (err, result) => {
+		if (err) {
+			return res
+				.status(500)
+				.json({ error: "Error updating wishlist", details: err.message });
+		}
+
+		if (result.affectedRows === 0) {
+			return res.status(404).json({ error: "Wishlist not found" });
+		}
+
+		res.status(200).json({ message: "Wishlist is no longer shared" });
+	});
+});
+
+// Apply stock movements inside an open transaction.
+// movements: [{ productId, variantId, quantityChange, reason, orderId,
+// actorUserId, note }]
+// A variant movement changes the variant's stock and the product's, which is
+// the sum over its variants. Decrements are guarded so stock can never go
+// below zero, and movements going the wrong way for their reason (a sale
+// adding stock) are refused.
+function applyStockMovements(connection, movements, callback) {
+	if (movements.length === 0) {
+		return callback(null);
+	}
+
+	const [movement, ...remaining] = movements;
+
+	const movementError = checkStockMovement(movement);
+	if (movementError) {
+		return callback(new Error(movementError));
+	}
+
+	const updateVariant = (next) => {
+		if (!movement.variantId) {
+			return next(null);
+		}
+
+		const variantQuery = `
+            UPDATE product_variants 
+            SET stock_quantity = stock_quantity + ? 
+            WHERE id = ? AND product_id = ? AND stock_quantity + ? >= 0
+        `;
+		connection.query(
+			variantQuery,
+			[
+				movement.quantityChange,
+				movement.variantId,
+				movement.productId,
+				movement.quantityChange,
+			],
+			(err, result) => {
+				if (err) {
+					return next(err);
+				}
+				if (result.affectedRows === 0) {
+					return next(
+						new Error(`Insufficient stock for variant ${movement.variantId}`)
+					);
+				}
+				next(null);
+			}
+		);
+	};
+
+	const updateQuery = `
+        UPDATE products 
+        SET stock_quantity = stock_quantity + ? 
+        WHERE id = ? AND stock_quantity + ? >= 0
+    `;
+
+	updateVariant((err) => {
+		if (err) {
+			return callback(err);
+		}
+
+		connection.query(
+			updateQuery,
+			[movement.quantityChange, movement.productId, movement.quantityChange],
+			(err, result) => {
+				if (err) {
+					return callback(err);
+				}
+
+				if (result.affectedRows === 0) {
+					return callback(
+						new Error(`Insufficient stock for product ${movement.productId}`)
+					);
+				}
+
+				const insertQuery = `
+                INSERT INTO stock_movements 
+                (product_id, variant_id, quantity_change, reason, order_id, actor_user_id, note) 
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+
+				connection.query(
+					insertQuery,
+					[
+						movement.productId,
+						movement.variantId || null,
+						movement.quantityChange,
+						movement.reason,
+						movement.orderId || null,
+						movement.actorUserId || null,
+						movement.note || null,
+					],
+					(err) => {
+						if (err) {
+							return callback(err);
+						}
+						applyStockMovements(connection, remaining, callback);
+					}
+				);
+			}
+		);
+	});
+}
+
+// Create an error carrying the HTTP status it should be reported with
+function httpError(statusCode, message) {
+	const err = new Error(message);
+	err.statusCode = statusCode;
+	return err;
+}
+
+// Orders are shown to customers as "ORD-<id>", accept both forms
+function parseOrderId(orderId) {
+	return parseInt(String(orderId).replace("ORD-", ""), 10);
+}
+
+// Append a status change to an order's history
+function recordOrderStatus(
+	connection,
+	orderId,
+	fromStatus,
+	toStatus,
+	actorUserId,
+	note,
+	callback
+) {
+	const query = `
+        INSERT INTO order_status_history 
+        (order_id, from_status, to_status, changed_by, note) 
+        VALUES (?, ?, ?, ?, ?)
+    `;
+
+	connection.query(
+		query,
+		[orderId, fromStatus, toStatus, actorUserId || null, note || null],
+		(err) => callback(err || null)
+	);
+}
+
+// Move an order to a new status inside an open transaction.
+// The order row is locked and the transition checked against the lifecycle.
+// Calls back with (err, { orderId, fromStatus, toStatus, userId }).
+function transitionOrderStatus(
+	connection,
+	orderId,
+	toStatus,
+	actorUserId,
+	note,
+	callback
+) {
+	const orderQuery =
+		"SELECT id, user_id, status FROM orders WHERE id = ? FOR UPDATE";
+
+	connection.query(orderQuery, [orderId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (results.length === 0) {
+			return callback(httpError(404, "Order not found"));
+		}
+
+		const fromStatus = results[0].status;
+		if (!canTransition(fromStatus, toStatus)) {
+			return callback(
+				httpError(
+					409,
+					`Cannot change order status from ${fromStatus} to ${toStatus}`
+				)
+			);
+		}
+
+		const updateQuery = "UPDATE orders SET status = ? WHERE id = ?";
+		connection.query(updateQuery, [toStatus, orderId], (err) => {
+			if (err) {
+				return callback(err);
+			}
+
+			recordOrderStatus(
+				connection,
+				orderId,
+				fromStatus,
+				toStatus,
+				actorUserId,
+				note,
+				(err) => {
+					if (err) {
+						return callback(err);
+					}
+
+					callback(null, {
+						orderId,
+						fromStatus,
+						toStatus,
+						userId: results[0].user_id,
+					});
+				}
+			);
+		});
+	});
+}
+
+// Cancel an order inside an open transaction, put its items back in stock and
+// queue the release of any payment taken for it. The transition carries the
+// ids of the queued settlements.
+function cancelOrder(connection, orderId, actorUserId, note, callback) {
+	transitionOrderStatus(
+		connection,
+		orderId,
+		"cancelled",
+		actorUserId,
+		note,
+		(err, transition) => {
+			if (err) {
+				return callback(err);
+			}
+
+			const itemsQuery =
+				"SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ?";
+			connection.query(itemsQuery, [orderId], (err, items) => {
+				if (err) {
+					return callback(err);
+				}
+
+				const movements = items.map((item) => ({
+					productId: item.product_id,
+					variantId: item.variant_id,
+					quantityChange: item.quantity,
+					reason: "cancellation",
+					orderId,
+					actorUserId,
+				}));
+
+				applyStockMovements(connection, movements, (err) => {
+					if (err) {
+						return callback(err);
+					}
+
+					releaseCouponRedemptions(connection, orderId, (err) => {
+						if (err) {
+							return callback(err);
+						}
+
+						settleOrderPayments(connection, orderId, (err, settlementIds) => {
+							if (err) {
+								return callback(err);
+							}
+							callback(null, { ...transition, settlementIds });
+						});
+					});
+				});
+			});
+		}
+	);
+}
+
+// Give the coupons used on a cancelled order back to the customer, so they
+// no longer count against the usage limits
+function releaseCouponRedemptions(connection, orderId, callback) {
+	const releaseQuery = `
+        UPDATE coupons co 
+        JOIN coupon_redemptions cr ON cr.coupon_id = co.id 
+        SET co.times_redeemed = GREATEST(co.times_redeemed - 1, 0) 
+        WHERE cr.order_id = ?
+    `;
+
+	connection.query(releaseQuery, [orderId], (err) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const deleteQuery = "DELETE FROM coupon_redemptions WHERE order_id = ?";
+		connection.query(deleteQuery, [orderId], (err) => callback(err || null));
+	});
+}
+
+// Call the configured payment provider. A declined operation calls back with
+// an error carrying HTTP 402 and the provider result.
+function callPaymentProvider(operation, args, callback) {
+	let provider;
+	try {
+		provider = getPaymentProvider();
+	} catch (err) {
+		return callback(err);
+	}
+
+	provider[operation](...args, (err, result) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (result.status === "failed") {
+			const declined = httpError(402, result.failureReason || "Payment failed");
+			declined.result = result;
+			return callback(declined);
+		}
+
+		callback(null, result);
+	});
+}
+
+// Mark a payment captured inside an open transaction and move its order to
+// paid. An order that can no longer become paid (e.g. cancelled meanwhile)
+// keeps its status; the captured payment is then refunded by staff.
+function markPaymentCaptured(
+	connection,
+	payment,
+	amount,
+	actorUserId,
+	callback
+) {
+	const updateQuery = `
+        UPDATE payments 
+        SET status = 'captured', captured_amount = ?, failure_reason = NULL 
+        WHERE id = ? AND status IN ('pending', 'authorized')
+    `;
+
+	connection.query(updateQuery, [amount, payment.id], (err, result) => {
+		if (err) {
+			return callback(err);
+		}
+
+		// Already captured, e.g. by a webhook that arrived first
+		if (result.affectedRows === 0) {
+			return callback(null);
+		}
+
+		transitionOrderStatus(
+			connection,
+			payment.order_id,
+			"paid",
+			actorUserId,
+			`Payment ${payment.id} captured`,
+			(err) => {
+				if (err && err.statusCode === 409) {
+					console.warn(
+						`Payment ${payment.id} captured for order ${payment.order_id}: ${err.message}`
+					);
+					return callback(null);
+				}
+				callback(err || null);
+			}
+		);
+	});
+}
+
+// Capture an authorized payment and mark its order paid
+function capturePayment(payment, actorUserId, callback) {
+	const amount = parseFloat(payment.amount);
+
+	callPaymentProvider(
+		"capture",
+		[payment.provider_reference, amount],
+		(err) => {
+			if (err) {
+				if (!err.result) {
+					return callback(err);
+				}
+
+				// The payment stays authorized so the capture can be retried
+				const failureQuery =
+					"UPDATE payments SET failure_reason = ? WHERE id = ?";
+				return pool.query(failureQuery, [err.message, payment.id], () =>
+					callback(err)
+				);
+			}
+
+			beginTransaction((txErr, connection) => {
+				if (txErr) {
+					return callback(txErr);
+				}
+
+				markPaymentCaptured(connection, payment, amount, actorUserId, (err) => {
+					if (err) {
+						return rollbackTransaction(connection, () => callback(err));
+					}
+
+					commitTransaction(connection, (err) => {
+						if (err) {
+							return rollbackTransaction(connection, () => callback(err));
+						}
+						callback(null);
+					});
+				});
+			});
+		}
+	);
+}
+
+// Payment settlements
+// Voids and refunds are queued as payment_settlements rows inside the open
+// transaction that decides them, and sent to the provider with
+// processPaymentSettlements once that transaction has committed.
+function queuePaymentSettlement(
+	connection,
+	paymentId,
+	operation,
+	amount,
+	callback
+) {
+	const insertQuery =
+		"INSERT INTO payment_settlements (payment_id, operation, amount) VALUES (?, ?, ?)";
+	connection.query(insertQuery, [paymentId, operation, amount], (err, result) =>
+		callback(err || null, result && result.insertId)
+	);
+}
+
+// Payments of an order with the refunds already owed on them, locked
+const SETTLEABLE_PAYMENTS_QUERY = `
+    SELECT 
+        p.*, 
+        (SELECT COALESCE(SUM(s.amount), 0) FROM payment_settlements s 
+            WHERE s.payment_id = p.id AND s.operation = 'refund' AND s.status <> 'completed') AS owed_refunds, 
+        (SELECT COUNT(*) FROM payment_settlements s 
+            WHERE s.payment_id = p.id AND s.operation = 'void' AND s.status <> 'completed') AS owed_voids
+    FROM payments p 
+`;
+
+// Amount of a captured payment that can still be refunded
+function refundableAmount(payment) {
+	return roundMoney(
+		parseFloat(payment.captured_amount) -
+			parseFloat(payment.refunded_amount) -
+			parseFloat(payment.owed_refunds)
+	);
+}
+
+// Queue a refund of part of an order's captured payment inside an open
+// transaction. Calls back with the ids of the queued settlements; orders
+// placed before payments were recorded have no payment to refund.
+function refundOrderPayment(connection, orderId, amount, callback) {
+	const paymentQuery = `
+        ${SETTLEABLE_PAYMENTS_QUERY} 
+        WHERE p.order_id = ? AND p.status IN ('captured', 'partially_refunded') 
+        ORDER BY p.id DESC 
+        LIMIT 1 
+        FOR UPDATE
+    `;
+
+	connection.query(paymentQuery, [orderId], (err, payments) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (payments.length === 0 || amount <= 0) {
+			return callback(null, []);
+		}
+
+		const refundAmount = Math.min(amount, refundableAmount(payments[0]));
+		if (refundAmount <= 0) {
+			return callback(null, []);
+		}
+
+		queuePaymentSettlement(
+			connection,
+			payments[0].id,
+			"refund",
+			refundAmount,
+			(err, settlementId) => callback(err || null, err ? [] : [settlementId])
+		);
+	});
+}
+
+// Queue the release of all money held for an order inside an open
+// transaction: authorized payments are voided and captured payments refunded
+// in full. Calls back with the ids of the queued settlements.
+function settleOrderPayments(connection, orderId, callback) {
+	const paymentsQuery = `
+        ${SETTLEABLE_PAYMENTS_QUERY} 
+        WHERE p.order_id = ? AND p.status IN ('authorized', 'captured', 'partially_refunded') 
+        FOR UPDATE
+    `;
+
+	connection.query(paymentsQuery, [orderId], (err, payments) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const settlementIds = [];
+		const settleNext = (remaining) => {
+			if (remaining.length === 0) {
+				return callback(null, settlementIds);
+			}
+
+			const [payment, ...rest] = remaining;
+			const queued = (err, settlementId) => {
+				if (err) {
+					return callback(err);
+				}
+				settlementIds.push(settlementId);
+				settleNext(rest);
+			};
+
+			if (payment.status === "authorized") {
+				if (payment.owed_voids > 0) {
+					return settleNext(rest);
+				}
+				return queuePaymentSettlement(
+					connection,
+					payment.id,
+					"void",
+					0,
+					queued
+				);
+			}
+
+			const refundable = refundableAmount(payment);
+			if (refundable <= 0) {
+				return settleNext(rest);
+			}
+			queuePaymentSettlement(
+				connection,
+				payment.id,
+				"refund",
+				refundable,
+				queued
+			);
+		};
+
+		settleNext(payments);
+	});
+}
+
+// Minutes after which a settlement claimed for sending that never got an
+// outcome is assumed to have died with its process and may be sent again
+const SETTLEMENT_CLAIM_TIMEOUT_MINUTES = parseInt(
+	process.env.SETTLEMENT_CLAIM_TIMEOUT_MINUTES || "15",
+	10
+);
+
+// Settlements that may be claimed: pending, failed, or claimed too long ago
+const CLAIMABLE_SETTLEMENT_CONDITION = `
+    (status IN ('pending', 'failed') 
+        OR (status = 'processing' AND claimed_at < NOW() - INTERVAL ? MINUTE))
+`;
+
+// Send queued settlements to the payment provider, outside any transaction.
+// Each settlement is claimed first and only sent by the request that claimed
+// it, so concurrent requests and retries never send it twice. A declined or
+// failed call marks the settlement failed so it can be retried. Calls back
+// with the outcomes of the settlements this call sent.
+function processPaymentSettlements(settlementIds, callback) {
+	const results = [];
+
+	const processNext = (index) => {
+		if (index === settlementIds.length) {
+			return callback(null, results);
+		}
+
+		const claimQuery = `
+            UPDATE payment_settlements 
+            SET status = 'processing', claimed_at = NOW() 
+            WHERE id = ? AND ${CLAIMABLE_SETTLEMENT_CONDITION}
+        `;
+		pool.query(
+			claimQuery,
+			[settlementIds[index], SETTLEMENT_CLAIM_TIMEOUT_MINUTES],
+			(err, claim) => {
+				if (err) {
+					return callback(err);
+				}
+
+				// Completed, or being sent by another request
+				if (claim.affectedRows !== 1) {
+					return processNext(index + 1);
+				}
+
+				sendSettlement(index);
+			}
+		);
+	};
+
+	const sendSettlement = (index) => {
+		const settlementQuery = `
+            SELECT s.*, p.provider_reference 
+            FROM payment_settlements s 
+            JOIN payments p ON s.payment_id = p.id 
+            WHERE s.id = ?
+        `;
+		pool.query(settlementQuery, [settlementIds[index]], (err, settlements) => {
+			if (err) {
+				return callback(err);
+			}
+
+			if (settlements.length === 0) {
+				return processNext(index + 1);
+			}
+
+			const settlement = settlements[0];
+			const amount = parseFloat(settlement.amount);
+			const args =
+				settlement.operation === "void"
+					? [settlement.provider_reference]
+					: [settlement.provider_reference, amount];
+
+			callPaymentProvider(settlement.operation, args, (providerErr) => {
+				const outcome = {
+					id: settlement.id,
+					paymentId: settlement.payment_id,
+					operation: settlement.operation,
+					amount,
+					status: providerErr ? "failed" : "completed",
+					failureReason: providerErr ? providerErr.message : null,
+				};
+
+				const recorded = (err) => {
+					if (err) {
+						return callback(err);
+					}
+					results.push(outcome);
+					processNext(index + 1);
+				};
+
+				if (providerErr) {
+					const failQuery = `
+                            UPDATE payment_settlements 
+                            SET status = 'failed', attempts = attempts + 1, failure_reason = ?, claimed_at = NULL 
+                            WHERE id = ?
+                        `;
+					return pool.query(
+						failQuery,
+						[providerErr.message.slice(0, 255), settlement.id],
+						(err) => recorded(err || null)
+					);
+				}
+
+				completePaymentSettlement(settlement, amount, recorded);
+			});
+		});
+	};
+
+	processNext(0);
+}
+
+// Record a settlement the provider carried out on its payment
+function completePaymentSettlement(settlement, amount, callback) {
+	const paymentQuery =
+		settlement.operation === "void"
+			? "UPDATE payments SET status = 'voided' WHERE id = ?"
+			: `
+                UPDATE payments 
+                SET status = IF(refunded_amount + ? >= captured_amount, 'refunded', 'partially_refunded'), 
+                    refunded_amount = refunded_amount + ? 
+                WHERE id = ?
+            `;
+	const paymentParams =
+		settlement.operation === "void"
+			? [settlement.payment_id]
+			: [amount, amount, settlement.payment_id];
+
+	beginTransaction((err, connection) => {
+		if (err) {
+			return callback(err);
+		}
+
+		connection.query(paymentQuery, paymentParams, (err) => {
+			if (err) {
+				return rollbackTransaction(connection, () => callback(err));
+			}
+
+			const settlementQuery = `
+                UPDATE payment_settlements 
+                SET status = 'completed', attempts = attempts + 1, failure_reason = NULL, claimed_at = NULL, completed_at = NOW() 
+                WHERE id = ?
+            `;
+			connection.query(settlementQuery, [settlement.id], (err) => {
+				if (err) {
+					return rollbackTransaction(connection, () => callback(err));
+				}
+
+				commitTransaction(connection, (err) => {
+					if (err) {
+						return rollbackTransaction(connection, () => callback(err));
+					}
+					callback(null);
+				});
+			});
+		});
+	});
+}
+
+// Process settlements queued by a committed request before answering it.
+// Failures to record the outcome are logged; the settlements are left for
+// POST /api/admin/payment-settlements/retry.
+function respondAfterSettlements(settlementIds, respond) {
+	if (!settlementIds || settlementIds.length === 0) {
+		return respond([]);
+	}
+
+	processPaymentSettlements(settlementIds, (err, outcomes) => {
+		if (err) {
+			console.error("Failed to process payment settlements:", err);
+			return respond(settlementIds.map((id) => ({ id, status: "pending" })));
+		}
+		respond(outcomes);
+	});
+}
+
+// Payments as returned to clients
+function formatPayment(row) {
+	return {
+		id: row.id,
+		orderId: `ORD-${row.order_id}`,
+		provider: row.provider,
+		reference: row.provider_reference,
+		status: row.status,
+		amount: parseFloat(row.amount),
+		capturedAmount: parseFloat(row.captured_amount),
+		refundedAmount: parseFloat(row.refunded_amount),
+		currency: row.currency,
+		failureReason: row.failure_reason,
+		createdAt: row.created_at,
+	};
+}
+
+// Load status history for a set of orders, grouped by order ID
+function fetchStatusHistory(orderIds, callback) {
+	const query = `
+        SELECT order_id, from_status, to_status, changed_by, note, created_at
+        FROM order_status_history
+        WHERE order_id IN (?)
+        ORDER BY created_at ASC, id ASC
+    `;
+
+	pool.query(query, [orderIds], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const historyMap = results.reduce((acc, entry) => {
+			if (!acc[entry.order_id]) {
+				acc[entry.order_id] = [];
+			}
+			acc[entry.order_id].push({
+				from: entry.from_status,
+				to: entry.to_status,
+				changedBy: entry.changed_by,
+				note: entry.note,
+				at: new Date(entry.created_at).toISOString(),
+			});
+			return acc;
+		}, {});
+
+		callback(null, historyMap);
+	});
+}
+
+// Place Order Endpoint
+// Orders are built from the user's cart and current product prices inside the
+// transaction. The optional `items` body ([{ id, price }]) is only used to
+// report prices that changed since the client last saw them.
+// shippingAddressId/billingAddressId default to the user's default addresses.
+// shippingMethodId is one of the options from GET /api/cart/shipping-options.
+// Send an Idempotency-Key header to make retries safe.
+app.post(
+	"/api/orders/place",
+	authenticate,
+	requireVerifiedEmail,
+	idempotent("orders:place"),
+	(req, res) => {
+		const {
+			items = [],
+			shippingAddressId,
+			billingAddressId,
+			shippingMethodId,
+		} = req.body;
+		const userId = req.user.id;
+
+		if (!Array.isArray(items)) {
+			return res.status(400).json({ error: "Items must be an array" });
+		}
+
+		if (items.some((item) => !item || typeof item !== "object")) {
+			return res.status(400).json({ error: "Each item must be an object" });
+		}
+
+		// State built up by the checkout steps below
+		const checkout = {};
+
+		// Connection of the transaction, set once it has started
+		let connection;
+
+		// Roll back the transaction and send an error response
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		// Roll back with an error from a helper, using its HTTP status if any
+		const rollbackWithError = (err, fallbackMessage) => {
+			rollback(err.statusCode || 500, {
+				error: err.statusCode ? err.message : fallbackMessage,
+				details: err.statusCode ? undefined : err.message,
+			});
+		};
+
+		// Start a transaction
+		beginTransaction((err, transactionConnection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			connection = transactionConnection;
+
+			loadAddresses();
+		});
+
+		// Snapshot the shipping and billing addresses
+		function loadAddresses() {
+			resolveOrderAddresses(
+				connection,
+				userId,
+				shippingAddressId,
+				billingAddressId,
+				(err, addresses) => {
+					if (err) {
+						return rollbackWithError(err, "Failed to load addresses");
+					}
+
+					checkout.addresses = addresses;
+					loadCart();
+				}
+			);
+		}
+
+		// Load the cart with current product data, locking the cart and
+		// product rows until the transaction ends
+		function loadCart() {
+			const cartQuery = `
+                SELECT 
+                    c.product_id, 
+                    c.variant_id, 
+                    c.quantity, 
+                    v.sku, 
+                    p.name, 
+                    p.category, 
+                    COALESCE(v.price, p.price) AS price, 
+                    p.weight, 
+                    (p.is_deleted OR (c.variant_id <> 0 AND (v.id IS NULL OR v.is_active = FALSE))) AS is_deleted,
+                    IF(c.variant_id = 0, p.stock_quantity, v.stock_quantity) AS stock_quantity,
+                    p.max_per_order
+                FROM cart c
+                LEFT JOIN products p ON c.product_id = p.id
+                LEFT JOIN product_variants v ON v.id = c.variant_id AND v.product_id = c.product_id
+                WHERE c.user_id = ?
+                FOR UPDATE
+            `;
+
+			connection.query(cartQuery, [userId], (err, cartRows) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to load cart",
+						details: err.message,
+					});
+				}
+
+				if (cartRows.length === 0) {
+					return rollback(400, { error: "Cart is empty" });
+				}
+
+				// Same checks as POST /api/cart/validate; price changes are
+				// reported with the order instead of blocking it
+				const validation = validateCartRows(cartRows);
+				const blocking = blockingIssues(validation.issues);
+				if (blocking.length > 0) {
+					return rollback(409, {
+						error: "Your cart needs changes before it can be ordered",
+						issues: blocking,
+						corrections: validation.corrections.filter(
+							(correction) => correction.action !== "accept_price"
+						),
+					});
+				}
+
+				const { lines, invalidItems, priceChanges, totalAmount } =
+					priceCartRows(cartRows, items);
+
+				if (invalidItems.length > 0) {
+					return rollback(409, {
+						error: "Some items in your cart are no longer available",
+						invalidItems,
+					});
+				}
+
+				const stockByItem = {};
+				cartRows.forEach((row) => {
+					stockByItem[cartItemKey(row.product_id, row.variant_id)] =
+						row.stock_quantity;
+				});
+
+				const stockErrors = findStockErrors(lines, stockByItem);
+				if (stockErrors.length > 0) {
+					return rollback(409, {
+						error: "Some items in your cart are out of stock",
+						stockErrors,
+					});
+				}
+
+				const limitErrors = cartRows
+					.filter((row) => row.quantity > quantityLimit(row))
+					.map((row) => ({
+						productId: row.product_id,
+						variantId: row.variant_id,
+						requested: row.quantity,
+						limit: quantityLimit(row),
+					}));
+				if (limitErrors.length > 0) {
+					return rollback(409, {
+						error: "Some items in your cart exceed the quantity limit",
+						limitErrors,
+					});
+				}
+
+				loadVariantOptions(
+					connection,
+					lines.map((line) => line.variantId),
+					(err, variantOptions) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to load cart",
+								details: err.message,
+							});
+						}
+
+						lines.forEach((line) => {
+							line.options = variantOptions[line.variantId] || null;
+						});
+
+						checkout.lines = lines;
+						checkout.priceChanges = priceChanges;
+						checkout.subtotal = totalAmount;
+						applyCoupons();
+					}
+				);
+			});
+		}
+
+		// Re-evaluate the coupons applied to the cart against the final lines.
+		// Coupon rows stay locked so usage limits cannot be overrun.
+		function applyCoupons() {
+			loadCartCoupons(
+				connection,
+				userId,
+				true,
+				(err, { coupons, userRedemptions } = {}) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to load coupons",
+							details: err.message,
+						});
+					}
+
+					const discounts = evaluateCoupons(
+						coupons,
+						checkout.lines,
+						userRedemptions
+					);
+
+					if (discounts.rejected.length > 0) {
+						return rollback(409, {
+							error: "Some coupons in your cart can no longer be applied",
+							rejectedCoupons: discounts.rejected,
+						});
+					}
+
+					checkout.discounts = discounts;
+					applyTax();
+				}
+			);
+		}
+
+		// Tax the discounted lines for the shipping address
+		function applyTax() {
+			loadTaxRates(connection, checkout.addresses.shipping, (err, rates) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to load tax rates",
+						details: err.message,
+					});
+				}
+
+				checkout.tax = calculateTax(
+					checkout.lines,
+					checkout.discounts.lineDiscounts,
+					rates,
+					checkout.addresses.shipping
+				);
+				applyShipping();
+			});
+		}
+
+		// Price the chosen shipping method for the shipping address. Without a
+		// shippingMethodId the order ships without a method, which is only
+		// allowed when no method delivers to the address.
+		function applyShipping() {
+			loadShippingMethods(connection, (err, methods) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to load shipping methods",
+						details: err.message,
+					});
+				}
+
+				const options = quoteShipping(
+					methods,
+					checkout.lines,
+					checkout.addresses.shipping,
+					checkout.discounts.total
+				);
+
+				if (!shippingMethodId) {
+					if (options.length > 0) {
+						return rollback(400, {
+							error: "A shipping method is required",
+							shippingOptions: options,
+						});
+					}
+					checkout.shipping = { methodId: null, name: null, cost: 0 };
+				} else {
+					const option = options.find(
+						(candidate) =>
+							String(candidate.methodId) === String(shippingMethodId)
+					);
+					if (!option) {
+						return rollback(400, {
+							error: "Shipping method is not available for this address",
+							shippingOptions: options,
+						});
+					}
+					checkout.shipping = option;
+				}
+
+				checkout.totalAmount = roundMoney(
+					checkout.tax.total + checkout.shipping.cost
+				);
+				insertOrder();
+			});
+		}
+
+		// Insert the order and its items
+		function insertOrder() {
+			const orderQuery = `
+                INSERT INTO orders 
+                (user_id, order_date, subtotal_amount, discount_amount, tax_amount, 
+                prices_include_tax, shipping_method_id, shipping_method_name, 
+                shipping_amount, total_amount, shipping_address, billing_address) 
+                VALUES (?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+			const orderValues = [
+				userId,
+				checkout.subtotal,
+				checkout.discounts.totalDiscount,
+				checkout.tax.totalTax,
+				checkout.tax.pricesIncludeTax,
+				checkout.shipping.methodId,
+				checkout.shipping.name,
+				checkout.shipping.cost,
+				checkout.totalAmount,
+				JSON.stringify(checkout.addresses.shipping),
+				JSON.stringify(checkout.addresses.billing),
+			];
+
+			connection.query(orderQuery, orderValues, (err, orderResult) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to create order",
+						details: err.message,
+					});
+				}
+
+				checkout.orderId = orderResult.insertId;
+
+				// Prepare order items with server-side prices
+				const orderItemsQuery =
+					"INSERT INTO order_items (order_id, product_id, variant_id, sku, variant_options, quantity, price, discount_amount, tax_rate, tax_amount) VALUES ?";
+				const orderItemsValues = checkout.lines.map((line, index) => [
+					checkout.orderId,
+					line.productId,
+					line.variantId || null,
+					line.sku,
+					line.options ? JSON.stringify(line.options) : null,
+					line.quantity,
+					line.unitPrice,
+					checkout.discounts.lineDiscounts[index],
+					checkout.tax.lines[index].taxRate,
+					checkout.tax.lines[index].taxAmount,
+				]);
+
+				connection.query(orderItemsQuery, [orderItemsValues], (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to add order items",
+							details: err.message,
+						});
+					}
+
+					reserveStock();
+				});
+			});
+		}
+
+		// Decrement stock for every line, recording a sale movement
+		function reserveStock() {
+			const movements = checkout.lines.map((line) => ({
+				productId: line.productId,
+				variantId: line.variantId,
+				quantityChange: -line.quantity,
+				reason: "sale",
+				orderId: checkout.orderId,
+				actorUserId: userId,
+			}));
+
+			applyStockMovements(connection, movements, (err) => {
+				if (err) {
+					return rollback(409, {
+						error: "Failed to reserve stock",
+						details: err.message,
+					});
+				}
+
+				recordInitialStatus();
+			});
+		}
+
+		function recordInitialStatus() {
+			recordOrderStatus(
+				connection,
+				checkout.orderId,
+				null,
+				"pending",
+				userId,
+				null,
+				(err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to record order status",
+							details: err.message,
+						});
+					}
+
+					redeemCoupons();
+				}
+			);
+		}
+
+		function redeemCoupons() {
+			recordCouponRedemptions(
+				connection,
+				checkout.orderId,
+				userId,
+				checkout.discounts.applied,
+				(err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to redeem coupons",
+							details: err.message,
+						});
+					}
+
+					clearCartAndCommit();
+				}
+			);
+		}
+
+		// Remove items and coupons from cart and commit the transaction
+		function clearCartAndCommit() {
+			const removeCartQuery = "DELETE FROM cart WHERE user_id = ?";
+			connection.query(removeCartQuery, [userId], (err) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to clear cart",
+						details: err.message,
+					});
+				}
+
+				const removeCouponsQuery = "DELETE FROM cart_coupons WHERE user_id = ?";
+				connection.query(removeCouponsQuery, [userId], (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to clear cart coupons",
+							details: err.message,
+						});
+					}
+
+					commitTransaction(connection, (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Transaction commit failed",
+								details: err.message,
+							});
+						}
+
+						res.status(200).json({
+							message: "Order placed successfully",
+							orderId: checkout.orderId,
+							status: "pending",
+							subtotal: checkout.subtotal,
+							discountAmount: checkout.discounts.totalDiscount,
+							coupons: checkout.discounts.applied,
+							tax: formatTax(checkout.lines, checkout.tax),
+							shipping: checkout.shipping,
+							totalAmount: checkout.totalAmount,
+							items: checkout.lines,
+							priceChanges: checkout.priceChanges,
+							shippingAddress: checkout.addresses.shipping,
+							billingAddress: checkout.addresses.billing,
+						});
+					});
+				});
+			});
+		}
+	}
+);
+
+// Get User Orders Endpoint
+app.get("/api/orders", authenticate, (req, res) => {
+	const userId = req.user.id;
+
+	// First, get the orders
+	const ordersQuery = `
+        SELECT 
+            o.id AS order_id, 
+            o.order_date, 
+            o.subtotal_amount,
+            o.discount_amount,
+            o.tax_amount,
+            o.prices_include_tax,
+            o.shipping_method_name,
+            o.shipping_amount,
+            o.total_amount,
+            o.status,
+            o.shipping_address,
+            o.billing_address
+        FROM orders o
+        WHERE o.user_id = ?
+        ORDER BY o.order_date DESC
+    `;
+
+	pool.query(ordersQuery, [userId], (err, orderResults) => {
+		if (err) {
+			console.error("Orders Query Error:", err);
+			return res.status(500).json({
+				error: "Failed to retrieve orders",
+				details: err.message,
+			});
+		}
+
+		// If no orders found, return empty array
+		if (orderResults.length === 0) {
+			return res.status(200).json([]);
+		}
+
+		// Prepare to fetch items for each order
+		const orderIds = orderResults.map((order) => order.order_id);
+
+		// Get order items for all orders in one query
+		const itemsQuery = `
+            SELECT 
+                oi.order_id,
+                oi.product_id,
+                oi.variant_id,
+                oi.sku,
+                oi.variant_options,
+                p.name,
+                oi.price,
+                oi.quantity,
+                oi.discount_amount,
+                oi.tax_rate,
+                oi.tax_amount,
+                p.image
+            FROM order_items oi
+            JOIN products p ON oi.product_id = p.id
+            WHERE oi.order_id IN (?)
+        `;
+
+		pool.query(itemsQuery, [orderIds], (itemErr, itemResults) => {
+			if (itemErr) {
+				console.error("Items Query Error:", itemErr);
+				return res.status(500).json({
+					error: "Failed to retrieve order items",
+					details: itemErr.message,
+				});
+			}
+
+			// Group items by order
+			const orderItemsMap = itemResults.reduce((acc, item) => {
+				if (!acc[item.order_id]) {
+					acc[item.order_id] = [];
+				}
+				acc[item.order_id].push({
+					product_id: item.product_id,
+					variant_id: item.variant_id,
+					sku: item.sku,
+					options: item.variant_options,
+					name: item.name,
+					price: parseFloat(item.price),
+					quantity: item.quantity,
+					discount: parseFloat(item.discount_amount),
+					taxRate: parseFloat(item.tax_rate),
+					taxAmount: parseFloat(item.tax_amount),
+					image: item.image,
+				});
+				return acc;
+			}, {});
+
+			fetchStatusHistory(orderIds, (historyErr, historyMap) => {
+				if (historyErr) {
+					console.error("Status History Query Error:", historyErr);
+					return res.status(500).json({
+						error: "Failed to retrieve order status history",
+						details: historyErr.message,
+					});
+				}
+
+				// Combine orders with their items and status history
+				const processedOrders = orderResults.map((order) => ({
+					id: `ORD-${order.order_id}`,
+					date: new Date(order.order_date).toISOString().split("T")[0],
+					subtotal: parseFloat(order.subtotal_amount),
+					discount: parseFloat(order.discount_amount),
+					tax: parseFloat(order.tax_amount),
+					pricesIncludeTax: Boolean(order.prices_include_tax),
+					shipping: {
+						method: order.shipping_method_name,
+						cost: parseFloat(order.shipping_amount),
+					},
+					total: parseFloat(order.total_amount),
+					status: order.status,
+					statusHistory: historyMap[order.order_id] || [],
+					shippingAddress: order.shipping_address,
+					billingAddress: order.billing_address,
+					items: orderItemsMap[order.order_id] || [],
+				}));
+
+				res.status(200).json(processedOrders);
+			});
+		});
+	});
+});
+
+// Single Order Details Endpoint
+app.get("/api/orders/:orderId", authenticate, (req, res) => {
+	const { orderId } = req.params;
+	const userId = req.user.id;
+
+	if (!orderId) {
+		return res.status(400).json({ error: "Order ID is required" });
+	}
+
+	// Extract numeric ID from formatted order ID
+	const numericOrderId = parseOrderId(orderId);
+
+	// First, get the order details
+	const orderQuery = `
+        SELECT 
+            o.id AS order_id, 
+            o.order_date, 
+            o.subtotal_amount,
+            o.discount_amount,
+            o.tax_amount,
+            o.prices_include_tax,
+            o.shipping_method_name,
+            o.shipping_amount,
+            o.total_amount,
+            o.status,
+            o.shipping_address,
+            o.billing_address
+        FROM orders o
+        WHERE o.id = ? AND o.user_id = ?
+    `;
+
+	pool.query(orderQuery, [numericOrderId, userId], (err, orderResults) => {
+		if (err) {
+			console.error("Order Query Error:", err);
+			return res.status(500).json({
+				error: "Failed to retrieve order details",
+				details: err.message,
+			});
+		}
+
+		if (orderResults.length === 0) {
+			return res.status(404).json({ error: "Order not found" });
+		}
+
+		// Get order items
+		const itemsQuery = `
+            SELECT 
+                oi.product_id,
+                oi.variant_id,
+                oi.sku,
+                oi.variant_options,
+                p.name,
+                oi.price,
+                oi.quantity,
+                oi.discount_amount,
+                oi.tax_rate,
+                oi.tax_amount,
+                p.image
+            FROM order_items oi
+            JOIN products p ON oi.product_id = p.id
+            WHERE oi.order_id = ?
+        `;
+
+		pool.query(itemsQuery, [numericOrderId], (itemErr, itemResults) => {
+			if (itemErr) {
+				console.error("Items Query Error:", itemErr);
+				return res.status(500).json({
+					error: "Failed to retrieve order items",
+					details: itemErr.message,
+				});
+			}
+
+			fetchStatusHistory([numericOrderId], (historyErr, historyMap) => {
+				if (historyErr) {
+					console.error("Status History Query Error:", historyErr);
+					return res.status(500).json({
+						error: "Failed to retrieve order status history",
+						details: historyErr.message,
+					});
+				}
+
+				const couponsQuery = `
+                        SELECT co.code, co.type, cr.discount_amount 
+                        FROM coupon_redemptions cr 
+                        JOIN coupons co ON cr.coupon_id = co.id 
+                        WHERE cr.order_id = ?
+                    `;
+
+				pool.query(couponsQuery, [numericOrderId], (couponErr, coupons) => {
+					if (couponErr) {
+						console.error("Coupons Query Error:", couponErr);
+						return res.status(500).json({
+							error: "Failed to retrieve order coupons",
+							details: couponErr.message,
+						});
+					}
+
+					const order = orderResults[0];
+					const processedOrder = {
+						id: order.order_id,
+						date: new Date(order.order_date).toISOString().split("T")[0],
+						subtotal: parseFloat(order.subtotal_amount),
+						discount: parseFloat(order.discount_amount),
+						tax: parseFloat(order.tax_amount),
+						pricesIncludeTax: Boolean(order.prices_include_tax),
+						shipping: {
+							method: order.shipping_method_name,
+							cost: parseFloat(order.shipping_amount),
+						},
+						total: parseFloat(order.total_amount),
+						status: order.status,
+						statusHistory: historyMap[order.order_id] || [],
+						shippingAddress: order.shipping_address,
+						billingAddress: order.billing_address,
+						items: itemResults.map((item) => ({
+							product_id: item.product_id,
+							variant_id: item.variant_id,
+							sku: item.sku,
+							options: item.variant_options,
+							name: item.name,
+							price: parseFloat(item.price),
+							quantity: item.quantity,
+							discount: parseFloat(item.discount_amount),
+							taxRate: parseFloat(item.tax_rate),
+							taxAmount: parseFloat(item.tax_amount),
+							image: item.image,
+						})),
+						coupons: coupons.map((coupon) => ({
+							code: coupon.code,
+							type: coupon.type,
+							discount: parseFloat(coupon.discount_amount),
+						})),
+					};
+
+					res.status(200).json(processedOrder);
+				});
+			});
+		});
+	});
+});
+
+app.put("/api/cart/update-quantity", resolveCart(), (req, res) => {
+	const { productId, quantity } = req.body;
+	const variantId = normalizeVariantId(req.body.variantId);
+	const cart = req.cart;
+
+	if (!productId || quantity === undefined) {
+		return res.status(400).json({
+			error: "Product ID and Quantity are required",
+		});
+	}
+
+	if (variantId === null) {
+		return res.status(400).json({ error: "Invalid variant ID" });
+	}
+
+	// Validate quantity
+	const parsedQuantity = parseQuantity(quantity);
+	if (parsedQuantity === null) {
+		return res.status(400).json({
+			error: "Quantity must be a positive whole number",
+		});
+	}
+
+	// Only items already in the cart can be updated
+	const itemQuery = `
+        SELECT 1 FROM ${cart.table} 
+        WHERE ${cart.ownerColumn} = ? AND product_id = ? AND variant_id = ?
+    `;
+
+	pool.query(itemQuery, [cart.ownerId, productId, variantId], (err, items) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Database error",
+				details: err.message,
+			});
+		}
+
+		if (items.length === 0) {
+			return res.status(404).json({
+				error: "Cart item not found",
+			});
+		}
+
+		// Same checks as adding to the cart, so products that were removed
+		// meanwhile cannot be topped up
+		upsertCartItem(pool, cart, productId, variantId, parsedQuantity, (err) => {
+			if (err) {
+				if (err.statusCode) {
+					return res.status(err.statusCode).json({ error: err.message });
+				}
+				return res.status(500).json({
+					error: "Database error",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json({
+				message: "Cart item quantity updated successfully",
+				updatedQuantity: parsedQuantity,
+			});
+		});
+	});
+});
+
+// Single Product Direct Purchase Endpoint
+// shippingAddressId/billingAddressId default to the user's default addresses.
+// An optional couponCode is applied to this order only.
+// shippingMethodId and Idempotency-Key work as for /api/orders/place.
+app.post(
+	"/api/single-order",
+	authenticate,
+	requireVerifiedEmail,
+	idempotent("orders:single"),
+	(req, res) => {
+		const {
+			productId,
+			shippingAddressId,
+			billingAddressId,
+			couponCode,
+			shippingMethodId,
+		} = req.body;
+		const quantity = parseQuantity(req.body.quantity);
+		const variantId = normalizeVariantId(req.body.variantId);
+		const userId = req.user.id;
+
+		// Validate input
+		if (!productId || quantity === null || variantId === null) {
+			return res.status(400).json({
+				error: "Invalid order data",
+				details: "Product ID and a positive whole Quantity are required",
+			});
+		}
+
+		// State built up by the checkout steps below
+		const checkout = {};
+
+		// Connection of the transaction, set once it has started
+		let connection;
+
+		// Roll back the transaction and send an error response
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		// Roll back with an error from a helper, using its HTTP status if any
+		const rollbackWithError = (err, fallbackMessage) => {
+			rollback(err.statusCode || 500, {
+				error: err.statusCode ? err.message : fallbackMessage,
+				details: err.statusCode ? undefined : err.message,
+			});
+		};
+
+		// Start a database transaction
+		beginTransaction((transactionError, transactionConnection) => {
+			if (transactionError) {
+				console.error("Transaction Start Error:", transactionError);
+				return res.status(500).json({
+					error: "Transaction initialization failed",
+					details: transactionError.message,
+				});
+			}
+
+			connection = transactionConnection;
+
+			loadAddresses();
+		});
+
+		// Snapshot the shipping and billing addresses
+		function loadAddresses() {
+			resolveOrderAddresses(
+				connection,
+				userId,
+				shippingAddressId,
+				billingAddressId,
+				(err, addresses) => {
+					if (err) {
+						return rollbackWithError(err, "Failed to load addresses");
+					}
+
+					checkout.addresses = addresses;
+					loadProduct();
+				}
+			);
+		}
+
+		// Get the product (variant) details, locking the rows for the stock check
+		function loadProduct() {
+			const productQuery = `
+                SELECT 
+                    p.id, 
+                    p.name, 
+                    p.category, 
+                    COALESCE(v.price, p.price) AS price, 
+                    p.weight, 
+                    COALESCE(v.image, p.image) AS image, 
+                    IF(? = 0, p.stock_quantity, v.stock_quantity) AS stock_quantity, 
+                    p.max_per_order, 
+                    v.id AS variant_id, 
+                    v.sku, 
+                    (SELECT COUNT(*) FROM product_variants 
+                        WHERE product_id = p.id AND is_active = TRUE) AS variant_count
+                FROM products p 
+                LEFT JOIN product_variants v 
+                    ON v.id = ? AND v.product_id = p.id AND v.is_active = TRUE 
+                WHERE p.id = ? AND p.is_deleted = FALSE
+                FOR UPDATE
+            `;
+
+			connection.query(
+				productQuery,
+				[variantId, variantId, productId],
+				(productErr, productResults) => {
+					if (productErr || productResults.length === 0) {
+						console.error("Product Fetch Error:", productErr);
+						return rollback(404, {
+							error: "Product not found",
+							details: productErr?.message,
+						});
+					}
+
+					const product = productResults[0];
+					if (variantId && !product.variant_id) {
+						return rollback(404, { error: "Variant not found" });
+					}
+					if (!variantId && product.variant_count > 0) {
+						return rollback(400, {
+							error: "Choose a variant of this product",
+						});
+					}
+
+					const line = {
+						productId: product.id,
+						variantId,
+						sku: product.sku,
+						name: product.name,
+						category: product.category,
+						weight: product.weight,
+						quantity,
+						unitPrice: parseFloat(product.price),
+						lineTotal: roundMoney(parseFloat(product.price) * quantity),
+					};
+
+					const stockErrors = findStockErrors([line], {
+						[cartItemKey(product.id, variantId)]: product.stock_quantity,
+					});
+					if (stockErrors.length > 0) {
+						return rollback(409, {
+							error: "Product is out of stock",
+							stockErrors,
+						});
+					}
+
+					const limit = quantityLimit(product);
+					if (quantity > limit) {
+						return rollback(409, {
+							error: `At most ${limit} of this product can be ordered`,
+							limit,
+						});
+					}
+
+					loadVariantOptions(connection, [variantId], (err, variantOptions) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to load product",
+								details: err.message,
+							});
+						}
+
+						line.options = variantOptions[variantId] || null;
+						checkout.product = product;
+						checkout.line = line;
+						checkout.subtotal = line.lineTotal;
+						applyCoupon();
+					});
+				}
+			);
+		}
+
+		// Evaluate the coupon code, if any, locking the coupon row
+		function applyCoupon() {
+			if (!couponCode) {
+				checkout.discounts = evaluateCoupons([], [checkout.line]);
+				return applyTax();
+			}
+
+			const couponQuery = "SELECT * FROM coupons WHERE code = ? FOR UPDATE";
+			connection.query(
+				couponQuery,
+				[String(couponCode).trim().toUpperCase()],
+				(err, coupons) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to load coupon",
+							details: err.message,
+						});
+					}
+
+					if (coupons.length === 0) {
+						return rollback(404, { error: "Coupon not found" });
+					}
+
+					loadUserRedemptions(connection, userId, (err, userRedemptions) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to load coupon",
+								details: err.message,
+							});
+						}
+
+						const discounts = evaluateCoupons(
+							coupons,
+							[checkout.line],
+							userRedemptions
+						);
+
+						if (discounts.rejected.length > 0) {
+							return rollback(400, {
+								error: "Coupon cannot be applied",
+								reason: discounts.rejected[0].reason,
+							});
+						}
+
+						checkout.discounts = discounts;
+						applyTax();
+					});
+				}
+			);
+		}
+
+		// Tax the discounted line for the shipping address
+		function applyTax() {
+			loadTaxRates(connection, checkout.addresses.shipping, (err, rates) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to load tax rates",
+						details: err.message,
+					});
+				}
+
+				checkout.tax = calculateTax(
+					[checkout.line],
+					checkout.discounts.lineDiscounts,
+					rates,
+					checkout.addresses.shipping
+				);
+				applyShipping();
+			});
+		}
+
+		// Price the chosen shipping method for the shipping address. Without a
+		// shippingMethodId the order ships without a method, which is only
+		// allowed when no method delivers to the address.
+		function applyShipping() {
+			loadShippingMethods(connection, (err, methods) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to load shipping methods",
+						details: err.message,
+					});
+				}
+
+				const options = quoteShipping(
+					methods,
+					[checkout.line],
+					checkout.addresses.shipping,
+					checkout.discounts.total
+				);
+
+				if (!shippingMethodId) {
+					if (options.length > 0) {
+						return rollback(400, {
+							error: "A shipping method is required",
+							shippingOptions: options,
+						});
+					}
+					checkout.shipping = { methodId: null, name: null, cost: 0 };
+				} else {
+					const option = options.find(
+						(candidate) =>
+							String(candidate.methodId) === String(shippingMethodId)
+					);
+					if (!option) {
+						return rollback(400, {
+							error: "Shipping method is not available for this address",
+							shippingOptions: options,
+						});
+					}
+					checkout.shipping = option;
+				}
+
+				checkout.totalAmount = roundMoney(
+					checkout.tax.total + checkout.shipping.cost
+				);
+				insertOrder();
+			});
+		}
+
+		// Insert the order and its single item
+		function insertOrder() {
+			const orderQuery = `
+                INSERT INTO orders 
+                (user_id, order_date, subtotal_amount, discount_amount, tax_amount, 
+                prices_include_tax, shipping_method_id, shipping_method_name, 
+                shipping_amount, total_amount, shipping_address, billing_address) 
+                VALUES (?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+			const orderValues = [
+				userId,
+				checkout.subtotal,
+				checkout.discounts.totalDiscount,
+				checkout.tax.totalTax,
+				checkout.tax.pricesIncludeTax,
+				checkout.shipping.methodId,
+				checkout.shipping.name,
+				checkout.shipping.cost,
+				checkout.totalAmount,
+				JSON.stringify(checkout.addresses.shipping),
+				JSON.stringify(checkout.addresses.billing),
+			];
+
+			connection.query(orderQuery, orderValues, (orderErr, orderResult) => {
+				if (orderErr) {
+					console.error("Order Insert Error:", orderErr);
+					return rollback(500, {
+						error: "Failed to create order",
+						details: orderErr.message,
+					});
+				}
+
+				checkout.orderId = orderResult.insertId;
+
+				// Insert order items
+				const itemQuery = `
+                    INSERT INTO order_items 
+                    (order_id, product_id, variant_id, sku, variant_options, quantity, price, discount_amount, tax_rate, tax_amount) 
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `;
+
+				connection.query(
+					itemQuery,
+					[
+						checkout.orderId,
+						checkout.product.id,
+						variantId || null,
+						checkout.line.sku,
+						checkout.line.options
+							? JSON.stringify(checkout.line.options)
+							: null,
+						quantity,
+						checkout.line.unitPrice,
+						checkout.discounts.lineDiscounts[0],
+						checkout.tax.lines[0].taxRate,
+						checkout.tax.lines[0].taxAmount,
+					],
+					(itemErr) => {
+						if (itemErr) {
+							console.error("Order Item Insert Error:", itemErr);
+							return rollback(500, {
+								error: "Failed to add order item",
+								details: itemErr.message,
+							});
+						}
+
+						reserveStock();
+					}
+				);
+			});
+		}
+
+		// Decrement stock, recording a sale movement
+		function reserveStock() {
+			const movement = {
+				productId: checkout.product.id,
+				variantId,
+				quantityChange: -quantity,
+				reason: "sale",
+				orderId: checkout.orderId,
+				actorUserId: userId,
+			};
+
+			applyStockMovements(connection, [movement], (stockErr) => {
+				if (stockErr) {
+					return rollback(409, {
+						error: "Failed to reserve stock",
+						details: stockErr.message,
+					});
+				}
+
+				recordInitialStatus();
+			});
+		}
+
+		function recordInitialStatus() {
+			recordOrderStatus(
+				connection,
+				checkout.orderId,
+				null,
+				"pending",
+				userId,
+				null,
+				(statusErr) => {
+					if (statusErr) {
+						return rollback(500, {
+							error: "Failed to record order status",
+							details: statusErr.message,
+						});
+					}
+
+					redeemCoupon();
+				}
+			);
+		}
+
+		function redeemCoupon() {
+			recordCouponRedemptions(
+				connection,
+				checkout.orderId,
+				userId,
+				checkout.discounts.applied,
+				(err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to redeem coupon",
+							details: err.message,
+						});
+					}
+
+					commitOrder();
+				}
+			);
+		}
+
+		// Commit the transaction
+		function commitOrder() {
+			commitTransaction(connection, (commitErr) => {
+				if (commitErr) {
+					console.error("Transaction Commit Error:", commitErr);
+					return rollback(500, {
+						error: "Transaction commit failed",
+						details: commitErr.message,
+					});
+				}
+
+				// Successfully created order
+				res.status(201).json({
+					id: `ORD-${checkout.orderId}`,
+					userId,
+					productId: checkout.product.id,
+					quantity,
+					subtotal: checkout.subtotal,
+					discountAmount: checkout.discounts.totalDiscount,
+					coupons: checkout.discounts.applied,
+					tax: formatTax([checkout.line], checkout.tax),
+					shipping: checkout.shipping,
+					totalAmount: checkout.totalAmount,
+					status: "pending",
+					orderDate: new Date().toISOString(),
+					shippingAddress: checkout.addresses.shipping,
+					billingAddress: checkout.addresses.billing,
+					productDetails: {
+						name: checkout.product.name,
+						image: checkout.product.image,
+					},
+				});
+			});
+		}
+	}
+);
+
+// Product images
+// Uploads are kept in memory for resizing. Declared types are checked here
+// and the content again when the image is processed.
+const imageUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+	fileFilter: (req, file, callback) => {
+		if (!isAllowedImageType(file.mimetype)) {
+			return callback(
+				httpError(415, `Unsupported image type: ${file.mimetype}`)
+			);
+		}
+		callback(null, true);
+	},
+});
+
+// Parse the `images` files of a multipart request, answering the request
+// itself when the upload is rejected
+function receiveImages(req, res, callback) {
+	imageUpload.array("images", MAX_IMAGES_PER_UPLOAD)(req, res, (err) => {
+		if (err instanceof multer.MulterError) {
+			if (err.code === "LIMIT_FILE_SIZE") {
+				return res.status(413).json({
+					error: `Images must be at most ${MAX_IMAGE_BYTES} bytes`,
+				});
+			}
+			return res.status(400).json({
+				error: "Invalid upload",
+				details: `${err.message}; send up to ${MAX_IMAGES_PER_UPLOAD} files in the "images" field`,
+			});
+		}
+		if (err) {
+			if (err.statusCode) {
+				return res.status(err.statusCode).json({ error: err.message });
+			}
+			return res
+				.status(500)
+				.json({ error: "Failed to receive upload", details: err.message });
+		}
+
+		if (!req.files || req.files.length === 0) {
+			return res
+				.status(400)
+				.json({ error: 'No images uploaded in the "images" field' });
+		}
+		callback(req.files);
+	});
+}
+
+// Resize and store uploaded files and record them as images, one after the
+// other. Calls back with the new images rows. Images stored before a failing
+// one are left unattached for cleanupOrphanedImages.
+function storeUploadedImages(files, userId, callback) {
+	const rows = [];
+
+	const storeNext = (index) => {
+		if (index === files.length) {
+			return callback(null, rows);
+		}
+
+		const upload = files[index];
+		processImage(upload.buffer, upload.mimetype, (err, processed) => {
+			if (err) {
+				if (err.invalidImage) {
+					return callback(
+						httpError(415, `${upload.originalname}: ${err.message}`)
+					);
+				}
+				return callback(err);
+			}
+
+			let storage;
+			try {
+				storage = getImageStorage();
+			} catch (err) {
+				return callback(err);
+			}
+
+			const key = generateImageKey();
+			saveImageFiles(storage, key, processed.files, (err) => {
+				if (err) {
+					return callback(err);
+				}
+
+				const row = {
+					storage: getStorageName(),
+					storage_key: key,
+					original_name: upload.originalname,
+					content_type: upload.mimetype,
+					size_bytes: upload.size,
+					width: processed.width,
+					height: processed.height,
+					files: processed.files.map((file) => ({
+						name: file.name,
+						file: file.file,
+						width: file.width,
+						height: file.height,
+					})),
+					uploaded_by: userId,
+				};
+
+				pool.query(
+					"INSERT INTO images SET ?",
+					{ ...row, files: JSON.stringify(row.files) },
+					(err, result) => {
+						if (err) {
+							return callback(err);
+						}
+						rows.push({ ...row, id: result.insertId });
+						storeNext(index + 1);
+					}
+				);
+			});
+		});
+	};
+	storeNext(0);
+}
+
+// Gallery of a product in order, images rows with position and alt_text
+function loadProductImages(connection, productId, callback) {
+	const query = `
+        SELECT i.*, pi.position, pi.alt_text 
+        FROM product_images pi 
+        JOIN images i ON pi.image_id = i.id 
+        WHERE pi.product_id = ? 
+        ORDER BY pi.position ASC, pi.image_id ASC
+    `;
+	connection.query(query, [productId], callback);
+}
+
+// Answer with a product's gallery
+function respondWithGallery(res, status, productId) {
+	loadProductImages(pool, productId, (err, images) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Failed to retrieve images",
+				details: err.message,
+			});
+		}
+
+		res.status(status).json({ productId, images: images.map(formatImage) });
+	});
+}
+
+// Point products.image at the first gallery image. When the gallery is
+// empty, an image URL that belonged to one of the removed images is cleared.
+function syncPrimaryImage(connection, productId, removedImages, callback) {
+	loadProductImages(connection, productId, (err, images) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (images.length > 0) {
+			return connection.query(
+				"UPDATE products SET image = ? WHERE id = ?",
+				[primaryImageUrl(images[0]), productId],
+				(err) => callback(err || null)
+			);
+		}
+
+		const removedUrls = [];
+		removedImages.forEach((image) => {
+			removedUrls.push(...Object.values(imageUrls(image)));
+		});
+		if (removedUrls.length === 0) {
+			return callback(null);
+		}
+
+		connection.query(
+			"UPDATE products SET image = NULL WHERE id = ? AND image IN (?)",
+			[productId, removedUrls],
+			(err) => callback(err || null)
+		);
+	});
+}
+
+// Delete the images among rows that no product uses, neither in its gallery
+// nor as a plain image URL on the product or one of its variants. Calls back
+// with the number of images deleted.
+function deleteUnreferencedImages(rows, callback) {
+	if (rows.length === 0) {
+		return callback(null, 0);
+	}
+
+	const galleryQuery =
+		"SELECT DISTINCT image_id FROM product_images WHERE image_id IN (?)";
+	pool.query(galleryQuery, [rows.map((row) => row.id)], (err, galleryRows) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const inGallery = galleryRows.map((row) => row.image_id);
+		const candidates = rows.filter((row) => !inGallery.includes(row.id));
+		const urls = [];
+		candidates.forEach((row) => urls.push(...Object.values(imageUrls(row))));
+		if (candidates.length === 0) {
+			return callback(null, 0);
+		}
+
+		const urlQuery = `
+                SELECT image FROM products WHERE image IN (?) 
+                UNION 
+                SELECT image FROM product_variants WHERE image IN (?)
+            `;
+		pool.query(urlQuery, [urls, urls], (err, usedRows) => {
+			if (err) {
+				return callback(err);
+			}
+
+			const used = usedRows.map((row) => row.image);
+			const orphans = candidates.filter(
+				(row) =>
+					!Object.values(imageUrls(row)).some((url) => used.includes(url))
+			);
+
+			let deleted = 0;
+			const deleteNext = (index) => {
+				if (index === orphans.length) {
+					return callback(null, deleted);
+				}
+
+				removeImageFiles(orphans[index], (err) => {
+					if (err) {
+						return callback(err);
+					}
+					pool.query(
+						"DELETE FROM images WHERE id = ?",
+						[orphans[index].id],
+						(err) => {
+							if (err) {
+								return callback(err);
+							}
+							deleted++;
+							deleteNext(index + 1);
+						}
+					);
+				});
+			};
+			deleteNext(0);
+		});
+	});
+}
+
+// Delete images taken out of a gallery once the response is sent, if no
+// other product uses them
+function deleteUnreferencedImagesInBackground(rows) {
+	deleteUnreferencedImages(rows, (err) => {
+		if (err) {
+			console.error("Failed to clean up images:", err);
+		}
+	});
+}
+
+// Hours an uploaded image may stay unattached before cleanup removes it, so
+// uploads made ahead of a gallery update survive
+const ORPHANED_IMAGE_GRACE_HOURS = parseInt(
+	process.env.ORPHANED_IMAGE_GRACE_HOURS || "24",
+	10
+);
+
+// Delete all images older than the grace period that no product uses
+function cleanupOrphanedImages(callback) {
+	const query = `
+        SELECT i.* 
+        FROM images i 
+        LEFT JOIN product_images pi ON pi.image_id = i.id 
+        WHERE pi.image_id IS NULL AND i.created_at < NOW() - INTERVAL ? HOUR
+    `;
+	pool.query(query, [ORPHANED_IMAGE_GRACE_HOURS], (err, rows) => {
+		if (err) {
+			return callback(err);
+		}
+		deleteUnreferencedImages(rows, callback);
+	});
+}
+
+//  add product
+// Add Product Endpoint
+app.post(
+	"/api/products/add",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		try {
+			const {
+				name,
+				category,
+				categoryId,
+				description,
+				fullDescription,
+				price,
+				image,
+				lowStockThreshold,
+				weight,
+				maxPerOrder,
+				specifications,
+			} = req.body;
+
+			console.log("Request Method:", req.method); // Should be POST
+			// Validate required fields
+			if (!name || !(category || categoryId) || !price) {
+				return res.status(400).json({
+					error:
+						"Missing required fields: name, categoryId (or category), and price are required.",
+				});
+			}
+
+			resolveProductCategory(categoryId, category, (err, productCategory) => {
+				if (err) {
+					if (err.statusCode) {
+						return res.status(err.statusCode).json({ error: err.message });
+					}
+					return res
+						.status(500)
+						.json({ error: "Failed to add product", details: err.message });
+				}
+
+				// Specifications must follow the category's schema
+				checkProductSpecifications(
+					productCategory.id,
+					specifications,
+					(err, specs) => {
+						if (err) {
+							if (err.statusCode) {
+								return res
+									.status(err.statusCode)
+									.json({ error: err.message, errors: err.errors });
+							}
+							return res
+								.status(500)
+								.json({ error: "Failed to add product", details: err.message });
+						}
+
+						// Insert query
+						const insertQuery = `
+			INSERT INTO products 
+			(name, category, category_id, description, fullDescription, price, image, low_stock_threshold, weight, max_per_order, specifications) 
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`;
+
+						const values = [
+							name,
+							productCategory.name,
+							productCategory.id,
+							description || null,
+							fullDescription || null,
+							price,
+							image || null,
+							lowStockThreshold !== undefined ? lowStockThreshold : 5,
+							weight !== undefined ? weight : null,
+							maxPerOrder !== undefined ? maxPerOrder : null,
+							specs.values.length > 0
+								? JSON.stringify(specs.specifications)
+								: null,
+						];
+
+						// Execute the insert query
+						pool.query(insertQuery, values, (err, result) => {
+							if (err) {
+								console.error("Database insertion error:", err);
+								console.log("Failed to add product");
+								return res.status(500).json({
+									error: "Failed to add product",
+									details: err.message,
+								});
+							}
+
+							saveProductSpecValues(result.insertId, specs.values, (err) => {
+								if (err) {
+									console.error("Failed to save specification values:", err);
+									return res.status(500).json({
+										error: "Failed to save product specifications",
+										details: err.message,
+									});
+								}
+
+								// Respond with the newly created product ID
+								res.status(201).json({
+									message: "Product added successfully",
+									productId: result.insertId,
+								});
+								reindexProductInBackground(result.insertId);
+								console.log("Product added successfully");
+							});
+						});
+					}
+				);
+			});
+		} catch (error) {
+			console.error("Server error:", error);
+			res.status(500).json({
+				error: "Internal server error",
+				details: error.message,
+			});
+		}
+	}
+);
+
+// DELETE product route
+// Soft Delete product route
+app.put(
+	"/api/products/delete/:id",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = req.params.id;
+
+		// Soft delete query - update is_deleted to TRUE instead of actually deleting
+		const query = "UPDATE products SET is_deleted = TRUE WHERE id = ?";
+
+		pool.query(query, [productId], (err, result) => {
+			if (err) {
+				console.error("Error soft deleting product:", err);
+				return res.status(500).json({
+					error: "Failed to delete product",
+					details: err.message,
+				});
+			}
+
+			if (result.affectedRows === 0) {
+				return res.status(404).json({ error: "Product not found" });
+			}
+
+			res.json({
+				message: "Product marked as deleted",
+				productId: productId,
+			});
+			reindexProductInBackground(productId);
+		});
+	}
+);
+
+// GET single product by ID
+app.get("/api/products/:id", (req, res) => {
+	const productId = req.params.id;
+
+	const query = "SELECT * FROM products WHERE id = ?";
+
+	pool.query(query, [productId], (err, results) => {
+		if (err) {
+			console.error("Error fetching product:", err);
+			return res.status(500).json({
+				error: "Failed to fetch product",
+				details: err.message,
+			});
+		}
+
+		if (results.length === 0) {
+			return res.status(404).json({ error: "Product not found" });
+		}
+
+		// Process the product (parse specifications if needed). Specifications
+		// written before they were validated can be invalid JSON; those are
+		// returned as the stored text and flagged instead of being dropped.
+		const product = results[0];
+		let specificationsInvalid = false;
+		if (product.specifications && typeof product.specifications === "string") {
+			try {
+				product.specifications = JSON.parse(product.specifications);
+			} catch (parseError) {
+				console.error(
+					`Failed to parse specifications of product ${product.id}:`,
+					parseError
+				);
+				specificationsInvalid = true;
+			}
+		}
+
+		loadProductVariants(pool, product, (err, matrix) => {
+			if (err) {
+				console.error("Error fetching product variants:", err);
+				return res.status(500).json({
+					error: "Failed to fetch product",
+					details: err.message,
+				});
+			}
+
+			const respond = (fields) => {
+				loadProductImages(pool, product.id, (err, images) => {
+					if (err) {
+						console.error("Error fetching product images:", err);
+						return res.status(500).json({
+							error: "Failed to fetch product",
+							details: err.message,
+						});
+					}
+
+					res.json({
+						...product,
+						images: images.map(formatImage),
+						specificationsInvalid,
+						specificationFields: fields.map(formatSpecField),
+						...matrix,
+					});
+				});
+			};
+
+			if (!product.category_id) {
+				return respond([]);
+			}
+
+			loadSpecSchema(product.category_id, (err, fields) => {
+				if (err) {
+					console.error("Error fetching specification fields:", err);
+					return res.status(500).json({
+						error: "Failed to fetch product",
+						details: err.message,
+					});
+				}
+				respond(fields);
+			});
+		});
+	});
+});
+
+// UPDATE product route
+app.put(
+	"/api/products/update/:id",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = req.params.id;
+		const {
+			name,
+			category,
+			categoryId,
+			description,
+			fullDescription,
+			price,
+			image,
+			lowStockThreshold,
+			weight,
+			maxPerOrder,
+			specifications,
+		} = req.body;
+		const query = `
+        UPDATE products 
+        SET 
+            name = ?, 
+            category = COALESCE(?, category), 
+            category_id = COALESCE(?, category_id), 
+            description = ?, 
+            fullDescription = ?, 
+            price = ?, 
+            image = ?,
+            low_stock_threshold = COALESCE(?, low_stock_threshold),
+            weight = COALESCE(?, weight),
+            max_per_order = COALESCE(?, max_per_order),
+            specifications = IF(?, ?, specifications)
+
+        WHERE id = ?
+    `;
+
+		resolveProductCategory(categoryId, category, (err, productCategory) => {
+			if (err) {
+				if (err.statusCode) {
+					return res.status(err.statusCode).json({ error: err.message });
+				}
+				return res
+					.status(500)
+					.json({ error: "Failed to update product", details: err.message });
+			}
+
+			checkSpecifications(productCategory, (err, specs) => {
+				if (err) {
+					if (err.statusCode) {
+						return res
+							.status(err.statusCode)
+							.json({ error: err.message, errors: err.errors });
+					}
+					return res
+						.status(500)
+						.json({ error: "Failed to update product", details: err.message });
+				}
+
+				const values = [
+					name,
+					productCategory ? productCategory.name : null,
+					productCategory ? productCategory.id : null,
+					description,
+					fullDescription,
+					price,
+					image,
+					lowStockThreshold !== undefined ? lowStockThreshold : null,
+					weight !== undefined ? weight : null,
+					maxPerOrder !== undefined ? maxPerOrder : null,
+					Boolean(specs),
+					specs && specs.values.length > 0
+						? JSON.stringify(specs.specifications)
+						: null,
+					productId,
+				];
+
+				pool.query(query, values, (err, result) => {
+					if (err) {
+						console.error("Error updating product:", err);
+						return res.status(500).json({
+							error: "Failed to update product",
+							details: err.message,
+						});
+					}
+
+					if (result.affectedRows === 0) {
+						return res.status(404).json({ error: "Product not found" });
+					}
+
+					saveSpecValues(specs, (err) => {
+						if (err) {
+							console.error("Failed to save specification values:", err);
+							return res.status(500).json({
+								error: "Failed to save product specifications",
+								details: err.message,
+							});
+						}
+
+						res.json({
+							message: "Product updated successfully",
+							productId: productId,
+						});
+						reindexProductInBackground(productId);
+
+						// Tell customers watching this product about a lower price
+						if (price !== undefined) {
+							notifyWishlistPriceDrops(productId, (err) => {
+								if (err) {
+									console.error(
+										"Failed to send price drop notifications:",
+										err
+									);
+								}
+							});
+						}
+					});
+				});
+			});
+		});
+
+		// Specifications are checked when they are given or the product moves
+		// to another category; the stored ones are checked against the new
+		// category's schema when only the category changes. Calls back with
+		// null when there is nothing to check.
+		function checkSpecifications(productCategory, callback) {
+			if (specifications === undefined && !productCategory) {
+				return callback(null, null);
+			}
+
+			const productQuery =
+				"SELECT category_id, specifications FROM products WHERE id = ?";
+			pool.query(productQuery, [productId], (err, results) => {
+				if (err) {
+					return callback(err);
+				}
+				if (results.length === 0) {
+					return callback(httpError(404, "Product not found"));
+				}
+
+				const current = results[0];
+				const targetCategoryId = productCategory
+					? productCategory.id
+					: current.category_id;
+				if (
+					specifications === undefined &&
+					targetCategoryId === current.category_id
+				) {
+					return callback(null, null);
+				}
+
+				let input = specifications;
+				if (input === undefined) {
+					try {
+						input = current.specifications
+							? JSON.parse(current.specifications)
+							: null;
+					} catch (parseError) {
+						return callback(
+							httpError(
+								400,
+								"Stored specifications are not valid JSON; send specifications with the new category"
+							)
+						);
+					}
+				}
+
+				checkProductSpecifications(targetCategoryId, input, callback);
+			});
+		}
+
+		function saveSpecValues(specs, callback) {
+			if (!specs) {
+				return callback(null);
+			}
+			saveProductSpecValues(productId, specs.values, callback);
+		}
+	}
+);
+
+// Payments
+// Pay for a pending order. The payment is authorized with the provider and,
+// unless PAYMENT_CAPTURE=manual, captured right away; the order only becomes
+// paid once the capture succeeds.
+// paymentMethod: provider-specific, e.g. { token } for the mock gateway
+app.post("/api/orders/:orderId/payments", authenticate, (req, res) => {
+	const orderId = parseOrderId(req.params.orderId);
+	const { paymentMethod } = req.body;
+	const currency = process.env.CURRENCY || "USD";
+
+	let providerName;
+	try {
+		providerName = getPaymentProvider().name;
+	} catch (err) {
+		return res
+			.status(500)
+			.json({ error: "Payments are not configured", details: err.message });
+	}
+
+	// Create the payment record first, so concurrent attempts for the same
+	// order are refused while this one talks to the provider
+	beginTransaction((err, connection) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Transaction start failed",
+				details: err.message,
+			});
+		}
+
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		const orderQuery =
+			"SELECT id, status, total_amount FROM orders WHERE id = ? AND user_id = ? FOR UPDATE";
+		connection.query(orderQuery, [orderId, req.user.id], (err, orders) => {
+			if (err) {
+				return rollback(500, { error: "Database error", details: err.message });
+			}
+
+			if (orders.length === 0) {
+				return rollback(404, { error: "Order not found" });
+			}
+
+			if (orders[0].status !== "pending") {
+				return rollback(409, {
+					error: `Order is ${orders[0].status} and cannot be paid`,
+				});
+			}
+
+			const openQuery = `
+                SELECT id, status FROM payments 
+                WHERE order_id = ? AND status IN ('pending', 'authorized', 'captured')
+            `;
+			connection.query(openQuery, [orderId], (err, openPayments) => {
+				if (err) {
+					return rollback(500, {
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				if (openPayments.length > 0) {
+					return rollback(409, {
+						error: "A payment for this order is already in progress",
+						paymentId: openPayments[0].id,
+						paymentStatus: openPayments[0].status,
+					});
+				}
+
+				const insertQuery = `
+                    INSERT INTO payments (order_id, provider, amount, currency) 
+                    VALUES (?, ?, ?, ?)
+                `;
+				const amount = parseFloat(orders[0].total_amount);
+				connection.query(
+					insertQuery,
+					[orderId, providerName, amount, currency],
+					(err, result) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to create payment",
+								details: err.message,
+							});
+						}
+
+						commitTransaction(connection, (err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Transaction commit failed",
+									details: err.message,
+								});
+							}
+
+							authorize({
+								id: result.insertId,
+								order_id: orderId,
+								provider: providerName,
+								amount,
+								currency,
+							});
+						});
+					}
+				);
+			});
+		});
+	});
+
+	function authorize(payment) {
+		callPaymentProvider(
+			"authorize",
+			[{ amount: payment.amount, currency, orderId, paymentMethod }],
+			(err, result) => {
+				if (err) {
+					const failed = err.result || {};
+					const failQuery = `
+                        UPDATE payments 
+                        SET status = 'failed', provider_reference = ?, failure_reason = ? 
+                        WHERE id = ?
+                    `;
+					return pool.query(
+						failQuery,
+						[failed.reference || null, err.message, payment.id],
+						() => {
+							res.status(err.statusCode || 502).json({
+								error: "Payment failed",
+								reason: err.message,
+								paymentId: payment.id,
+							});
+						}
+					);
+				}
+
+				const authorizedQuery = `
+                    UPDATE payments 
+                    SET status = 'authorized', provider_reference = ? 
+                    WHERE id = ?
+                `;
+				pool.query(authorizedQuery, [result.reference, payment.id], (err) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to record payment",
+							details: err.message,
+						});
+					}
+
+					payment.provider_reference = result.reference;
+
+					if (!isAutoCapture()) {
+						return res.status(200).json({
+							message: "Payment authorized",
+							paymentId: payment.id,
+							paymentStatus: "authorized",
+							orderStatus: "pending",
+						});
+					}
+
+					capture(payment);
+				});
+			}
+		);
+	}
+
+	function capture(payment) {
+		capturePayment(payment, req.user.id, (err) => {
+			if (err) {
+				return res.status(err.statusCode || 500).json({
+					error: "Payment capture failed",
+					reason: err.message,
+					paymentId: payment.id,
+					paymentStatus: "authorized",
+				});
+			}
+
+			res.status(200).json({
+				message: "Payment captured",
+				paymentId: payment.id,
+				paymentStatus: "captured",
+				orderStatus: "paid",
+			});
+		});
+	}
+});
+
+// List the payments made for one of the user's orders
+app.get("/api/orders/:orderId/payments", authenticate, (req, res) => {
+	const orderId = parseOrderId(req.params.orderId);
+
+	const query = `
+        SELECT p.* 
+        FROM payments p 
+        JOIN orders o ON p.order_id = o.id 
+        WHERE p.order_id = ? AND o.user_id = ? 
+        ORDER BY p.created_at ASC
+    `;
+
+	pool.query(query, [orderId, req.user.id], (err, results) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Failed to retrieve payments",
+				details: err.message,
+			});
+		}
+
+		res.status(200).json(results.map(formatPayment));
+	});
+});
+
+// Provider webhooks. Events are verified with the provider's signature and
+// recorded by event ID, so redelivered events are acknowledged without being
+// applied twice. For payment.refunded the amount is the total refunded so far.
+app.post("/api/payments/webhooks/:provider", (req, res) => {
+	let provider;
+	try {
+		provider = getPaymentProvider();
+	} catch (err) {
+		return res
+			.status(500)
+			.json({ error: "Payments are not configured", details: err.message });
+	}
+
+	if (req.params.provider !== provider.name) {
+		return res.status(404).json({ error: "Unknown payment provider" });
+	}
+
+	if (!provider.verifyWebhook(req.headers, req.rawBody)) {
+		return res.status(401).json({ error: "Invalid webhook signature" });
+	}
+
+	const event = provider.parseWebhook(req.body);
+	if (!event.eventId || !event.type) {
+		return res.status(400).json({ error: "Malformed webhook event" });
+	}
+
+	// Acknowledge events we do not act on so the provider stops resending them
+	if (!WEBHOOK_EVENT_TYPES.includes(event.type)) {
+		return res.status(200).json({ received: true, ignored: true });
+	}
+
+	// Connection of the transaction, set once it has started
+	let connection;
+
+	// Roll back the transaction and send an error response
+	const rollback = (status, body) => {
+		rollbackTransaction(connection, () => {
+			res.status(status).json(body);
+		});
+	};
+
+	beginTransaction((err, transactionConnection) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Transaction start failed",
+				details: err.message,
+			});
+		}
+
+		connection = transactionConnection;
+
+		const paymentQuery =
+			"SELECT * FROM payments WHERE provider = ? AND provider_reference = ? FOR UPDATE";
+		connection.query(
+			paymentQuery,
+			[provider.name, event.reference],
+			(err, payments) => {
+				if (err) {
+					return rollback(500, {
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				const payment = payments[0] || null;
+				const eventQuery = `
+                    INSERT INTO payment_webhook_events 
+                    (provider, event_id, type, payment_id, payload) 
+                    VALUES (?, ?, ?, ?, ?)
+                `;
+				connection.query(
+					eventQuery,
+					[
+						provider.name,
+						event.eventId,
+						event.type,
+						payment ? payment.id : null,
+						JSON.stringify(req.body),
+					],
+					(err) => {
+						if (err && err.code === "ER_DUP_ENTRY") {
+							return rollback(200, { received: true, duplicate: true });
+						}
+						if (err) {
+							return rollback(500, {
+								error: "Failed to record webhook event",
+								details: err.message,
+							});
+						}
+
+						if (!payment) {
+							return commit({ received: true, ignored: true });
+						}
+
+						applyEvent(payment, (err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Failed to process webhook event",
+									details: err.message,
+								});
+							}
+							commit({ received: true });
+						});
+					}
+				);
+			}
+		);
+	});
+
+	function applyEvent(payment, callback) {
+		switch (event.type) {
+			case "payment.captured":
+				return markPaymentCaptured(
+					connection,
+					payment,
+					event.amount !== null ? event.amount : parseFloat(payment.amount),
+					null,
+					callback
+				);
+			case "payment.failed":
+				return connection.query(
+					"UPDATE payments SET status = 'failed' WHERE id = ? AND status IN ('pending', 'authorized')",
+					[payment.id],
+					(err) => callback(err || null)
+				);
+			case "payment.voided":
+				return connection.query(
+					"UPDATE payments SET status = 'voided' WHERE id = ? AND status = 'authorized'",
+					[payment.id],
+					(err) => callback(err || null)
+				);
+			default: {
+				const refundQuery = `
+                    UPDATE payments 
+                    SET refunded_amount = GREATEST(refunded_amount, ?), 
+                        status = IF(refunded_amount >= captured_amount, 'refunded', 'partially_refunded') 
+                    WHERE id = ? AND status IN ('captured', 'partially_refunded')
+                `;
+				return connection.query(
+					refundQuery,
+					[event.amount || 0, payment.id],
+					(err) => callback(err || null)
+				);
+			}
+		}
+	}
+
+	function commit(body) {
+		commitTransaction(connection, (err) => {
+			if (err) {
+				return rollback(500, {
+					error: "Transaction commit failed",
+					details: err.message,
+				});
+			}
+			res.status(200).json(body);
+		});
+	}
+});
+
+// Order cancellation and refunds
+// Customer cancels their own order. Only orders that have not shipped yet can
+// be cancelled; reserved stock is released.
+app.post("/api/orders/:orderId/cancel", authenticate, (req, res) => {
+	const orderId = parseOrderId(req.params.orderId);
+	const { reason } = req.body;
+
+	beginTransaction((err, connection) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Transaction start failed",
+				details: err.message,
+			});
+		}
+
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		const ownerQuery =
+			"SELECT id, status FROM orders WHERE id = ? AND user_id = ? FOR UPDATE";
+		connection.query(ownerQuery, [orderId, req.user.id], (err, results) => {
+			if (err) {
+				return rollback(500, {
+					error: "Database error",
+					details: err.message,
+				});
+			}
+
+			if (results.length === 0) {
+				return rollback(404, { error: "Order not found" });
+			}
+
+			if (!canTransition(results[0].status, "cancelled")) {
+				return rollback(409, {
+					error: `Orders that are ${results[0].status} can no longer be cancelled`,
+				});
+			}
+
+			cancelOrder(
+				connection,
+				orderId,
+				req.user.id,
+				reason,
+				(err, transition) => {
+					if (err) {
+						return rollback(err.statusCode || 500, {
+							error: err.statusCode ? err.message : "Failed to cancel order",
+							details: err.statusCode ? undefined : err.message,
+						});
+					}
+
+					commitTransaction(connection, (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Transaction commit failed",
+								details: err.message,
+							});
+						}
+
+						// Money is only released once the cancellation is committed
+						respondAfterSettlements(transition.settlementIds, (settlements) => {
+							res.status(200).json({
+								message: "Order cancelled successfully",
+								id: `ORD-${orderId}`,
+								status: "cancelled",
+								paymentSettlements: settlements,
+							});
+						});
+					});
+				}
+			);
+		});
+	});
+});
+
+// Quantities per order line already covered by open or approved refunds
+function fetchClaimedRefundQuantities(connection, orderId, callback) {
+	const query = `
+        SELECT rri.order_item_id, SUM(rri.quantity) AS quantity
+        FROM refund_request_items rri
+        JOIN refund_requests rr ON rri.refund_request_id = rr.id
+        WHERE rr.order_id = ? AND rr.status IN ('requested', 'approved')
+        GROUP BY rri.order_item_id
+    `;
+
+	connection.query(query, [orderId], (err, results) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const claimed = {};
+		results.forEach((row) => {
+			claimed[row.order_item_id] = parseInt(row.quantity, 10);
+		});
+		callback(null, claimed);
+	});
+}
+
+// Customer requests a refund/return for some or all lines of a delivered order
+// Body: { reason, comment, items: [{ orderItemId, quantity }] }
+app.post("/api/orders/:orderId/refund-requests", authenticate, (req, res) => {
+	const orderId = parseOrderId(req.params.orderId);
+	const { reason, comment, items = [] } = req.body;
+
+	if (!isValidRefundReason(reason)) {
+		return res.status(400).json({
+			error: "Invalid refund reason",
+			allowedReasons: REFUND_REASONS,
+		});
+	}
+
+	if (!Array.isArray(items)) {
+		return res.status(400).json({ error: "Items must be an array" });
+	}
+
+	// Connection of the transaction, set once it has started
+	let connection;
+
+	// Roll back the transaction and send an error response
+	const rollback = (status, body) => {
+		rollbackTransaction(connection, () => {
+			res.status(status).json(body);
+		});
+	};
+
+	beginTransaction((err, transactionConnection) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Transaction start failed",
+				details: err.message,
+			});
+		}
+
+		connection = transactionConnection;
+
+		const orderQuery =
+			"SELECT id, status FROM orders WHERE id = ? AND user_id = ? FOR UPDATE";
+		connection.query(orderQuery, [orderId, req.user.id], (err, orders) => {
+			if (err) {
+				return rollback(500, {
+					error: "Database error",
+					details: err.message,
+				});
+			}
+
+			if (orders.length === 0) {
+				return rollback(404, { error: "Order not found" });
+			}
+
+			if (orders[0].status !== "delivered") {
+				return rollback(409, {
+					error: "Refunds can only be requested for delivered orders",
+				});
+			}
+
+			const itemsQuery = `
+                SELECT 
+                    oi.id, 
+                    oi.product_id, 
+                    oi.variant_id, 
+                    oi.quantity, 
+                    oi.price, 
+                    oi.discount_amount, 
+                    oi.tax_amount, 
+                    o.prices_include_tax 
+                FROM order_items oi 
+                JOIN orders o ON oi.order_id = o.id 
+                WHERE oi.order_id = ?
+            `;
+			connection.query(itemsQuery, [orderId], (err, orderItems) => {
+				if (err) {
+					return rollback(500, {
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				fetchClaimedRefundQuantities(connection, orderId, (err, claimed) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					const { lines, errors, amount } = buildRefundLines(
+						orderItems,
+						claimed,
+						items
+					);
+
+					if (errors.length > 0) {
+						return rollback(400, {
+							error: "Invalid refund items",
+							itemErrors: errors,
+						});
+					}
+
+					if (lines.length === 0) {
+						return rollback(409, {
+							error: "All items of this order are already refunded or pending",
+						});
+					}
+
+					insertRefundRequest(lines, amount);
+				});
+			});
+		});
+	});
+
+	function insertRefundRequest(lines, amount) {
+		const requestQuery = `
+            INSERT INTO refund_requests 
+            (order_id, user_id, reason, comment, requested_amount) 
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+		connection.query(
+			requestQuery,
+			[orderId, req.user.id, reason, comment || null, amount],
+			(err, result) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to create refund request",
+						details: err.message,
+					});
+				}
+
+				const refundRequestId = result.insertId;
+				const itemsQuery =
+					"INSERT INTO refund_request_items (refund_request_id, order_item_id, quantity, amount, tax_amount) VALUES ?";
+				const values = lines.map((line) => [
+					refundRequestId,
+					line.orderItemId,
+					line.quantity,
+					line.amount,
+					line.taxAmount,
+				]);
+
+				connection.query(itemsQuery, [values], (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to create refund request",
+							details: err.message,
+						});
+					}
+
+					commitTransaction(connection, (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Transaction commit failed",
+								details: err.message,
+							});
+						}
+
+						res.status(201).json({
+							message: "Refund request submitted",
+							refundRequestId,
+							status: "requested",
+							requestedAmount: amount,
+							items: lines,
+						});
+					});
+				});
+			}
+		);
+	}
+});
+
+// Load refund requests with their lines, newest first
+function fetchRefundRequests(whereClause, params, callback) {
+	const requestsQuery = `
+        SELECT 
+            rr.id,
+            rr.order_id,
+            rr.user_id,
+            rr.status,
+            rr.reason,
+            rr.comment,
+            rr.requested_amount,
+            rr.approved_amount,
+            rr.review_note,
+            rr.reviewed_at,
+            rr.created_at
+        FROM refund_requests rr
+        WHERE ${whereClause}
+        ORDER BY rr.created_at DESC
+    `;
+
+	pool.query(requestsQuery, params, (err, requests) => {
+		if (err) {
+			return callback(err);
+		}
+
+		if (requests.length === 0) {
+			return callback(null, []);
+		}
+
+		const itemsQuery = `
+            SELECT 
+                rri.refund_request_id,
+                rri.order_item_id,
+                oi.product_id,
+                p.name,
+                rri.quantity,
+                rri.amount,
+                rri.tax_amount
+            FROM refund_request_items rri
+            JOIN order_items oi ON rri.order_item_id = oi.id
+            JOIN products p ON oi.product_id = p.id
+            WHERE rri.refund_request_id IN (?)
+        `;
+
+		pool.query(
+			itemsQuery,
+			[requests.map((request) => request.id)],
+			(err, items) => {
+				if (err) {
+					return callback(err);
+				}
+
+				const itemsMap = items.reduce((acc, item) => {
+					if (!acc[item.refund_request_id]) {
+						acc[item.refund_request_id] = [];
+					}
+					acc[item.refund_request_id].push({
+						orderItemId: item.order_item_id,
+						productId: item.product_id,
+						name: item.name,
+						quantity: item.quantity,
+						amount: parseFloat(item.amount),
+						taxAmount: parseFloat(item.tax_amount),
+					});
+					return acc;
+				}, {});
+
+				callback(
+					null,
+					requests.map((request) => ({
+						id: request.id,
+						orderId: `ORD-${request.order_id}`,
+						userId: request.user_id,
+						status: request.status,
+						reason: request.reason,
+						comment: request.comment,
+						requestedAmount: parseFloat(request.requested_amount),
+						approvedAmount:
+							request.approved_amount === null
+								? null
+								: parseFloat(request.approved_amount),
+						reviewNote: request.review_note,
+						reviewedAt: request.reviewed_at,
+						createdAt: request.created_at,
+						items: itemsMap[request.id] || [],
+					}))
+				);
+			}
+		);
+	});
+}
+
+// Refund requests the customer raised for one of their orders
+app.get("/api/orders/:orderId/refund-requests", authenticate, (req, res) => {
+	const orderId = parseOrderId(req.params.orderId);
+
+	fetchRefundRequests(
+		"rr.order_id = ? AND rr.user_id = ?",
+		[orderId, req.user.id],
+		(err, requests) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve refund requests",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(requests);
+		}
+	);
+});
+
+// Admin: user roles
+// Grant a role to a user
+app.post(
+	"/api/admin/users/:id/roles",
+	authenticate,
+	requirePermission("roles:manage"),
+	(req, res) => {
+		const targetUserId = parseInt(req.params.id, 10);
+		const { role } = req.body;
+
+		if (!isValidRole(role)) {
+			return res.status(400).json({
+				error: "Invalid role",
+				allowedRoles: ROLES,
+			});
+		}
+
+		// Admins cannot demote themselves by granting a lesser role
+		if (targetUserId === req.user.id && role !== "admin") {
+			return res
+				.status(400)
+				.json({ error: "You cannot change your own admin role" });
+		}
+
+		const query = "UPDATE users SET role = ? WHERE id = ?";
+		pool.query(query, [role, targetUserId], (err, result) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (result.affectedRows === 0) {
+				return res.status(404).json({ error: "User not found" });
+			}
+
+			res.status(200).json({
+				message: "Role granted successfully",
+				userId: targetUserId,
+				role,
+			});
+		});
+	}
+);
+
+// Revoke a role from a user, returning them to the customer role
+app.delete(
+	"/api/admin/users/:id/roles/:role",
+	authenticate,
+	requirePermission("roles:manage"),
+	(req, res) => {
+		const targetUserId = parseInt(req.params.id, 10);
+		const { role } = req.params;
+
+		if (!isValidRole(role) || role === "customer") {
+			return res.status(400).json({
+				error: "Only staff and admin roles can be revoked",
+			});
+		}
+
+		if (targetUserId === req.user.id) {
+			return res.status(400).json({ error: "You cannot revoke your own role" });
+		}
+
+		const query =
+			"UPDATE users SET role = 'customer' WHERE id = ? AND role = ?";
+		pool.query(query, [targetUserId, role], (err, result) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (result.affectedRows === 0) {
+				return res
+					.status(404)
+					.json({ error: "User not found or does not hold this role" });
+			}
+
+			res.status(200).json({
+				message: "Role revoked successfully",
+				userId: targetUserId,
+				role: "customer",
+			});
+		});
+	}
+);
+
+// Admin: inventory
+// Adjust a product's stock by a signed quantity with a reason code. Products
+// with variants are stocked per variant, so variantId is required for them.
+app.post(
+	"/api/admin/products/:id/stock",
+	authenticate,
+	requirePermission("inventory:write"),
+	(req, res) => {
+		const productId = parseInt(req.params.id, 10);
+		const quantityChange = parseInt(req.body.quantityChange, 10);
+		const variantId = normalizeVariantId(req.body.variantId);
+		const { reason, note } = req.body;
+
+		if (!quantityChange) {
+			return res
+				.status(400)
+				.json({ error: "quantityChange must be a non-zero integer" });
+		}
+
+		if (variantId === null) {
+			return res.status(400).json({ error: "variantId must be a variant id" });
+		}
+
+		if (!isManualStockReason(reason)) {
+			return res.status(400).json({
+				error: "Invalid reason code",
+				allowedReasons: MANUAL_STOCK_REASONS,
+			});
+		}
+
+		beginTransaction((err, connection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			const rollback = (status, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(status).json(body);
+				});
+			};
+
+			const productQuery = `
+                SELECT 
+                    p.id, 
+                    IF(? = 0, p.stock_quantity, v.stock_quantity) AS stock_quantity, 
+                    v.id AS variant_id, 
+                    (SELECT COUNT(*) FROM product_variants 
+                        WHERE product_id = p.id) AS variant_count
+                FROM products p 
+                LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id 
+                WHERE p.id = ? 
+                FOR UPDATE
+            `;
+			connection.query(
+				productQuery,
+				[variantId, variantId, productId],
+				(err, results) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					if (results.length === 0) {
+						return rollback(404, { error: "Product not found" });
+					}
+
+					if (variantId && !results[0].variant_id) {
+						return rollback(404, { error: "Variant not found" });
+					}
+
+					if (!variantId && results[0].variant_count > 0) {
+						return rollback(400, {
+							error: "variantId is required for products with variants",
+						});
+					}
+
+					const newQuantity = results[0].stock_quantity + quantityChange;
+					if (newQuantity < 0) {
+						return rollback(400, {
+							error: "Stock cannot go below zero",
+							currentStock: results[0].stock_quantity,
+						});
+					}
+
+					const movement = {
+						productId,
+						variantId,
+						quantityChange,
+						reason,
+						actorUserId: req.user.id,
+						note,
+					};
+
+					applyStockMovements(connection, [movement], (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to adjust stock",
+								details: err.message,
+							});
+						}
+
+						commitTransaction(connection, (err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Transaction commit failed",
+									details: err.message,
+								});
+							}
+
+							res.status(200).json({
+								message: "Stock adjusted successfully",
+								productId,
+								variantId: variantId || null,
+								stockQuantity: newQuantity,
+							});
+						});
+					});
+				}
+			);
+		});
+	}
+);
+
+// Stock movement history for a product, newest first
+app.get(
+	"/api/admin/products/:id/stock-movements",
+	authenticate,
+	requirePermission("inventory:write"),
+	(req, res) => {
+		const productId = req.params.id;
+		const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+		const query = `
+            SELECT 
+                sm.id,
+                sm.variant_id,
+                sm.quantity_change,
+                sm.reason,
+                sm.order_id,
+                sm.actor_user_id,
+                sm.note,
+                sm.created_at
+            FROM stock_movements sm
+            WHERE sm.product_id = ?
+            ORDER BY sm.created_at DESC, sm.id DESC
+            LIMIT ?
+        `;
+
+		pool.query(query, [productId, limit], (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve stock movements",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(results);
+		});
+	}
+);
+
+// Products at or below their low-stock threshold
+app.get(
+	"/api/admin/inventory/low-stock",
+	authenticate,
+	requirePermission("inventory:write"),
+	(req, res) => {
+		const query = `
+            SELECT id, name, category, stock_quantity, low_stock_threshold
+            FROM products
+            WHERE is_deleted = FALSE AND stock_quantity <= low_stock_threshold
+            ORDER BY stock_quantity ASC
+        `;
+
+		pool.query(query, (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve low-stock products",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(results);
+		});
+	}
+);
+
+// Admin: orders
+// List orders, optionally filtered by status
+app.get(
+	"/api/admin/orders",
+	authenticate,
+	requirePermission("orders:manage"),
+	(req, res) => {
+		const { status } = req.query;
+		const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+		const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+		if (status && !isValidOrderStatus(status)) {
+			return res.status(400).json({
+				error: "Invalid status",
+				allowedStatuses: ORDER_STATUSES,
+			});
+		}
+
+		const query = `
+            SELECT 
+                o.id AS order_id,
+                o.user_id,
+                o.order_date,
+                o.subtotal_amount,
+                o.discount_amount,
+                o.tax_amount,
+                o.shipping_amount,
+                o.total_amount,
+                o.status
+            FROM orders o
+            ${status ? "WHERE o.status = ?" : ""}
+            ORDER BY o.order_date DESC
+            LIMIT ? OFFSET ?
+        `;
+		const params = status
+			? [status, limit, (page - 1) * limit]
+			: [limit, (page - 1) * limit];
+
+		pool.query(query, params, (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve orders",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(
+				results.map((order) => ({
+					id: `ORD-${order.order_id}`,
+					userId: order.user_id,
+					date: new Date(order.order_date).toISOString(),
+					subtotal: parseFloat(order.subtotal_amount),
+					discount: parseFloat(order.discount_amount),
+					tax: parseFloat(order.tax_amount),
+					shipping: parseFloat(order.shipping_amount),
+					total: parseFloat(order.total_amount),
+					status: order.status,
+				}))
+			);
+		});
+	}
+);
+
+// Advance an order to a new status
+app.put(
+	"/api/admin/orders/:orderId/status",
+	authenticate,
+	requirePermission("orders:manage"),
+	(req, res) => {
+		const orderId = parseOrderId(req.params.orderId);
+		const { status, note } = req.body;
+
+		if (!isValidOrderStatus(status)) {
+			return res.status(400).json({
+				error: "Invalid status",
+				allowedStatuses: ORDER_STATUSES,
+			});
+		}
+
+		// Orders only become paid when their payment is captured
+		if (status === "paid") {
+			return res.status(409).json({
+				error: "Orders are marked paid when their payment is captured",
+			});
+		}
+
+		beginTransaction((err, connection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			const rollback = (statusCode, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(statusCode).json(body);
+				});
+			};
+
+			// Cancellations also need to restore stock, and refunding a whole
+			// order returns its payment once the change is committed
+			const changeStatus = (callback) => {
+				if (status === "cancelled") {
+					return cancelOrder(connection, orderId, req.user.id, note, callback);
+				}
+
+				transitionOrderStatus(
+					connection,
+					orderId,
+					status,
+					req.user.id,
+					note,
+					(err, transition) => {
+						if (err || status !== "refunded") {
+							return callback(err, transition);
+						}
+
+						settleOrderPayments(connection, orderId, (err, settlementIds) =>
+							callback(err || null, { ...transition, settlementIds })
+						);
+					}
+				);
+			};
+
+			changeStatus((err, transition) => {
+				if (err) {
+					return rollback(err.statusCode || 500, {
+						error: err.statusCode
+							? err.message
+							: "Failed to update order status",
+						details: err.statusCode ? undefined : err.message,
+					});
+				}
+
+				commitTransaction(connection, (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Transaction commit failed",
+							details: err.message,
+						});
+					}
+
+					// Money is only released once the status change is committed
+					respondAfterSettlements(transition.settlementIds, (settlements) => {
+						res.status(200).json({
+							message: "Order status updated successfully",
+							id: `ORD-${orderId}`,
+							previousStatus: transition.fromStatus,
+							status: transition.toStatus,
+							paymentSettlements: settlements,
+						});
+					});
+				});
+			});
+		});
+	}
+);
+
+// Admin: refunds
+// List refund requests, open ones by default
+app.get(
+	"/api/admin/refund-requests",
+	authenticate,
+	requirePermission("refunds:manage"),
+	(req, res) => {
+		const status = req.query.status || "requested";
+
+		fetchRefundRequests("rr.status = ?", [status], (err, requests) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve refund requests",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(requests);
+		});
+	}
+);
+
+// Approve a refund request, fully or for a subset of its lines.
+// Body: { items: [{ orderItemId, quantity }], restock, note }
+// When every unit of the order has been refunded the order moves to refunded.
+app.post(
+	"/api/admin/refund-requests/:id/approve",
+	authenticate,
+	requirePermission("refunds:manage"),
+	(req, res) => {
+		const refundRequestId = parseInt(req.params.id, 10);
+		const { items = [], restock = false, note } = req.body;
+
+		if (!Array.isArray(items)) {
+			return res.status(400).json({ error: "Items must be an array" });
+		}
+
+		// Connection of the transaction, set once it has started
+		let connection;
+
+		// Roll back the transaction and send an error response
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		beginTransaction((err, transactionConnection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			connection = transactionConnection;
+
+			const requestQuery =
+				"SELECT id, order_id, status FROM refund_requests WHERE id = ? FOR UPDATE";
+			connection.query(requestQuery, [refundRequestId], (err, requests) => {
+				if (err) {
+					return rollback(500, {
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				if (requests.length === 0) {
+					return rollback(404, { error: "Refund request not found" });
+				}
+
+				if (requests[0].status !== "requested") {
+					return rollback(409, {
+						error: `Refund request is already ${requests[0].status}`,
+					});
+				}
+
+				const itemsQuery = `
+                    SELECT 
+                        rri.order_item_id AS id,
+                        oi.product_id,
+                        oi.variant_id,
+                        rri.quantity,
+                        oi.price,
+                        oi.discount_amount * rri.quantity / oi.quantity AS discount_amount,
+                        oi.tax_amount * rri.quantity / oi.quantity AS tax_amount,
+                        o.prices_include_tax
+                    FROM refund_request_items rri
+                    JOIN order_items oi ON rri.order_item_id = oi.id
+                    JOIN orders o ON oi.order_id = o.id
+                    WHERE rri.refund_request_id = ?
+                `;
+
+				connection.query(itemsQuery, [refundRequestId], (err, requested) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					// Approved quantities may not exceed what was requested
+					const { lines, errors, amount } = buildRefundLines(
+						requested,
+						{},
+						items
+					);
+
+					if (errors.length > 0) {
+						return rollback(400, {
+							error: "Invalid refund items",
+							itemErrors: errors,
+						});
+					}
+
+					approveLines(requests[0].order_id, lines, amount);
+				});
+			});
+		});
+
+		function approveLines(orderId, lines, amount) {
+			// Replace the requested lines with what was actually approved
+			const deleteQuery =
+				"DELETE FROM refund_request_items WHERE refund_request_id = ?";
+			connection.query(deleteQuery, [refundRequestId], (err) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to approve refund",
+						details: err.message,
+					});
+				}
+
+				const insertQuery =
+					"INSERT INTO refund_request_items (refund_request_id, order_item_id, quantity, amount, tax_amount) VALUES ?";
+				const values = lines.map((line) => [
+					refundRequestId,
+					line.orderItemId,
+					line.quantity,
+					line.amount,
+					line.taxAmount,
+				]);
+
+				connection.query(insertQuery, [values], (err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to approve refund",
+							details: err.message,
+						});
+					}
+
+					const updateQuery = `
+                        UPDATE refund_requests 
+                        SET status = 'approved', approved_amount = ?, reviewed_by = ?, review_note = ?, reviewed_at = NOW() 
+                        WHERE id = ?
+                    `;
+					connection.query(
+						updateQuery,
+						[amount, req.user.id, note || null, refundRequestId],
+						(err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Failed to approve refund",
+									details: err.message,
+								});
+							}
+
+							const orderQuery =
+								"UPDATE orders SET refunded_amount = refunded_amount + ? WHERE id = ?";
+							connection.query(orderQuery, [amount, orderId], (err) => {
+								if (err) {
+									return rollback(500, {
+										error: "Failed to approve refund",
+										details: err.message,
+									});
+								}
+
+								restockLines(orderId, lines, amount);
+							});
+						}
+					);
+				});
+			});
+		}
+
+		function restockLines(orderId, lines, amount) {
+			const movements = restock
+				? lines.map((line) => ({
+						productId: line.productId,
+						variantId: line.variantId,
+						quantityChange: line.quantity,
+						reason: "refund",
+						orderId,
+						actorUserId: req.user.id,
+						note: `Refund request ${refundRequestId}`,
+				  }))
+				: [];
+
+			applyStockMovements(connection, movements, (err) => {
+				if (err) {
+					return rollback(500, {
+						error: "Failed to restock refunded items",
+						details: err.message,
+					});
+				}
+
+				refundPayment(orderId, amount);
+			});
+		}
+
+		// Queue the approved amount to go back through the payment provider
+		// once the approval is committed
+		function refundPayment(orderId, amount) {
+			refundOrderPayment(connection, orderId, amount, (err, settlementIds) => {
+				if (err) {
+					return rollback(err.statusCode || 500, {
+						error: "Failed to refund payment",
+						details: err.message,
+					});
+				}
+
+				completeIfFullyRefunded(orderId, amount, settlementIds);
+			});
+		}
+
+		function completeIfFullyRefunded(orderId, amount, settlementIds) {
+			const remainingQuery = `
+                SELECT 
+                    (SELECT COALESCE(SUM(quantity), 0) FROM order_items WHERE order_id = ?) AS ordered,
+                    (SELECT COALESCE(SUM(rri.quantity), 0) 
+                        FROM refund_request_items rri 
+                        JOIN refund_requests rr ON rri.refund_request_id = rr.id 
+                        WHERE rr.order_id = ? AND rr.status = 'approved') AS refunded
+            `;
+
+			connection.query(remainingQuery, [orderId, orderId], (err, results) => {
+				if (err) {
+					return rollback(500, {
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				const fullyRefunded =
+					parseInt(results[0].refunded, 10) >= parseInt(results[0].ordered, 10);
+
+				const finish = (err) => {
+					if (err) {
+						return rollback(err.statusCode || 500, {
+							error: "Failed to update order status",
+							details: err.message,
+						});
+					}
+
+					commitTransaction(connection, (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Transaction commit failed",
+								details: err.message,
+							});
+						}
+
+						respondAfterSettlements(settlementIds, (settlements) => {
+							res.status(200).json({
+								message: "Refund approved",
+								refundRequestId,
+								approvedAmount: amount,
+								orderStatus: fullyRefunded ? "refunded" : "delivered",
+								paymentSettlements: settlements,
+							});
+						});
+					});
+				};
+
+				if (!fullyRefunded) {
+					return finish(null);
+				}
+
+				transitionOrderStatus(
+					connection,
+					orderId,
+					"refunded",
+					req.user.id,
+					`Refund request ${refundRequestId}`,
+					finish
+				);
+			});
+		}
+	}
+);
+
+// Reject a refund request
+app.post(
+	"/api/admin/refund-requests/:id/reject",
+	authenticate,
+	requirePermission("refunds:manage"),
+	(req, res) => {
+		const refundRequestId = parseInt(req.params.id, 10);
+		const { note } = req.body;
+
+		const query = `
+            UPDATE refund_requests 
+            SET status = 'rejected', reviewed_by = ?, review_note = ?, reviewed_at = NOW() 
+            WHERE id = ? AND status = 'requested'
+        `;
+
+		pool.query(
+			query,
+			[req.user.id, note || null, refundRequestId],
+			(err, result) => {
+				if (err) {
+					return res.status(500).json({
+						error: "Failed to reject refund request",
+						details: err.message,
+					});
+				}
+
+				if (result.affectedRows === 0) {
+					return res
+						.status(404)
+						.json({ error: "Open refund request not found" });
+				}
+
+				res.status(200).json({
+					message: "Refund request rejected",
+					refundRequestId,
+				});
+			}
+		);
+	}
+);
+
+// Admin: account lockouts
+// List lockout events, only those still in effect with ?active=true
+app.get(
+	"/api/admin/lockouts",
+	authenticate,
+	requirePermission("security:manage"),
+	(req, res) => {
+		const activeOnly = req.query.active === "true";
+
+		const query = `
+            SELECT 
+                al.id,
+                al.user_id,
+                u.email,
+                al.ip_address,
+                al.failed_attempts,
+                al.locked_until,
+                al.cleared_at,
+                al.cleared_by,
+                al.created_at
+            FROM account_lockouts al
+            JOIN users u ON al.user_id = u.id
+            ${
+							activeOnly
+								? "WHERE al.cleared_at IS NULL AND al.locked_until > NOW()"
+								: ""
+						}
+            ORDER BY al.created_at DESC
+            LIMIT 200
+        `;
+
+		pool.query(query, (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve lockouts",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(results);
+		});
+	}
+);
+
+// Clear a lockout: unlocks the account and resets its failure counters
+app.post(
+	"/api/admin/lockouts/:id/clear",
+	authenticate,
+	requirePermission("security:manage"),
+	(req, res) => {
+		const lockoutId = parseInt(req.params.id, 10);
+
+		const lockoutQuery = `
+            SELECT al.user_id, u.email 
+            FROM account_lockouts al 
+            JOIN users u ON al.user_id = u.id 
+            WHERE al.id = ?
+        `;
+
+		pool.query(lockoutQuery, [lockoutId], (err, results) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (results.length === 0) {
+				return res.status(404).json({ error: "Lockout not found" });
+			}
+
+			const { user_id: userId, email } = results[0];
+			const clearQuery = `
+                UPDATE account_lockouts 
+                SET cleared_at = NOW(), cleared_by = ? 
+                WHERE user_id = ? AND cleared_at IS NULL
+            `;
+
+			pool.query(clearQuery, [req.user.id, userId], (err) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				const unlockQuery =
+					"UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?";
+				pool.query(unlockQuery, [userId], (err) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Database error", details: err.message });
+					}
+
+					// Also lift the per-account sign-in rate limit
+					getDefaultStore().reset(`signin:account:${email.toLowerCase()}`);
+
+					res.status(200).json({
+						message: "Lockout cleared",
+						userId,
+					});
+				});
+			});
+		});
+	}
+);
+
+// Admin: coupons
+// Coupon rows as returned to admins
+function formatCoupon(row) {
+	const parseList = (value) =>
+		typeof value === "string" ? JSON.parse(value) : value;
+
+	return {
+		id: row.id,
+		code: row.code,
+		description: row.description,
+		type: row.type,
+		value: row.value === null ? null : parseFloat(row.value),
+		freeProductId: row.free_product_id,
+		freeQuantity: row.free_quantity,
+		minSpend: row.min_spend === null ? null : parseFloat(row.min_spend),
+		maxDiscount:
+			row.max_discount === null ? null : parseFloat(row.max_discount),
+		categories: parseList(row.scope_categories),
+		productIds: parseList(row.scope_product_ids),
+		startsAt: row.starts_at,
+		endsAt: row.ends_at,
+		usageLimit: row.usage_limit,
+		perUserLimit: row.per_user_limit,
+		timesRedeemed: row.times_redeemed,
+		stackable: Boolean(row.stackable),
+		isActive: Boolean(row.is_active),
+		createdAt: row.created_at,
+	};
+}
+
+// List coupons, optionally only the active ones
+app.get(
+	"/api/admin/coupons",
+	authenticate,
+	requirePermission("coupons:manage"),
+	(req, res) => {
+		const activeOnly = req.query.active === "true";
+		const query = `
+            SELECT * FROM coupons 
+            ${activeOnly ? "WHERE is_active = TRUE" : ""} 
+            ORDER BY created_at DESC
+        `;
+
+		pool.query(query, (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve coupons",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(results.map(formatCoupon));
+		});
+	}
+);
+
+// Create a coupon
+app.post(
+	"/api/admin/coupons",
+	authenticate,
+	requirePermission("coupons:manage"),
+	(req, res) => {
+		const { coupon, errors } = validateCouponInput(req.body);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid coupon", errors });
+		}
+
+		pool.query("INSERT INTO coupons SET ?", coupon, (err, result) => {
+			if (err) {
+				if (err.code === "ER_DUP_ENTRY") {
+					return res
+						.status(409)
+						.json({ error: "A coupon with this code already exists" });
+				}
+				return res.status(500).json({
+					error: "Failed to create coupon",
+					details: err.message,
+				});
+			}
+
+			pool.query(
+				"SELECT * FROM coupons WHERE id = ?",
+				[result.insertId],
+				(err, results) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Database error", details: err.message });
+					}
+
+					res.status(201).json(formatCoupon(results[0]));
+				}
+			);
+		});
+	}
+);
+
+// Update a coupon; only the given fields change
+app.put(
+	"/api/admin/coupons/:id",
+	authenticate,
+	requirePermission("coupons:manage"),
+	(req, res) => {
+		const couponId = parseInt(req.params.id, 10);
+
+		pool.query(
+			"SELECT * FROM coupons WHERE id = ?",
+			[couponId],
+			(err, results) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (results.length === 0) {
+					return res.status(404).json({ error: "Coupon not found" });
+				}
+
+				// Validate against the stored type when the type is not changed
+				const existing = results[0];
+				const { coupon, errors } = validateCouponInput(
+					{ type: existing.type, ...req.body },
+					true
+				);
+
+				const startsAt =
+					coupon.starts_at !== undefined
+						? coupon.starts_at
+						: existing.starts_at;
+				const endsAt =
+					coupon.ends_at !== undefined ? coupon.ends_at : existing.ends_at;
+				if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+					errors.push({
+						field: "endsAt",
+						message: "endsAt must be after startsAt",
+					});
+				}
+
+				if (errors.length > 0) {
+					return res.status(400).json({ error: "Invalid coupon", errors });
+				}
+
+				pool.query(
+					"UPDATE coupons SET ? WHERE id = ?",
+					[coupon, couponId],
+					(err) => {
+						if (err) {
+							if (err.code === "ER_DUP_ENTRY") {
+								return res
+									.status(409)
+									.json({ error: "A coupon with this code already exists" });
+							}
+							return res.status(500).json({
+								error: "Failed to update coupon",
+								details: err.message,
+							});
+						}
+
+						res.status(200).json(formatCoupon({ ...existing, ...coupon }));
+					}
+				);
+			}
+		);
+	}
+);
+
+// Deactivate a coupon. Coupons are never deleted so past redemptions keep
+// pointing at them.
+app.delete(
+	"/api/admin/coupons/:id",
+	authenticate,
+	requirePermission("coupons:manage"),
+	(req, res) => {
+		const couponId = parseInt(req.params.id, 10);
+
+		pool.query(
+			"UPDATE coupons SET is_active = FALSE WHERE id = ?",
+			[couponId],
+			(err, result) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (result.affectedRows === 0) {
+					return res.status(404).json({ error: "Coupon not found" });
+				}
+
+				res.status(200).json({ message: "Coupon deactivated", couponId });
+			}
+		);
+	}
+);
+
+// Admin: tax rates
+// List tax rates, most general rules first
+app.get(
+	"/api/admin/tax-rates",
+	authenticate,
+	requirePermission("tax:manage"),
+	(req, res) => {
+		const query = `
+            SELECT * FROM tax_rates 
+            ORDER BY country IS NOT NULL, country, region IS NOT NULL, region, 
+                category IS NOT NULL, category
+        `;
+
+		pool.query(query, (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve tax rates",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(results);
+		});
+	}
+);
+
+// Create a tax rate. Leaving country, region or category out makes the rule
+// apply to any value.
+app.post(
+	"/api/admin/tax-rates",
+	authenticate,
+	requirePermission("tax:manage"),
+	(req, res) => {
+		const { taxRate, errors } = validateTaxRateInput(req.body);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid tax rate", errors });
+		}
+
+		pool.query("INSERT INTO tax_rates SET ?", taxRate, (err, result) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to create tax rate",
+					details: err.message,
+				});
+			}
+
+			res.status(201).json({ id: result.insertId, ...taxRate });
+		});
+	}
+);
+
+// Update a tax rate; only the given fields change. Existing orders keep the
+// rate stored on their lines.
+app.put(
+	"/api/admin/tax-rates/:id",
+	authenticate,
+	requirePermission("tax:manage"),
+	(req, res) => {
+		const taxRateId = parseInt(req.params.id, 10);
+		const { taxRate, errors } = validateTaxRateInput(req.body, true);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid tax rate", errors });
+		}
+
+		if (Object.keys(taxRate).length === 0) {
+			return res.status(400).json({ error: "No fields to update" });
+		}
+
+		pool.query(
+			"UPDATE tax_rates SET ? WHERE id = ?",
+			[taxRate, taxRateId],
+			(err, result) => {
+				if (err) {
+					return res.status(500).json({
+						error: "Failed to update tax rate",
+						details: err.message,
+					});
+				}
+
+				if (result.affectedRows === 0) {
+					return res.status(404).json({ error: "Tax rate not found" });
+				}
+
+				res.status(200).json({ message: "Tax rate updated", taxRateId });
+			}
+		);
+	}
+);
+
+// Delete a tax rate
+app.delete(
+	"/api/admin/tax-rates/:id",
+	authenticate,
+	requirePermission("tax:manage"),
+	(req, res) => {
+		const taxRateId = parseInt(req.params.id, 10);
+
+		pool.query(
+			"DELETE FROM tax_rates WHERE id = ?",
+			[taxRateId],
+			(err, result) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (result.affectedRows === 0) {
+					return res.status(404).json({ error: "Tax rate not found" });
+				}
+
+				res.status(200).json({ message: "Tax rate deleted", taxRateId });
+			}
+		);
+	}
+);
+
+// Admin: shipping methods
+// Replace the zone rules of a shipping method inside an open transaction
+function replaceShippingZones(connection, methodId, zones, callback) {
+	connection.query(
+		"DELETE FROM shipping_method_zones WHERE shipping_method_id = ?",
+		[methodId],
+		(err) => {
+			if (err) {
+				return callback(err);
+			}
+
+			const insertQuery =
+				"INSERT INTO shipping_method_zones (shipping_method_id, country, region, postal_prefix) VALUES ?";
+			const values = zones.map((zone) => [
+				methodId,
+				zone.country,
+				zone.region,
+				zone.postal_prefix,
+			]);
+			connection.query(insertQuery, [values], (err) => callback(err || null));
+		}
+	);
+}
+
+// List shipping methods with their zone rules
+app.get(
+	"/api/admin/shipping-methods",
+	authenticate,
+	requirePermission("shipping:manage"),
+	(req, res) => {
+		pool.query(
+			"SELECT * FROM shipping_methods ORDER BY created_at ASC",
+			(err, methods) => {
+				if (err) {
+					return res.status(500).json({
+						error: "Failed to retrieve shipping methods",
+						details: err.message,
+					});
+				}
+
+				pool.query("SELECT * FROM shipping_method_zones", (err, zones) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to retrieve shipping zones",
+							details: err.message,
+						});
+					}
+
+					res.status(200).json(
+						methods.map((method) => ({
+							...method,
+							zones: zones.filter(
+								(zone) => zone.shipping_method_id === method.id
+							),
+						}))
+					);
+				});
+			}
+		);
+	}
+);
+
+// Create a shipping method. zones: [{ country, region, postalPrefix }]
+app.post(
+	"/api/admin/shipping-methods",
+	authenticate,
+	requirePermission("shipping:manage"),
+	(req, res) => {
+		const { method, zones, errors } = validateShippingMethodInput(req.body);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid shipping method", errors });
+		}
+
+		beginTransaction((err, connection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			const rollback = (status, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(status).json(body);
+				});
+			};
+
+			connection.query(
+				"INSERT INTO shipping_methods SET ?",
+				method,
+				(err, result) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to create shipping method",
+							details: err.message,
+						});
+					}
+
+					replaceShippingZones(connection, result.insertId, zones, (err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to save shipping zones",
+								details: err.message,
+							});
+						}
+
+						commitTransaction(connection, (err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Transaction commit failed",
+									details: err.message,
+								});
+							}
+
+							res.status(201).json({
+								message: "Shipping method created",
+								shippingMethodId: result.insertId,
+							});
+						});
+					});
+				}
+			);
+		});
+	}
+);
+
+// Update a shipping method; given zones replace the existing ones
+app.put(
+	"/api/admin/shipping-methods/:id",
+	authenticate,
+	requirePermission("shipping:manage"),
+	(req, res) => {
+		const methodId = parseInt(req.params.id, 10);
+		const { method, zones, errors } = validateShippingMethodInput(
+			req.body,
+			true
+		);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid shipping method", errors });
+		}
+
+		beginTransaction((err, connection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			const rollback = (status, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(status).json(body);
+				});
+			};
+
+			connection.query(
+				"SELECT id FROM shipping_methods WHERE id = ? FOR UPDATE",
+				[methodId],
+				(err, results) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					if (results.length === 0) {
+						return rollback(404, { error: "Shipping method not found" });
+					}
+
+					const updateMethod = (next) =>
+						Object.keys(method).length === 0
+							? next(null)
+							: connection.query(
+									"UPDATE shipping_methods SET ? WHERE id = ?",
+									[method, methodId],
+									(err) => next(err || null)
+							  );
+
+					updateMethod((err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to update shipping method",
+								details: err.message,
+							});
+						}
+
+						const updateZones = (next) =>
+							zones
+								? replaceShippingZones(connection, methodId, zones, next)
+								: next(null);
+
+						updateZones((err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Failed to save shipping zones",
+									details: err.message,
+								});
+							}
+
+							commitTransaction(connection, (err) => {
+								if (err) {
+									return rollback(500, {
+										error: "Transaction commit failed",
+										details: err.message,
+									});
+								}
+
+								res.status(200).json({
+									message: "Shipping method updated",
+									shippingMethodId: methodId,
+								});
+							});
+						});
+					});
+				}
+			);
+		});
+	}
+);
+
+// Deactivate a shipping method. Past orders keep the method name they were
+// shipped with.
+app.delete(
+	"/api/admin/shipping-methods/:id",
+	authenticate,
+	requirePermission("shipping:manage"),
+	(req, res) => {
+		const methodId = parseInt(req.params.id, 10);
+
+		pool.query(
+			"UPDATE shipping_methods SET is_active = FALSE WHERE id = ?",
+			[methodId],
+			(err, result) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (result.affectedRows === 0) {
+					return res.status(404).json({ error: "Shipping method not found" });
+				}
+
+				res.status(200).json({
+					message: "Shipping method deactivated",
+					shippingMethodId: methodId,
+				});
+			}
+		);
+	}
+);
+
+// Admin: payments
+// List payments, optionally filtered by status
+app.get(
+	"/api/admin/payments",
+	authenticate,
+	requirePermission("payments:manage"),
+	(req, res) => {
+		const { status } = req.query;
+		const query = `
+            SELECT * FROM payments 
+            ${status ? "WHERE status = ?" : ""} 
+            ORDER BY created_at DESC 
+            LIMIT 200
+        `;
+
+		pool.query(query, status ? [status] : [], (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve payments",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(results.map(formatPayment));
+		});
+	}
+);
+
+// Capture an authorized payment (used with PAYMENT_CAPTURE=manual)
+app.post(
+	"/api/admin/payments/:id/capture",
+	authenticate,
+	requirePermission("payments:manage"),
+	(req, res) => {
+		const paymentId = parseInt(req.params.id, 10);
+
+		pool.query(
+			"SELECT * FROM payments WHERE id = ?",
+			[paymentId],
+			(err, payments) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (payments.length === 0) {
+					return res.status(404).json({ error: "Payment not found" });
+				}
+
+				if (payments[0].status !== "authorized") {
+					return res.status(409).json({
+						error: `Payment is ${payments[0].status} and cannot be captured`,
+					});
+				}
+
+				capturePayment(payments[0], req.user.id, (err) => {
+					if (err) {
+						return res.status(err.statusCode || 500).json({
+							error: "Payment capture failed",
+							reason: err.message,
+						});
+					}
+
+					res.status(200).json({
+						message: "Payment captured",
+						paymentId,
+						orderId: `ORD-${payments[0].order_id}`,
+					});
+				});
+			}
+		);
+	}
+);
+
+// Void an authorized payment. The order stays pending so the customer can
+// pay again.
+app.post(
+	"/api/admin/payments/:id/void",
+	authenticate,
+	requirePermission("payments:manage"),
+	(req, res) => {
+		const paymentId = parseInt(req.params.id, 10);
+
+		pool.query(
+			"SELECT * FROM payments WHERE id = ?",
+			[paymentId],
+			(err, payments) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (payments.length === 0) {
+					return res.status(404).json({ error: "Payment not found" });
+				}
+
+				if (payments[0].status !== "authorized") {
+					return res.status(409).json({
+						error: `Payment is ${payments[0].status} and cannot be voided`,
+					});
+				}
+
+				callPaymentProvider("void", [payments[0].provider_reference], (err) => {
+					if (err) {
+						return res.status(err.statusCode || 500).json({
+							error: "Payment void failed",
+							reason: err.message,
+						});
+					}
+
+					const voidQuery =
+						"UPDATE payments SET status = 'voided' WHERE id = ? AND status = 'authorized'";
+					pool.query(voidQuery, [paymentId], (err) => {
+						if (err) {
+							return res
+								.status(500)
+								.json({ error: "Database error", details: err.message });
+						}
+
+						res.status(200).json({ message: "Payment voided", paymentId });
+					});
+				});
+			}
+		);
+	}
+);
+
+// List payment settlements (voids and refunds owed to customers),
+// optionally filtered by status
+app.get(
+	"/api/admin/payment-settlements",
+	authenticate,
+	requirePermission("payments:manage"),
+	(req, res) => {
+		const { status } = req.query;
+		const query = `
+            SELECT s.*, p.order_id 
+            FROM payment_settlements s 
+            JOIN payments p ON s.payment_id = p.id 
+            ${status ? "WHERE s.status = ?" : ""} 
+            ORDER BY s.created_at DESC 
+            LIMIT 200
+        `;
+
+		pool.query(query, status ? [status] : [], (err, results) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Failed to retrieve payment settlements",
+					details: err.message,
+				});
+			}
+
+			res.status(200).json(
+				results.map((row) => ({
+					id: row.id,
+					paymentId: row.payment_id,
+					orderId: `ORD-${row.order_id}`,
+					operation: row.operation,
+					amount: parseFloat(row.amount),
+					status: row.status,
+					attempts: row.attempts,
+					failureReason: row.failure_reason,
+					createdAt: row.created_at,
+					completedAt: row.completed_at,
+				}))
+			);
+		});
+	}
+);
+
+// Send pending and failed settlements to the payment provider again, e.g.
+// after a provider outage, along with claims that never got an outcome
+app.post(
+	"/api/admin/payment-settlements/retry",
+	authenticate,
+	requirePermission("payments:manage"),
+	(req, res) => {
+		const query = `
+            SELECT id FROM payment_settlements 
+            WHERE ${CLAIMABLE_SETTLEMENT_CONDITION} 
+            ORDER BY id 
+            LIMIT 100
+        `;
+
+		pool.query(query, [SETTLEMENT_CLAIM_TIMEOUT_MINUTES], (err, results) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			processPaymentSettlements(
+				results.map((row) => row.id),
+				(err, settlements) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to process payment settlements",
+							details: err.message,
+						});
+					}
+
+					res.status(200).json({
+						message: "Payment settlements processed",
+						completed: settlements.filter((s) => s.status === "completed")
+							.length,
+						failed: settlements.filter((s) => s.status === "failed").length,
+						settlements,
+					});
+				}
+			);
+		});
+	}
+);
+
+// Admin: search
+// Rebuild the search index of every product, e.g. after migrating or after
+// changing products directly in the database
+app.post(
+	"/api/admin/search/reindex",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		pool.query("SELECT id FROM products", (err, products) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			const indexNext = (index) => {
+				if (index === products.length) {
+					return res.status(200).json({
+						message: "Search index rebuilt",
+						products: products.length,
+					});
+				}
+
+				indexProduct(products[index].id, (err) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to rebuild search index",
+							details: err.message,
+							productId: products[index].id,
+						});
+					}
+					indexNext(index + 1);
+				});
+			};
+
+			indexNext(0);
+		});
+	}
+);
+
+// Admin: categories
+// Create a category. slug defaults to the slugified name.
+app.post(
+	"/api/admin/categories",
+	authenticate,
+	requirePermission("categories:manage"),
+	(req, res) => {
+		const { category, errors } = validateCategoryInput(req.body);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid category", errors });
+		}
+
+		loadCategories((err, rows) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (
+				category.parent_id &&
+				!rows.some((row) => row.id === category.parent_id)
+			) {
+				return res.status(400).json({ error: "Parent category not found" });
+			}
+
+			pool.query("INSERT INTO categories SET ?", category, (err, result) => {
+				if (err) {
+					if (err.code === "ER_DUP_ENTRY") {
+						return res
+							.status(409)
+							.json({ error: "A category with this slug already exists" });
+					}
+					return res.status(500).json({
+						error: "Failed to create category",
+						details: err.message,
+					});
+				}
+
+				res.status(201).json({
+					message: "Category created",
+					categoryId: result.insertId,
+				});
+			});
+		});
+	}
+);
+
+// Update a category. Renaming it also renames it on its products.
+app.put(
+	"/api/admin/categories/:id",
+	authenticate,
+	requirePermission("categories:manage"),
+	(req, res) => {
+		const categoryId = parseInt(req.params.id, 10);
+		const { category, errors } = validateCategoryInput(req.body, true);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid category", errors });
+		}
+
+		if (Object.keys(category).length === 0) {
+			return res.status(400).json({ error: "No fields to update" });
+		}
+
+		loadCategories((err, rows) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			const existing = rows.find((row) => row.id === categoryId);
+			if (!existing) {
+				return res.status(404).json({ error: "Category not found" });
+			}
+
+			if (category.parent_id !== undefined && category.parent_id !== null) {
+				if (!rows.some((row) => row.id === category.parent_id)) {
+					return res.status(400).json({ error: "Parent category not found" });
+				}
+				if (wouldCreateCycle(rows, categoryId, category.parent_id)) {
+					return res.status(409).json({
+						error: "A category cannot be moved into its own subtree",
+					});
+				}
+			}
+
+			pool.query(
+				"UPDATE categories SET ? WHERE id = ?",
+				[category, categoryId],
+				(err) => {
+					if (err) {
+						if (err.code === "ER_DUP_ENTRY") {
+							return res
+								.status(409)
+								.json({ error: "A category with this slug already exists" });
+						}
+						return res.status(500).json({
+							error: "Failed to update category",
+							details: err.message,
+						});
+					}
+
+					if (!category.name || category.name === existing.name) {
+						return res
+							.status(200)
+							.json({ message: "Category updated", categoryId });
+					}
+
+					const renameQuery =
+						"UPDATE products SET category = ? WHERE category_id = ?";
+					pool.query(renameQuery, [category.name, categoryId], (err) => {
+						if (err) {
+							return res.status(500).json({
+								error: "Failed to rename category on products",
+								details: err.message,
+							});
+						}
+
+						res.status(200).json({ message: "Category updated", categoryId });
+
+						pool.query(
+							"SELECT id FROM products WHERE category_id = ?",
+							[categoryId],
+							(err, products) => {
+								if (err) {
+									return console.error(
+										"Failed to reindex renamed category:",
+										err
+									);
+								}
+								products.forEach((product) =>
+									reindexProductInBackground(product.id)
+								);
+							}
+						);
+					});
+				}
+			);
+		});
+	}
+);
+
+// Delete a category. Categories with subcategories or products cannot be
+// deleted; move those first.
+app.delete(
+	"/api/admin/categories/:id",
+	authenticate,
+	requirePermission("categories:manage"),
+	(req, res) => {
+		const categoryId = parseInt(req.params.id, 10);
+		const usageQuery = `
+            SELECT 
+                (SELECT COUNT(*) FROM categories WHERE parent_id = ?) AS children, 
+                (SELECT COUNT(*) FROM products WHERE category_id = ?) AS products
+        `;
+
+		pool.query(usageQuery, [categoryId, categoryId], (err, results) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			const { children, products } = results[0];
+			if (children > 0 || products > 0) {
+				return res.status(409).json({
+					error: "Category still has subcategories or products",
+					children,
+					products,
+				});
+			}
+
+			pool.query(
+				"DELETE FROM categories WHERE id = ?",
+				[categoryId],
+				(err, result) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to delete category",
+							details: err.message,
+						});
+					}
+
+					if (result.affectedRows === 0) {
+						return res.status(404).json({ error: "Category not found" });
+					}
+
+					res.status(200).json({ message: "Category deleted" });
+				}
+			);
+		});
+	}
+);
+
+// Merge a category into another one: its products, subcategories and
+// specification fields move to the target and the category is deleted.
+// Stored specification values of the moved products are re-pointed at the
+// fields of their new schema (see planSpecMerge). Tax rates and coupons match
+// categories by name, so a merge is refused while any of them names the
+// category; point them at the target first.
+// Migration 022 only folds names that slugify alike ("Laptops",
+// " laptops"); near-duplicates such as "Laptops" and "laptop" come out as two
+// categories and are merged with this endpoint.
+// Body: { intoCategoryId }
+app.post(
+	"/api/admin/categories/:id/merge",
+	authenticate,
+	requirePermission("categories:manage"),
+	(req, res) => {
+		const categoryId = parseInt(req.params.id, 10);
+		const { intoCategoryId } = req.body;
+
+		if (!Number.isInteger(intoCategoryId) || intoCategoryId < 1) {
+			return res
+				.status(400)
+				.json({ error: "intoCategoryId must be a category id" });
+		}
+
+		if (intoCategoryId === categoryId) {
+			return res
+				.status(400)
+				.json({ error: "A category cannot be merged into itself" });
+		}
+
+		loadCategories((err, rows) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			const source = rows.find((row) => row.id === categoryId);
+			if (!source) {
+				return res.status(404).json({ error: "Category not found" });
+			}
+
+			const target = rows.find((row) => row.id === intoCategoryId);
+			if (!target) {
+				return res.status(400).json({ error: "Target category not found" });
+			}
+
+			if (wouldCreateCycle(rows, categoryId, intoCategoryId)) {
+				return res.status(409).json({
+					error: "A category cannot be merged into its own subcategory",
+				});
+			}
+
+			loadCategoryNameReferences(source, target, (err, references) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (references.taxRates.length + references.coupons.length > 0) {
+					return res.status(409).json({
+						error:
+							"Tax rates or coupons refer to the category by name, point them at the target category first",
+						...references,
+					});
+				}
+
+				const subtreeIds = collectSubtreeIds(rows, categoryId);
+				loadSpecMergePlan(rows, subtreeIds, source, target, (err, plan) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Database error", details: err.message });
+					}
+
+					if (plan.conflicts.length > 0) {
+						return res.status(409).json({
+							error: "Specification fields of the categories do not match",
+							errors: plan.conflicts,
+						});
+					}
+
+					mergeCategory(source, target, subtreeIds, plan, res);
+				});
+			});
+		});
+	}
+);
+
+// Tax rates and coupons that would stop matching products of `source` once
+// they carry the name of `target`: { taxRates: [{ id, name }],
+// coupons: [{ id, code }] }
+function loadCategoryNameReferences(source, target, callback) {
+	if (source.name.toLowerCase() === target.name.toLowerCase()) {
+		return callback(null, { taxRates: [], coupons: [] });
+	}
+
+	pool.query(
+		"SELECT id, name FROM tax_rates WHERE category = ?",
+		[source.name],
+		(err, taxRates) => {
+			if (err) {
+				return callback(err);
+			}
+
+			pool.query(
+				"SELECT id, code, scope_categories FROM coupons WHERE scope_categories IS NOT NULL",
+				(err, coupons) => {
+					if (err) {
+						return callback(err);
+					}
+
+					callback(null, {
+						taxRates: taxRates.map((rate) => ({
+							id: rate.id,
+							name: rate.name,
+						})),
+						coupons: coupons
+							.filter((coupon) =>
+								scopesCategory(coupon.scope_categories, source.name)
+							)
+							.map((coupon) => ({ id: coupon.id, code: coupon.code })),
+					});
+				}
+			);
+		}
+	);
+}
+
+// Plan the specification fields of a merge (see planSpecMerge) from every
+// field and the fields holding values of products in the source's subtree
+function loadSpecMergePlan(categories, subtreeIds, source, target, callback) {
+	pool.query("SELECT * FROM category_spec_fields", (err, fields) => {
+		if (err) {
+			return callback(err);
+		}
+
+		const usageQuery = `
+            SELECT DISTINCT p.category_id, v.field_id 
+            FROM product_spec_values v 
+            JOIN products p ON p.id = v.product_id 
+            WHERE p.category_id IN (?)
+        `;
+		pool.query(usageQuery, [subtreeIds], (err, usedFields) => {
+			if (err) {
+				return callback(err);
+			}
+
+			callback(
+				null,
+				planSpecMerge(categories, fields, source.id, target.id, usedFields)
+			);
+		});
+	});
+}
+
+// Carry out a checked category merge in one transaction and respond
+function mergeCategory(source, target, subtreeIds, plan, res) {
+	// Connection of the transaction, set once it has started
+	let connection;
+
+	const rollback = (status, body) => {
+		rollbackTransaction(connection, () => {
+			res.status(status).json(body);
+		});
+	};
+
+	const subcategoryIds = subtreeIds.filter((id) => id !== source.id);
+	let productIds = [];
+	let movedProducts = 0;
+	let subcategories = 0;
+
+	// Each step is [query, params, onResult]
+	const steps = [
+		...plan.remaps.map((remap) => [
+			`
+                UPDATE product_spec_values v 
+                JOIN products p ON p.id = v.product_id 
+                SET v.field_id = ? 
+                WHERE p.category_id = ? AND v.field_id = ?
+            `,
+			[remap.toId, remap.categoryId, remap.fromId],
+		]),
+		...plan.folds
+			.filter((fold) => fold.allowedValues)
+			.map((fold) => [
+				"UPDATE category_spec_fields SET allowed_values = ? WHERE id = ?",
+				[JSON.stringify(fold.allowedValues), fold.toId],
+			]),
+		...(plan.moves.length > 0
+			? [
+					[
+						"UPDATE category_spec_fields SET category_id = ? WHERE id IN (?)",
+						[target.id, plan.moves],
+					],
+			  ]
+			: []),
+		[
+			"SELECT id FROM products WHERE category_id IN (?) FOR UPDATE",
+			[subtreeIds],
+			(products) => {
+				productIds = products.map((product) => product.id);
+			},
+		],
+		[
+			"UPDATE products SET category_id = ?, category = ? WHERE category_id = ?",
+			[target.id, target.name, source.id],
+			(result) => {
+				movedProducts = result.affectedRows;
+			},
+		],
+		[
+			"UPDATE categories SET parent_id = ? WHERE parent_id = ?",
+			[target.id, source.id],
+			(result) => {
+				subcategories = result.affectedRows;
+			},
+		],
+		// Products of the moved subcategories carry their own category's name
+		...(subcategoryIds.length > 0
+			? [
+					[
+						`
+                UPDATE products p 
+                JOIN categories c ON c.id = p.category_id 
+                SET p.category = c.name 
+                WHERE p.category_id IN (?)
+            `,
+						[subcategoryIds],
+					],
+			  ]
+			: []),
+		["DELETE FROM categories WHERE id = ?", [source.id]],
+	];
+
+	let stepIndex = 0;
+	const runNext = () => {
+		if (stepIndex === steps.length) {
+			return commitTransaction(connection, (err) => {
+				if (err) {
+					return rollback(500, {
+						error: "Transaction commit failed",
+						details: err.message,
+					});
+				}
+
+				res.status(200).json({
+					message: "Categories merged",
+					categoryId: target.id,
+					mergedCategoryId: source.id,
+					products: movedProducts,
+					subcategories,
+				});
+
+				productIds.forEach((productId) =>
+					reindexProductInBackground(productId)
+				);
+			});
+		}
+
+		const [query, params, onResult] = steps[stepIndex];
+		connection.query(query, params, (err, result) => {
+			if (err) {
+				return rollback(500, {
+					error: "Failed to merge categories",
+					details: err.message,
+				});
+			}
+			if (onResult) {
+				onResult(result);
+			}
+			stepIndex++;
+			runNext();
+		});
+	};
+
+	beginTransaction((err, transactionConnection) => {
+		if (err) {
+			return res.status(500).json({
+				error: "Transaction start failed",
+				details: err.message,
+			});
+		}
+
+		connection = transactionConnection;
+		runNext();
+	});
+}
+
+// Admin: specification fields
+// Add a specification field to a category's schema. A field named like one
+// inherited from a parent category replaces it for this subtree.
+app.post(
+	"/api/admin/categories/:id/spec-fields",
+	authenticate,
+	requirePermission("categories:manage"),
+	(req, res) => {
+		const categoryId = parseInt(req.params.id, 10);
+		const { field, errors } = validateSpecFieldInput(req.body);
+
+		if (errors.length > 0) {
+			return res
+				.status(400)
+				.json({ error: "Invalid specification field", errors });
+		}
+
+		loadCategories((err, rows) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (!rows.some((row) => row.id === categoryId)) {
+				return res.status(404).json({ error: "Category not found" });
+			}
+
+			pool.query(
+				"INSERT INTO category_spec_fields SET ?",
+				{ ...field, category_id: categoryId },
+				(err, result) => {
+					if (err) {
+						if (err.code === "ER_DUP_ENTRY") {
+							return res.status(409).json({
+								error: "The category already has a field with this name",
+							});
+						}
+						return res.status(500).json({
+							error: "Failed to create specification field",
+							details: err.message,
+						});
+					}
+
+					res.status(201).json({
+						message: "Specification field created",
+						fieldId: result.insertId,
+					});
+				}
+			);
+		});
+	}
+);
+
+// Update a specification field's unit, required flag, allowed values or
+// position. Products are checked against the new schema on their next write.
+app.put(
+	"/api/admin/categories/:id/spec-fields/:fieldId",
+	authenticate,
+	requirePermission("categories:manage"),
+	(req, res) => {
+		const categoryId = parseInt(req.params.id, 10);
+		const fieldId = parseInt(req.params.fieldId, 10);
+		const { field, errors } = validateSpecFieldInput(req.body, true);
+
+		if (errors.length > 0) {
+			return res
+				.status(400)
+				.json({ error: "Invalid specification field", errors });
+		}
+
+		if (Object.keys(field).length === 0) {
+			return res.status(400).json({ error: "No fields to update" });
+		}
+
+		const fieldQuery =
+			"SELECT type FROM category_spec_fields WHERE id = ? AND category_id = ?";
+		pool.query(fieldQuery, [fieldId, categoryId], (err, results) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			if (results.length === 0) {
+				return res.status(404).json({ error: "Specification field not found" });
+			}
+
+			const { type } = results[0];
+			if (field.unit && type !== "number") {
+				return res
+					.status(400)
+					.json({ error: "Only number fields have a unit" });
+			}
+			if (field.allowed_values && type !== "enum") {
+				return res
+					.status(400)
+					.json({ error: "Only enum fields have allowed values" });
+			}
+
+			pool.query(
+				"UPDATE category_spec_fields SET ? WHERE id = ?",
+				[field, fieldId],
+				(err) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to update specification field",
+							details: err.message,
+						});
+					}
+
+					res
+						.status(200)
+						.json({ message: "Specification field updated", fieldId });
+				}
+			);
+		});
+	}
+);
+
+// Remove a specification field, and its values from the products that have
+// one
+app.delete(
+	"/api/admin/categories/:id/spec-fields/:fieldId",
+	authenticate,
+	requirePermission("categories:manage"),
+	(req, res) => {
+		const categoryId = parseInt(req.params.id, 10);
+		const fieldId = parseInt(req.params.fieldId, 10);
+
+		beginTransaction((err, connection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			const rollback = (status, body) => {
+				rollbackTransaction(connection, () => {
+					res.status(status).json(body);
+				});
+			};
+
+			const fieldQuery =
+				"SELECT name FROM category_spec_fields WHERE id = ? AND category_id = ? FOR UPDATE";
+			connection.query(fieldQuery, [fieldId, categoryId], (err, results) => {
+				if (err) {
+					return rollback(500, {
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				if (results.length === 0) {
+					return rollback(404, { error: "Specification field not found" });
+				}
+
+				const removeQuery = `
+                    UPDATE products p 
+                    JOIN product_spec_values sv ON sv.product_id = p.id AND sv.field_id = ? 
+                    SET p.specifications = JSON_REMOVE(p.specifications, ?)
+                `;
+				connection.query(
+					removeQuery,
+					[fieldId, `$.${JSON.stringify(results[0].name)}`],
+					(err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to remove specification values",
+								details: err.message,
+							});
+						}
+
+						connection.query(
+							"DELETE FROM category_spec_fields WHERE id = ?",
+							[fieldId],
+							(err) => {
+								if (err) {
+									return rollback(500, {
+										error: "Failed to delete specification field",
+										details: err.message,
+									});
+								}
+
+								commitTransaction(connection, (err) => {
+									if (err) {
+										return rollback(500, {
+											error: "Transaction commit failed",
+											details: err.message,
+										});
+									}
+
+									res
+										.status(200)
+										.json({ message: "Specification field deleted" });
+								});
+							}
+						);
+					}
+				);
+			});
+		});
+	}
+);
+
+// Admin: product variants
+// Option matrix of a product including inactive variants
+app.get(
+	"/api/admin/products/:id/variants",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = parseInt(req.params.id, 10);
+
+		pool.query(
+			"SELECT id, price, image FROM products WHERE id = ?",
+			[productId],
+			(err, results) => {
+				if (err) {
+					return res
+						.status(500)
+						.json({ error: "Database error", details: err.message });
+				}
+
+				if (results.length === 0) {
+					return res.status(404).json({ error: "Product not found" });
+				}
+
+				loadProductVariants(pool, results[0], true, (err, matrix) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to retrieve variants",
+							details: err.message,
+						});
+					}
+
+					res.status(200).json(matrix);
+				});
+			}
+		);
+	}
+);
+
+// Create a variant. Option types and values are created as needed; every
+// variant of a product must pick a value for the same option types. New
+// variants start without stock, which is added through the stock endpoint.
+app.post(
+	"/api/admin/products/:id/variants",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = parseInt(req.params.id, 10);
+		const { variant, options, errors } = validateVariantInput(req.body);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid variant", errors });
+		}
+
+		// Connection of the transaction, set once it has started
+		let connection;
+
+		// Roll back the transaction and send an error response
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		beginTransaction((err, transactionConnection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			connection = transactionConnection;
+
+			const productQuery = `
+                SELECT id, price, image, stock_quantity 
+                FROM products 
+                WHERE id = ? AND is_deleted = FALSE 
+                FOR UPDATE
+            `;
+			connection.query(productQuery, [productId], (err, results) => {
+				if (err) {
+					return rollback(500, {
+						error: "Database error",
+						details: err.message,
+					});
+				}
+
+				if (results.length === 0) {
+					return rollback(404, { error: "Product not found" });
+				}
+
+				const product = results[0];
+				loadProductVariants(connection, product, true, (err, matrix) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to load variants",
+							details: err.message,
+						});
+					}
+
+					const optionNames = (values) =>
+						Object.keys(values)
+							.map((name) => name.toLowerCase())
+							.sort()
+							.join("|");
+
+					if (matrix.variants.length === 0 && product.stock_quantity > 0) {
+						return rollback(409, {
+							error:
+								"Product has stock outside variants; adjust it to zero before adding variants",
+							currentStock: product.stock_quantity,
+						});
+					}
+
+					if (
+						matrix.variants.length > 0 &&
+						optionNames(matrix.variants[0].options) !== optionNames(options)
+					) {
+						return rollback(400, {
+							error: "Variants of this product must set the same options",
+							options: Object.keys(matrix.variants[0].options),
+						});
+					}
+
+					const signature = optionSignature(options);
+					const duplicate = matrix.variants.find(
+						(existing) => optionSignature(existing.options) === signature
+					);
+					if (duplicate) {
+						return rollback(409, {
+							error: "A variant with these options already exists",
+							variantId: duplicate.id,
+						});
+					}
+
+					resolveValues(matrix.options, Object.keys(options), []);
+				});
+			});
+		});
+
+		// Find or create the option type and value for each option, in order
+		function resolveValues(existingOptions, names, picked) {
+			if (names.length === 0) {
+				return insertVariant(picked);
+			}
+
+			const [name, ...remaining] = names;
+			const value = options[name];
+			const option = existingOptions.find(
+				(candidate) => candidate.name.toLowerCase() === name.toLowerCase()
+			);
+
+			const withOption = (optionId, values) => {
+				const existingValue = values.find(
+					(candidate) => candidate.value.toLowerCase() === value.toLowerCase()
+				);
+				if (existingValue) {
+					return resolveValues(existingOptions, remaining, [
+						...picked,
+						[optionId, existingValue.id],
+					]);
+				}
+
+				connection.query(
+					"INSERT INTO product_option_values (option_id, value, position) VALUES (?, ?, ?)",
+					[optionId, value, values.length],
+					(err, result) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to create option value",
+								details: err.message,
+							});
+						}
+						resolveValues(existingOptions, remaining, [
+							...picked,
+							[optionId, result.insertId],
+						]);
+					}
+				);
+			};
+
+			if (option) {
+				return withOption(option.id, option.values);
+			}
+
+			connection.query(
+				"INSERT INTO product_options (product_id, name, position) VALUES (?, ?, ?)",
+				[productId, name, existingOptions.length + picked.length],
+				(err, result) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to create option",
+							details: err.message,
+						});
+					}
+					withOption(result.insertId, []);
+				}
+			);
+		}
+
+		function insertVariant(picked) {
+			connection.query(
+				"INSERT INTO product_variants SET ?",
+				{ ...variant, product_id: productId },
+				(err, result) => {
+					if (err) {
+						if (err.code === "ER_DUP_ENTRY") {
+							return rollback(409, {
+								error: "A variant with this SKU already exists",
+							});
+						}
+						return rollback(500, {
+							error: "Failed to create variant",
+							details: err.message,
+						});
+					}
+
+					const variantId = result.insertId;
+					const valuesQuery =
+						"INSERT INTO product_variant_values (variant_id, option_id, value_id) VALUES ?";
+					connection.query(
+						valuesQuery,
+						[
+							picked.map(([optionId, valueId]) => [
+								variantId,
+								optionId,
+								valueId,
+							]),
+						],
+						(err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Failed to save variant options",
+									details: err.message,
+								});
+							}
+
+							commitTransaction(connection, (err) => {
+								if (err) {
+									return rollback(500, {
+										error: "Transaction commit failed",
+										details: err.message,
+									});
+								}
+
+								res.status(201).json({
+									message: "Variant created",
+									variantId,
+								});
+							});
+						}
+					);
+				}
+			);
+		}
+	}
+);
+
+// Update a variant's SKU, price, image or active flag. Stock changes go
+// through the stock endpoint so they are recorded as movements.
+app.put(
+	"/api/admin/products/:id/variants/:variantId",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = parseInt(req.params.id, 10);
+		const variantId = parseInt(req.params.variantId, 10);
+		const { variant, errors } = validateVariantInput(req.body, true);
+
+		if (errors.length > 0) {
+			return res.status(400).json({ error: "Invalid variant", errors });
+		}
+
+		if (Object.keys(variant).length === 0) {
+			return res.status(400).json({ error: "No fields to update" });
+		}
+
+		pool.query(
+			"UPDATE product_variants SET ? WHERE id = ? AND product_id = ?",
+			[variant, variantId, productId],
+			(err, result) => {
+				if (err) {
+					if (err.code === "ER_DUP_ENTRY") {
+						return res
+							.status(409)
+							.json({ error: "A variant with this SKU already exists" });
+					}
+					return res.status(500).json({
+						error: "Failed to update variant",
+						details: err.message,
+					});
+				}
+
+				if (result.affectedRows === 0) {
+					return res.status(404).json({ error: "Variant not found" });
+				}
+
+				res.status(200).json({ message: "Variant updated", variantId });
+			}
+		);
+	}
+);
+
+// Admin: product images
+// Upload images without attaching them, e.g. for a product that is still
+// being created. Multipart field "images", up to MAX_IMAGES_PER_UPLOAD JPEG,
+// PNG or WebP files. Images left unattached are removed by the cleanup.
+app.post(
+	"/api/admin/images",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		receiveImages(req, res, (files) => {
+			storeUploadedImages(files, req.user.id, (err, rows) => {
+				if (err) {
+					if (err.statusCode) {
+						return res.status(err.statusCode).json({ error: err.message });
+					}
+					return res
+						.status(500)
+						.json({ error: "Failed to store images", details: err.message });
+				}
+
+				res.status(201).json({ images: rows.map(formatImage) });
+			});
+		});
+	}
+);
+
+// Upload images and add them to the end of a product's gallery
+app.post(
+	"/api/admin/products/:id/images",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = parseInt(req.params.id, 10);
+
+		receiveImages(req, res, (files) => {
+			pool.query(
+				"SELECT id FROM products WHERE id = ?",
+				[productId],
+				(err, products) => {
+					if (err) {
+						return res
+							.status(500)
+							.json({ error: "Database error", details: err.message });
+					}
+
+					if (products.length === 0) {
+						return res.status(404).json({ error: "Product not found" });
+					}
+
+					storeUploadedImages(files, req.user.id, (err, rows) => {
+						if (err) {
+							if (err.statusCode) {
+								return res.status(err.statusCode).json({ error: err.message });
+							}
+							return res.status(500).json({
+								error: "Failed to store images",
+								details: err.message,
+							});
+						}
+
+						const positionQuery =
+							"SELECT COALESCE(MAX(position) + 1, 0) AS next FROM product_images WHERE product_id = ?";
+						pool.query(positionQuery, [productId], (err, positions) => {
+							if (err) {
+								return res
+									.status(500)
+									.json({ error: "Database error", details: err.message });
+							}
+
+							const insertQuery =
+								"INSERT INTO product_images (product_id, image_id, position) VALUES ?";
+							const values = rows.map((row, index) => [
+								productId,
+								row.id,
+								positions[0].next + index,
+							]);
+							pool.query(insertQuery, [values], (err) => {
+								if (err) {
+									return res.status(500).json({
+										error: "Failed to add images to the gallery",
+										details: err.message,
+									});
+								}
+
+								syncPrimaryImage(pool, productId, [], (err) => {
+									if (err) {
+										return res.status(500).json({
+											error: "Failed to update the product image",
+											details: err.message,
+										});
+									}
+
+									respondWithGallery(res, 201, productId);
+								});
+							});
+						});
+					});
+				}
+			);
+		});
+	}
+);
+
+// Set a product's gallery: the listed images in order, with optional alt
+// texts. Images left out are removed from the gallery and deleted when no
+// other product uses them.
+// Body: { images: [{ imageId, altText }] }
+app.put(
+	"/api/admin/products/:id/images",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = parseInt(req.params.id, 10);
+		const { images } = req.body;
+
+		if (
+			!Array.isArray(images) ||
+			images.some(
+				(image) =>
+					!image ||
+					!Number.isInteger(image.imageId) ||
+					(image.altText !== undefined &&
+						image.altText !== null &&
+						(typeof image.altText !== "string" || image.altText.length > 255))
+			)
+		) {
+			return res.status(400).json({
+				error:
+					"images must be an array of { imageId, altText } with alt texts of at most 255 characters",
+			});
+		}
+
+		const imageIds = images.map((image) => image.imageId);
+		if (new Set(imageIds).size !== imageIds.length) {
+			return res
+				.status(400)
+				.json({ error: "An image can only appear once in a gallery" });
+		}
+
+		// Connection of the transaction, set once it has started
+		let connection;
+
+		// Roll back the transaction and send an error response
+		const rollback = (status, body) => {
+			rollbackTransaction(connection, () => {
+				res.status(status).json(body);
+			});
+		};
+
+		beginTransaction((err, transactionConnection) => {
+			if (err) {
+				return res.status(500).json({
+					error: "Transaction start failed",
+					details: err.message,
+				});
+			}
+
+			connection = transactionConnection;
+
+			connection.query(
+				"SELECT id FROM products WHERE id = ? FOR UPDATE",
+				[productId],
+				(err, products) => {
+					if (err) {
+						return rollback(500, {
+							error: "Database error",
+							details: err.message,
+						});
+					}
+
+					if (products.length === 0) {
+						return rollback(404, { error: "Product not found" });
+					}
+
+					const imagesQuery =
+						imageIds.length > 0
+							? "SELECT id FROM images WHERE id IN (?)"
+							: "SELECT id FROM images WHERE FALSE";
+					connection.query(imagesQuery, [imageIds], (err, found) => {
+						if (err) {
+							return rollback(500, {
+								error: "Database error",
+								details: err.message,
+							});
+						}
+
+						const missing = imageIds.filter(
+							(id) => !found.some((row) => row.id === id)
+						);
+						if (missing.length > 0) {
+							return rollback(404, { error: "Image not found", missing });
+						}
+
+						loadProductImages(connection, productId, (err, previous) => {
+							if (err) {
+								return rollback(500, {
+									error: "Database error",
+									details: err.message,
+								});
+							}
+
+							replaceGallery(previous);
+						});
+					});
+				}
+			);
+		});
+
+		function replaceGallery(previous) {
+			connection.query(
+				"DELETE FROM product_images WHERE product_id = ?",
+				[productId],
+				(err) => {
+					if (err) {
+						return rollback(500, {
+							error: "Failed to update the gallery",
+							details: err.message,
+						});
+					}
+
+					const insertGallery = (next) => {
+						if (images.length === 0) {
+							return next(null);
+						}
+						const insertQuery =
+							"INSERT INTO product_images (product_id, image_id, position, alt_text) VALUES ?";
+						connection.query(
+							insertQuery,
+							[
+								images.map((image, index) => [
+									productId,
+									image.imageId,
+									index,
+									image.altText || null,
+								]),
+							],
+							(err) => next(err || null)
+						);
+					};
+
+					insertGallery((err) => {
+						if (err) {
+							return rollback(500, {
+								error: "Failed to update the gallery",
+								details: err.message,
+							});
+						}
+
+						const removed = previous.filter(
+							(image) => !imageIds.includes(image.id)
+						);
+						syncPrimaryImage(connection, productId, removed, (err) => {
+							if (err) {
+								return rollback(500, {
+									error: "Failed to update the product image",
+									details: err.message,
+								});
+							}
+
+							commitTransaction(connection, (err) => {
+								if (err) {
+									return rollback(500, {
+										error: "Transaction commit failed",
+										details: err.message,
+									});
+								}
+
+								respondWithGallery(res, 200, productId);
+								deleteUnreferencedImagesInBackground(removed);
+							});
+						});
+					});
+				}
+			);
+		}
+	}
+);
+
+// Remove one image from a product's gallery, deleting it when no other
+// product uses it
+app.delete(
+	"/api/admin/products/:id/images/:imageId",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		const productId = parseInt(req.params.id, 10);
+		const imageId = parseInt(req.params.imageId, 10);
+
+		loadProductImages(pool, productId, (err, gallery) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Database error", details: err.message });
+			}
+
+			const image = gallery.find((row) => row.id === imageId);
+			if (!image) {
+				return res
+					.status(404)
+					.json({ error: "Image not found in the product's gallery" });
+			}
+
+			pool.query(
+				"DELETE FROM product_images WHERE product_id = ? AND image_id = ?",
+				[productId, imageId],
+				(err) => {
+					if (err) {
+						return res.status(500).json({
+							error: "Failed to remove image",
+							details: err.message,
+						});
+					}
+
+					syncPrimaryImage(pool, productId, [image], (err) => {
+						if (err) {
+							return res.status(500).json({
+								error: "Failed to update the product image",
+								details: err.message,
+							});
+						}
+
+						respondWithGallery(res, 200, productId);
+						deleteUnreferencedImagesInBackground([image]);
+					});
+				}
+			);
+		});
+	}
+);
+
+// Delete images that no product has used for ORPHANED_IMAGE_GRACE_HOURS
+app.post(
+	"/api/admin/images/cleanup",
+	authenticate,
+	requirePermission("products:write"),
+	(req, res) => {
+		cleanupOrphanedImages((err, deleted) => {
+			if (err) {
+				return res
+					.status(500)
+					.json({ error: "Failed to clean up images", details: err.message });
+			}
+
+			res.status(200).json({ message: "Images cleaned up", deleted });
+		});
+	}
+);
+
+module.exports = app;
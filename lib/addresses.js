@@ -0,0 +1,75 @@
+// Address book validation and order snapshots
+
+const ADDRESS_FIELDS = {
+	label: { maxLength: 50, required: false },
+	recipient_name: { maxLength: 100, required: true },
+	phone: { maxLength: 32, required: false },
+	line1: { maxLength: 255, required: true },
+	line2: { maxLength: 255, required: false },
+	city: { maxLength: 100, required: true },
+	region: { maxLength: 100, required: false },
+	postal_code: { maxLength: 20, required: true },
+	country: { maxLength: 2, required: true },
+};
+
+// Validate address input. With `partial` only the given fields are checked
+// (used for updates). Returns { address, errors }.
+function validateAddress(input, partial = false) {
+	const address = {};
+	const errors = [];
+
+	Object.keys(ADDRESS_FIELDS).forEach((field) => {
+		const rules = ADDRESS_FIELDS[field];
+		const value = input[field];
+
+		if (value === undefined || value === null || value === "") {
+			if (rules.required && !partial) {
+				errors.push({ field, message: `${field} is required` });
+			}
+			if (value !== undefined && !rules.required) {
+				address[field] = null;
+			}
+			return;
+		}
+
+		if (typeof value !== "string" || value.length > rules.maxLength) {
+			errors.push({
+				field,
+				message: `${field} must be a string of at most ${rules.maxLength} characters`,
+			});
+			return;
+		}
+
+		address[field] = field === "country" ? value.toUpperCase() : value.trim();
+	});
+
+	if (address.country && !/^[A-Z]{2}$/.test(address.country)) {
+		errors.push({
+			field: "country",
+			message: "country must be a 2-letter ISO code",
+		});
+	}
+
+	return { address, errors };
+}
+
+// Copy of an address stored on an order, so later edits to the address book
+// do not rewrite order history
+function toOrderSnapshot(row) {
+	return {
+		recipientName: row.recipient_name,
+		phone: row.phone,
+		line1: row.line1,
+		line2: row.line2,
+		city: row.city,
+		region: row.region,
+		postalCode: row.postal_code,
+		country: row.country,
+	};
+}
+
+module.exports = {
+	ADDRESS_FIELDS,
+	validateAddress,
+	toOrderSnapshot,
+};
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings
+// that are only ever stored hashed in the refresh_tokens table.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+	process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+	10
+);
+const PASSWORD_RESET_TTL_MINUTES = parseInt(
+	process.env.PASSWORD_RESET_TTL_MINUTES || "60",
+	10
+);
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(
+	process.env.EMAIL_VERIFICATION_TTL_HOURS || "24",
+	10
+);
+
+function getJwtSecret() {
+	const secret = process.env.JWT_SECRET;
+	if (!secret) {
+		throw new Error("JWT_SECRET is not configured");
+	}
+	return secret;
+}
+
+// Sign an access token for a user row. The token version lets us invalidate
+// every outstanding access token of a user by bumping users.token_version.
+function signAccessToken(user) {
+	return jwt.sign(
+		{ sub: String(user.id), email: user.email, tv: user.token_version || 0 },
+		getJwtSecret(),
+		{ expiresIn: ACCESS_TOKEN_TTL }
+	);
+}
+
+// Verify an access token, returns the decoded payload or throws
+function verifyAccessToken(token) {
+	return jwt.verify(token, getJwtSecret());
+}
+
+// Generate a random opaque token (used for refresh and reset tokens)
+function generateOpaqueToken() {
+	return crypto.randomBytes(48).toString("hex");
+}
+
+// Tokens are looked up by their SHA-256 hash so a database leak
+// does not expose usable tokens
+function hashToken(token) {
+	return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function refreshTokenExpiry() {
+	return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function passwordResetExpiry() {
+	return new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+}
+
+function emailVerificationExpiry() {
+	return new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+}
+
+// Deliberately loose, the verification mail is the real check
+function isValidEmail(email) {
+	return typeof email === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+module.exports = {
+	signAccessToken,
+	verifyAccessToken,
+	generateOpaqueToken,
+	hashToken,
+	refreshTokenExpiry,
+	passwordResetExpiry,
+	emailVerificationExpiry,
+	isValidEmail,
+};
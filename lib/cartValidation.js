@@ -0,0 +1,186 @@
+const { roundMoney } = require("./pricing");
+const { normalizeVariantId } = require("./variants");
+
+// Cart validation.
+// Checks a cart against the current catalog and returns the problems found
+// together with corrections the client can send back in one call.
+// Correction actions:
+//   remove          drop the item from the cart
+//   set_quantity    change the item's quantity to `quantity`
+//   accept_price    accept the current price as the item's new reference price
+
+// Largest quantity of one product in a cart, unless the product sets a lower
+// max_per_order
+const MAX_LINE_QUANTITY = parseInt(process.env.MAX_LINE_QUANTITY || "99", 10);
+const CORRECTION_ACTIONS = ["remove", "set_quantity", "accept_price"];
+
+// Highest quantity of a product a customer can order in one go
+function quantityLimit(row) {
+	return row.max_per_order
+		? Math.min(row.max_per_order, MAX_LINE_QUANTITY)
+		: MAX_LINE_QUANTITY;
+}
+
+// Validate cart rows loaded with their product data.
+// rows: [{ product_id, variant_id, quantity, price_at_add, name, price,
+// is_deleted, stock_quantity, max_per_order }] where name/price are NULL when
+// the product no longer exists; price and stock_quantity are the variant's for
+// variant rows.
+// Returns { valid, issues, corrections }.
+function validateCartRows(rows) {
+	const issues = [];
+	const corrections = [];
+
+	rows.forEach((row) => {
+		const item = { productId: row.product_id, variantId: row.variant_id || 0 };
+
+		if (row.price === null || row.price === undefined || row.is_deleted) {
+			issues.push({
+				...item,
+				name: row.name || null,
+				type: "unavailable",
+				message: "Product is no longer available",
+			});
+			corrections.push({ ...item, action: "remove" });
+			return;
+		}
+
+		const stock = row.stock_quantity || 0;
+		const limit = quantityLimit(row);
+		let quantity = row.quantity;
+
+		if (!Number.isInteger(quantity) || quantity < 1) {
+			issues.push({
+				...item,
+				name: row.name,
+				type: "invalid_quantity",
+				message: "Quantity must be a positive whole number",
+				quantity,
+			});
+			corrections.push({ ...item, action: "remove" });
+			return;
+		}
+
+		if (stock <= 0) {
+			issues.push({
+				...item,
+				name: row.name,
+				type: "out_of_stock",
+				message: "Product is out of stock",
+				quantity,
+				available: 0,
+			});
+			corrections.push({ ...item, action: "remove" });
+			return;
+		}
+
+		if (quantity > limit) {
+			issues.push({
+				...item,
+				name: row.name,
+				type: "over_limit",
+				message: `At most ${limit} can be ordered`,
+				quantity,
+				limit,
+			});
+			quantity = limit;
+		}
+
+		if (quantity > stock) {
+			issues.push({
+				...item,
+				name: row.name,
+				type: "insufficient_stock",
+				message: `Only ${stock} left in stock`,
+				quantity,
+				available: stock,
+			});
+			quantity = stock;
+		}
+
+		if (quantity !== row.quantity) {
+			corrections.push({ ...item, action: "set_quantity", quantity });
+		}
+
+		const currentPrice = roundMoney(parseFloat(row.price));
+		if (
+			row.price_at_add !== null &&
+			row.price_at_add !== undefined &&
+			roundMoney(parseFloat(row.price_at_add)) !== currentPrice
+		) {
+			const previousPrice = roundMoney(parseFloat(row.price_at_add));
+			issues.push({
+				...item,
+				name: row.name,
+				type: "price_changed",
+				message:
+					currentPrice > previousPrice
+						? "Price has gone up since the item was added"
+						: "Price has gone down since the item was added",
+				previousPrice,
+				currentPrice,
+			});
+			corrections.push({
+				...item,
+				action: "accept_price",
+				price: currentPrice,
+			});
+		}
+	});
+
+	return { valid: issues.length === 0, issues, corrections };
+}
+
+// Issues that keep a cart from being ordered; a changed price alone does not
+function blockingIssues(issues) {
+	return issues.filter((issue) => issue.type !== "price_changed");
+}
+
+// Check correction input from a client.
+// Returns { corrections, errors } with quantities parsed.
+function parseCorrections(input) {
+	const errors = [];
+
+	if (!Array.isArray(input) || input.length === 0) {
+		return {
+			corrections: [],
+			errors: [{ message: "corrections must be a non-empty array" }],
+		};
+	}
+
+	const corrections = input.map((correction, index) => {
+		const productId = parseInt(correction && correction.productId, 10);
+		const variantId = normalizeVariantId(correction && correction.variantId);
+		const action = correction && correction.action;
+		const quantity = parseInt(correction && correction.quantity, 10);
+
+		if (!productId) {
+			errors.push({ index, message: "productId is required" });
+		}
+		if (variantId === null) {
+			errors.push({ index, message: "variantId must be a variant id" });
+		}
+		if (!CORRECTION_ACTIONS.includes(action)) {
+			errors.push({
+				index,
+				message: `action must be one of ${CORRECTION_ACTIONS.join(", ")}`,
+			});
+		}
+		if (action === "set_quantity" && (!quantity || quantity < 1)) {
+			errors.push({ index, message: "quantity must be a positive number" });
+		}
+
+		return { productId, variantId, action, quantity };
+	});
+
+	return { corrections, errors };
+}
+
+module.exports = {
+	MAX_LINE_QUANTITY,
+	CORRECTION_ACTIONS,
+	quantityLimit,
+	validateCartRows,
+	blockingIssues,
+	parseCorrections,
+};
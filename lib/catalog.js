@@ -0,0 +1,286 @@
+const { parseSpecFilters } = require("./specifications");
+
+// Product catalog queries.
+// Filters, sorting and pagination for GET /api/products. Pages are either
+// numbered (page + limit) or keyset based: each response carries a next
+// cursor that, sent back as `cursor`, continues after the last row without
+// OFFSET scans. Soft-deleted products are never listed or counted. The
+// response body stays a plain array of products; pagination is reported in
+// headers (see paginationHeaders).
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys in order; every sort ends with id so the order is total, which
+// keyset pagination needs
+const SORT_OPTIONS = {
+	newest: { column: "created_at", direction: "DESC" },
+	price_asc: { column: "price", direction: "ASC" },
+	price_desc: { column: "price", direction: "DESC" },
+	name_asc: { column: "name", direction: "ASC" },
+	name_desc: { column: "name", direction: "DESC" },
+};
+const DEFAULT_SORT = "newest";
+
+// Query string values may be repeated (?category=a&category=b) or comma
+// separated (?category=a,b)
+function toList(value) {
+	if (value === undefined || value === "") {
+		return [];
+	}
+	return (Array.isArray(value) ? value : [value])
+		.join(",")
+		.split(",")
+		.map((item) => item.trim())
+		.filter(Boolean);
+}
+
+function parsePrice(value, field, errors) {
+	if (value === undefined || value === "") {
+		return null;
+	}
+
+	const price = Number(value);
+	if (!Number.isFinite(price) || price < 0) {
+		errors.push({ field, message: `${field} must be a non-negative number` });
+		return null;
+	}
+	return price;
+}
+
+function parsePositiveInt(value, field, fallback, errors) {
+	if (value === undefined || value === "") {
+		return fallback;
+	}
+
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < 1) {
+		errors.push({ field, message: `${field} must be a positive integer` });
+		return fallback;
+	}
+	return number;
+}
+
+function encodeCursor(row, sort) {
+	const { column } = SORT_OPTIONS[sort];
+	const value =
+		row[column] instanceof Date ? row[column].toISOString() : row[column];
+	return Buffer.from(JSON.stringify([sort, value, row.id])).toString(
+		"base64url"
+	);
+}
+
+// Returns { value, id } or null when the cursor is malformed or was issued
+// for another sort order
+function decodeCursor(cursor, sort) {
+	try {
+		const [cursorSort, value, id] = JSON.parse(
+			Buffer.from(cursor, "base64url").toString("utf8")
+		);
+		if (cursorSort !== sort || !Number.isInteger(id) || value === undefined) {
+			return null;
+		}
+		return {
+			value:
+				SORT_OPTIONS[sort].column === "created_at" ? new Date(value) : value,
+			id,
+		};
+	} catch (err) {
+		return null;
+	}
+}
+
+// Parse GET /api/products query parameters.
+// Returns { filters, sort, limit, page, cursor, errors }; cursor is the
+// decoded cursor and page is null in keyset mode.
+function parseCatalogQuery(query) {
+	const errors = [];
+
+	const filters = {
+		categories: toList(query.category),
+		minPrice: parsePrice(query.minPrice, "minPrice", errors),
+		maxPrice: parsePrice(query.maxPrice, "maxPrice", errors),
+		search: typeof query.search === "string" ? query.search.trim() : "",
+	};
+
+	const { specs, errors: specErrors } = parseSpecFilters(query.spec);
+	filters.specs = specs;
+	errors.push(...specErrors);
+
+	if (
+		filters.minPrice !== null &&
+		filters.maxPrice !== null &&
+		filters.minPrice > filters.maxPrice
+	) {
+		errors.push({
+			field: "minPrice",
+			message: "minPrice must not be greater than maxPrice",
+		});
+	}
+
+	const sort = query.sort || DEFAULT_SORT;
+	if (!SORT_OPTIONS[sort]) {
+		errors.push({
+			field: "sort",
+			message: `sort must be one of ${Object.keys(SORT_OPTIONS).join(", ")}`,
+		});
+	}
+
+	const limit = Math.min(
+		parsePositiveInt(query.limit, "limit", DEFAULT_PAGE_SIZE, errors),
+		MAX_PAGE_SIZE
+	);
+
+	let cursor = null;
+	let page = null;
+	if (query.cursor) {
+		if (query.page !== undefined) {
+			errors.push({
+				field: "cursor",
+				message: "cursor and page cannot be combined",
+			});
+		}
+		cursor = SORT_OPTIONS[sort] ? decodeCursor(query.cursor, sort) : null;
+		if (!cursor) {
+			errors.push({
+				field: "cursor",
+				message: "cursor is invalid for this sort order",
+			});
+		}
+	} else {
+		page = parsePositiveInt(query.page, "page", 1, errors);
+	}
+
+	return { filters, sort, limit, page, cursor, errors };
+}
+
+// WHERE clause shared by the product rows and their count.
+// Returns { clause, params } for columns of the products table aliased `p`.
+function buildCatalogWhere(filters) {
+	const conditions = ["p.is_deleted = FALSE"];
+	const params = [];
+
+	// The caller resolves `categories` to the ids of the requested categories
+	// and their subcategories
+	if (filters.categoryIds) {
+		if (filters.categoryIds.length === 0) {
+			conditions.push("FALSE");
+		} else {
+			conditions.push("p.category_id IN (?)");
+			params.push(filters.categoryIds);
+		}
+	}
+
+	if (filters.minPrice !== null) {
+		conditions.push("p.price >= ?");
+		params.push(filters.minPrice);
+	}
+
+	if (filters.maxPrice !== null) {
+		conditions.push("p.price <= ?");
+		params.push(filters.maxPrice);
+	}
+
+	if (filters.search) {
+		conditions.push("(p.name LIKE ? OR p.description LIKE ?)");
+		params.push(`%${filters.search}%`, `%${filters.search}%`);
+	}
+
+	// The caller resolves `specs` against the specification fields; each
+	// condition is a list of alternatives, one per matching field type.
+	// Columns and operators come from resolveSpecFilters' whitelists.
+	(filters.specConditions || []).forEach((alternatives) => {
+		const matches = alternatives.map((alternative) => {
+			params.push(alternative.fieldIds, alternative.value);
+			return `(sv.field_id IN (?) AND sv.${alternative.column} ${alternative.operator} ?)`;
+		});
+		conditions.push(
+			`EXISTS (SELECT 1 FROM product_spec_values sv WHERE sv.product_id = p.id AND (${matches.join(
+				" OR "
+			)}))`
+		);
+	});
+
+	return { clause: conditions.join(" AND "), params };
+}
+
+// ORDER BY clause and, for keyset pages, the condition that skips rows up to
+// and including the cursor. Returns { orderBy, seek, seekParams }.
+function buildCatalogOrder(sort, cursor) {
+	const { column, direction } = SORT_OPTIONS[sort];
+	const orderBy = `p.${column} ${direction}, p.id ${direction}`;
+
+	if (!cursor) {
+		return { orderBy, seek: null, seekParams: [] };
+	}
+
+	const operator = direction === "ASC" ? ">" : "<";
+	return {
+		orderBy,
+		seek: `(p.${column} ${operator} ? OR (p.${column} = ? AND p.id ${operator} ?))`,
+		seekParams: [cursor.value, cursor.value, cursor.id],
+	};
+}
+
+// Link to the same list with other paging parameters
+function pageLink(path, query, paging, rel) {
+	const params = new URLSearchParams();
+	Object.keys(query)
+		.filter((name) => name !== "page" && name !== "cursor")
+		.forEach((name) => {
+			(Array.isArray(query[name]) ? query[name] : [query[name]]).forEach(
+				(value) => params.append(name, value)
+			);
+		});
+	Object.keys(paging).forEach((name) => params.set(name, paging[name]));
+	return `<${path}?${params.toString()}>; rel="${rel}"`;
+}
+
+// Response headers describing a page of the product list:
+//   X-Total-Count   matching products over all pages
+//   X-Next-Cursor   cursor of the next page, when there is one
+//   X-Page, X-Total-Pages   for numbered pages
+//   Link            next/prev/first/last page URLs (RFC 8288)
+// path and query are the request's path and parsed query string.
+function paginationHeaders(path, query, { total, limit, page, nextCursor }) {
+	const headers = { "X-Total-Count": String(total) };
+	const links = [];
+
+	if (nextCursor) {
+		headers["X-Next-Cursor"] = nextCursor;
+	}
+
+	if (page) {
+		const totalPages = Math.max(Math.ceil(total / limit), 1);
+		headers["X-Page"] = String(page);
+		headers["X-Total-Pages"] = String(totalPages);
+
+		if (page < totalPages) {
+			links.push(pageLink(path, query, { page: page + 1 }, "next"));
+		}
+		if (page > 1) {
+			links.push(
+				pageLink(path, query, { page: Math.min(page - 1, totalPages) }, "prev")
+			);
+		}
+		links.push(pageLink(path, query, { page: 1 }, "first"));
+		links.push(pageLink(path, query, { page: totalPages }, "last"));
+	} else if (nextCursor) {
+		links.push(pageLink(path, query, { cursor: nextCursor }, "next"));
+	}
+
+	if (links.length > 0) {
+		headers.Link = links.join(", ");
+	}
+	return headers;
+}
+
+module.exports = {
+	DEFAULT_PAGE_SIZE,
+	MAX_PAGE_SIZE,
+	SORT_OPTIONS,
+	parseCatalogQuery,
+	buildCatalogWhere,
+	buildCatalogOrder,
+	encodeCursor,
+	paginationHeaders,
+};
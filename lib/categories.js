@@ -0,0 +1,174 @@
+// Product categories.
+// Categories form a tree through parent_id. Products reference a category by
+// id; products.category keeps a copy of the category's name for tax rules,
+// coupons and search, which match on names.
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// URL-friendly form of a name: "Laptops & Tablets" -> "laptops-tablets".
+// Migration 022 derives slugs of existing categories the same way.
+function slugify(name) {
+	return String(name || "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+}
+
+// Validate admin input for a category. With `partial` only given fields are
+// checked. Returns { category, errors } where category holds DB column
+// values; the slug defaults to the slugified name on create.
+function validateCategoryInput(input, partial = false) {
+	const category = {};
+	const errors = [];
+
+	const has = (field) => input[field] !== undefined;
+
+	if (has("name") || !partial) {
+		if (
+			typeof input.name !== "string" ||
+			!input.name.trim() ||
+			input.name.trim().length > 100
+		) {
+			errors.push({
+				field: "name",
+				message: "name is required and must be at most 100 characters",
+			});
+		} else {
+			category.name = input.name.trim();
+		}
+	}
+
+	if (has("slug")) {
+		if (typeof input.slug !== "string" || !SLUG_PATTERN.test(input.slug)) {
+			errors.push({
+				field: "slug",
+				message:
+					"slug must be lowercase letters and digits separated by single dashes",
+			});
+		} else {
+			category.slug = input.slug;
+		}
+	} else if (!partial && category.name) {
+		category.slug = slugify(category.name);
+		if (!category.slug) {
+			errors.push({
+				field: "slug",
+				message: "slug is required when the name has no letters or digits",
+			});
+		}
+	}
+
+	if (has("parentId")) {
+		if (input.parentId === null) {
+			category.parent_id = null;
+		} else if (!Number.isInteger(input.parentId) || input.parentId < 1) {
+			errors.push({
+				field: "parentId",
+				message: "parentId must be a category id or null",
+			});
+		} else {
+			category.parent_id = input.parentId;
+		}
+	}
+
+	if (has("description")) {
+		if (input.description !== null && typeof input.description !== "string") {
+			errors.push({
+				field: "description",
+				message: "description must be a string",
+			});
+		} else {
+			category.description = input.description || null;
+		}
+	}
+
+	if (has("displayOrder")) {
+		if (!Number.isInteger(input.displayOrder)) {
+			errors.push({
+				field: "displayOrder",
+				message: "displayOrder must be an integer",
+			});
+		} else {
+			category.display_order = input.displayOrder;
+		}
+	}
+
+	return { category, errors };
+}
+
+function formatCategory(row) {
+	return {
+		id: row.id,
+		parentId: row.parent_id,
+		name: row.name,
+		slug: row.slug,
+		description: row.description,
+		displayOrder: row.display_order,
+	};
+}
+
+const byDisplayOrder = (a, b) =>
+	a.display_order - b.display_order || a.name.localeCompare(b.name);
+
+// Nest category rows into a tree, siblings in display order
+function buildCategoryTree(rows, parentId = null) {
+	return rows
+		.filter((row) => row.parent_id === parentId)
+		.sort(byDisplayOrder)
+		.map((row) => ({
+			...formatCategory(row),
+			children: buildCategoryTree(rows, row.id),
+		}));
+}
+
+// Ids of a category and all of its descendants
+function collectSubtreeIds(rows, rootId) {
+	const ids = [rootId];
+	for (let index = 0; index < ids.length; index++) {
+		rows
+			.filter((row) => row.parent_id === ids[index])
+			.forEach((row) => ids.push(row.id));
+	}
+	return ids;
+}
+
+// Categories from the root down to the given one, for breadcrumbs
+function categoryPath(rows, categoryId) {
+	const path = [];
+	let current = rows.find((row) => row.id === categoryId);
+	while (current && path.length <= rows.length) {
+		path.unshift(current);
+		const parentId = current.parent_id;
+		current = rows.find((row) => row.id === parentId);
+	}
+	return path;
+}
+
+// Find a category by id or slug. Other strings are slugified first, so
+// "Laptops" finds the "laptops" category.
+function findCategory(rows, idOrSlug) {
+	const value = String(idOrSlug);
+	if (/^\d+$/.test(value)) {
+		return rows.find((row) => row.id === parseInt(value, 10)) || null;
+	}
+	const slug = slugify(value);
+	return rows.find((row) => row.slug === slug) || null;
+}
+
+// Whether making `parentId` the parent of `categoryId` would put the
+// category inside its own subtree
+function wouldCreateCycle(rows, categoryId, parentId) {
+	return (
+		parentId !== null && collectSubtreeIds(rows, categoryId).includes(parentId)
+	);
+}
+
+module.exports = {
+	slugify,
+	validateCategoryInput,
+	formatCategory,
+	buildCategoryTree,
+	collectSubtreeIds,
+	categoryPath,
+	findCategory,
+	wouldCreateCycle,
+};
@@ -0,0 +1,430 @@
+const { roundMoney } = require("./pricing");
+
+// Coupon engine.
+// Coupons are evaluated against priced cart lines
+// ([{ productId, category, quantity, unitPrice, lineTotal }]) and produce a
+// discount per line, so later steps (tax, refunds) can work per line.
+//
+// Stacking rules: stackable coupons combine with each other; a non-stackable
+// coupon is never combined with any other coupon. When both kinds are applied
+// the customer gets whichever option gives the bigger discount.
+
+const COUPON_TYPES = ["percentage", "fixed", "free_item"];
+
+// Validate admin input for a coupon. With `partial` only given fields are
+// checked. Returns { coupon, errors } where coupon holds DB column values.
+function validateCouponInput(input, partial = false) {
+	const coupon = {};
+	const errors = [];
+
+	const has = (field) => input[field] !== undefined;
+	const requireField = (field) => {
+		if (!partial && !has(field)) {
+			errors.push({ field, message: `${field} is required` });
+			return false;
+		}
+		return has(field);
+	};
+
+	if (requireField("code")) {
+		if (
+			typeof input.code !== "string" ||
+			!/^[A-Za-z0-9_-]{3,32}$/.test(input.code)
+		) {
+			errors.push({
+				field: "code",
+				message: "code must be 3-32 letters, digits, dashes or underscores",
+			});
+		} else {
+			coupon.code = input.code.toUpperCase();
+		}
+	}
+
+	if (requireField("type")) {
+		if (!COUPON_TYPES.includes(input.type)) {
+			errors.push({
+				field: "type",
+				message: `type must be one of ${COUPON_TYPES.join(", ")}`,
+			});
+		} else {
+			coupon.type = input.type;
+		}
+	}
+
+	const type = coupon.type || input.type;
+
+	if (type !== "free_item" && requireField("value")) {
+		const value = parseFloat(input.value);
+		if (isNaN(value) || value <= 0 || (type === "percentage" && value > 100)) {
+			errors.push({
+				field: "value",
+				message:
+					type === "percentage"
+						? "value must be a percentage between 0 and 100"
+						: "value must be a positive amount",
+			});
+		} else {
+			coupon.value = value;
+		}
+	}
+
+	if (type === "free_item" && requireField("freeProductId")) {
+		coupon.free_product_id = parseInt(input.freeProductId, 10) || null;
+		if (!coupon.free_product_id) {
+			errors.push({
+				field: "freeProductId",
+				message: "freeProductId must be a product ID",
+			});
+		}
+	}
+
+	const optionalNumber = (field, column, integer) => {
+		if (!has(field)) {
+			return;
+		}
+		if (input[field] === null) {
+			coupon[column] = null;
+			return;
+		}
+		const value = integer
+			? parseInt(input[field], 10)
+			: parseFloat(input[field]);
+		if (isNaN(value) || value < 0) {
+			errors.push({ field, message: `${field} must be a positive number` });
+			return;
+		}
+		coupon[column] = value;
+	};
+
+	optionalNumber("freeQuantity", "free_quantity", true);
+	optionalNumber("minSpend", "min_spend", false);
+	optionalNumber("maxDiscount", "max_discount", false);
+	optionalNumber("usageLimit", "usage_limit", true);
+	optionalNumber("perUserLimit", "per_user_limit", true);
+
+	["categories", "productIds"].forEach((field) => {
+		if (!has(field)) {
+			return;
+		}
+		const column =
+			field === "categories" ? "scope_categories" : "scope_product_ids";
+		if (
+			input[field] === null ||
+			(Array.isArray(input[field]) && input[field].length === 0)
+		) {
+			coupon[column] = null;
+		} else if (Array.isArray(input[field])) {
+			coupon[column] = JSON.stringify(input[field]);
+		} else {
+			errors.push({ field, message: `${field} must be an array` });
+		}
+	});
+
+	["startsAt", "endsAt"].forEach((field) => {
+		if (!has(field)) {
+			return;
+		}
+		const column = field === "startsAt" ? "starts_at" : "ends_at";
+		if (input[field] === null) {
+			coupon[column] = null;
+			return;
+		}
+		const date = new Date(input[field]);
+		if (isNaN(date.getTime())) {
+			errors.push({ field, message: `${field} must be a valid date` });
+		} else {
+			coupon[column] = date;
+		}
+	});
+
+	if (
+		coupon.starts_at &&
+		coupon.ends_at &&
+		coupon.starts_at >= coupon.ends_at
+	) {
+		errors.push({ field: "endsAt", message: "endsAt must be after startsAt" });
+	}
+
+	if (has("stackable")) {
+		coupon.stackable = Boolean(input.stackable);
+	}
+	if (has("isActive")) {
+		coupon.is_active = Boolean(input.isActive);
+	}
+	if (has("description")) {
+		coupon.description = input.description || null;
+	}
+
+	return { coupon, errors };
+}
+
+function parseJsonList(value) {
+	if (!value) {
+		return null;
+	}
+	if (Array.isArray(value)) {
+		return value;
+	}
+	try {
+		return JSON.parse(value);
+	} catch (err) {
+		return null;
+	}
+}
+
+// Indexes of the lines a coupon applies to
+function eligibleLineIndexes(coupon, lines) {
+	const categories = parseJsonList(coupon.scope_categories);
+	const productIds = parseJsonList(coupon.scope_product_ids);
+
+	return lines
+		.map((line, index) => index)
+		.filter((index) => {
+			const line = lines[index];
+			if (
+				productIds &&
+				!productIds.map(String).includes(String(line.productId))
+			) {
+				return false;
+			}
+			if (
+				categories &&
+				!categories
+					.map((category) => String(category).toLowerCase())
+					.includes(String(line.category || "").toLowerCase())
+			) {
+				return false;
+			}
+			return true;
+		});
+}
+
+// Why a coupon cannot be used right now, or null when it can
+function checkCouponUsable(coupon, subtotal, userRedemptions, now) {
+	if (!coupon.is_active) {
+		return "Coupon is not active";
+	}
+	if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+		return "Coupon is not valid yet";
+	}
+	if (coupon.ends_at && new Date(coupon.ends_at) <= now) {
+		return "Coupon has expired";
+	}
+	if (
+		coupon.usage_limit !== null &&
+		coupon.times_redeemed >= coupon.usage_limit
+	) {
+		return "Coupon usage limit has been reached";
+	}
+	if (
+		coupon.per_user_limit !== null &&
+		(userRedemptions[coupon.id] || 0) >= coupon.per_user_limit
+	) {
+		return "You have already used this coupon the maximum number of times";
+	}
+	const minSpend = coupon.min_spend === null ? 0 : parseFloat(coupon.min_spend);
+	if (subtotal < minSpend) {
+		return `Minimum spend of ${minSpend.toFixed(2)} not reached`;
+	}
+	return null;
+}
+
+// Discount one coupon gives on top of what is already discounted.
+// remaining: amount per line still available for discounting.
+// Returns { lineDiscounts, reason } where reason explains a zero discount.
+function computeCouponDiscount(coupon, lines, remaining) {
+	const lineDiscounts = lines.map(() => 0);
+	const indexes = eligibleLineIndexes(coupon, lines);
+
+	if (indexes.length === 0) {
+		return {
+			lineDiscounts,
+			reason: "Coupon does not apply to any item in the cart",
+		};
+	}
+
+	if (coupon.type === "free_item") {
+		const index = indexes.find(
+			(i) => String(lines[i].productId) === String(coupon.free_product_id)
+		);
+		if (index === undefined) {
+			return {
+				lineDiscounts,
+				reason: "Add the free item to your cart to use this coupon",
+			};
+		}
+		const freeUnits = Math.min(
+			coupon.free_quantity || 1,
+			lines[index].quantity
+		);
+		lineDiscounts[index] = Math.min(
+			roundMoney(lines[index].unitPrice * freeUnits),
+			remaining[index]
+		);
+		return { lineDiscounts, reason: null };
+	}
+
+	const eligibleTotal = indexes.reduce((total, i) => total + remaining[i], 0);
+	if (eligibleTotal <= 0) {
+		return { lineDiscounts, reason: "Items are already fully discounted" };
+	}
+
+	let discount =
+		coupon.type === "percentage"
+			? eligibleTotal * (parseFloat(coupon.value) / 100)
+			: parseFloat(coupon.value);
+	if (coupon.max_discount !== null && coupon.max_discount !== undefined) {
+		discount = Math.min(discount, parseFloat(coupon.max_discount));
+	}
+	discount = roundMoney(Math.min(discount, eligibleTotal));
+
+	// Spread the discount over eligible lines in proportion to their amount,
+	// putting any rounding remainder on the last line
+	let allocated = 0;
+	indexes.forEach((i, position) => {
+		const share =
+			position === indexes.length - 1
+				? roundMoney(discount - allocated)
+				: roundMoney((discount * remaining[i]) / eligibleTotal);
+		lineDiscounts[i] = Math.min(share, remaining[i]);
+		allocated = roundMoney(allocated + lineDiscounts[i]);
+	});
+
+	return { lineDiscounts, reason: null };
+}
+
+// Apply a set of coupons in order, each discounting what the previous left
+function applyInOrder(coupons, lines) {
+	const remaining = lines.map((line) => line.lineTotal);
+	const applied = [];
+	const rejected = [];
+
+	coupons.forEach((coupon) => {
+		const { lineDiscounts, reason } = computeCouponDiscount(
+			coupon,
+			lines,
+			remaining
+		);
+		if (reason) {
+			rejected.push({ code: coupon.code, reason });
+			return;
+		}
+
+		lineDiscounts.forEach((amount, i) => {
+			remaining[i] = roundMoney(remaining[i] - amount);
+		});
+		applied.push({
+			couponId: coupon.id,
+			code: coupon.code,
+			type: coupon.type,
+			description: coupon.description || null,
+			discount: roundMoney(
+				lineDiscounts.reduce((total, amount) => total + amount, 0)
+			),
+			lineDiscounts,
+		});
+	});
+
+	const totalDiscount = roundMoney(
+		applied.reduce((total, coupon) => total + coupon.discount, 0)
+	);
+
+	return { applied, rejected, totalDiscount };
+}
+
+// Evaluate the coupons applied to a cart.
+// coupons: coupon rows in the order they were applied
+// userRedemptions: { [couponId]: times this user redeemed it }
+// Returns { applied, rejected, totalDiscount, lineDiscounts, subtotal, total }.
+function evaluateCoupons(
+	coupons,
+	lines,
+	userRedemptions = {},
+	now = new Date()
+) {
+	const subtotal = roundMoney(
+		lines.reduce((total, line) => total + line.lineTotal, 0)
+	);
+	const rejected = [];
+	const usable = [];
+
+	coupons.forEach((coupon) => {
+		const reason = checkCouponUsable(coupon, subtotal, userRedemptions, now);
+		if (reason) {
+			rejected.push({ code: coupon.code, reason });
+		} else {
+			usable.push(coupon);
+		}
+	});
+
+	// Candidate combinations allowed by the stacking rules
+	const stackable = usable.filter((coupon) => coupon.stackable);
+	const candidates = usable
+		.filter((coupon) => !coupon.stackable)
+		.map((coupon) => [coupon]);
+	if (stackable.length > 0) {
+		candidates.push(stackable);
+	}
+
+	let best = { applied: [], rejected: [], totalDiscount: 0 };
+	let bestCandidate = [];
+	candidates.forEach((candidate) => {
+		const result = applyInOrder(candidate, lines);
+		if (
+			result.totalDiscount > best.totalDiscount ||
+			bestCandidate.length === 0
+		) {
+			best = result;
+			bestCandidate = candidate;
+		}
+	});
+
+	// Usable coupons left out of the winning combination
+	usable
+		.filter((coupon) => !bestCandidate.includes(coupon))
+		.forEach((coupon) => {
+			rejected.push({
+				code: coupon.code,
+				reason: "Coupon cannot be combined with the other coupons in your cart",
+			});
+		});
+
+	const lineDiscounts = lines.map((line, i) =>
+		roundMoney(
+			best.applied.reduce((total, coupon) => total + coupon.lineDiscounts[i], 0)
+		)
+	);
+
+	return {
+		applied: best.applied.map((coupon) => ({
+			couponId: coupon.couponId,
+			code: coupon.code,
+			type: coupon.type,
+			description: coupon.description,
+			discount: coupon.discount,
+		})),
+		rejected: [...rejected, ...best.rejected],
+		totalDiscount: best.totalDiscount,
+		lineDiscounts,
+		subtotal,
+		total: roundMoney(subtotal - best.totalDiscount),
+	};
+}
+
+// Whether a coupon's scope names a category
+function scopesCategory(scopeCategories, name) {
+	const categories = parseJsonList(scopeCategories);
+	return Boolean(
+		categories &&
+			categories.some(
+				(category) => String(category).toLowerCase() === name.toLowerCase()
+			)
+	);
+}
+
+module.exports = {
+	COUPON_TYPES,
+	validateCouponInput,
+	evaluateCoupons,
+	scopesCategory,
+};
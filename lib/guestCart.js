@@ -0,0 +1,87 @@
+const { cartItemKey } = require("./pricing");
+
+// Guest carts.
+// Visitors get a cart identified by an opaque token (stored hashed, like
+// refresh tokens). On sign-in or sign-up the guest cart is merged into the
+// user's cart; CART_MERGE_STRATEGY decides the quantity of products that are
+// in both carts:
+//   sum     add both quantities (default)
+//   max     keep the larger quantity
+//   guest   the guest cart's quantity wins
+//   user    the user's existing quantity wins
+const GUEST_CART_TTL_DAYS = parseInt(
+	process.env.GUEST_CART_TTL_DAYS || "30",
+	10
+);
+const CART_MERGE_STRATEGIES = ["sum", "max", "guest", "user"];
+
+function getMergeStrategy() {
+	const strategy = process.env.CART_MERGE_STRATEGY || "sum";
+	if (!CART_MERGE_STRATEGIES.includes(strategy)) {
+		throw new Error(`Unknown cart merge strategy: ${strategy}`);
+	}
+	return strategy;
+}
+
+function guestCartExpiry() {
+	return new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Work out the user cart rows to write when merging a guest cart.
+// userItems/guestItems: [{ product_id, variant_id, quantity, price_at_add }]
+// Returns [{ productId, variantId, quantity, priceAtAdd }] for every cart
+// line whose quantity changes; priceAtAdd only matters for lines new to the
+// user.
+function mergeCartQuantities(userItems, guestItems, strategy) {
+	const userQuantities = {};
+	userItems.forEach((item) => {
+		userQuantities[cartItemKey(item.product_id, item.variant_id)] =
+			item.quantity;
+	});
+
+	return guestItems
+		.map((item) => {
+			const existing =
+				userQuantities[cartItemKey(item.product_id, item.variant_id)];
+			if (existing === undefined) {
+				return {
+					productId: item.product_id,
+					variantId: item.variant_id || 0,
+					quantity: item.quantity,
+					priceAtAdd: item.price_at_add,
+				};
+			}
+
+			let quantity;
+			switch (strategy) {
+				case "max":
+					quantity = Math.max(existing, item.quantity);
+					break;
+				case "guest":
+					quantity = item.quantity;
+					break;
+				case "user":
+					quantity = existing;
+					break;
+				default:
+					quantity = existing + item.quantity;
+			}
+
+			return quantity === existing
+				? null
+				: {
+						productId: item.product_id,
+						variantId: item.variant_id || 0,
+						quantity,
+						priceAtAdd: item.price_at_add,
+				  };
+		})
+		.filter(Boolean);
+}
+
+module.exports = {
+	CART_MERGE_STRATEGIES,
+	getMergeStrategy,
+	guestCartExpiry,
+	mergeCartQuantities,
+};
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+// Idempotency keys for endpoints that create orders or take money.
+// A key is remembered with a fingerprint of the request that first used it,
+// so a retry can be told apart from a different request reusing the key.
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(
+	process.env.IDEMPOTENCY_KEY_TTL_HOURS || "24",
+	10
+);
+const MAX_KEY_LENGTH = 255;
+
+function isValidIdempotencyKey(key) {
+	return (
+		typeof key === "string" &&
+		key.length > 0 &&
+		key.length <= MAX_KEY_LENGTH &&
+		/^[\x21-\x7e]+$/.test(key)
+	);
+}
+
+// JSON with object keys sorted, so { a, b } and { b, a } fingerprint the same
+function stableStringify(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(",")}]`;
+	}
+	if (value && typeof value === "object") {
+		return `{${Object.keys(value)
+			.sort()
+			.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+			.join(",")}}`;
+	}
+	return JSON.stringify(value === undefined ? null : value);
+}
+
+// SHA-256 of the parts of a request that decide its outcome
+function fingerprintRequest(req) {
+	return crypto
+		.createHash("sha256")
+		.update(
+			stableStringify({
+				method: req.method,
+				path: req.path,
+				body: req.body || {},
+			})
+		)
+		.digest("hex");
+}
+
+function idempotencyKeyExpiry() {
+	return new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000);
+}
+
+module.exports = {
+	isValidIdempotencyKey,
+	fingerprintRequest,
+	idempotencyKeyExpiry,
+};
@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+// Product images.
+// Uploads are checked by type and size, then resized into IMAGE_SIZES
+// variants next to the original. All files of an image share a storage key
+// prefix and go through a pluggable storage backend, an object with:
+//   save(key, buffer, contentType, callback)
+//   remove(key, callback)       removing a missing file is not an error
+//   url(key) -> public URL of the file
+// Pick one with IMAGE_STORAGE, or register your own with registerStorage()
+// before the first upload. Each image remembers its backend so switching
+// backends keeps older images working.
+const MAX_IMAGE_BYTES = parseInt(
+	process.env.IMAGE_MAX_BYTES || String(5 * 1024 * 1024),
+	10
+);
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Declared upload types and the sharp formats their content must have
+const IMAGE_TYPES = {
+	"image/jpeg": "jpeg",
+	"image/png": "png",
+	"image/webp": "webp",
+};
+
+// Resized variants, fit inside a square of the given size without
+// enlarging smaller images
+const IMAGE_SIZES = {
+	large: 1200,
+	medium: 600,
+	thumbnail: 200,
+};
+
+// Variant shown where a product has a single image (cart, orders, lists)
+const PRIMARY_IMAGE_SIZE = "medium";
+
+// Local disk storage, served by the app under LOCAL_IMAGE_URL
+const LOCAL_IMAGE_DIR = process.env.IMAGE_STORAGE_DIR || "uploads";
+const LOCAL_IMAGE_URL = process.env.IMAGE_PUBLIC_URL || "/uploads";
+
+const storages = {
+	local: () => ({
+		save(key, buffer, contentType, callback) {
+			const file = path.join(LOCAL_IMAGE_DIR, key);
+			fs.mkdir(path.dirname(file), { recursive: true }, (err) => {
+				if (err) {
+					return callback(err);
+				}
+				fs.writeFile(file, buffer, callback);
+			});
+		},
+
+		remove(key, callback) {
+			fs.unlink(path.join(LOCAL_IMAGE_DIR, key), (err) => {
+				callback(err && err.code !== "ENOENT" ? err : null);
+			});
+		},
+
+		url(key) {
+			return `${LOCAL_IMAGE_URL}/${key}`;
+		},
+	}),
+};
+
+const activeStorages = {};
+
+function registerStorage(name, factory) {
+	storages[name] = factory;
+	delete activeStorages[name];
+}
+
+function getStorageName() {
+	return process.env.IMAGE_STORAGE || "local";
+}
+
+// A storage backend by name (the configured one by default), created on
+// first use
+function getImageStorage(name = getStorageName()) {
+	if (!activeStorages[name]) {
+		const factory = storages[name];
+		if (!factory) {
+			throw new Error(`Unknown image storage: ${name}`);
+		}
+		activeStorages[name] = factory();
+	}
+	return activeStorages[name];
+}
+
+function isAllowedImageType(contentType) {
+	return Object.prototype.hasOwnProperty.call(IMAGE_TYPES, contentType);
+}
+
+// Storage key prefix of a new image, e.g. "2026/10/3f9c0a..."
+function generateImageKey() {
+	const now = new Date();
+	const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+	return `${now.getUTCFullYear()}/${month}/${crypto
+		.randomBytes(16)
+		.toString("hex")}`;
+}
+
+// Check an uploaded image's content and build its files.
+// Calls back with { width, height, files: [{ name, file, buffer,
+// contentType, width, height }] }, the original first, or with an error
+// carrying invalidImage when the content is not an image of its declared
+// type.
+function processImage(buffer, contentType, callback) {
+	const invalid = (message) => {
+		const err = new Error(message);
+		err.invalidImage = true;
+		callback(err);
+	};
+
+	sharp(buffer).metadata((err, metadata) => {
+		if (err) {
+			return invalid("File is not a readable image");
+		}
+		if (metadata.format !== IMAGE_TYPES[contentType]) {
+			return invalid(`File content is not ${contentType}`);
+		}
+
+		const files = [
+			{
+				name: "original",
+				file: `original.${
+					metadata.format === "jpeg" ? "jpg" : metadata.format
+				}`,
+				buffer,
+				contentType,
+				width: metadata.width,
+				height: metadata.height,
+			},
+		];
+
+		const names = Object.keys(IMAGE_SIZES);
+		const resizeNext = (index) => {
+			if (index === names.length) {
+				return callback(null, {
+					width: metadata.width,
+					height: metadata.height,
+					files,
+				});
+			}
+
+			const name = names[index];
+			sharp(buffer)
+				.rotate()
+				.resize({
+					width: IMAGE_SIZES[name],
+					height: IMAGE_SIZES[name],
+					fit: "inside",
+					withoutEnlargement: true,
+				})
+				.webp({ quality: 80 })
+				.toBuffer((err, data, info) => {
+					if (err) {
+						return callback(err);
+					}
+					files.push({
+						name,
+						file: `${name}.webp`,
+						buffer: data,
+						contentType: "image/webp",
+						width: info.width,
+						height: info.height,
+					});
+					resizeNext(index + 1);
+				});
+		};
+		resizeNext(0);
+	});
+}
+
+// Save the files of an image under its key, one after the other
+function saveImageFiles(storage, key, files, callback) {
+	if (files.length === 0) {
+		return callback(null);
+	}
+
+	const [file, ...remaining] = files;
+	storage.save(`${key}/${file.file}`, file.buffer, file.contentType, (err) => {
+		if (err) {
+			return callback(err);
+		}
+		saveImageFiles(storage, key, remaining, callback);
+	});
+}
+
+// Remove the files of an images row
+function removeImageFiles(row, callback) {
+	let storage;
+	try {
+		storage = getImageStorage(row.storage);
+	} catch (err) {
+		return callback(err);
+	}
+
+	const files = (row.files || []).map(
+		(file) => `${row.storage_key}/${file.file}`
+	);
+	const removeNext = (index) => {
+		if (index === files.length) {
+			return callback(null);
+		}
+		storage.remove(files[index], (err) => {
+			if (err) {
+				return callback(err);
+			}
+			removeNext(index + 1);
+		});
+	};
+	removeNext(0);
+}
+
+// Public URLs of an images row, { [size]: url }
+function imageUrls(row) {
+	const storage = getImageStorage(row.storage);
+	const urls = {};
+	(row.files || []).forEach((file) => {
+		urls[file.name] = storage.url(`${row.storage_key}/${file.file}`);
+	});
+	return urls;
+}
+
+// URL stored on products.image for a product whose gallery starts with row
+function primaryImageUrl(row) {
+	const urls = imageUrls(row);
+	return urls[PRIMARY_IMAGE_SIZE] || urls.original;
+}
+
+// images rows, joined with product_images for gallery entries
+function formatImage(row) {
+	const image = {
+		id: row.id,
+		width: row.width,
+		height: row.height,
+		contentType: row.content_type,
+		sizeBytes: row.size_bytes,
+		urls: imageUrls(row),
+	};
+	if (row.position !== undefined) {
+		image.position = row.position;
+		image.altText = row.alt_text;
+	}
+	return image;
+}
+
+module.exports = {
+	MAX_IMAGE_BYTES,
+	MAX_IMAGES_PER_UPLOAD,
+	IMAGE_SIZES,
+	LOCAL_IMAGE_DIR,
+	LOCAL_IMAGE_URL,
+	registerStorage,
+	getStorageName,
+	getImageStorage,
+	isAllowedImageType,
+	generateImageKey,
+	processImage,
+	saveImageFiles,
+	removeImageFiles,
+	imageUrls,
+	primaryImageUrl,
+	formatImage,
+};
@@ -0,0 +1,83 @@
+const { cartItemKey } = require("./pricing");
+
+// Stock movement reason codes.
+// Manual reasons can be used by staff through the stock adjustment endpoint,
+// system reasons are only written by checkout and order flows.
+const MANUAL_STOCK_REASONS = [
+	"restock",
+	"correction",
+	"damaged",
+	"lost",
+	"returned",
+];
+const SYSTEM_STOCK_REASONS = ["sale", "cancellation", "refund"];
+
+function isManualStockReason(reason) {
+	return MANUAL_STOCK_REASONS.includes(reason);
+}
+
+// Direction system movements must go in: a sale takes stock, cancellations
+// and refunds put it back
+const SYSTEM_STOCK_DIRECTIONS = { sale: -1, cancellation: 1, refund: 1 };
+
+// Check a stock movement before it is applied. Returns an error message, or
+// null when the movement is fine.
+function checkStockMovement(movement) {
+	const change = movement.quantityChange;
+	if (!Number.isInteger(change) || change === 0) {
+		return `Stock change for product ${movement.productId} must be a non-zero whole number`;
+	}
+
+	const direction = SYSTEM_STOCK_DIRECTIONS[movement.reason];
+	if (direction && Math.sign(change) !== direction) {
+		return `A ${movement.reason} cannot ${
+			direction < 0 ? "add" : "remove"
+		} stock of product ${movement.productId}`;
+	}
+	return null;
+}
+
+// Check order lines against locked stock levels.
+// lines: [{ productId, variantId, name, quantity }]
+// stockByItem: { [cartItemKey(productId, variantId)]: available quantity },
+// the variant's stock for variant lines
+// Returns a list of per-item errors, empty when everything is in stock. A
+// quantity that is not a whole number of at least 1 is always an error, so a
+// sale can never add stock.
+function findStockErrors(lines, stockByItem) {
+	const errors = [];
+
+	lines.forEach((line) => {
+		const available =
+			stockByItem[cartItemKey(line.productId, line.variantId)] || 0;
+		if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+			errors.push({
+				productId: line.productId,
+				variantId: line.variantId || 0,
+				name: line.name,
+				requested: line.quantity,
+				available,
+				reason: "Invalid quantity",
+			});
+		} else if (line.quantity > available) {
+			errors.push({
+				productId: line.productId,
+				variantId: line.variantId || 0,
+				name: line.name,
+				requested: line.quantity,
+				available,
+				reason: available > 0 ? "Insufficient stock" : "Out of stock",
+			});
+		}
+	});
+
+	return errors;
+}
+
+module.exports = {
+	MANUAL_STOCK_REASONS,
+	SYSTEM_STOCK_REASONS,
+	isManualStockReason,
+	checkStockMovement,
+	findStockErrors,
+};
@@ -0,0 +1,25 @@
+// Progressive account lockout after repeated failed sign-ins.
+// Every LOCKOUT_THRESHOLD consecutive failures lock the account, and each
+// further lockout doubles in length up to MAX_LOCKOUT_MINUTES.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD || "5", 10);
+const BASE_LOCKOUT_MINUTES = 5;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Minutes to lock an account for after `failedCount` consecutive failures,
+// or 0 when this failure does not trigger a lockout
+function lockoutMinutes(failedCount) {
+	if (failedCount === 0 || failedCount % LOCKOUT_THRESHOLD !== 0) {
+		return 0;
+	}
+
+	const lockoutNumber = failedCount / LOCKOUT_THRESHOLD;
+	return Math.min(
+		BASE_LOCKOUT_MINUTES * Math.pow(2, lockoutNumber - 1),
+		MAX_LOCKOUT_MINUTES
+	);
+}
+
+module.exports = {
+	LOCKOUT_THRESHOLD,
+	lockoutMinutes,
+};
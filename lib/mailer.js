@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+
+// Pluggable mail transports.
+// A transport is an object with send(message, callback) where message is
+// { to, subject, text }. Pick one with MAIL_TRANSPORT, or register your own
+// with registerTransport() before the first mail is sent.
+const transports = {
+	// Print mails to the console, handy for local development
+	console: () => ({
+		send(message, callback) {
+			console.log("---- Outgoing mail ----");
+			console.log(`To: ${message.to}`);
+			console.log(`Subject: ${message.subject}`);
+			console.log("");
+			console.log(message.text);
+			console.log("-----------------------");
+			callback(null);
+		},
+	}),
+
+	// Write each mail to a JSON file, handy for tests that need to read links
+	file: () => {
+		const directory = process.env.MAIL_FILE_DIR || "mail-outbox";
+		return {
+			send(message, callback) {
+				fs.mkdir(directory, { recursive: true }, (err) => {
+					if (err) {
+						return callback(err);
+					}
+
+					const fileName = `${Date.now()}-${Math.random()
+						.toString(36)
+						.slice(2, 8)}.json`;
+					const contents = JSON.stringify(
+						{ ...message, sentAt: new Date().toISOString() },
+						null,
+						2
+					);
+					fs.writeFile(path.join(directory, fileName), contents, callback);
+				});
+			},
+		};
+	},
+};
+
+let activeTransport = null;
+
+function registerTransport(name, factory) {
+	transports[name] = factory;
+	activeTransport = null;
+}
+
+function getTransport() {
+	if (!activeTransport) {
+		const name = process.env.MAIL_TRANSPORT || "console";
+		const factory = transports[name];
+		if (!factory) {
+			throw new Error(`Unknown mail transport: ${name}`);
+		}
+		activeTransport = factory();
+	}
+	return activeTransport;
+}
+
+// Send a mail through the configured transport
+function sendMail(message, callback = () => {}) {
+	const from = process.env.MAIL_FROM || "no-reply@itservices.local";
+
+	let transport;
+	try {
+		transport = getTransport();
+	} catch (err) {
+		return callback(err);
+	}
+
+	transport.send({ from, ...message }, callback);
+}
+
+module.exports = {
+	registerTransport,
+	sendMail,
+};
@@ -0,0 +1,39 @@
+// Order status lifecycle.
+// Every status change must go through ORDER_STATUS_TRANSITIONS; cancelled and
+// refunded are terminal.
+const ORDER_STATUSES = [
+	"pending",
+	"paid",
+	"processing",
+	"shipped",
+	"delivered",
+	"cancelled",
+	"refunded",
+];
+
+const ORDER_STATUS_TRANSITIONS = {
+	pending: ["paid", "cancelled"],
+	paid: ["processing", "cancelled", "refunded"],
+	processing: ["shipped", "cancelled", "refunded"],
+	shipped: ["delivered"],
+	delivered: ["refunded"],
+	cancelled: [],
+	refunded: [],
+};
+
+function isValidOrderStatus(status) {
+	return ORDER_STATUSES.includes(status);
+}
+
+// Check whether an order may move from one status to another
+function canTransition(fromStatus, toStatus) {
+	const allowed = ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+	return allowed.includes(toStatus);
+}
+
+module.exports = {
+	ORDER_STATUSES,
+	ORDER_STATUS_TRANSITIONS,
+	isValidOrderStatus,
+	canTransition,
+};
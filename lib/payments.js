@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+
+// Pluggable payment providers.
+// A provider is an object with:
+//   authorize({ amount, currency, orderId, paymentMethod }, callback)
+//   capture(reference, amount, callback)
+//   void(reference, callback)
+//   refund(reference, amount, callback)
+// each calling back with (err, { reference, status, failureReason }) where
+// status is "authorized", "captured", "voided", "refunded" or "failed", and
+//   verifyWebhook(headers, rawBody) -> boolean
+//   parseWebhook(body) -> { eventId, type, reference, amount }
+// Pick one with PAYMENT_PROVIDER, or register your own with
+// registerProvider() before the first payment is made.
+const WEBHOOK_EVENT_TYPES = [
+	"payment.captured",
+	"payment.failed",
+	"payment.voided",
+	"payment.refunded",
+];
+
+// HMAC-SHA256 signature of a webhook body, hex encoded
+function signPayload(secret, rawBody) {
+	return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+// Local gateway that never leaves the process, for development and tests.
+// Payment method tokens control the outcome:
+//   tok_decline         authorization is declined
+//   tok_capture_fail    authorization succeeds, capture fails
+//   anything else       payment succeeds
+function createMockProvider() {
+	const payments = new Map();
+	const webhookSecret =
+		process.env.PAYMENT_WEBHOOK_SECRET || "mock-webhook-secret";
+
+	const failed = (reference, failureReason) => ({
+		reference,
+		status: "failed",
+		failureReason,
+	});
+
+	return {
+		name: "mock",
+
+		authorize({ amount, paymentMethod }, callback) {
+			const reference = `mock_${crypto.randomBytes(12).toString("hex")}`;
+			const token = (paymentMethod && paymentMethod.token) || "tok_visa";
+
+			if (token === "tok_decline") {
+				return callback(null, failed(reference, "Card was declined"));
+			}
+
+			payments.set(reference, {
+				amount,
+				token,
+				captured: 0,
+				refunded: 0,
+				status: "authorized",
+			});
+			callback(null, { reference, status: "authorized" });
+		},
+
+		capture(reference, amount, callback) {
+			const payment = payments.get(reference);
+			if (!payment || payment.status !== "authorized") {
+				return callback(null, failed(reference, "Payment is not authorized"));
+			}
+			if (payment.token === "tok_capture_fail") {
+				return callback(null, failed(reference, "Capture was declined"));
+			}
+			if (amount > payment.amount) {
+				return callback(
+					null,
+					failed(reference, "Capture exceeds the authorized amount")
+				);
+			}
+
+			payment.captured = amount;
+			payment.status = "captured";
+			callback(null, { reference, status: "captured" });
+		},
+
+		void(reference, callback) {
+			const payment = payments.get(reference);
+			if (!payment || payment.status !== "authorized") {
+				return callback(
+					null,
+					failed(reference, "Only authorized payments can be voided")
+				);
+			}
+
+			payment.status = "voided";
+			callback(null, { reference, status: "voided" });
+		},
+
+		refund(reference, amount, callback) {
+			const payment = payments.get(reference);
+			if (!payment || payment.status !== "captured") {
+				return callback(
+					null,
+					failed(reference, "Only captured payments can be refunded")
+				);
+			}
+			if (payment.refunded + amount > payment.captured + 0.001) {
+				return callback(
+					null,
+					failed(reference, "Refund exceeds the captured amount")
+				);
+			}
+
+			payment.refunded += amount;
+			callback(null, { reference, status: "refunded" });
+		},
+
+		// Webhooks carry an `X-Mock-Signature` header with the HMAC of the body
+		verifyWebhook(headers, rawBody) {
+			const signature = headers["x-mock-signature"];
+			if (!signature || !rawBody) {
+				return false;
+			}
+
+			const expected = signPayload(webhookSecret, rawBody);
+			return (
+				signature.length === expected.length &&
+				crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+			);
+		},
+
+		// Mock events look like { id, type, data: { reference, amount } }
+		parseWebhook(body) {
+			return {
+				eventId: body.id,
+				type: body.type,
+				reference: body.data && body.data.reference,
+				amount:
+					body.data && body.data.amount !== undefined
+						? parseFloat(body.data.amount)
+						: null,
+			};
+		},
+	};
+}
+
+const providers = {
+	mock: createMockProvider,
+};
+
+let activeProvider = null;
+
+function registerProvider(name, factory) {
+	providers[name] = factory;
+	activeProvider = null;
+}
+
+// The configured provider, created on first use
+function getPaymentProvider() {
+	if (!activeProvider) {
+		const name = process.env.PAYMENT_PROVIDER || "mock";
+		const factory = providers[name];
+		if (!factory) {
+			throw new Error(`Unknown payment provider: ${name}`);
+		}
+		activeProvider = factory();
+		activeProvider.name = activeProvider.name || name;
+	}
+	return activeProvider;
+}
+
+// Payments are captured right away unless PAYMENT_CAPTURE=manual, in which
+// case staff capture authorized payments when the order is processed
+function isAutoCapture() {
+	return process.env.PAYMENT_CAPTURE !== "manual";
+}
+
+module.exports = {
+	WEBHOOK_EVENT_TYPES,
+	signPayload,
+	registerProvider,
+	getPaymentProvider,
+	isAutoCapture,
+};
@@ -0,0 +1,44 @@
+// Roles a user can hold, from least to most privileged
+const ROLES = ["customer", "staff", "admin"];
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+	customer: [],
+	staff: [
+		"products:write",
+		"inventory:write",
+		"orders:manage",
+		"payments:manage",
+		"categories:manage",
+	],
+	admin: [
+		"products:write",
+		"inventory:write",
+		"orders:manage",
+		"payments:manage",
+		"refunds:manage",
+		"security:manage",
+		"roles:manage",
+		"coupons:manage",
+		"tax:manage",
+		"shipping:manage",
+		"categories:manage",
+	],
+};
+
+function isValidRole(role) {
+	return ROLES.includes(role);
+}
+
+// Check whether a role has been granted a permission
+function hasPermission(role, permission) {
+	const permissions = ROLE_PERMISSIONS[role] || [];
+	return permissions.includes(permission);
+}
+
+module.exports = {
+	ROLES,
+	ROLE_PERMISSIONS,
+	isValidRole,
+	hasPermission,
+};
@@ -0,0 +1,121 @@
+// Server-side order pricing.
+// Prices always come from the products table; anything the client sends is
+// only used to report prices that changed since the client last saw them.
+
+// Round a money amount to 2 decimal places
+function roundMoney(amount) {
+	return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+// Parse a cart quantity from a request: a whole number of at least 1, given
+// as a number or a string of digits. Returns null for anything else.
+function parseQuantity(value) {
+	if (typeof value === "string" && /^\d+$/.test(value.trim())) {
+		value = parseInt(value, 10);
+	}
+	return Number.isInteger(value) && value >= 1 ? value : null;
+}
+
+// Key of a cart line; the same product can be in a cart once per variant
+function cartItemKey(productId, variantId) {
+	return `${productId}:${variantId || 0}`;
+}
+
+// Price cart rows loaded with their current product data.
+// rows: [{ product_id, variant_id, sku, quantity, name, category, price, weight,
+// is_deleted }] where name/price are NULL when the product no longer exists
+// and price is the variant's price for variant rows. Rows whose quantity is
+// not a whole number of at least 1 are reported as invalid, never priced.
+// clientItems: optional [{ id, variantId, price }] as last seen by the client;
+// entries that are not objects or have no numeric price are ignored.
+function priceCartRows(rows, clientItems = []) {
+	const lines = [];
+	const invalidItems = [];
+	const priceChanges = [];
+
+	const clientPrices = {};
+	clientItems.forEach((item) => {
+		if (!item || typeof item !== "object") {
+			return;
+		}
+		const productId = item.id || item.product_id || item.productId;
+		const variantId = item.variantId || item.variant_id;
+		const price = parseFloat(item.price);
+		if (productId && Number.isFinite(price)) {
+			clientPrices[cartItemKey(productId, variantId)] = price;
+		}
+	});
+
+	rows.forEach((row) => {
+		const variantId = row.variant_id || 0;
+
+		if (row.price === null || row.price === undefined) {
+			invalidItems.push({
+				productId: row.product_id,
+				variantId,
+				reason: "Product not found",
+			});
+			return;
+		}
+
+		if (row.is_deleted) {
+			invalidItems.push({
+				productId: row.product_id,
+				variantId,
+				name: row.name,
+				reason: "Product is no longer available",
+			});
+			return;
+		}
+
+		if (!Number.isInteger(row.quantity) || row.quantity < 1) {
+			invalidItems.push({
+				productId: row.product_id,
+				variantId,
+				name: row.name,
+				quantity: row.quantity,
+				reason: "Quantity must be a positive whole number",
+			});
+			return;
+		}
+
+		const unitPrice = parseFloat(row.price);
+		const lineTotal = roundMoney(unitPrice * row.quantity);
+
+		lines.push({
+			productId: row.product_id,
+			variantId,
+			sku: row.sku || null,
+			name: row.name,
+			category: row.category,
+			weight: row.weight === undefined ? null : row.weight,
+			quantity: row.quantity,
+			unitPrice,
+			lineTotal,
+		});
+
+		const seenPrice = clientPrices[cartItemKey(row.product_id, variantId)];
+		if (seenPrice !== undefined && roundMoney(seenPrice) !== unitPrice) {
+			priceChanges.push({
+				productId: row.product_id,
+				variantId,
+				name: row.name,
+				previousPrice: seenPrice,
+				currentPrice: unitPrice,
+			});
+		}
+	});
+
+	const totalAmount = roundMoney(
+		lines.reduce((total, line) => total + line.lineTotal, 0)
+	);
+
+	return { lines, invalidItems, priceChanges, totalAmount };
+}
+
+module.exports = {
+	roundMoney,
+	parseQuantity,
+	cartItemKey,
+	priceCartRows,
+};
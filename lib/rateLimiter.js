@@ -0,0 +1,102 @@
+// Fixed-window rate limiting with a pluggable store.
+//
+// A store implements:
+//   increment(key, windowMs, callback(err, { count, resetAt }))
+//   reset(key, callback(err))
+// MemoryStore is the default; for several server instances pass a store
+// backed by shared storage (e.g. Redis) to createRateLimiter or setDefaultStore.
+
+class MemoryStore {
+	constructor() {
+		this.hits = new Map();
+
+		// Drop expired windows so the map does not grow forever
+		this.cleanupTimer = setInterval(() => {
+			const now = Date.now();
+			this.hits.forEach((entry, key) => {
+				if (entry.resetAt <= now) {
+					this.hits.delete(key);
+				}
+			});
+		}, 60 * 1000);
+		this.cleanupTimer.unref();
+	}
+
+	increment(key, windowMs, callback) {
+		const now = Date.now();
+		let entry = this.hits.get(key);
+
+		if (!entry || entry.resetAt <= now) {
+			entry = { count: 0, resetAt: now + windowMs };
+			this.hits.set(key, entry);
+		}
+
+		entry.count += 1;
+		callback(null, { count: entry.count, resetAt: entry.resetAt });
+	}
+
+	reset(key, callback = () => {}) {
+		this.hits.delete(key);
+		callback(null);
+	}
+}
+
+let defaultStore = new MemoryStore();
+
+function setDefaultStore(store) {
+	defaultStore = store;
+}
+
+function getDefaultStore() {
+	return defaultStore;
+}
+
+// Create an Express middleware allowing `max` requests per `windowMs` for each
+// key returned by keyGenerator(req). Requests without a key are not limited.
+function createRateLimiter({
+	name,
+	windowMs,
+	max,
+	keyGenerator = (req) => req.ip,
+	message = "Too many requests, please try again later",
+	store,
+}) {
+	return (req, res, next) => {
+		const key = keyGenerator(req);
+		if (!key) {
+			return next();
+		}
+
+		const activeStore = store || defaultStore;
+		activeStore.increment(`${name}:${key}`, windowMs, (err, result) => {
+			// Fail open, a broken limiter store must not take the API down
+			if (err) {
+				console.error("Rate limiter store error:", err);
+				return next();
+			}
+
+			const remaining = Math.max(max - result.count, 0);
+			res.set("RateLimit-Limit", String(max));
+			res.set("RateLimit-Remaining", String(remaining));
+			res.set(
+				"RateLimit-Reset",
+				String(Math.ceil((result.resetAt - Date.now()) / 1000))
+			);
+
+			if (result.count > max) {
+				const retryAfter = Math.ceil((result.resetAt - Date.now()) / 1000);
+				res.set("Retry-After", String(retryAfter));
+				return res.status(429).json({ error: message, retryAfter });
+			}
+
+			next();
+		});
+	};
+}
+
+module.exports = {
+	MemoryStore,
+	setDefaultStore,
+	getDefaultStore,
+	createRateLimiter,
+};
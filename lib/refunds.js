@@ -0,0 +1,103 @@
+const { roundMoney } = require("./pricing");
+
+// Reasons a customer can give when requesting a refund or return
+const REFUND_REASONS = [
+	"defective",
+	"damaged_in_transit",
+	"wrong_item",
+	"not_as_described",
+	"no_longer_needed",
+	"other",
+];
+
+function isValidRefundReason(reason) {
+	return REFUND_REASONS.includes(reason);
+}
+
+// Build refund lines for an order.
+// orderItems: [{ id, product_id, variant_id, quantity, price, discount_amount,
+// tax_amount, prices_include_tax }] where discount_amount is the coupon
+// discount and tax_amount the tax charged on the item, both spread over the
+// item's quantity. prices_include_tax tells whether that tax is already part
+// of the price or was added on top.
+// alreadyClaimed: { [orderItemId]: quantity in pending or approved refunds }
+// requested: optional [{ orderItemId, quantity }]; when empty every remaining
+// unit of every line is claimed.
+// Returns { lines, errors, amount }; each line's taxAmount is the tax it
+// refunds.
+function buildRefundLines(orderItems, alreadyClaimed, requested = []) {
+	const itemsById = {};
+	orderItems.forEach((item) => {
+		itemsById[item.id] = item;
+	});
+
+	const wanted =
+		requested.length > 0
+			? requested
+			: orderItems.map((item) => ({
+					orderItemId: item.id,
+					quantity: item.quantity - (alreadyClaimed[item.id] || 0),
+			  }));
+
+	const lines = [];
+	const errors = [];
+
+	wanted.forEach((entry) => {
+		const item = itemsById[entry.orderItemId];
+		const quantity = parseInt(entry.quantity, 10);
+
+		if (!item) {
+			errors.push({
+				orderItemId: entry.orderItemId,
+				reason: "Item is not part of this order",
+			});
+			return;
+		}
+
+		const refundable = item.quantity - (alreadyClaimed[item.id] || 0);
+		if (requested.length === 0 && refundable <= 0) {
+			return;
+		}
+
+		if (!quantity || quantity < 1 || quantity > refundable) {
+			errors.push({
+				orderItemId: item.id,
+				requested: entry.quantity,
+				refundable,
+				reason: "Invalid refund quantity",
+			});
+			return;
+		}
+
+		// Refund what was actually paid: the unit price less the unit's share
+		// of the coupon discount plus its share of any tax added on top
+		const discount = parseFloat(item.discount_amount || 0);
+		const taxAmount = roundMoney(
+			(parseFloat(item.tax_amount || 0) * quantity) / item.quantity
+		);
+		lines.push({
+			orderItemId: item.id,
+			productId: item.product_id,
+			variantId: item.variant_id || null,
+			quantity,
+			amount: roundMoney(
+				parseFloat(item.price) * quantity -
+					(discount * quantity) / item.quantity +
+					(item.prices_include_tax ? 0 : taxAmount)
+			),
+			taxAmount,
+		});
+	});
+
+	const amount = roundMoney(
+		lines.reduce((total, line) => total + line.amount, 0)
+	);
+
+	return { lines, errors, amount };
+}
+
+module.exports = {
+	REFUND_REASONS,
+	isValidRefundReason,
+	buildRefundLines,
+};
@@ -0,0 +1,226 @@
+// Product search.
+// Products are indexed into product_search_documents, which carries MySQL
+// FULLTEXT indexes, and product_search_terms, the vocabulary of words per
+// product. Queries run in boolean mode: every query word must match, either
+// as typed, as a prefix (the last word, for search-as-you-type) or as a
+// vocabulary word within a small edit distance (typo tolerance). The same
+// vocabulary drives "did you mean" suggestions and autocomplete.
+
+// Words shorter than innodb_ft_min_token_size (3 by default) and InnoDB's
+// default stopwords are not in the FULLTEXT index, so they are dropped from
+// queries and the vocabulary too
+const MIN_TERM_LENGTH = 3;
+const MAX_TERM_LENGTH = 64;
+const MAX_QUERY_TERMS = 8;
+// Matches in the product name count this many times more than elsewhere
+const NAME_WEIGHT = 3;
+
+const STOPWORDS = new Set(
+	(
+		"a about an are as at be by com de en for from how i in is it la of on " +
+		"or that the this to was what when where who will with und www"
+	).split(" ")
+);
+
+// Lower-cased words of a text, without stopwords. Anything that is not a
+// letter or digit separates words, which also strips boolean-mode operators.
+function tokenize(text) {
+	if (text === null || text === undefined) {
+		return [];
+	}
+
+	return String(text)
+		.toLowerCase()
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter(
+			(word) =>
+				word.length >= MIN_TERM_LENGTH &&
+				word.length <= MAX_TERM_LENGTH &&
+				!STOPWORDS.has(word)
+		);
+}
+
+// Specifications are stored as JSON text; index both keys and values
+function flattenSpecifications(specifications) {
+	if (!specifications) {
+		return "";
+	}
+
+	let value = specifications;
+	if (typeof value === "string") {
+		try {
+			value = JSON.parse(value);
+		} catch (err) {
+			return value;
+		}
+	}
+
+	const parts = [];
+	const walk = (node) => {
+		if (node === null || node === undefined) {
+			return;
+		}
+		if (Array.isArray(node)) {
+			node.forEach(walk);
+		} else if (typeof node === "object") {
+			Object.keys(node).forEach((key) => {
+				parts.push(key);
+				walk(node[key]);
+			});
+		} else {
+			parts.push(String(node));
+		}
+	};
+	walk(value);
+
+	return parts.join(" ");
+}
+
+// Search document row for a product
+function buildSearchDocument(product) {
+	return {
+		product_id: product.id,
+		name: product.name || "",
+		category: product.category || "",
+		body: [product.description, product.fullDescription]
+			.filter(Boolean)
+			.join("\n"),
+		specifications: flattenSpecifications(product.specifications),
+	};
+}
+
+// Distinct vocabulary words of a search document
+function documentTerms(document) {
+	return [
+		...new Set(
+			tokenize(
+				[
+					document.name,
+					document.category,
+					document.body,
+					document.specifications,
+				].join(" ")
+			)
+		),
+	];
+}
+
+function levenshtein(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+// Typos allowed in a word: none for short words, more for longer ones
+function maxEdits(term) {
+	if (term.length <= 3) {
+		return 0;
+	}
+	return term.length <= 7 ? 1 : 2;
+}
+
+// Split a search string into the words to look up. Returns [] when nothing
+// searchable is left.
+function parseSearchQuery(query) {
+	return [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+}
+
+// Vocabulary words close enough to `term` to count as a typo of it, most
+// frequent first.
+// vocabulary: [{ term, frequency }]
+function findCorrections(term, vocabulary) {
+	const edits = maxEdits(term);
+	if (edits === 0) {
+		return [];
+	}
+
+	return vocabulary
+		.filter(
+			(entry) =>
+				entry.term !== term &&
+				Math.abs(entry.term.length - term.length) <= edits &&
+				levenshtein(term, entry.term) <= edits
+		)
+		.sort(
+			(a, b) =>
+				levenshtein(term, a.term) - levenshtein(term, b.term) ||
+				b.frequency - a.frequency
+		)
+		.map((entry) => entry.term);
+}
+
+// Build the boolean-mode AGAINST string and the "did you mean" suggestion.
+// Every term becomes a required group of the term itself and its typo
+// corrections; the last term also matches as a prefix.
+// Returns { against, suggestion } where suggestion is null when every term
+// is a known word.
+function buildSearchPlan(terms, vocabulary) {
+	const known = new Set(vocabulary.map((entry) => entry.term));
+	let corrected = false;
+
+	const groups = terms.map((term, index) => {
+		const corrections = known.has(term)
+			? []
+			: findCorrections(term, vocabulary).slice(0, 3);
+		const isLast = index === terms.length - 1;
+
+		if (corrections.length > 0) {
+			corrected = true;
+		}
+
+		const words = [term, ...(isLast ? [`${term}*`] : []), ...corrections];
+		return {
+			against: `+(${words.join(" ")})`,
+			suggested: corrections[0] || term,
+		};
+	});
+
+	return {
+		against: groups.map((group) => group.against).join(" "),
+		suggestion: corrected
+			? groups.map((group) => group.suggested).join(" ")
+			: null,
+	};
+}
+
+// Autocomplete input: the finished words must all match and the word being
+// typed matches as a prefix. Returns { prefix, against } or null when there is
+// too little to complete.
+function buildAutocompletePlan(query) {
+	const words = String(query || "")
+		.toLowerCase()
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter(Boolean);
+	const prefix = words.pop();
+
+	if (!prefix || prefix.length < 2) {
+		return null;
+	}
+
+	const finished = tokenize(words.join(" ")).map((word) => `+${word}`);
+	return { prefix, against: [...finished, `+${prefix}*`].join(" ") };
+}
+
+module.exports = {
+	NAME_WEIGHT,
+	tokenize,
+	buildSearchDocument,
+	documentTerms,
+	levenshtein,
+	parseSearchQuery,
+	findCorrections,
+	buildSearchPlan,
+	buildAutocompletePlan,
+};
@@ -0,0 +1,188 @@
+const { roundMoney } = require("./pricing");
+
+// Shipping rate calculation.
+// A shipping method is offered for an address when one of its zone rules
+// matches it. Zone rules match on country, region and postal code prefix;
+// a NULL column matches anything.
+const SHIPPING_METHOD_TYPES = [
+	"flat_rate",
+	"weight_based",
+	"free_over_threshold",
+	"local_pickup",
+];
+
+// Validate admin input for a shipping method. With `partial` only given
+// fields are checked. Returns { method, zones, errors } where method holds DB
+// column values and zones is undefined when no zones were given.
+function validateShippingMethodInput(input, partial = false) {
+	const method = {};
+	const errors = [];
+
+	const has = (field) => input[field] !== undefined;
+
+	if (has("name") || !partial) {
+		if (typeof input.name !== "string" || !input.name.trim()) {
+			errors.push({ field: "name", message: "name is required" });
+		} else {
+			method.name = input.name.trim();
+		}
+	}
+
+	if (has("type") || !partial) {
+		if (!SHIPPING_METHOD_TYPES.includes(input.type)) {
+			errors.push({
+				field: "type",
+				message: `type must be one of ${SHIPPING_METHOD_TYPES.join(", ")}`,
+			});
+		} else {
+			method.type = input.type;
+		}
+	}
+
+	[
+		["baseRate", "base_rate"],
+		["perKgRate", "per_kg_rate"],
+		["freeThreshold", "free_threshold"],
+	].forEach(([field, column]) => {
+		if (!has(field)) {
+			return;
+		}
+		if (input[field] === null) {
+			method[column] = null;
+			return;
+		}
+		const value = parseFloat(input[field]);
+		if (isNaN(value) || value < 0) {
+			errors.push({ field, message: `${field} must be a positive amount` });
+		} else {
+			method[column] = value;
+		}
+	});
+
+	if (method.type === "free_over_threshold" && !has("freeThreshold")) {
+		errors.push({
+			field: "freeThreshold",
+			message: "freeThreshold is required for free_over_threshold methods",
+		});
+	}
+
+	if (has("estimatedDays")) {
+		method.estimated_days =
+			input.estimatedDays === null ? null : parseInt(input.estimatedDays, 10);
+		if (Number.isNaN(method.estimated_days)) {
+			errors.push({
+				field: "estimatedDays",
+				message: "estimatedDays must be a number of days",
+			});
+		}
+	}
+
+	if (has("isActive")) {
+		method.is_active = Boolean(input.isActive);
+	}
+
+	let zones;
+	if (has("zones")) {
+		if (!Array.isArray(input.zones) || input.zones.length === 0) {
+			errors.push({
+				field: "zones",
+				message: "zones must be a non-empty array",
+			});
+		} else {
+			zones = input.zones.map((zone) => ({
+				country: zone.country ? String(zone.country).toUpperCase() : null,
+				region: zone.region || null,
+				postal_prefix: zone.postalPrefix || null,
+			}));
+			zones.forEach((zone, index) => {
+				if (zone.country && !/^[A-Z]{2}$/.test(zone.country)) {
+					errors.push({
+						field: `zones[${index}].country`,
+						message: "country must be a 2-letter country code",
+					});
+				}
+			});
+		}
+	} else if (!partial) {
+		errors.push({ field: "zones", message: "zones is required" });
+	}
+
+	return { method, zones, errors };
+}
+
+const matches = (ruleValue, value) =>
+	ruleValue === null ||
+	ruleValue === undefined ||
+	String(ruleValue).toLowerCase() === String(value || "").toLowerCase();
+
+// Whether a zone rule covers an address ({ country, region, postalCode })
+function zoneMatches(zone, address) {
+	if (!matches(zone.country, address.country)) {
+		return false;
+	}
+	if (!matches(zone.region, address.region)) {
+		return false;
+	}
+	if (
+		zone.postal_prefix &&
+		!String(address.postalCode || "")
+			.toUpperCase()
+			.replace(/\s/g, "")
+			.startsWith(zone.postal_prefix.toUpperCase().replace(/\s/g, ""))
+	) {
+		return false;
+	}
+	return true;
+}
+
+// Cost of one method for an order
+// weight: total order weight in kg; amount: order amount after discounts
+function shippingCost(method, weight, amount) {
+	const baseRate = parseFloat(method.base_rate || 0);
+
+	switch (method.type) {
+		case "weight_based":
+			return roundMoney(
+				baseRate + parseFloat(method.per_kg_rate || 0) * weight
+			);
+		case "free_over_threshold":
+			return amount >= parseFloat(method.free_threshold) ? 0 : baseRate;
+		case "local_pickup":
+			return 0;
+		default:
+			return roundMoney(baseRate);
+	}
+}
+
+// Quote the shipping options for priced lines delivered to an address.
+// methods: active shipping method rows, each with a `zones` array
+// lines: [{ quantity, weight }] with weight per unit in kg (NULL counts as 0)
+// amount: order amount after discounts, used for free shipping thresholds
+// Returns [{ methodId, name, type, cost, estimatedDays }], cheapest first.
+function quoteShipping(methods, lines, address, amount) {
+	if (!address) {
+		return [];
+	}
+
+	const weight = lines.reduce(
+		(total, line) => total + parseFloat(line.weight || 0) * line.quantity,
+		0
+	);
+
+	return methods
+		.filter((method) => method.zones.some((zone) => zoneMatches(zone, address)))
+		.map((method) => ({
+			methodId: method.id,
+			name: method.name,
+			type: method.type,
+			cost: shippingCost(method, weight, amount),
+			estimatedDays: method.estimated_days,
+		}))
+		.sort((a, b) => a.cost - b.cost);
+}
+
+module.exports = {
+	SHIPPING_METHOD_TYPES,
+	validateShippingMethodInput,
+	quoteShipping,
+};
@@ -0,0 +1,624 @@
+const { categoryPath, collectSubtreeIds } = require("./categories");
+
+// Product specifications.
+// Each category has a schema of specification fields. A product is checked
+// against the fields of its category and of the categories above it; a
+// subcategory's field replaces an inherited field of the same name.
+// Field types:
+//   string    free text of at most 255 characters
+//   number    a number in the field's unit; "16GB" and "16 GB" are accepted
+//   boolean   true or false
+//   enum      one of the field's allowed values
+// Values are stored as JSON on the product and, for filtering, one row per
+// field in product_spec_values (value_number for numbers and booleans,
+// value_text otherwise).
+const SPEC_FIELD_TYPES = ["string", "number", "boolean", "enum"];
+const MAX_TEXT_LENGTH = 255;
+
+// Comparison operators of spec filters and their SQL form. Only numbers can
+// be compared with anything but = and !=.
+const SPEC_FILTER_OPERATORS = {
+	">=": ">=",
+	"<=": "<=",
+	"!=": "<>",
+	"=": "=",
+	">": ">",
+	"<": "<",
+};
+const EQUALITY_OPERATORS = ["=", "!="];
+
+// Validate admin input for a specification field. With `partial` only given
+// fields are checked, and name and type cannot change since stored values
+// depend on them. Returns { field, errors } where field holds DB column
+// values.
+function validateSpecFieldInput(input, partial = false) {
+	const field = {};
+	const errors = [];
+
+	const has = (name) => input[name] !== undefined;
+
+	if (partial) {
+		if (has("name") || has("type")) {
+			errors.push({
+				field: has("name") ? "name" : "type",
+				message: "name and type cannot change; add a new field instead",
+			});
+		}
+	} else {
+		if (
+			typeof input.name !== "string" ||
+			!/^[A-Za-z0-9][A-Za-z0-9 _-]{0,49}$/.test(input.name.trim())
+		) {
+			errors.push({
+				field: "name",
+				message:
+					"name must be 1-50 letters, digits, spaces, dashes or underscores",
+			});
+		} else {
+			field.name = input.name.trim();
+		}
+
+		if (!SPEC_FIELD_TYPES.includes(input.type)) {
+			errors.push({
+				field: "type",
+				message: `type must be one of ${SPEC_FIELD_TYPES.join(", ")}`,
+			});
+		} else {
+			field.type = input.type;
+		}
+	}
+
+	if (has("unit")) {
+		if (
+			input.unit !== null &&
+			(typeof input.unit !== "string" || !/^[A-Za-z%"]{1,20}$/.test(input.unit))
+		) {
+			errors.push({
+				field: "unit",
+				message: "unit must be up to 20 letters, e.g. GB, or null",
+			});
+		} else if (input.unit && !partial && field.type !== "number") {
+			errors.push({ field: "unit", message: "only number fields have a unit" });
+		} else {
+			field.unit = input.unit || null;
+		}
+	}
+
+	if (has("required")) {
+		field.is_required = Boolean(input.required);
+	}
+
+	if (has("allowedValues")) {
+		const values = input.allowedValues;
+		if (
+			!Array.isArray(values) ||
+			values.length === 0 ||
+			values.some(
+				(value) =>
+					typeof value !== "string" ||
+					!value.trim() ||
+					value.trim().length > MAX_TEXT_LENGTH
+			)
+		) {
+			errors.push({
+				field: "allowedValues",
+				message: "allowedValues must be a non-empty array of strings",
+			});
+		} else if (!partial && field.type !== "enum") {
+			errors.push({
+				field: "allowedValues",
+				message: "only enum fields have allowed values",
+			});
+		} else {
+			field.allowed_values = JSON.stringify(
+				values.map((value) => value.trim())
+			);
+		}
+	} else if (!partial && field.type === "enum") {
+		errors.push({
+			field: "allowedValues",
+			message: "enum fields need allowedValues",
+		});
+	}
+
+	if (has("position")) {
+		if (!Number.isInteger(input.position)) {
+			errors.push({
+				field: "position",
+				message: "position must be an integer",
+			});
+		} else {
+			field.position = input.position;
+		}
+	}
+
+	return { field, errors };
+}
+
+function formatSpecField(row) {
+	return {
+		id: row.id,
+		categoryId: row.category_id,
+		name: row.name,
+		type: row.type,
+		unit: row.unit,
+		required: Boolean(row.is_required),
+		allowedValues: row.allowed_values || null,
+		position: row.position,
+	};
+}
+
+// Specification fields that apply to products of a category, inherited
+// fields first.
+// categories: categories rows, fields: category_spec_fields rows
+function effectiveSpecSchema(categories, fields, categoryId) {
+	const byName = new Map();
+	categoryPath(categories, categoryId).forEach((category) => {
+		fields
+			.filter((field) => field.category_id === category.id)
+			.sort((a, b) => a.position - b.position || a.id - b.id)
+			.forEach((field) => {
+				byName.delete(field.name.toLowerCase());
+				byName.set(field.name.toLowerCase(), field);
+			});
+	});
+	return Array.from(byName.values());
+}
+
+// Describe a field's kind of value, e.g. "number in GB"
+const describeFieldType = (field) =>
+	`${field.type}${field.unit ? ` in ${field.unit}` : ""}`;
+
+const sameFieldType = (a, b) =>
+	a.type === b.type &&
+	(a.unit || "").toLowerCase() === (b.unit || "").toLowerCase();
+
+// Allowed values of `field` missing from `allowedValues`, ignoring case
+const missingEnumValues = (field, allowedValues) =>
+	(field.allowed_values || []).filter(
+		(value) =>
+			!(allowedValues || []).some(
+				(allowed) => allowed.toLowerCase() === value.toLowerCase()
+			)
+	);
+
+// Plan how the specification fields of a category merged into another one
+// are kept. A field of the source named like one in the target's schema is
+// folded into it when both hold the same kind of value; enum fields of the
+// target itself take the source's allowed values too. Other source fields
+// move to the target. Products of the source and of its subcategories get
+// their stored values re-pointed at the fields of their schema after the
+// merge, including values of fields inherited from above the source. Values
+// that would have no field, or one of another kind, are conflicts.
+// categories and fields are all categories and category_spec_fields rows;
+// usedFields: [{ category_id, field_id }] with stored values per category.
+// Returns { folds: [{ fromId, toId, allowedValues }], moves: [fieldId],
+// remaps: [{ categoryId, fromId, toId }], conflicts: [{ field, message }] }.
+function planSpecMerge(categories, fields, sourceId, targetId, usedFields) {
+	const folds = [];
+	const moves = [];
+	const remaps = [];
+	const conflicts = [];
+
+	const findByName = (schema, name) =>
+		schema.find((field) => field.name.toLowerCase() === name.toLowerCase());
+
+	const targetSchema = effectiveSpecSchema(categories, fields, targetId);
+	const widened = new Map();
+
+	fields
+		.filter((field) => field.category_id === sourceId)
+		.forEach((field) => {
+			const match = findByName(targetSchema, field.name);
+			if (!match) {
+				moves.push(field.id);
+				return;
+			}
+
+			if (!sameFieldType(field, match)) {
+				conflicts.push({
+					field: field.name,
+					message: `${field.name} is ${describeFieldType(
+						field
+					)} here but ${describeFieldType(match)} in the target category`,
+				});
+				return;
+			}
+
+			const fold = { fromId: field.id, toId: match.id, allowedValues: null };
+			const extraValues =
+				field.type === "enum"
+					? missingEnumValues(field, match.allowed_values)
+					: [];
+			if (extraValues.length > 0) {
+				// Widening a field inherited by the target would change the
+				// schema of categories outside the merge
+				if (match.category_id !== targetId) {
+					conflicts.push({
+						field: field.name,
+						message: `${field.name} allows ${extraValues.join(
+							", "
+						)} here, which the field the target category inherits does not`,
+					});
+					return;
+				}
+				fold.allowedValues = [...(match.allowed_values || []), ...extraValues];
+				widened.set(match.id, fold.allowedValues);
+			}
+			folds.push(fold);
+		});
+
+	// Categories and fields as they are after the merge
+	const categoriesAfter = categories
+		.filter((category) => category.id !== sourceId)
+		.map((category) =>
+			category.parent_id === sourceId
+				? { ...category, parent_id: targetId }
+				: category
+		);
+	const fieldsAfter = fields
+		.filter(
+			(field) => field.category_id !== sourceId || moves.includes(field.id)
+		)
+		.map((field) => {
+			if (moves.includes(field.id)) {
+				return { ...field, category_id: targetId };
+			}
+			if (widened.has(field.id)) {
+				return { ...field, allowed_values: widened.get(field.id) };
+			}
+			return field;
+		});
+
+	const reported = new Set(conflicts.map((conflict) => conflict.field));
+	const conflict = (field, message) => {
+		if (!reported.has(field)) {
+			reported.add(field);
+			conflicts.push({ field, message });
+		}
+	};
+
+	collectSubtreeIds(categories, sourceId).forEach((categoryId) => {
+		const category = categories.find((row) => row.id === categoryId);
+		const schemaAfter = effectiveSpecSchema(
+			categoriesAfter,
+			fieldsAfter,
+			categoryId === sourceId ? targetId : categoryId
+		);
+
+		effectiveSpecSchema(categories, fields, categoryId)
+			.filter((field) =>
+				usedFields.some(
+					(used) =>
+						used.category_id === categoryId && used.field_id === field.id
+				)
+			)
+			.forEach((field) => {
+				const match = findByName(schemaAfter, field.name);
+				if (match && match.id === field.id) {
+					return;
+				}
+
+				if (!match) {
+					return conflict(
+						field.name,
+						`${field.name} of products in ${category.name} has no field in the merged category`
+					);
+				}
+				if (!sameFieldType(field, match)) {
+					return conflict(
+						field.name,
+						`${field.name} of products in ${
+							category.name
+						} is ${describeFieldType(field)} but ${describeFieldType(
+							match
+						)} in the merged category`
+					);
+				}
+				if (
+					field.type === "enum" &&
+					missingEnumValues(field, match.allowed_values).length > 0
+				) {
+					return conflict(
+						field.name,
+						`${field.name} of products in ${
+							category.name
+						} allows ${missingEnumValues(field, match.allowed_values).join(
+							", "
+						)}, which the merged category does not`
+					);
+				}
+
+				remaps.push({ categoryId, fromId: field.id, toId: match.id });
+			});
+	});
+
+	return { folds, moves, remaps, conflicts };
+}
+
+// Parse a number in the field's unit. Returns null when the value is not a
+// number or carries another unit.
+function parseSpecNumber(field, value) {
+	if (typeof value === "number") {
+		return Number.isFinite(value) ? value : null;
+	}
+	if (typeof value !== "string") {
+		return null;
+	}
+
+	const match = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*([A-Za-z%"]*)\s*$/);
+	if (!match) {
+		return null;
+	}
+	if (
+		match[2] &&
+		(!field.unit || match[2].toLowerCase() !== field.unit.toLowerCase())
+	) {
+		return null;
+	}
+	return parseFloat(match[1]);
+}
+
+function parseSpecBoolean(value) {
+	if (typeof value === "boolean") {
+		return value;
+	}
+	const text = String(value).trim().toLowerCase();
+	if (["true", "yes", "1"].includes(text)) {
+		return true;
+	}
+	if (["false", "no", "0"].includes(text)) {
+		return false;
+	}
+	return null;
+}
+
+// Allowed value matching the input regardless of case, or null
+function matchEnumValue(field, value) {
+	if (typeof value !== "string") {
+		return null;
+	}
+	const text = value.trim().toLowerCase();
+	return (
+		(field.allowed_values || []).find(
+			(allowed) => allowed.toLowerCase() === text
+		) || null
+	);
+}
+
+// Check a product's specifications against its schema.
+// Returns { specifications, values, errors }: specifications maps field names
+// to normalized values (numbers without their unit) and values are the
+// product_spec_values rows as { fieldId, text, number }.
+function validateSpecifications(fields, input) {
+	const specifications = {};
+	const values = [];
+	const errors = [];
+
+	if (input === undefined || input === null) {
+		input = {};
+	}
+	if (typeof input !== "object" || Array.isArray(input)) {
+		return {
+			specifications,
+			values,
+			errors: [
+				{
+					field: "specifications",
+					message: "specifications must map field names to values",
+				},
+			],
+		};
+	}
+
+	const byName = new Map(
+		fields.map((field) => [field.name.toLowerCase(), field])
+	);
+	const given = new Map();
+	Object.keys(input).forEach((name) => {
+		if (!byName.has(name.toLowerCase())) {
+			errors.push({ field: name, message: `Unknown specification: ${name}` });
+		} else {
+			given.set(name.toLowerCase(), input[name]);
+		}
+	});
+
+	fields.forEach((field) => {
+		const value = given.get(field.name.toLowerCase());
+
+		if (value === undefined || value === null || value === "") {
+			if (field.is_required) {
+				errors.push({
+					field: field.name,
+					message: `${field.name} is required`,
+				});
+			}
+			return;
+		}
+
+		switch (field.type) {
+			case "number": {
+				const number = parseSpecNumber(field, value);
+				if (number === null) {
+					errors.push({
+						field: field.name,
+						message: `${field.name} must be a number${
+							field.unit ? ` in ${field.unit}` : ""
+						}`,
+					});
+					return;
+				}
+				specifications[field.name] = number;
+				values.push({ fieldId: field.id, text: null, number });
+				return;
+			}
+			case "boolean": {
+				const flag = parseSpecBoolean(value);
+				if (flag === null) {
+					errors.push({
+						field: field.name,
+						message: `${field.name} must be true or false`,
+					});
+					return;
+				}
+				specifications[field.name] = flag;
+				values.push({ fieldId: field.id, text: null, number: flag ? 1 : 0 });
+				return;
+			}
+			case "enum": {
+				const allowed = matchEnumValue(field, value);
+				if (allowed === null) {
+					errors.push({
+						field: field.name,
+						message: `${field.name} must be one of ${(
+							field.allowed_values || []
+						).join(", ")}`,
+					});
+					return;
+				}
+				specifications[field.name] = allowed;
+				values.push({ fieldId: field.id, text: allowed, number: null });
+				return;
+			}
+			default: {
+				if (
+					typeof value !== "string" ||
+					value.trim().length > MAX_TEXT_LENGTH
+				) {
+					errors.push({
+						field: field.name,
+						message: `${field.name} must be text of at most ${MAX_TEXT_LENGTH} characters`,
+					});
+					return;
+				}
+				specifications[field.name] = value.trim();
+				values.push({ fieldId: field.id, text: value.trim(), number: null });
+			}
+		}
+	});
+
+	return { specifications, values, errors };
+}
+
+// Parse spec filters of a catalog query, e.g. ?spec=RAM>=16GB&spec=Color=Black.
+// Returns { specs: [{ name, operator, value }], errors }.
+function parseSpecFilters(input) {
+	const specs = [];
+	const errors = [];
+
+	if (input === undefined || input === "") {
+		return { specs, errors };
+	}
+
+	const operators = Object.keys(SPEC_FILTER_OPERATORS)
+		.map((operator) => operator.replace(/[<>=!]/g, "\\$&"))
+		.join("|");
+	const pattern = new RegExp(`^\\s*(.+?)\\s*(${operators})\\s*(.+?)\\s*$`);
+
+	(Array.isArray(input) ? input : [input]).forEach((filter) => {
+		const match = typeof filter === "string" && filter.match(pattern);
+		if (!match) {
+			errors.push({
+				field: "spec",
+				message: `spec filters look like "RAM>=16GB" or "Color=Black", got ${JSON.stringify(
+					filter
+				)}`,
+			});
+			return;
+		}
+		specs.push({ name: match[1], operator: match[2], value: match[3] });
+	});
+
+	return { specs, errors };
+}
+
+// Turn parsed spec filters into conditions on product_spec_values. A name can
+// match fields of several categories; the value is compared against each
+// field it parses for.
+// Returns { conditions: [[{ fieldIds, column, operator, value }]], errors }
+// where each condition is a list of alternatives.
+function resolveSpecFilters(specs, fields) {
+	const conditions = [];
+	const errors = [];
+
+	specs.forEach((spec) => {
+		const matching = fields.filter(
+			(field) => field.name.toLowerCase() === spec.name.toLowerCase()
+		);
+		if (matching.length === 0) {
+			errors.push({
+				field: "spec",
+				message: `Unknown specification: ${spec.name}`,
+			});
+			return;
+		}
+
+		const alternatives = [];
+		const addAlternative = (field, column, value) => {
+			const existing = alternatives.find(
+				(alternative) =>
+					alternative.column === column && alternative.value === value
+			);
+			if (existing) {
+				existing.fieldIds.push(field.id);
+			} else {
+				alternatives.push({
+					fieldIds: [field.id],
+					column,
+					operator: SPEC_FILTER_OPERATORS[spec.operator],
+					value,
+				});
+			}
+		};
+
+		matching.forEach((field) => {
+			if (field.type === "number") {
+				const number = parseSpecNumber(field, spec.value);
+				if (number !== null) {
+					addAlternative(field, "value_number", number);
+				}
+				return;
+			}
+
+			if (!EQUALITY_OPERATORS.includes(spec.operator)) {
+				return;
+			}
+
+			if (field.type === "boolean") {
+				const flag = parseSpecBoolean(spec.value);
+				if (flag !== null) {
+					addAlternative(field, "value_number", flag ? 1 : 0);
+				}
+			} else if (field.type === "enum") {
+				const allowed = matchEnumValue(field, spec.value);
+				if (allowed !== null) {
+					addAlternative(field, "value_text", allowed);
+				}
+			} else {
+				addAlternative(field, "value_text", spec.value);
+			}
+		});
+
+		if (alternatives.length === 0) {
+			errors.push({
+				field: "spec",
+				message: `${spec.name} cannot be compared with ${spec.operator} ${spec.value}`,
+			});
+			return;
+		}
+		conditions.push(alternatives);
+	});
+
+	return { conditions, errors };
+}
+
+module.exports = {
+	SPEC_FIELD_TYPES,
+	validateSpecFieldInput,
+	formatSpecField,
+	effectiveSpecSchema,
+	planSpecMerge,
+	validateSpecifications,
+	parseSpecFilters,
+	resolveSpecFilters,
+};
@@ -0,0 +1,160 @@
+const { roundMoney } = require("./pricing");
+
+// Tax calculation.
+// Tax rates are rules matched on the shipping address (country, region) and
+// the product category; a NULL column matches anything. The most specific
+// matching rule wins. Product prices are either tax-inclusive (tax is already
+// part of the price) or tax-exclusive (tax is added on top), as configured by
+// PRICES_INCLUDE_TAX.
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX === "true";
+
+// Validate admin input for a tax rate. With `partial` only given fields are
+// checked. Returns { taxRate, errors } where taxRate holds DB column values.
+function validateTaxRateInput(input, partial = false) {
+	const taxRate = {};
+	const errors = [];
+
+	const has = (field) => input[field] !== undefined;
+
+	if (has("name") || !partial) {
+		if (typeof input.name !== "string" || !input.name.trim()) {
+			errors.push({ field: "name", message: "name is required" });
+		} else {
+			taxRate.name = input.name.trim();
+		}
+	}
+
+	if (has("rate") || !partial) {
+		const rate = parseFloat(input.rate);
+		if (isNaN(rate) || rate < 0 || rate > 100) {
+			errors.push({
+				field: "rate",
+				message: "rate must be a percentage between 0 and 100",
+			});
+		} else {
+			taxRate.rate = rate;
+		}
+	}
+
+	if (has("country")) {
+		if (input.country === null || input.country === "") {
+			taxRate.country = null;
+		} else if (
+			typeof input.country !== "string" ||
+			!/^[A-Za-z]{2}$/.test(input.country)
+		) {
+			errors.push({
+				field: "country",
+				message: "country must be a 2-letter country code",
+			});
+		} else {
+			taxRate.country = input.country.toUpperCase();
+		}
+	}
+
+	["region", "category"].forEach((field) => {
+		if (!has(field)) {
+			return;
+		}
+		if (input[field] === null || input[field] === "") {
+			taxRate[field] = null;
+		} else if (typeof input[field] !== "string") {
+			errors.push({ field, message: `${field} must be a string` });
+		} else {
+			taxRate[field] = input[field].trim();
+		}
+	});
+
+	if (has("isActive")) {
+		taxRate.is_active = Boolean(input.isActive);
+	}
+
+	return { taxRate, errors };
+}
+
+const matches = (ruleValue, value) =>
+	ruleValue === null ||
+	ruleValue === undefined ||
+	String(ruleValue).toLowerCase() === String(value || "").toLowerCase();
+
+// Find the tax rate rule for a category shipped to an address, or null.
+// address: { country, region } (an order snapshot or address row)
+function findTaxRate(rates, address, category) {
+	let best = null;
+	let bestScore = -1;
+
+	rates.forEach((rate) => {
+		if (rate.is_active === 0 || rate.is_active === false) {
+			return;
+		}
+		if (
+			!matches(rate.country, address && address.country) ||
+			!matches(rate.region, address && address.region) ||
+			!matches(rate.category, category)
+		) {
+			return;
+		}
+
+		// A category match outranks a region match, which outranks country
+		const score =
+			(rate.category ? 4 : 0) + (rate.region ? 2 : 0) + (rate.country ? 1 : 0);
+		if (score > bestScore) {
+			best = rate;
+			bestScore = score;
+		}
+	});
+
+	return best;
+}
+
+// Calculate tax for priced lines.
+// lines: [{ category, lineTotal }]
+// lineDiscounts: discount per line (from the coupon engine), taxed lines are
+// charged on the discounted amount
+// Returns { lines: [{ taxRate, taxAmount }], totalTax, total, pricesIncludeTax }
+// where total is what the customer pays for the lines including tax.
+function calculateTax(
+	lines,
+	lineDiscounts,
+	rates,
+	address,
+	pricesIncludeTax = PRICES_INCLUDE_TAX
+) {
+	const taxLines = lines.map((line, index) => {
+		const rule = findTaxRate(rates, address, line.category);
+		const taxRate = rule ? parseFloat(rule.rate) : 0;
+		const taxable = roundMoney(line.lineTotal - (lineDiscounts[index] || 0));
+
+		const taxAmount = pricesIncludeTax
+			? roundMoney(taxable - taxable / (1 + taxRate / 100))
+			: roundMoney((taxable * taxRate) / 100);
+
+		return {
+			taxRate,
+			taxRateName: rule ? rule.name : null,
+			taxable,
+			taxAmount,
+		};
+	});
+
+	const totalTax = roundMoney(
+		taxLines.reduce((total, line) => total + line.taxAmount, 0)
+	);
+	const taxable = roundMoney(
+		taxLines.reduce((total, line) => total + line.taxable, 0)
+	);
+
+	return {
+		lines: taxLines,
+		totalTax,
+		total: pricesIncludeTax ? taxable : roundMoney(taxable + totalTax),
+		pricesIncludeTax,
+	};
+}
+
+module.exports = {
+	PRICES_INCLUDE_TAX,
+	validateTaxRateInput,
+	findTaxRate,
+	calculateTax,
+};
@@ -0,0 +1,164 @@
+// Product variants.
+// A product can have option types (e.g. Color, RAM) with values, and
+// variants that pick one value per option type. Each variant has its own
+// SKU, stock and optionally its own price and image (NULL falls back to the
+// product's). Carts use variant_id 0 for products without variants so the
+// id can be part of their unique keys.
+const SKU_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Parse a variant id from a request: missing means 0 (no variant).
+// Returns null when the value is not a valid id.
+function normalizeVariantId(value) {
+	if (value === undefined || value === null || value === "" || value === 0) {
+		return 0;
+	}
+
+	const variantId = Number(value);
+	return Number.isInteger(variantId) && variantId > 0 ? variantId : null;
+}
+
+// Validate admin input for a variant. With `partial` only given fields are
+// checked and options cannot change. Returns { variant, options, errors }
+// where variant holds DB column values and options is { [name]: value }.
+function validateVariantInput(input, partial = false) {
+	const variant = {};
+	const errors = [];
+	let options;
+
+	const has = (field) => input[field] !== undefined;
+
+	if (has("sku") || !partial) {
+		if (typeof input.sku !== "string" || !SKU_PATTERN.test(input.sku)) {
+			errors.push({
+				field: "sku",
+				message:
+					"sku must be 1-64 letters, digits, dots, dashes or underscores",
+			});
+		} else {
+			variant.sku = input.sku;
+		}
+	}
+
+	if (has("price")) {
+		const price = input.price === null ? null : parseFloat(input.price);
+		if (price !== null && (isNaN(price) || price < 0)) {
+			errors.push({
+				field: "price",
+				message: "price must be a non-negative number or null",
+			});
+		} else {
+			variant.price = price;
+		}
+	}
+
+	if (has("image")) {
+		if (input.image !== null && typeof input.image !== "string") {
+			errors.push({ field: "image", message: "image must be a string" });
+		} else {
+			variant.image = input.image || null;
+		}
+	}
+
+	if (has("isActive")) {
+		variant.is_active = Boolean(input.isActive);
+	}
+
+	if (partial) {
+		if (has("options")) {
+			errors.push({
+				field: "options",
+				message: "options cannot change; create a new variant instead",
+			});
+		}
+	} else if (
+		!input.options ||
+		typeof input.options !== "object" ||
+		Array.isArray(input.options) ||
+		Object.keys(input.options).length === 0
+	) {
+		errors.push({
+			field: "options",
+			message:
+				'options must map option names to values, e.g. { "Color": "Black" }',
+		});
+	} else {
+		options = {};
+		Object.keys(input.options).forEach((name) => {
+			const value = input.options[name];
+			if (
+				!name.trim() ||
+				name.trim().length > 50 ||
+				typeof value !== "string" ||
+				!value.trim() ||
+				value.trim().length > 100
+			) {
+				errors.push({
+					field: "options",
+					message: `option ${name} needs a name of at most 50 characters and a value of at most 100`,
+				});
+			} else {
+				options[name.trim()] = value.trim();
+			}
+		});
+	}
+
+	return { variant, options, errors };
+}
+
+// Key identifying an option combination regardless of order or case
+function optionSignature(options) {
+	return Object.keys(options)
+		.map((name) => `${name.toLowerCase()}=${options[name].toLowerCase()}`)
+		.sort()
+		.join("|");
+}
+
+// Option values of each variant.
+// rows: [{ variant_id, option_name, option_value }]
+// Returns { [variantId]: { [optionName]: value } }.
+function groupVariantOptions(rows) {
+	const byVariant = {};
+	rows.forEach((row) => {
+		byVariant[row.variant_id] = byVariant[row.variant_id] || {};
+		byVariant[row.variant_id][row.option_name] = row.option_value;
+	});
+	return byVariant;
+}
+
+// Option matrix of a product: its option types with their values in
+// display order, and each variant with the values it picks.
+// options: product_options rows, values: product_option_values rows,
+// variants: product_variants rows, variantOptions: from groupVariantOptions
+function buildOptionMatrix(product, options, values, variants, variantOptions) {
+	return {
+		options: options
+			.slice()
+			.sort((a, b) => a.position - b.position || a.id - b.id)
+			.map((option) => ({
+				id: option.id,
+				name: option.name,
+				values: values
+					.filter((value) => value.option_id === option.id)
+					.sort((a, b) => a.position - b.position || a.id - b.id)
+					.map((value) => ({ id: value.id, value: value.value })),
+			})),
+		variants: variants.map((variant) => ({
+			id: variant.id,
+			sku: variant.sku,
+			price: parseFloat(variant.price !== null ? variant.price : product.price),
+			image: variant.image || product.image,
+			stockQuantity: variant.stock_quantity,
+			inStock: variant.stock_quantity > 0,
+			isActive: Boolean(variant.is_active),
+			options: variantOptions[variant.id] || {},
+		})),
+	};
+}
+
+module.exports = {
+	normalizeVariantId,
+	validateVariantInput,
+	optionSignature,
+	groupVariantOptions,
+	buildOptionMatrix,
+};
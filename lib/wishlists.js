@@ -0,0 +1,55 @@
+const { roundMoney } = require("./pricing");
+
+// Wishlists.
+// Users keep any number of named lists. Moving an item out of the cart
+// without naming a list puts it on DEFAULT_WISHLIST_NAME, created on demand.
+const DEFAULT_WISHLIST_NAME = "Saved for later";
+const MAX_NAME_LENGTH = 100;
+
+// Validate a wishlist name. Returns { name, errors }.
+function validateWishlistName(input) {
+	const errors = [];
+	const name = typeof input === "string" ? input.trim() : "";
+
+	if (!name) {
+		errors.push({ field: "name", message: "name is required" });
+	} else if (name.length > MAX_NAME_LENGTH) {
+		errors.push({
+			field: "name",
+			message: `name must be at most ${MAX_NAME_LENGTH} characters`,
+		});
+	}
+
+	return { name, errors };
+}
+
+// Price a customer compares a new price against: the last price they were
+// told about, or the price when the item was added
+function referencePrice(item) {
+	const reference =
+		item.last_notified_price !== null && item.last_notified_price !== undefined
+			? item.last_notified_price
+			: item.price_at_add;
+	return reference === null || reference === undefined
+		? null
+		: roundMoney(parseFloat(reference));
+}
+
+// Pick the wishlist items whose owners should hear about a new price.
+// items: [{ wishlist_id, user_id, notify_price_drop, price_at_add,
+// last_notified_price }]
+function findPriceDrops(items, newPrice) {
+	const price = roundMoney(parseFloat(newPrice));
+
+	return items.filter((item) => {
+		const reference = referencePrice(item);
+		return item.notify_price_drop && reference !== null && price < reference;
+	});
+}
+
+module.exports = {
+	DEFAULT_WISHLIST_NAME,
+	validateWishlistName,
+	referencePrice,
+	findPriceDrops,
+};
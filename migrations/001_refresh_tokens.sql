@@ -0,0 +1,12 @@
+-- Refresh tokens issued by /api/signin, stored hashed (SHA-256)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	user_id INT NOT NULL,
+	token_hash CHAR(64) NOT NULL,
+	expires_at DATETIME NOT NULL,
+	revoked_at DATETIME NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+	KEY idx_refresh_tokens_user (user_id),
+	CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
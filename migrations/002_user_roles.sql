@@ -0,0 +1,3 @@
+-- Role used by the permission checks in lib/permissions.js
+ALTER TABLE users
+	ADD COLUMN role ENUM('customer', 'staff', 'admin') NOT NULL DEFAULT 'customer';
@@ -0,0 +1,31 @@
+-- Per-product stock tracking. Products created from now on start at 0 and are
+-- stocked through POST /api/admin/products/:id/stock.
+ALTER TABLE products
+	ADD COLUMN stock_quantity INT NOT NULL DEFAULT 0,
+	ADD COLUMN low_stock_threshold INT NOT NULL DEFAULT 5;
+
+-- Every stock change, positive or negative, with the reason it happened
+CREATE TABLE IF NOT EXISTS stock_movements (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	product_id INT NOT NULL,
+	quantity_change INT NOT NULL,
+	reason VARCHAR(32) NOT NULL,
+	order_id INT NULL,
+	actor_user_id INT NULL,
+	note VARCHAR(255) NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	KEY idx_stock_movements_product (product_id, created_at),
+	CONSTRAINT fk_stock_movements_product FOREIGN KEY (product_id) REFERENCES products (id)
+);
+
+-- Products that existed before stock tracking could always be ordered. Give
+-- them an opening stock so they stay purchasable, recorded as a restock so
+-- the movement history adds up. Set the real counts afterwards through the
+-- stock endpoint; change @opening_stock before running this if 100 is too low.
+SET @opening_stock = 100;
+
+UPDATE products SET stock_quantity = @opening_stock;
+
+INSERT INTO stock_movements (product_id, quantity_change, reason, note)
+SELECT id, @opening_stock, 'restock', 'Opening stock set by migration 004'
+FROM products;
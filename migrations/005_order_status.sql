@@ -0,0 +1,21 @@
+-- Order status lifecycle, transitions are enforced in lib/orderStatus.js
+ALTER TABLE orders
+	ADD COLUMN status ENUM('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded') NOT NULL DEFAULT 'pending';
+
+-- One row per status change. from_status is NULL for the initial status and
+-- changed_by is NULL for changes made by the system.
+CREATE TABLE IF NOT EXISTS order_status_history (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	order_id INT NOT NULL,
+	from_status VARCHAR(16) NULL,
+	to_status VARCHAR(16) NOT NULL,
+	changed_by INT NULL,
+	note VARCHAR(255) NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	KEY idx_order_status_history_order (order_id, created_at),
+	CONSTRAINT fk_order_status_history_order FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+);
+
+-- Existing orders start their history as pending
+INSERT INTO order_status_history (order_id, from_status, to_status, note, created_at)
+SELECT id, NULL, 'pending', 'Backfilled by migration', order_date FROM orders;
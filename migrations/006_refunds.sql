@@ -0,0 +1,34 @@
+-- Running total of approved refunds per order
+ALTER TABLE orders
+	ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Refund/return requests raised by customers on delivered orders
+CREATE TABLE IF NOT EXISTS refund_requests (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	order_id INT NOT NULL,
+	user_id INT NOT NULL,
+	status ENUM('requested', 'approved', 'rejected') NOT NULL DEFAULT 'requested',
+	reason VARCHAR(32) NOT NULL,
+	comment TEXT NULL,
+	requested_amount DECIMAL(10, 2) NOT NULL,
+	approved_amount DECIMAL(10, 2) NULL,
+	reviewed_by INT NULL,
+	review_note VARCHAR(255) NULL,
+	reviewed_at DATETIME NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	KEY idx_refund_requests_order (order_id),
+	KEY idx_refund_requests_status (status, created_at),
+	CONSTRAINT fk_refund_requests_order FOREIGN KEY (order_id) REFERENCES orders (id)
+);
+
+-- Per order line quantities covered by a refund request
+CREATE TABLE IF NOT EXISTS refund_request_items (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	refund_request_id INT NOT NULL,
+	order_item_id INT NOT NULL,
+	quantity INT NOT NULL,
+	amount DECIMAL(10, 2) NOT NULL,
+	KEY idx_refund_request_items_request (refund_request_id),
+	CONSTRAINT fk_refund_request_items_request FOREIGN KEY (refund_request_id) REFERENCES refund_requests (id) ON DELETE CASCADE,
+	CONSTRAINT fk_refund_request_items_order_item FOREIGN KEY (order_item_id) REFERENCES order_items (id)
+);
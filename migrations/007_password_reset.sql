@@ -0,0 +1,17 @@
+-- Bumped whenever all of a user's sessions must be invalidated; access tokens
+-- carry the version they were issued with.
+ALTER TABLE users
+	ADD COLUMN token_version INT NOT NULL DEFAULT 0;
+
+-- Single-use password reset tokens, stored hashed (SHA-256)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	user_id INT NOT NULL,
+	token_hash CHAR(64) NOT NULL,
+	expires_at DATETIME NOT NULL,
+	used_at DATETIME NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_password_reset_tokens_hash (token_hash),
+	KEY idx_password_reset_tokens_user (user_id),
+	CONSTRAINT fk_password_reset_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,19 @@
+-- Accounts start unverified; accounts created before this migration are
+-- treated as verified.
+ALTER TABLE users
+	ADD COLUMN email_verified_at DATETIME NULL;
+
+UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL;
+
+-- Email verification links, stored hashed (SHA-256)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	user_id INT NOT NULL,
+	token_hash CHAR(64) NOT NULL,
+	expires_at DATETIME NOT NULL,
+	used_at DATETIME NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_email_verification_tokens_hash (token_hash),
+	KEY idx_email_verification_tokens_user (user_id, created_at),
+	CONSTRAINT fk_email_verification_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+-- Consecutive failed sign-ins and the current lockout, see lib/lockout.js
+ALTER TABLE users
+	ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+	ADD COLUMN locked_until DATETIME NULL;
+
+-- Lockout events so admins can review and clear them
+CREATE TABLE IF NOT EXISTS account_lockouts (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	user_id INT NOT NULL,
+	ip_address VARCHAR(45) NULL,
+	failed_attempts INT NOT NULL,
+	locked_until DATETIME NOT NULL,
+	cleared_at DATETIME NULL,
+	cleared_by INT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	KEY idx_account_lockouts_user (user_id, created_at),
+	CONSTRAINT fk_account_lockouts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,8 @@
+-- Profile fields and self-service account deletion
+ALTER TABLE users
+	ADD COLUMN phone VARCHAR(32) NULL,
+	ADD COLUMN deleted_at DATETIME NULL;
+
+-- Set when the token confirms an email change rather than the signup address
+ALTER TABLE email_verification_tokens
+	ADD COLUMN email VARCHAR(255) NULL;
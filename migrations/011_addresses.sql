@@ -0,0 +1,25 @@
+-- Per-user address book
+CREATE TABLE IF NOT EXISTS addresses (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	user_id INT NOT NULL,
+	label VARCHAR(50) NULL,
+	recipient_name VARCHAR(100) NOT NULL,
+	phone VARCHAR(32) NULL,
+	line1 VARCHAR(255) NOT NULL,
+	line2 VARCHAR(255) NULL,
+	city VARCHAR(100) NOT NULL,
+	region VARCHAR(100) NULL,
+	postal_code VARCHAR(20) NOT NULL,
+	country CHAR(2) NOT NULL,
+	is_default_shipping BOOLEAN NOT NULL DEFAULT FALSE,
+	is_default_billing BOOLEAN NOT NULL DEFAULT FALSE,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	KEY idx_addresses_user (user_id),
+	CONSTRAINT fk_addresses_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Address snapshots taken when the order is placed
+ALTER TABLE orders
+	ADD COLUMN shipping_address JSON NULL,
+	ADD COLUMN billing_address JSON NULL;
@@ -0,0 +1,58 @@
+-- Admin-managed coupons, evaluated by lib/coupons.js
+CREATE TABLE IF NOT EXISTS coupons (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	code VARCHAR(32) NOT NULL,
+	description VARCHAR(255) NULL,
+	type ENUM('percentage', 'fixed', 'free_item') NOT NULL,
+	value DECIMAL(10, 2) NULL,
+	free_product_id INT NULL,
+	free_quantity INT NOT NULL DEFAULT 1,
+	min_spend DECIMAL(10, 2) NULL,
+	max_discount DECIMAL(10, 2) NULL,
+	scope_categories JSON NULL,
+	scope_product_ids JSON NULL,
+	starts_at DATETIME NULL,
+	ends_at DATETIME NULL,
+	usage_limit INT NULL,
+	per_user_limit INT NULL,
+	times_redeemed INT NOT NULL DEFAULT 0,
+	stackable BOOLEAN NOT NULL DEFAULT FALSE,
+	is_active BOOLEAN NOT NULL DEFAULT TRUE,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_coupons_code (code)
+);
+
+-- Coupons a customer has applied to their cart
+CREATE TABLE IF NOT EXISTS cart_coupons (
+	user_id INT NOT NULL,
+	coupon_id INT NOT NULL,
+	applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	PRIMARY KEY (user_id, coupon_id),
+	CONSTRAINT fk_cart_coupons_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+	CONSTRAINT fk_cart_coupons_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (id) ON DELETE CASCADE
+);
+
+-- One row per coupon used on an order
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	coupon_id INT NOT NULL,
+	order_id INT NOT NULL,
+	user_id INT NOT NULL,
+	discount_amount DECIMAL(10, 2) NOT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	KEY idx_coupon_redemptions_user (user_id, coupon_id),
+	KEY idx_coupon_redemptions_order (order_id),
+	CONSTRAINT fk_coupon_redemptions_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (id),
+	CONSTRAINT fk_coupon_redemptions_order FOREIGN KEY (order_id) REFERENCES orders (id)
+);
+
+-- total_amount = subtotal_amount - discount_amount
+ALTER TABLE orders
+	ADD COLUMN subtotal_amount DECIMAL(10, 2) NULL,
+	ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+UPDATE orders SET subtotal_amount = total_amount WHERE subtotal_amount IS NULL;
+
+-- Share of the order discount on each line, used for partial refunds
+ALTER TABLE order_items
+	ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,23 @@
+-- Tax rules, matched by lib/tax.js. NULL country/region/category match anything.
+CREATE TABLE IF NOT EXISTS tax_rates (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	name VARCHAR(100) NOT NULL,
+	country CHAR(2) NULL,
+	region VARCHAR(100) NULL,
+	category VARCHAR(100) NULL,
+	rate DECIMAL(6, 3) NOT NULL,
+	is_active BOOLEAN NOT NULL DEFAULT TRUE,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	KEY idx_tax_rates_country (country, region)
+);
+
+-- With tax-exclusive pricing total_amount = subtotal_amount - discount_amount
+-- + tax_amount; with tax-inclusive pricing tax_amount is already part of it.
+ALTER TABLE orders
+	ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+	ADD COLUMN prices_include_tax BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Rate applied to each line, kept for invoicing
+ALTER TABLE order_items
+	ADD COLUMN tax_rate DECIMAL(6, 3) NOT NULL DEFAULT 0,
+	ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,34 @@
+-- Per-unit product weight in kg, used by weight-based shipping
+ALTER TABLE products
+	ADD COLUMN weight DECIMAL(10, 3) NULL;
+
+-- Admin-defined shipping methods, quoted by lib/shipping.js
+CREATE TABLE IF NOT EXISTS shipping_methods (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	name VARCHAR(100) NOT NULL,
+	type ENUM('flat_rate', 'weight_based', 'free_over_threshold', 'local_pickup') NOT NULL,
+	base_rate DECIMAL(10, 2) NOT NULL DEFAULT 0,
+	per_kg_rate DECIMAL(10, 2) NULL,
+	free_threshold DECIMAL(10, 2) NULL,
+	estimated_days INT NULL,
+	is_active BOOLEAN NOT NULL DEFAULT TRUE,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Where a method is offered. NULL country/region/postal_prefix match anything.
+CREATE TABLE IF NOT EXISTS shipping_method_zones (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	shipping_method_id INT NOT NULL,
+	country CHAR(2) NULL,
+	region VARCHAR(100) NULL,
+	postal_prefix VARCHAR(20) NULL,
+	KEY idx_shipping_method_zones_method (shipping_method_id),
+	CONSTRAINT fk_shipping_method_zones_method FOREIGN KEY (shipping_method_id) REFERENCES shipping_methods (id) ON DELETE CASCADE
+);
+
+-- Chosen method and cost; the name is copied so later edits to the method
+-- do not change past orders. total_amount includes shipping_amount.
+ALTER TABLE orders
+	ADD COLUMN shipping_method_id INT NULL,
+	ADD COLUMN shipping_method_name VARCHAR(100) NULL,
+	ADD COLUMN shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,30 @@
+-- Payments made through a provider from lib/payments.js
+CREATE TABLE IF NOT EXISTS payments (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	order_id INT NOT NULL,
+	provider VARCHAR(50) NOT NULL,
+	provider_reference VARCHAR(255) NULL,
+	status ENUM('pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed') NOT NULL DEFAULT 'pending',
+	amount DECIMAL(10, 2) NOT NULL,
+	captured_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+	refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+	currency CHAR(3) NOT NULL,
+	failure_reason VARCHAR(255) NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_payments_reference (provider, provider_reference),
+	KEY idx_payments_order (order_id),
+	CONSTRAINT fk_payments_order FOREIGN KEY (order_id) REFERENCES orders (id)
+);
+
+-- Provider webhook events. The unique key makes redelivered events no-ops.
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	provider VARCHAR(50) NOT NULL,
+	event_id VARCHAR(255) NOT NULL,
+	type VARCHAR(100) NOT NULL,
+	payment_id INT NULL,
+	payload JSON NOT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_payment_webhook_events_event (provider, event_id)
+);
@@ -0,0 +1,17 @@
+-- Idempotency-Key header values seen on order-creating endpoints, with the
+-- response to replay for retries
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	user_id INT NOT NULL,
+	endpoint VARCHAR(100) NOT NULL,
+	idempotency_key VARCHAR(255) NOT NULL,
+	request_hash CHAR(64) NOT NULL,
+	status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+	response_status INT NULL,
+	response_body JSON NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	expires_at DATETIME NOT NULL,
+	UNIQUE KEY uq_idempotency_keys_key (user_id, endpoint, idempotency_key),
+	KEY idx_idempotency_keys_expires (expires_at),
+	CONSTRAINT fk_idempotency_keys_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
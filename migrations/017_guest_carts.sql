@@ -0,0 +1,19 @@
+-- Anonymous carts, identified by the SHA-256 hash of their cart token
+CREATE TABLE IF NOT EXISTS guest_carts (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	token_hash CHAR(64) NOT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	expires_at DATETIME NOT NULL,
+	UNIQUE KEY uq_guest_carts_token (token_hash),
+	KEY idx_guest_carts_expires (expires_at)
+);
+
+-- Items of a guest cart, mirroring the cart table
+CREATE TABLE IF NOT EXISTS guest_cart_items (
+	guest_cart_id INT NOT NULL,
+	product_id INT NOT NULL,
+	quantity INT NOT NULL,
+	PRIMARY KEY (guest_cart_id, product_id),
+	CONSTRAINT fk_guest_cart_items_cart FOREIGN KEY (guest_cart_id) REFERENCES guest_carts (id) ON DELETE CASCADE,
+	CONSTRAINT fk_guest_cart_items_product FOREIGN KEY (product_id) REFERENCES products (id)
+);
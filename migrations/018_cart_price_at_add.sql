@@ -0,0 +1,20 @@
+-- Price of the product when it was put in the cart, to detect price changes
+ALTER TABLE cart
+	ADD COLUMN price_at_add DECIMAL(10, 2) NULL;
+
+ALTER TABLE guest_cart_items
+	ADD COLUMN price_at_add DECIMAL(10, 2) NULL;
+
+UPDATE cart c
+JOIN products p ON c.product_id = p.id
+SET c.price_at_add = p.price
+WHERE c.price_at_add IS NULL;
+
+UPDATE guest_cart_items g
+JOIN products p ON g.product_id = p.id
+SET g.price_at_add = p.price
+WHERE g.price_at_add IS NULL;
+
+-- Optional per-product cap on the quantity in one order
+ALTER TABLE products
+	ADD COLUMN max_per_order INT NULL;
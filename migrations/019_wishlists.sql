@@ -0,0 +1,28 @@
+-- Named wishlists. A list can be shared read-only through a link; only the
+-- SHA-256 hash of the link token is stored.
+CREATE TABLE IF NOT EXISTS wishlists (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	user_id INT NOT NULL,
+	name VARCHAR(100) NOT NULL,
+	share_token_hash CHAR(64) NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_wishlists_name (user_id, name),
+	UNIQUE KEY uq_wishlists_share_token (share_token_hash),
+	CONSTRAINT fk_wishlists_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Products on a wishlist. price_at_add and last_notified_price are the
+-- reference prices for price drop notifications.
+CREATE TABLE IF NOT EXISTS wishlist_items (
+	wishlist_id INT NOT NULL,
+	product_id INT NOT NULL,
+	price_at_add DECIMAL(10, 2) NULL,
+	notify_price_drop BOOLEAN NOT NULL DEFAULT FALSE,
+	last_notified_price DECIMAL(10, 2) NULL,
+	added_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	PRIMARY KEY (wishlist_id, product_id),
+	KEY idx_wishlist_items_product (product_id),
+	CONSTRAINT fk_wishlist_items_wishlist FOREIGN KEY (wishlist_id) REFERENCES wishlists (id) ON DELETE CASCADE,
+	CONSTRAINT fk_wishlist_items_product FOREIGN KEY (product_id) REFERENCES products (id)
+);
@@ -0,0 +1,10 @@
+-- Creation time for "newest" sorting; existing products get the time of the
+-- migration
+ALTER TABLE products
+	ADD COLUMN created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Indexes for catalog listing, each ending with id for keyset pagination
+CREATE INDEX idx_products_catalog_newest ON products (is_deleted, created_at, id);
+CREATE INDEX idx_products_catalog_price ON products (is_deleted, price, id);
+CREATE INDEX idx_products_catalog_name ON products (is_deleted, name, id);
+CREATE INDEX idx_products_catalog_category ON products (is_deleted, category, price);
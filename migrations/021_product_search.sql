@@ -0,0 +1,24 @@
+-- Search documents for products that are not deleted, with the text that
+-- is searched. Fill them with POST /api/admin/search/reindex after migrating;
+-- product changes keep them up to date afterwards.
+CREATE TABLE IF NOT EXISTS product_search_documents (
+	product_id INT PRIMARY KEY,
+	name VARCHAR(255) NOT NULL,
+	category VARCHAR(255) NOT NULL,
+	body MEDIUMTEXT NULL,
+	specifications TEXT NULL,
+	updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	FULLTEXT KEY ft_product_search_name (name),
+	FULLTEXT KEY ft_product_search_all (name, category, body, specifications),
+	CONSTRAINT fk_product_search_documents_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+);
+
+-- Words of each search document, the vocabulary for typo corrections,
+-- "did you mean" suggestions and autocomplete
+CREATE TABLE IF NOT EXISTS product_search_terms (
+	product_id INT NOT NULL,
+	term VARCHAR(64) NOT NULL,
+	PRIMARY KEY (product_id, term),
+	KEY idx_product_search_terms_term (term),
+	CONSTRAINT fk_product_search_terms_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+);
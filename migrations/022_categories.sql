@@ -0,0 +1,41 @@
+-- Category tree
+CREATE TABLE IF NOT EXISTS categories (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	parent_id INT NULL,
+	name VARCHAR(100) NOT NULL,
+	slug VARCHAR(120) NOT NULL,
+	description TEXT NULL,
+	display_order INT NOT NULL DEFAULT 0,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_categories_slug (slug),
+	KEY idx_categories_parent (parent_id, display_order),
+	CONSTRAINT fk_categories_parent FOREIGN KEY (parent_id) REFERENCES categories (id)
+);
+
+ALTER TABLE products
+	ADD COLUMN category_id INT NULL,
+	ADD KEY idx_products_category_id (category_id),
+	ADD CONSTRAINT fk_products_category FOREIGN KEY (category_id) REFERENCES categories (id);
+
+-- Turn the existing free-text categories into top-level categories. Names
+-- that only differ in case, spacing or punctuation ("Laptops", " laptops")
+-- share a slug and become one category. Near-duplicates with different
+-- slugs ("Laptops", "laptop") stay separate; merge them afterwards with
+-- POST /api/admin/categories/:id/merge.
+INSERT INTO categories (name, slug)
+SELECT MIN(TRIM(category)), slug
+FROM (
+	SELECT
+		category,
+		TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(category)), '[^a-z0-9]+', '-')) AS slug
+	FROM products
+	WHERE category IS NOT NULL AND TRIM(category) <> ''
+) AS existing
+WHERE slug <> ''
+GROUP BY slug;
+
+UPDATE products p
+JOIN categories c
+	ON c.slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(p.category)), '[^a-z0-9]+', '-'))
+SET p.category_id = c.id, p.category = c.name;
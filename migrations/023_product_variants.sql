@@ -0,0 +1,86 @@
+-- Option types of a product, e.g. Color or RAM, and their values
+CREATE TABLE IF NOT EXISTS product_options (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	product_id INT NOT NULL,
+	name VARCHAR(50) NOT NULL,
+	position INT NOT NULL DEFAULT 0,
+	UNIQUE KEY uq_product_options_name (product_id, name),
+	CONSTRAINT fk_product_options_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS product_option_values (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	option_id INT NOT NULL,
+	value VARCHAR(100) NOT NULL,
+	position INT NOT NULL DEFAULT 0,
+	UNIQUE KEY uq_product_option_values_value (option_id, value),
+	CONSTRAINT fk_product_option_values_option FOREIGN KEY (option_id) REFERENCES product_options (id) ON DELETE CASCADE
+);
+
+-- Sellable configurations of a product. NULL price or image falls back to
+-- the product's. products.stock_quantity is kept as the sum of the stock of
+-- the product's variants.
+CREATE TABLE IF NOT EXISTS product_variants (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	product_id INT NOT NULL,
+	sku VARCHAR(64) NOT NULL,
+	price DECIMAL(10, 2) NULL,
+	image VARCHAR(255) NULL,
+	stock_quantity INT NOT NULL DEFAULT 0,
+	is_active BOOLEAN NOT NULL DEFAULT TRUE,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_product_variants_sku (sku),
+	KEY idx_product_variants_product (product_id),
+	CONSTRAINT fk_product_variants_product FOREIGN KEY (product_id) REFERENCES products (id)
+);
+
+-- The option value a variant picks for each option type
+CREATE TABLE IF NOT EXISTS product_variant_values (
+	variant_id INT NOT NULL,
+	option_id INT NOT NULL,
+	value_id INT NOT NULL,
+	PRIMARY KEY (variant_id, option_id),
+	CONSTRAINT fk_product_variant_values_variant FOREIGN KEY (variant_id) REFERENCES product_variants (id) ON DELETE CASCADE,
+	CONSTRAINT fk_product_variant_values_option FOREIGN KEY (option_id) REFERENCES product_options (id),
+	CONSTRAINT fk_product_variant_values_value FOREIGN KEY (value_id) REFERENCES product_option_values (id)
+);
+
+ALTER TABLE stock_movements
+	ADD COLUMN variant_id INT NULL AFTER product_id;
+
+-- Cart rows are per product and variant; 0 means the product has no variants
+ALTER TABLE cart
+	ADD COLUMN variant_id INT NOT NULL DEFAULT 0 AFTER product_id;
+
+-- The cart's unique key on (user_id, product_id) predates the migrations, so
+-- look it up by its columns before widening it
+SET @cart_key = (
+	SELECT INDEX_NAME
+	FROM information_schema.STATISTICS
+	WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'cart' AND NON_UNIQUE = 0
+	GROUP BY INDEX_NAME
+	HAVING GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX) = 'user_id,product_id'
+	LIMIT 1
+);
+SET @cart_key_sql = CASE
+	WHEN @cart_key IS NULL THEN
+		'ALTER TABLE cart ADD UNIQUE KEY uq_cart_item (user_id, product_id, variant_id)'
+	WHEN @cart_key = 'PRIMARY' THEN
+		'ALTER TABLE cart DROP PRIMARY KEY, ADD PRIMARY KEY (user_id, product_id, variant_id)'
+	ELSE
+		CONCAT('ALTER TABLE cart DROP INDEX `', @cart_key, '`, ADD UNIQUE KEY uq_cart_item (user_id, product_id, variant_id)')
+END;
+PREPARE cart_key_statement FROM @cart_key_sql;
+EXECUTE cart_key_statement;
+DEALLOCATE PREPARE cart_key_statement;
+
+ALTER TABLE guest_cart_items
+	ADD COLUMN variant_id INT NOT NULL DEFAULT 0 AFTER product_id,
+	DROP PRIMARY KEY,
+	ADD PRIMARY KEY (guest_cart_id, product_id, variant_id);
+
+-- Variant snapshot on order lines; NULL for products without variants
+ALTER TABLE order_items
+	ADD COLUMN variant_id INT NULL AFTER product_id,
+	ADD COLUMN sku VARCHAR(64) NULL AFTER variant_id,
+	ADD COLUMN variant_options JSON NULL AFTER sku;
@@ -0,0 +1,29 @@
+-- Specification schema of a category; products in the category and its
+-- subcategories are validated against it
+CREATE TABLE IF NOT EXISTS category_spec_fields (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	category_id INT NOT NULL,
+	name VARCHAR(50) NOT NULL,
+	type ENUM('string', 'number', 'boolean', 'enum') NOT NULL,
+	unit VARCHAR(20) NULL,
+	is_required BOOLEAN NOT NULL DEFAULT FALSE,
+	allowed_values JSON NULL,
+	position INT NOT NULL DEFAULT 0,
+	UNIQUE KEY uq_category_spec_fields_name (category_id, name),
+	CONSTRAINT fk_category_spec_fields_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE
+);
+
+-- Validated specification values of products, one row per field, for
+-- filtering the catalog. Numbers and booleans (as 1/0) go in value_number,
+-- strings and enum values in value_text.
+CREATE TABLE IF NOT EXISTS product_spec_values (
+	product_id INT NOT NULL,
+	field_id INT NOT NULL,
+	value_text VARCHAR(255) NULL,
+	value_number DECIMAL(20, 4) NULL,
+	PRIMARY KEY (product_id, field_id),
+	KEY idx_product_spec_values_number (field_id, value_number),
+	KEY idx_product_spec_values_text (field_id, value_text),
+	CONSTRAINT fk_product_spec_values_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+	CONSTRAINT fk_product_spec_values_field FOREIGN KEY (field_id) REFERENCES category_spec_fields (id) ON DELETE CASCADE
+);
@@ -0,0 +1,33 @@
+-- Uploaded images. files lists the stored files under storage_key, the
+-- original and its resized variants:
+-- [{ "name": "thumbnail", "file": "thumbnail.webp", "width": 200, "height": 150 }]
+CREATE TABLE IF NOT EXISTS images (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	storage VARCHAR(20) NOT NULL,
+	storage_key VARCHAR(100) NOT NULL,
+	original_name VARCHAR(255) NULL,
+	content_type VARCHAR(50) NOT NULL,
+	size_bytes INT NOT NULL,
+	width INT NOT NULL,
+	height INT NOT NULL,
+	files JSON NOT NULL,
+	uploaded_by INT NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY uq_images_storage_key (storage, storage_key),
+	KEY idx_images_created (created_at),
+	CONSTRAINT fk_images_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES users (id) ON DELETE SET NULL
+);
+
+-- Ordered image gallery of a product; products.image holds the URL of the
+-- first image for places that show a single one
+CREATE TABLE IF NOT EXISTS product_images (
+	product_id INT NOT NULL,
+	image_id INT NOT NULL,
+	position INT NOT NULL DEFAULT 0,
+	alt_text VARCHAR(255) NULL,
+	PRIMARY KEY (product_id, image_id),
+	KEY idx_product_images_position (product_id, position),
+	KEY idx_product_images_image (image_id),
+	CONSTRAINT fk_product_images_product FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+	CONSTRAINT fk_product_images_image FOREIGN KEY (image_id) REFERENCES images (id)
+);
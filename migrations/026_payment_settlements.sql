@@ -0,0 +1,18 @@
+-- Voids and refunds owed on payments. They are recorded inside the
+-- transaction that decides them and only sent to the provider once it has
+-- committed, so a rolled back change never moves money. Pending and failed
+-- settlements are retried with POST /api/admin/payment-settlements/retry.
+CREATE TABLE IF NOT EXISTS payment_settlements (
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	payment_id INT NOT NULL,
+	operation ENUM('void', 'refund') NOT NULL,
+	amount DECIMAL(10, 2) NOT NULL,
+	status ENUM('pending', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+	attempts INT NOT NULL DEFAULT 0,
+	failure_reason VARCHAR(255) NULL,
+	created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+	completed_at DATETIME NULL,
+	KEY idx_payment_settlements_status (status),
+	KEY idx_payment_settlements_payment (payment_id),
+	CONSTRAINT fk_payment_settlements_payment FOREIGN KEY (payment_id) REFERENCES payments (id)
+);
@@ -0,0 +1,9 @@
+-- Tax refunded per refund line: the line's share of the tax charged on the
+-- order item. For orders with tax-inclusive prices it is part of amount, for
+-- the others it was added on top.
+ALTER TABLE refund_request_items
+	ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+UPDATE refund_request_items rri
+JOIN order_items oi ON rri.order_item_id = oi.id
+SET rri.tax_amount = ROUND(oi.tax_amount * rri.quantity / oi.quantity, 2);
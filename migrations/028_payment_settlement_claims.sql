@@ -0,0 +1,7 @@
+-- A settlement is claimed before it is sent to the provider so two requests
+-- can never send the same void or refund. Claims that never finished (the
+-- process died mid-call) are picked up again by the retry endpoint once
+-- claimed_at is older than SETTLEMENT_CLAIM_TIMEOUT_MINUTES.
+ALTER TABLE payment_settlements
+	MODIFY COLUMN status ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+	ADD COLUMN claimed_at DATETIME NULL AFTER failure_reason;
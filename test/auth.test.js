@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, request } = require("./support/fakeDb");
+
+const { app, db } = loadApp();
+
+// Run send() and collect everything it logs to the console
+async function captureLogs(send) {
+	const logged = [];
+	const methods = ["log", "info", "warn", "error"];
+	const originals = methods.map((method) => console[method]);
+	methods.forEach((method) => {
+		console[method] = (...args) => logged.push(args);
+	});
+	try {
+		return { response: await send(), logged: JSON.stringify(logged) };
+	} finally {
+		methods.forEach((method, index) => {
+			console[method] = originals[index];
+		});
+	}
+}
+
+test("signup does not log passwords", async () => {
+	db.reset();
+
+	const { response, logged } = await captureLogs(() =>
+		request(app, "POST", "/api/signup", {
+			body: {
+				first_name: "Test",
+				last_name: "User",
+				email: "user@example.com",
+				password: "correct-horse-battery",
+				confirm_password: "correct-horse-battery-2",
+			},
+		})
+	);
+
+	assert.equal(response.status, 400);
+	assert.doesNotMatch(logged, /correct-horse-battery/);
+});
+
+test("signin does not log passwords", async () => {
+	db.reset();
+
+	const { response, logged } = await captureLogs(() =>
+		request(app, "POST", "/api/signin", {
+			body: { email: "user@example.com", password: "correct-horse-battery" },
+		})
+	);
+
+	assert.equal(response.status, 400);
+	assert.equal(response.body.error, "Invalid email or password");
+	assert.doesNotMatch(logged, /correct-horse-battery/);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, signIn, request } = require("./support/fakeDb");
+
+const { app, db } = loadApp();
+
+// Fake database with a signed-in customer whose cart holds product 1
+function setUp(products) {
+	db.reset();
+	const token = signIn(db);
+	db.on(/SELECT 1 FROM cart/, ([, productId]) =>
+		productId === 1 ? [{ 1: 1 }] : []
+	);
+	db.on(/FROM products p/, ([, productId]) =>
+		products.filter((product) => product.id === productId)
+	);
+	return token;
+}
+
+const product = { id: 1, price: "9.99", variant_id: null, variant_count: 0 };
+
+const updateQuantity = (token, body) =>
+	request(app, "PUT", "/api/cart/update-quantity", { token, body });
+
+test("update-quantity sets the quantity of an item in the cart", async () => {
+	const token = setUp([product]);
+
+	const response = await updateQuantity(token, { productId: 1, quantity: "3" });
+
+	assert.equal(response.status, 200);
+	assert.equal(response.body.updatedQuantity, 3);
+	const [upsert] = db.queriesMatching(/INSERT INTO cart/);
+	assert.deepEqual(upsert.params, [1, 1, 0, 3, "9.99"]);
+});
+
+test("update-quantity refuses quantities that are not whole numbers", async () => {
+	for (const quantity of ["2.5", "3abc", 0, -1]) {
+		const token = setUp([product]);
+
+		const response = await updateQuantity(token, { productId: 1, quantity });
+
+		assert.equal(response.status, 400);
+		assert.equal(db.queriesMatching(/INSERT INTO cart/).length, 0);
+	}
+});
+
+test("update-quantity refuses products that were removed", async () => {
+	const token = setUp([]);
+
+	const response = await updateQuantity(token, { productId: 1, quantity: 2 });
+
+	assert.equal(response.status, 404);
+	assert.equal(response.body.error, "Product not found");
+	assert.equal(db.queriesMatching(/INSERT INTO cart/).length, 0);
+});
+
+test("update-quantity does not add items that are not in the cart", async () => {
+	const token = setUp([{ ...product, id: 2 }]);
+
+	const response = await updateQuantity(token, { productId: 2, quantity: 2 });
+
+	assert.equal(response.status, 404);
+	assert.equal(response.body.error, "Cart item not found");
+	assert.equal(db.queriesMatching(/INSERT INTO cart/).length, 0);
+});
+
+test("single-order refuses quantities that are not whole numbers", async () => {
+	db.reset();
+	const token = signIn(db);
+
+	const response = await request(app, "POST", "/api/single-order", {
+		token,
+		body: { productId: 1, quantity: "2.5" },
+	});
+
+	assert.equal(response.status, 400);
+	assert.equal(db.transactions.length, 0);
+});
+
+test("moving a wishlist item to the cart refuses fractional quantities", async () => {
+	db.reset();
+	const token = signIn(db);
+
+	const response = await request(
+		app,
+		"POST",
+		"/api/wishlists/1/items/1/move-to-cart",
+		{ token, body: { quantity: "1.5" } }
+	);
+
+	assert.equal(response.status, 400);
+	assert.equal(db.transactions.length, 0);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCatalogQuery, paginationHeaders } = require("../lib/catalog");
+
+test("parseCatalogQuery defaults to the first numbered page", () => {
+	const { sort, limit, page, cursor, errors } = parseCatalogQuery({});
+
+	assert.deepEqual(errors, []);
+	assert.equal(sort, "newest");
+	assert.equal(limit, 20);
+	assert.equal(page, 1);
+	assert.equal(cursor, null);
+});
+
+test("parseCatalogQuery rejects invalid filters", () => {
+	const { errors } = parseCatalogQuery({
+		minPrice: "10",
+		maxPrice: "5",
+		sort: "random",
+		limit: "0",
+	});
+
+	assert.deepEqual(errors.map((error) => error.field).sort(), [
+		"limit",
+		"minPrice",
+		"sort",
+	]);
+});
+
+test("paginationHeaders links numbered pages and keeps the filters", () => {
+	const headers = paginationHeaders(
+		"/api/products",
+		{ category: ["laptops", "tablets"], limit: "10", page: "2" },
+		{ total: 35, limit: 10, page: 2, nextCursor: "abc" }
+	);
+
+	assert.equal(headers["X-Total-Count"], "35");
+	assert.equal(headers["X-Page"], "2");
+	assert.equal(headers["X-Total-Pages"], "4");
+	assert.equal(headers["X-Next-Cursor"], "abc");
+	assert.equal(
+		headers.Link.split(", ")[0],
+		'</api/products?category=laptops&category=tablets&limit=10&page=3>; rel="next"'
+	);
+	assert.match(headers.Link, /page=1>; rel="prev"/);
+	assert.match(headers.Link, /page=4>; rel="last"/);
+});
+
+test("paginationHeaders links the next keyset page", () => {
+	const headers = paginationHeaders(
+		"/api/products",
+		{ sort: "price_asc", cursor: "old" },
+		{ total: 35, limit: 20, page: null, nextCursor: "new" }
+	);
+
+	assert.equal(
+		headers.Link,
+		'</api/products?sort=price_asc&cursor=new>; rel="next"'
+	);
+	assert.equal(headers["X-Page"], undefined);
+});
+
+test("paginationHeaders has no next link on the last page", () => {
+	const headers = paginationHeaders(
+		"/api/products",
+		{ cursor: "old" },
+		{ total: 3, limit: 20, page: null, nextCursor: null }
+	);
+
+	assert.deepEqual(headers, { "X-Total-Count": "3" });
+});
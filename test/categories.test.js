@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	slugify,
+	findCategory,
+	wouldCreateCycle,
+} = require("../lib/categories");
+
+const rows = [
+	{ id: 1, parent_id: null, name: "Computers", slug: "computers" },
+	{ id: 2, parent_id: 1, name: "Laptops", slug: "laptops" },
+	{ id: 3, parent_id: 2, name: "Gaming laptops", slug: "gaming-laptops" },
+	{ id: 4, parent_id: null, name: "laptop", slug: "laptop" },
+];
+
+test("slugify folds case, spacing and punctuation", () => {
+	assert.equal(slugify(" Laptops & Tablets "), "laptops-tablets");
+	assert.equal(slugify("--"), "");
+});
+
+test("findCategory finds categories by id, slug or name", () => {
+	assert.equal(findCategory(rows, "2").name, "Laptops");
+	assert.equal(findCategory(rows, "gaming-laptops").id, 3);
+	assert.equal(findCategory(rows, "Gaming Laptops").id, 3);
+	assert.equal(findCategory(rows, "phones"), null);
+});
+
+test("wouldCreateCycle catches moves into a category's own subtree", () => {
+	assert.equal(wouldCreateCycle(rows, 1, 3), true);
+	assert.equal(wouldCreateCycle(rows, 4, 2), false);
+	assert.equal(wouldCreateCycle(rows, 3, null), false);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, signIn, request } = require("./support/fakeDb");
+
+const { app, db } = loadApp();
+
+// Computers > Laptops > Gaming laptops, merged into Electronics > laptop
+const categories = [
+	{ id: 1, parent_id: null, name: "Computers", slug: "computers" },
+	{ id: 2, parent_id: 1, name: "Laptops", slug: "laptops" },
+	{ id: 3, parent_id: 2, name: "Gaming laptops", slug: "gaming-laptops" },
+	{ id: 4, parent_id: null, name: "Electronics", slug: "electronics" },
+	{ id: 5, parent_id: 4, name: "laptop", slug: "laptop" },
+];
+
+const fields = [
+	{ id: 10, category_id: 1, name: "Brand", type: "string", position: 0 },
+	{ id: 11, category_id: 2, name: "Panel", type: "string", position: 0 },
+	{ id: 20, category_id: 4, name: "brand", type: "string", position: 0 },
+];
+
+// Fake database with a signed-in staff member and the catalog above
+function setUp({ taxRates = [], coupons = [], specFields = fields } = {}) {
+	db.reset();
+	const token = signIn(db, { role: "staff" });
+	db.on(/SELECT \* FROM categories/, categories);
+	db.on(/FROM tax_rates WHERE category = \?/, taxRates);
+	db.on(/FROM coupons WHERE scope_categories IS NOT NULL/, coupons);
+	db.on(/SELECT \* FROM category_spec_fields/, specFields);
+	db.on(/SELECT DISTINCT p.category_id, v.field_id/, [
+		{ category_id: 2, field_id: 10 },
+		{ category_id: 2, field_id: 11 },
+		{ category_id: 3, field_id: 10 },
+	]);
+	db.on(/SELECT id FROM products WHERE category_id IN/, []);
+	db.on(/UPDATE products SET category_id = \?, category = \?/, {
+		affectedRows: 4,
+	});
+	return token;
+}
+
+const merge = (token) =>
+	request(app, "POST", "/api/admin/categories/2/merge", {
+		token,
+		body: { intoCategoryId: 5 },
+	});
+
+test("refuses to merge while tax rates or coupons name the category", async () => {
+	const token = setUp({
+		taxRates: [{ id: 8, name: "Reduced laptops" }],
+		coupons: [
+			{ id: 3, code: "LAPTOP10", scope_categories: '["laptops"]' },
+			{ id: 4, code: "PHONES", scope_categories: '["Phones"]' },
+		],
+	});
+
+	const response = await merge(token);
+
+	assert.equal(response.status, 409);
+	assert.deepEqual(response.body.taxRates, [
+		{ id: 8, name: "Reduced laptops" },
+	]);
+	assert.deepEqual(response.body.coupons, [{ id: 3, code: "LAPTOP10" }]);
+	assert.equal(db.transactions.length, 0);
+});
+
+test("refuses to merge when stored values would lose their field", async () => {
+	const token = setUp({ specFields: fields.filter((row) => row.id !== 20) });
+
+	const response = await merge(token);
+
+	assert.equal(response.status, 409);
+	assert.deepEqual(
+		response.body.errors.map((conflict) => conflict.field),
+		["Brand"]
+	);
+	assert.equal(db.transactions.length, 0);
+});
+
+test("merges products, subcategories and specification values", async () => {
+	const token = setUp();
+
+	const response = await merge(token);
+
+	assert.equal(response.status, 200);
+	assert.deepEqual(response.body, {
+		message: "Categories merged",
+		categoryId: 5,
+		mergedCategoryId: 2,
+		products: 4,
+		subcategories: 1,
+	});
+	assert.deepEqual(db.transactions[0].events, ["begin", "commit", "release"]);
+
+	// Values of the inherited Brand field now use the target's Brand field
+	assert.deepEqual(
+		db
+			.queriesMatching(/UPDATE product_spec_values/)
+			.map((entry) => entry.params),
+		[
+			[20, 2, 10],
+			[20, 3, 10],
+		]
+	);
+
+	const [moveFields] = db.queriesMatching(/UPDATE category_spec_fields/);
+	assert.deepEqual(moveFields.params, [5, [11]]);
+
+	const [moveProducts] = db.queriesMatching(
+		/UPDATE products SET category_id = \?, category = \?/
+	);
+	assert.deepEqual(moveProducts.params, [5, "laptop", 2]);
+
+	const [renameProducts] = db.queriesMatching(/SET p\.category = c\.name/);
+	assert.deepEqual(renameProducts.params, [[3]]);
+
+	assert.equal(db.queriesMatching(/UPDATE (coupons|tax_rates)/).length, 0);
+	assert.equal(
+		db.queriesMatching(/DELETE FROM categories WHERE id = \?/)[0].params[0],
+		2
+	);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	isManualStockReason,
+	checkStockMovement,
+	findStockErrors,
+} = require("../lib/inventory");
+
+test("only manual reasons can be used by staff", () => {
+	assert.equal(isManualStockReason("restock"), true);
+	assert.equal(isManualStockReason("sale"), false);
+	assert.equal(isManualStockReason("anything"), false);
+});
+
+test("checkStockMovement accepts movements in their reason's direction", () => {
+	assert.equal(
+		checkStockMovement({ productId: 1, quantityChange: -2, reason: "sale" }),
+		null
+	);
+	assert.equal(
+		checkStockMovement({ productId: 1, quantityChange: 2, reason: "refund" }),
+		null
+	);
+	assert.equal(
+		checkStockMovement({
+			productId: 1,
+			quantityChange: -4,
+			reason: "correction",
+		}),
+		null
+	);
+});
+
+test("checkStockMovement refuses sales that add stock", () => {
+	assert.match(
+		checkStockMovement({ productId: 1, quantityChange: 3, reason: "sale" }),
+		/cannot add stock/
+	);
+	assert.match(
+		checkStockMovement({
+			productId: 1,
+			quantityChange: -1,
+			reason: "cancellation",
+		}),
+		/cannot remove stock/
+	);
+});
+
+test("checkStockMovement refuses zero and fractional changes", () => {
+	[0, 1.5, NaN, "2"].forEach((quantityChange) =>
+		assert.match(
+			checkStockMovement({ productId: 1, quantityChange, reason: "restock" }),
+			/non-zero whole number/
+		)
+	);
+});
+
+test("findStockErrors passes lines that are in stock", () => {
+	assert.deepEqual(
+		findStockErrors(
+			[
+				{ productId: 1, variantId: null, name: "A", quantity: 2 },
+				{ productId: 2, variantId: 3, name: "B", quantity: 5 },
+			],
+			{ "1:0": 2, "2:3": 10 }
+		),
+		[]
+	);
+});
+
+test("findStockErrors reports short and missing stock", () => {
+	const errors = findStockErrors(
+		[
+			{ productId: 1, variantId: null, name: "A", quantity: 3 },
+			{ productId: 2, variantId: 3, name: "B", quantity: 1 },
+		],
+		{ "1:0": 2, "2:0": 10 }
+	);
+
+	assert.deepEqual(
+		errors.map((error) => [error.productId, error.available, error.reason]),
+		[
+			[1, 2, "Insufficient stock"],
+			[2, 0, "Out of stock"],
+		]
+	);
+});
+
+test("findStockErrors treats invalid quantities as errors", () => {
+	const errors = findStockErrors(
+		[
+			{ productId: 1, name: "A", quantity: -5 },
+			{ productId: 2, name: "B", quantity: 0 },
+			{ productId: 3, name: "C", quantity: 0.5 },
+		],
+		{ "1:0": 10, "2:0": 10, "3:0": 10 }
+	);
+
+	assert.equal(errors.length, 3);
+	errors.forEach((error) => assert.equal(error.reason, "Invalid quantity"));
+});
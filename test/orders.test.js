@@ -0,0 +1,174 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, signIn, request } = require("./support/fakeDb");
+
+const { app, db } = loadApp();
+
+const address = {
+	id: 7,
+	user_id: 1,
+	recipient_name: "Test User",
+	phone: "555-0100",
+	line1: "1 Main St",
+	line2: null,
+	city: "Springfield",
+	region: null,
+	postal_code: "12345",
+	country: "US",
+	is_default_shipping: 1,
+	is_default_billing: 1,
+};
+
+const cartRow = (overrides) => ({
+	product_id: 1,
+	variant_id: 0,
+	quantity: 2,
+	sku: null,
+	name: "Mug",
+	category: "Kitchen",
+	price: "12.50",
+	weight: null,
+	is_deleted: 0,
+	stock_quantity: 10,
+	max_per_order: null,
+	...overrides,
+});
+
+// Fake database with a signed-in customer, an address and the given cart
+function setUp(cartRows) {
+	db.reset();
+	const token = signIn(db);
+	db.on(/FROM addresses/, [address]);
+	db.on(/FROM cart c/, cartRows);
+	db.on(/INSERT INTO orders/, { affectedRows: 1, insertId: 42 });
+	return token;
+}
+
+test("places an order priced from the cart and commits it", async () => {
+	const token = setUp([cartRow()]);
+
+	const response = await request(app, "POST", "/api/orders/place", {
+		token,
+		body: { items: [{ id: 1, price: 10 }] },
+	});
+
+	assert.equal(response.status, 200);
+	assert.equal(response.body.orderId, 42);
+	assert.equal(response.body.subtotal, 25);
+	assert.equal(response.body.totalAmount, 25);
+	assert.deepEqual(response.body.priceChanges, [
+		{
+			productId: 1,
+			variantId: 0,
+			name: "Mug",
+			previousPrice: 10,
+			currentPrice: 12.5,
+		},
+	]);
+
+	const [orderItems] = db.queriesMatching(/INSERT INTO order_items/);
+	assert.equal(orderItems.params[0][0][5], 2);
+	assert.equal(orderItems.params[0][0][6], 12.5);
+
+	const [stock] = db.queriesMatching(/UPDATE products\s+SET stock_quantity/);
+	assert.deepEqual(stock.params, [-2, 1, -2]);
+
+	assert.deepEqual(db.transactions[0].events, ["begin", "commit", "release"]);
+	assert.ok(
+		db
+			.queriesMatching(/FROM cart c|INSERT INTO|DELETE FROM cart/)
+			.every((entry) => entry.connectionId === db.transactions[0].id)
+	);
+});
+
+test("products that predate stock tracking can still be ordered", async () => {
+	const migration = fs.readFileSync(
+		path.join(__dirname, "../migrations/004_inventory.sql"),
+		"utf8"
+	);
+	const openingStock = parseInt(
+		migration.match(/SET @opening_stock = (\d+);/)[1],
+		10
+	);
+	assert.ok(openingStock > 0);
+
+	const token = setUp([cartRow({ stock_quantity: openingStock })]);
+
+	const response = await request(app, "POST", "/api/orders/place", {
+		token,
+		body: {},
+	});
+
+	assert.equal(response.status, 200);
+	assert.deepEqual(db.transactions[0].events, ["begin", "commit", "release"]);
+});
+
+test("rolls back and releases the connection when the cart is empty", async () => {
+	const token = setUp([]);
+
+	const response = await request(app, "POST", "/api/orders/place", {
+		token,
+		body: {},
+	});
+
+	assert.equal(response.status, 400);
+	assert.equal(response.body.error, "Cart is empty");
+	assert.deepEqual(db.transactions[0].events, ["begin", "rollback", "release"]);
+	assert.equal(db.queriesMatching(/INSERT INTO orders/).length, 0);
+});
+
+test("refuses an order when stock ran out while it was placed", async () => {
+	const token = setUp([cartRow()]);
+	db.on(/UPDATE products\s+SET stock_quantity/, { affectedRows: 0 });
+
+	const response = await request(app, "POST", "/api/orders/place", {
+		token,
+		body: {},
+	});
+
+	assert.equal(response.status, 409);
+	assert.match(response.body.details, /Insufficient stock for product 1/);
+	assert.deepEqual(db.transactions[0].events, ["begin", "rollback", "release"]);
+});
+
+test("refuses deleted products in the cart", async () => {
+	const token = setUp([cartRow({ is_deleted: 1 })]);
+
+	const response = await request(app, "POST", "/api/orders/place", {
+		token,
+		body: {},
+	});
+
+	assert.equal(response.status, 409);
+	assert.equal(db.queriesMatching(/INSERT INTO orders/).length, 0);
+	assert.deepEqual(db.transactions[0].events, ["begin", "rollback", "release"]);
+});
+
+test("rejects items that are not objects before starting a transaction", async () => {
+	const token = setUp([cartRow()]);
+
+	const response = await request(app, "POST", "/api/orders/place", {
+		token,
+		body: { items: [null] },
+	});
+
+	assert.equal(response.status, 400);
+	assert.equal(response.body.error, "Each item must be an object");
+	assert.equal(db.transactions.length, 0);
+});
+
+test("requires a verified email", async () => {
+	db.reset();
+	const token = signIn(db, { email_verified_at: null });
+
+	const response = await request(app, "POST", "/api/orders/place", {
+		token,
+		body: {},
+	});
+
+	assert.equal(response.status, 403);
+	assert.equal(response.body.code, "EMAIL_NOT_VERIFIED");
+	assert.equal(db.transactions.length, 0);
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	roundMoney,
+	parseQuantity,
+	cartItemKey,
+	priceCartRows,
+} = require("../lib/pricing");
+
+const row = (fields) => ({
+	product_id: 1,
+	variant_id: null,
+	sku: null,
+	quantity: 1,
+	name: "Keyboard",
+	category: "Accessories",
+	price: "19.99",
+	weight: 0.5,
+	is_deleted: 0,
+	...fields,
+});
+
+test("roundMoney rounds to cents", () => {
+	assert.equal(roundMoney(1.005), 1.01);
+	assert.equal(roundMoney(0.1 + 0.2), 0.3);
+	assert.equal(roundMoney(10), 10);
+});
+
+test("parseQuantity accepts positive whole numbers", () => {
+	assert.equal(parseQuantity(3), 3);
+	assert.equal(parseQuantity("12"), 12);
+	assert.equal(parseQuantity(" 2 "), 2);
+});
+
+test("parseQuantity rejects anything else", () => {
+	[
+		0,
+		-1,
+		1.5,
+		"0",
+		"-2",
+		"1.5",
+		"2abc",
+		"",
+		null,
+		undefined,
+		NaN,
+		"1e3",
+	].forEach((value) => assert.equal(parseQuantity(value), null, String(value)));
+});
+
+test("cartItemKey treats a missing variant as variant 0", () => {
+	assert.equal(cartItemKey(4, null), "4:0");
+	assert.equal(cartItemKey(4, 7), "4:7");
+});
+
+test("priceCartRows prices lines from the product data", () => {
+	const result = priceCartRows([
+		row({ quantity: 3 }),
+		row({ product_id: 2, variant_id: 5, price: "5.10", quantity: 2 }),
+	]);
+
+	assert.equal(result.lines.length, 2);
+	assert.equal(result.lines[0].lineTotal, 59.97);
+	assert.equal(result.lines[1].variantId, 5);
+	assert.equal(result.lines[1].lineTotal, 10.2);
+	assert.equal(result.totalAmount, 70.17);
+	assert.deepEqual(result.invalidItems, []);
+});
+
+test("priceCartRows never prices invalid quantities", () => {
+	const result = priceCartRows([
+		row({ quantity: 0 }),
+		row({ product_id: 2, quantity: -3 }),
+		row({ product_id: 3, quantity: 1.5 }),
+		row({ product_id: 4, quantity: 2 }),
+	]);
+
+	assert.deepEqual(
+		result.invalidItems.map((item) => [item.productId, item.reason]),
+		[
+			[1, "Quantity must be a positive whole number"],
+			[2, "Quantity must be a positive whole number"],
+			[3, "Quantity must be a positive whole number"],
+		]
+	);
+	assert.equal(result.lines.length, 1);
+	assert.equal(result.totalAmount, 39.98);
+});
+
+test("priceCartRows reports missing and deleted products", () => {
+	const result = priceCartRows([
+		row({ price: null, name: null }),
+		row({ product_id: 2, is_deleted: 1 }),
+	]);
+
+	assert.deepEqual(
+		result.invalidItems.map((item) => item.reason),
+		["Product not found", "Product is no longer available"]
+	);
+	assert.equal(result.totalAmount, 0);
+});
+
+test("priceCartRows reports prices that changed since the client saw them", () => {
+	const result = priceCartRows(
+		[row({}), row({ product_id: 2, price: "5.00" })],
+		[
+			{ id: 1, price: 17.5 },
+			{ id: 2, price: "5.00" },
+		]
+	);
+
+	assert.deepEqual(result.priceChanges, [
+		{
+			productId: 1,
+			variantId: 0,
+			name: "Keyboard",
+			previousPrice: 17.5,
+			currentPrice: 19.99,
+		},
+	]);
+	// The server price is charged either way
+	assert.equal(result.lines[0].unitPrice, 19.99);
+});
+
+test("priceCartRows ignores client items without a numeric price", () => {
+	const result = priceCartRows(
+		[row({}), row({ product_id: 2, price: "5.00" })],
+		[null, "1", { id: 1, price: "abc" }, { id: 2 }]
+	);
+
+	assert.deepEqual(result.priceChanges, []);
+	assert.equal(result.lines.length, 2);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isValidRefundReason, buildRefundLines } = require("../lib/refunds");
+
+// Two keyboards with a 10.00 coupon discount and 9.00 tax added on top, and a
+// mouse whose price already includes its tax
+const orderItems = [
+	{
+		id: 1,
+		product_id: 10,
+		variant_id: null,
+		quantity: 2,
+		price: "50.00",
+		discount_amount: "10.00",
+		tax_amount: "9.00",
+		prices_include_tax: 0,
+	},
+	{
+		id: 2,
+		product_id: 11,
+		variant_id: 4,
+		quantity: 1,
+		price: "20.00",
+		discount_amount: "0.00",
+		tax_amount: "3.33",
+		prices_include_tax: 1,
+	},
+];
+
+test("isValidRefundReason only accepts known reasons", () => {
+	assert.equal(isValidRefundReason("defective"), true);
+	assert.equal(isValidRefundReason("changed_mind"), false);
+});
+
+test("buildRefundLines refunds what was paid per unit", () => {
+	const { lines, errors, amount } = buildRefundLines(orderItems, {}, [
+		{ orderItemId: 1, quantity: 1 },
+	]);
+
+	assert.deepEqual(errors, []);
+	assert.equal(lines.length, 1);
+	assert.equal(lines[0].orderItemId, 1);
+	assert.equal(lines[0].productId, 10);
+	assert.equal(lines[0].quantity, 1);
+	// 50.00 - 5.00 discount + 4.50 tax
+	assert.equal(lines[0].amount, 49.5);
+	assert.equal(lines[0].taxAmount, 4.5);
+	assert.equal(amount, 49.5);
+});
+
+test("buildRefundLines records included tax without adding it", () => {
+	const { lines } = buildRefundLines(orderItems, {}, [
+		{ orderItemId: 2, quantity: 1 },
+	]);
+
+	assert.equal(lines[0].amount, 20);
+	assert.equal(lines[0].taxAmount, 3.33);
+	assert.equal(lines[0].variantId, 4);
+});
+
+test("buildRefundLines claims every remaining unit by default", () => {
+	const { lines, amount } = buildRefundLines(orderItems, { 1: 1 });
+
+	assert.deepEqual(
+		lines.map((line) => [line.orderItemId, line.quantity]),
+		[
+			[1, 1],
+			[2, 1],
+		]
+	);
+	assert.equal(amount, 69.5);
+});
+
+test("buildRefundLines skips fully claimed lines by default", () => {
+	const { lines, errors } = buildRefundLines(orderItems, { 1: 2, 2: 1 });
+
+	assert.deepEqual(lines, []);
+	assert.deepEqual(errors, []);
+});
+
+test("buildRefundLines rejects quantities beyond what is refundable", () => {
+	const { lines, errors } = buildRefundLines(orderItems, { 1: 1 }, [
+		{ orderItemId: 1, quantity: 2 },
+		{ orderItemId: 2, quantity: 0 },
+	]);
+
+	assert.deepEqual(lines, []);
+	assert.deepEqual(
+		errors.map((error) => [error.orderItemId, error.refundable, error.reason]),
+		[
+			[1, 1, "Invalid refund quantity"],
+			[2, 1, "Invalid refund quantity"],
+		]
+	);
+});
+
+test("buildRefundLines rejects items of other orders", () => {
+	const { errors } = buildRefundLines(orderItems, {}, [
+		{ orderItemId: 99, quantity: 1 },
+	]);
+
+	assert.deepEqual(errors, [
+		{ orderItemId: 99, reason: "Item is not part of this order" },
+	]);
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, request } = require("./support/fakeDb");
+
+const { app, db } = loadApp();
+
+test("search reports pagination in the same headers as the product list", async () => {
+	db.reset();
+	db.on(/SELECT COUNT\(\*\) AS total/, [{ total: 45 }]);
+	db.on(/AS relevance/, [{ id: 3, name: "Desk lamp" }]);
+
+	const response = await request(app, "GET", "/api/search?q=lamp&page=2");
+
+	assert.equal(response.status, 200);
+	assert.deepEqual(response.body, {
+		query: "lamp",
+		didYouMean: null,
+		products: [{ id: 3, name: "Desk lamp" }],
+	});
+	assert.equal(response.headers.get("X-Total-Count"), "45");
+	assert.equal(response.headers.get("X-Page"), "2");
+	assert.equal(response.headers.get("X-Total-Pages"), "3");
+	assert.match(
+		response.headers.get("Link"),
+		/<\/api\/search\?q=lamp&page=3>; rel="next"/
+	);
+});
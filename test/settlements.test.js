@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { registerProvider } = require("../lib/payments");
+const { loadApp, signIn, request } = require("./support/fakeDb");
+
+const { app, db } = loadApp();
+
+// Provider that records the calls it gets and fails refunds on "ref_fail"
+const providerCalls = [];
+registerProvider("recording", () => ({
+	void(reference, callback) {
+		providerCalls.push(["void", reference]);
+		setImmediate(() => callback(null, { reference, status: "voided" }));
+	},
+	refund(reference, amount, callback) {
+		providerCalls.push(["refund", reference, amount]);
+		const result =
+			reference === "ref_fail"
+				? { reference, status: "failed", failureReason: "Refund refused" }
+				: { reference, status: "refunded" };
+		setImmediate(() => callback(null, result));
+	},
+}));
+process.env.PAYMENT_PROVIDER = "recording";
+
+const settlement = (id, overrides) => ({
+	id,
+	payment_id: 5,
+	operation: "refund",
+	amount: "4.00",
+	status: "pending",
+	provider_reference: `ref_${id}`,
+	...overrides,
+});
+
+// Fake database where the given settlements are due, each of which can be
+// claimed once
+function setUp(settlements) {
+	db.reset();
+	providerCalls.length = 0;
+	const token = signIn(db, { role: "admin" });
+	const claimed = new Set();
+
+	db.on(
+		/SELECT id FROM payment_settlements/,
+		settlements.map((row) => ({ id: row.id }))
+	);
+	db.on(/SET status = 'processing'/, ([id]) => {
+		if (claimed.has(id)) {
+			return { affectedRows: 0 };
+		}
+		claimed.add(id);
+		return { affectedRows: 1 };
+	});
+	db.on(/SELECT s\.\*, p\.provider_reference/, ([id]) =>
+		settlements.filter((row) => row.id === id)
+	);
+	return { token, claimed };
+}
+
+const retry = (token) =>
+	request(app, "POST", "/api/admin/payment-settlements/retry", { token });
+
+test("retry sends each settlement it claims and records it completed", async () => {
+	const { token } = setUp([
+		settlement(1),
+		settlement(2, { operation: "void" }),
+	]);
+
+	const response = await retry(token);
+
+	assert.equal(response.status, 200);
+	assert.equal(response.body.completed, 2);
+	assert.deepEqual(providerCalls, [
+		["refund", "ref_1", 4],
+		["void", "ref_2"],
+	]);
+
+	const [selection] = db.queriesMatching(/SELECT id FROM payment_settlements/);
+	assert.match(selection.sql, /status = 'processing' AND claimed_at </);
+	assert.deepEqual(selection.params, [15]);
+
+	assert.equal(db.queriesMatching(/SET status = 'completed'/).length, 2);
+	assert.deepEqual(
+		db.transactions.map((transaction) => transaction.events),
+		[
+			["begin", "commit", "release"],
+			["begin", "commit", "release"],
+		]
+	);
+});
+
+test("a settlement claimed elsewhere is not sent again", async () => {
+	const { token, claimed } = setUp([settlement(1), settlement(2)]);
+	claimed.add(2);
+
+	const response = await retry(token);
+
+	assert.equal(response.status, 200);
+	assert.deepEqual(providerCalls, [["refund", "ref_1", 4]]);
+	assert.deepEqual(
+		response.body.settlements.map((outcome) => outcome.id),
+		[1]
+	);
+});
+
+test("concurrent retries send every settlement once", async () => {
+	const { token } = setUp([settlement(1), settlement(2)]);
+
+	const responses = await Promise.all([retry(token), retry(token)]);
+
+	assert.deepEqual(
+		responses.map((response) => response.status),
+		[200, 200]
+	);
+	assert.deepEqual(providerCalls.sort(), [
+		["refund", "ref_1", 4],
+		["refund", "ref_2", 4],
+	]);
+	assert.equal(responses[0].body.completed + responses[1].body.completed, 2);
+});
+
+test("a refused settlement is marked failed and releases its claim", async () => {
+	const { token } = setUp([settlement(1, { provider_reference: "ref_fail" })]);
+
+	const response = await retry(token);
+
+	assert.equal(response.status, 200);
+	assert.equal(response.body.failed, 1);
+	assert.equal(response.body.settlements[0].failureReason, "Refund refused");
+
+	const [failure] = db.queriesMatching(/SET status = 'failed'/);
+	assert.match(failure.sql, /claimed_at = NULL/);
+	assert.deepEqual(failure.params, ["Refund refused", 1]);
+	assert.equal(db.queriesMatching(/SET status = 'completed'/).length, 0);
+});
+
+test("customers cannot retry settlements", async () => {
+	db.reset();
+	const token = signIn(db);
+
+	const response = await retry(token);
+
+	assert.equal(response.status, 403);
+	assert.equal(db.queriesMatching(/payment_settlements/).length, 0);
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { planSpecMerge } = require("../lib/specifications");
+
+// Computers > Laptops > Gaming laptops, merged into Electronics > laptop
+const categories = [
+	{ id: 1, parent_id: null, name: "Computers" },
+	{ id: 2, parent_id: 1, name: "Laptops" },
+	{ id: 3, parent_id: 2, name: "Gaming laptops" },
+	{ id: 4, parent_id: null, name: "Electronics" },
+	{ id: 5, parent_id: 4, name: "laptop" },
+];
+
+const field = (id, categoryId, name, type, extra) => ({
+	id,
+	category_id: categoryId,
+	name,
+	type,
+	unit: null,
+	allowed_values: null,
+	position: 0,
+	...extra,
+});
+
+test("planSpecMerge folds matching fields and moves the rest", () => {
+	const plan = planSpecMerge(
+		categories,
+		[
+			field(10, 2, "ram", "number", { unit: "gb" }),
+			field(11, 2, "Color", "enum", { allowed_values: ["Black", "Red"] }),
+			field(12, 2, "Panel", "string"),
+			field(20, 5, "RAM", "number", { unit: "GB" }),
+			field(21, 5, "color", "enum", { allowed_values: ["black", "Silver"] }),
+		],
+		2,
+		5,
+		[]
+	);
+
+	assert.deepEqual(plan, {
+		folds: [
+			{ fromId: 10, toId: 20, allowedValues: null },
+			{ fromId: 11, toId: 21, allowedValues: ["black", "Silver", "Red"] },
+		],
+		moves: [12],
+		remaps: [],
+		conflicts: [],
+	});
+});
+
+test("planSpecMerge reports fields holding other kinds of values", () => {
+	const plan = planSpecMerge(
+		categories,
+		[
+			field(10, 2, "Weight", "number", { unit: "kg" }),
+			field(20, 5, "weight", "number", { unit: "lb" }),
+		],
+		2,
+		5,
+		[{ category_id: 2, field_id: 10 }]
+	);
+
+	assert.deepEqual(plan.folds, []);
+	assert.deepEqual(plan.remaps, []);
+	assert.deepEqual(plan.conflicts, [
+		{
+			field: "Weight",
+			message:
+				"Weight is number in kg here but number in lb in the target category",
+		},
+	]);
+});
+
+test("planSpecMerge re-points stored values, inherited ones included", () => {
+	const plan = planSpecMerge(
+		categories,
+		[
+			field(10, 1, "Brand", "string"),
+			field(11, 2, "RAM", "number", { unit: "GB" }),
+			field(12, 2, "Panel", "string"),
+			field(20, 4, "brand", "string"),
+			field(21, 5, "RAM", "number", { unit: "GB" }),
+		],
+		2,
+		5,
+		[
+			{ category_id: 2, field_id: 10 },
+			{ category_id: 2, field_id: 11 },
+			{ category_id: 2, field_id: 12 },
+			{ category_id: 3, field_id: 10 },
+			{ category_id: 3, field_id: 11 },
+		]
+	);
+
+	assert.deepEqual(plan.folds, [{ fromId: 11, toId: 21, allowedValues: null }]);
+	assert.deepEqual(plan.moves, [12]);
+	assert.deepEqual(plan.remaps, [
+		{ categoryId: 2, fromId: 10, toId: 20 },
+		{ categoryId: 2, fromId: 11, toId: 21 },
+		{ categoryId: 3, fromId: 10, toId: 20 },
+		{ categoryId: 3, fromId: 11, toId: 21 },
+	]);
+	assert.deepEqual(plan.conflicts, []);
+});
+
+test("planSpecMerge refuses values that would lose their field", () => {
+	const plan = planSpecMerge(
+		categories,
+		[field(10, 1, "Warranty", "string")],
+		2,
+		5,
+		[{ category_id: 3, field_id: 10 }]
+	);
+
+	assert.deepEqual(plan.conflicts, [
+		{
+			field: "Warranty",
+			message:
+				"Warranty of products in Gaming laptops has no field in the merged category",
+		},
+	]);
+});
+
+test("planSpecMerge only widens enum fields of the target itself", () => {
+	const plan = planSpecMerge(
+		categories,
+		[
+			field(11, 2, "Color", "enum", { allowed_values: ["Black", "Red"] }),
+			field(21, 4, "color", "enum", { allowed_values: ["Black"] }),
+		],
+		2,
+		5,
+		[{ category_id: 2, field_id: 11 }]
+	);
+
+	assert.deepEqual(plan.folds, []);
+	assert.deepEqual(plan.remaps, []);
+	assert.deepEqual(plan.conflicts, [
+		{
+			field: "Color",
+			message:
+				"Color allows Red here, which the field the target category inherits does not",
+		},
+	]);
+});
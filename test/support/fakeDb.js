@@ -0,0 +1,157 @@
+const mysql = require("mysql2");
+const { signAccessToken } = require("../../lib/auth");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "route-test-secret";
+
+// In-memory stand-in for the mysql2 pool used by the route tests. Queries are
+// answered by the first handler whose pattern matches the SQL; without one a
+// SELECT returns no rows and anything else affects one row. Every query and
+// every transaction is recorded so tests can check what a route did.
+function createFakeDb() {
+	let handlers = [];
+	let nextInsertId = 1;
+	let nextConnectionId = 1;
+	const db = { queries: [], transactions: [] };
+
+	// Answer SQL matching pattern with rows, or with respond(params, sql).
+	// Returning an Error fails the query with it.
+	db.on = (pattern, respond) => {
+		handlers.push({ pattern, respond });
+		return db;
+	};
+
+	db.reset = () => {
+		handlers = [];
+		db.queries.length = 0;
+		db.transactions.length = 0;
+	};
+
+	// Queries whose SQL matches pattern
+	db.queriesMatching = (pattern) =>
+		db.queries.filter((entry) => pattern.test(entry.sql));
+
+	const answer = (sql, params) => {
+		const handler = handlers.find((candidate) => candidate.pattern.test(sql));
+		if (handler) {
+			return typeof handler.respond === "function"
+				? handler.respond(params, sql)
+				: handler.respond;
+		}
+		if (/^\s*SELECT/i.test(sql)) {
+			return [];
+		}
+		return { affectedRows: 1, insertId: nextInsertId++ };
+	};
+
+	const runQuery = (connectionId, sql, params, callback) => {
+		if (typeof params === "function") {
+			callback = params;
+			params = [];
+		}
+		db.queries.push({ connectionId, sql, params });
+
+		let result;
+		try {
+			result = answer(sql, params);
+		} catch (err) {
+			result = err;
+		}
+		setImmediate(() =>
+			result instanceof Error ? callback(result) : callback(null, result)
+		);
+	};
+
+	db.pool = {
+		query: (sql, params, callback) => runQuery(null, sql, params, callback),
+		getConnection: (callback) => {
+			const transaction = { id: nextConnectionId++, events: [] };
+			db.transactions.push(transaction);
+
+			const record = (event, callback) => {
+				transaction.events.push(event);
+				if (callback) {
+					setImmediate(() => callback(null));
+				}
+			};
+
+			const connection = {
+				threadId: transaction.id,
+				query: (sql, params, callback) =>
+					runQuery(transaction.id, sql, params, callback),
+				beginTransaction: (callback) => record("begin", callback),
+				commit: (callback) => record("commit", callback),
+				rollback: (callback) => record("rollback", callback),
+				release: () => record("release"),
+			};
+			setImmediate(() => callback(null, connection));
+		},
+	};
+
+	return db;
+}
+
+// Load the app with its pool replaced by a fake database. The app module is
+// cached, so a test file shares one fake database between its tests.
+function loadApp() {
+	const db = createFakeDb();
+	mysql.createPool = () => db.pool;
+	const app = require("../../index");
+	return { app, db };
+}
+
+// Access token and users row handler for a signed-in user
+function signIn(db, user) {
+	const row = {
+		id: 1,
+		first_name: "Test",
+		last_name: "User",
+		email: "user@example.com",
+		phone: null,
+		role: "customer",
+		token_version: 0,
+		email_verified_at: new Date(),
+		...user,
+	};
+	db.on(/FROM users WHERE id = \? AND deleted_at IS NULL/, [row]);
+	return signAccessToken(row);
+}
+
+// Send one request to the app, resolves with { status, headers, body }
+function request(app, method, path, { token, body, headers = {} } = {}) {
+	return new Promise((resolve, reject) => {
+		const server = app.listen(0, () => {
+			const url = `http://127.0.0.1:${server.address().port}${path}`;
+			const requestHeaders = { ...headers };
+			if (token) {
+				requestHeaders.Authorization = `Bearer ${token}`;
+			}
+			if (body !== undefined) {
+				requestHeaders["Content-Type"] = "application/json";
+			}
+
+			fetch(url, {
+				method,
+				headers: requestHeaders,
+				body: body === undefined ? undefined : JSON.stringify(body),
+			})
+				.then((response) =>
+					response.text().then((text) => ({
+						status: response.status,
+						headers: response.headers,
+						body: text ? JSON.parse(text) : null,
+					}))
+				)
+				.then(
+					(result) => server.close(() => resolve(result)),
+					(err) => server.close(() => reject(err))
+				);
+		});
+	});
+}
+
+module.exports = {
+	createFakeDb,
+	loadApp,
+	signIn,
+	request,
+};